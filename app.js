@@ -1,8 +1,9 @@
 /*
-  Client side script for the EBIOS RM offline risk management tool.
-  The script handles data persistence via localStorage, dynamic form
-  rendering for each of the five workshops, simple chart drawing
-  routines, and import/export functionality.
+  Client side script for the EBIOS RM offline risk management tool.
+  The script handles data persistence via IndexedDB (one record per
+  analysis, with a localStorage fallback), dynamic form rendering for
+  each of the five workshops, simple chart drawing routines, and
+  import/export functionality.
 */
 
 (function() {
@@ -10,31 +11,537 @@
   let analyses = [];
   let currentIndex = -1;
 
-  function loadAnalyses() {
+  // Each analysis is stored as its own record in the `analyses` object
+  // store so that editing one analysis only rewrites that record.  The
+  // record wraps the analysis with a `position` used to restore the
+  // order of the sidebar list.
+  const DB_NAME = 'ebiosRM';
+  const DB_VERSION = 5;
+  const ANALYSES_STORE = 'analyses';
+  // Undo/redo history: one record per snapshot, keyed by
+  // [analysisId, seq], plus one cursor record per analysis.
+  const HISTORY_STORE = 'history';
+  const HISTORY_STATE_STORE = 'historyState';
+  // Content of the evidence attachments, keyed by attachment id
+  const EVIDENCE_STORE = 'evidence';
+  // Shared vulnerability catalogue, keyed by entry id
+  const VULN_CATALOG_STORE = 'vulnCatalog';
+  // MITRE ATT&CK matrices, keyed by domain
+  const ATTACK_STORE = 'attack';
+  // Delay before pending changes are written, so that a burst of
+  // keystrokes results in a single write.
+  const SAVE_DELAY = 400;
+
+  let db = null;
+  let saveTimer = null;
+  let saveQueue = Promise.resolve();
+  // IDs of analyses modified since the last write
+  const dirtyIds = new Set();
+  // IDs of analyses currently present in the database, with the
+  // position they were stored with
+  const storedPositions = new Map();
+  let nextPosition = 0;
+  // Stored analyses the migrations failed on.  They are not listed and
+  // never written, except back into the localStorage fallback.
+  let unmigratedAnalyses = [];
+
+  function openDatabase() {
+    return new Promise((resolve) => {
+      if (!window.indexedDB) {
+        resolve(null);
+        return;
+      }
+      let request;
+      try {
+        request = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (e) {
+        console.warn('IndexedDB unavailable, falling back to localStorage.', e);
+        resolve(null);
+        return;
+      }
+      request.onupgradeneeded = () => {
+        const upgradeDb = request.result;
+        if (!upgradeDb.objectStoreNames.contains(ANALYSES_STORE)) {
+          upgradeDb.createObjectStore(ANALYSES_STORE, { keyPath: 'id' });
+        }
+        if (!upgradeDb.objectStoreNames.contains(HISTORY_STORE)) {
+          upgradeDb.createObjectStore(HISTORY_STORE, { keyPath: ['analysisId', 'seq'] });
+        }
+        if (!upgradeDb.objectStoreNames.contains(HISTORY_STATE_STORE)) {
+          upgradeDb.createObjectStore(HISTORY_STATE_STORE, { keyPath: 'analysisId' });
+        }
+        if (!upgradeDb.objectStoreNames.contains(EVIDENCE_STORE)) {
+          upgradeDb.createObjectStore(EVIDENCE_STORE, { keyPath: 'id' });
+        }
+        if (!upgradeDb.objectStoreNames.contains(VULN_CATALOG_STORE)) {
+          upgradeDb.createObjectStore(VULN_CATALOG_STORE, { keyPath: 'id' });
+        }
+        if (!upgradeDb.objectStoreNames.contains(ATTACK_STORE)) {
+          upgradeDb.createObjectStore(ATTACK_STORE, { keyPath: 'domain' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, falling back to localStorage.', request.error);
+        resolve(null);
+      };
+      request.onblocked = () => {
+        console.warn('IndexedDB upgrade blocked by another open page.');
+      };
+    });
+  }
+
+  // Read every analysis record from the database, sorted by position.
+  function readStoredAnalyses() {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(ANALYSES_STORE, 'readonly');
+      const request = tx.objectStore(ANALYSES_STORE).getAll();
+      request.onsuccess = () => {
+        const records = (request.result || []).slice();
+        records.sort((a, b) => (a.position || 0) - (b.position || 0));
+        resolve(records);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Parse the legacy single-blob `ebiosAnalyses` localStorage entry.
+  function readLegacyAnalyses() {
     try {
       const data = localStorage.getItem('ebiosAnalyses');
-      analyses = data ? JSON.parse(data) : [];
-      // Ensure every analysis has a stable identifier for persistence.
-      // Older saved analyses may lack an `id` field, so assign one when
-      // loading and immediately save back to storage so future loads keep it.
-      let changed = false;
-      analyses.forEach(a => {
-        if (a && !a.id) {
-          a.id = uid();
-          changed = true;
-        }
-      });
-      if (changed) {
-        saveAnalyses();
-      }
+      const parsed = data ? JSON.parse(data) : [];
+      return Array.isArray(parsed) ? parsed.filter(a => a && typeof a === 'object') : [];
     } catch (e) {
       console.warn('Failed to parse localStorage data, resetting.', e);
-      analyses = [];
+      return [];
+    }
+  }
+
+  async function loadAnalyses() {
+    db = await openDatabase();
+    if (!db) {
+      analyses = readLegacyAnalyses();
+      prepareLoadedAnalyses();
+      return;
     }
+    let records = [];
+    try {
+      records = await readStoredAnalyses();
+      await readHistoryStates();
+    } catch (e) {
+      console.warn('Failed to read analyses from IndexedDB.', e);
+    }
+    analyses = records.map(r => r.analysis).filter(Boolean);
+    records.forEach(r => {
+      storedPositions.set(r.id, r.position || 0);
+      nextPosition = Math.max(nextPosition, (r.position || 0) + 1);
+    });
+    prepareLoadedAnalyses();
+    // First load after the switch to IndexedDB: migrate the analyses
+    // kept in the single localStorage blob, then drop the blob once
+    // they have all been converted and written successfully.
+    if (records.length === 0 && localStorage.getItem('ebiosAnalyses') !== null) {
+      analyses = readLegacyAnalyses();
+      prepareLoadedAnalyses();
+      const ok = await flushSave();
+      if (ok && unmigratedAnalyses.length === 0) {
+        try {
+          localStorage.removeItem('ebiosAnalyses');
+        } catch (e) { /* ignore */ }
+      }
+    } else if (dirtyIds.size > 0) {
+      // Store the analyses converted by the migrations right away
+      await flushSave();
+    }
+  }
+
+  // Bring freshly loaded analyses to the current schema.  History
+  // baselines are taken afterwards so that the conversion itself is not
+  // recorded as an undoable step.
+  function prepareLoadedAnalyses() {
+    ensureAnalysisIds();
+    migrateLoadedAnalyses();
+    resetHistoryBaselines();
+  }
+
+  // Ensure every analysis has a stable identifier for persistence.  Older
+  // saved analyses may lack an `id` field, so assign one when loading.
+  function ensureAnalysisIds() {
+    analyses.forEach(a => {
+      if (a && !a.id) {
+        a.id = uid();
+        dirtyIds.add(a.id);
+      }
+    });
+  }
+
+  // Flag an analysis as modified so that the next write includes it.
+  // saveAnalyses() flags the current analysis; code modifying other
+  // analyses (imports) must call this explicitly.
+  function markAnalysisDirty(analysis) {
+    if (analysis && analysis.id) dirtyIds.add(analysis.id);
   }
 
+  // Schedule a write of the modified analyses.  Called after every
+  // change, so it must stay cheap: the actual serialisation happens once
+  // the delay expires.
   function saveAnalyses() {
-    localStorage.setItem('ebiosAnalyses', JSON.stringify(analyses));
+    markAnalysisDirty(analyses[currentIndex]);
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      flushSave();
+      updateIntegrityButton();
+    }, SAVE_DELAY);
+  }
+
+  // Write pending changes immediately.  Resolves to true when the write
+  // succeeded (or there was nothing to write).
+  function flushSave() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    saveQueue = saveQueue.then(() => (db ? writeDirtyAnalyses() : writeLocalStorage()));
+    return saveQueue;
+  }
+
+  function writeDirtyAnalyses() {
+    const liveIds = new Set(analyses.map(a => a && a.id));
+    const toPut = analyses.filter(a => a && a.id && (dirtyIds.has(a.id) || !storedPositions.has(a.id)));
+    const toDelete = Array.from(storedPositions.keys()).filter(id => !liveIds.has(id));
+    if (toPut.length === 0 && toDelete.length === 0) return Promise.resolve(true);
+    dirtyIds.clear();
+    return new Promise((resolve) => {
+      const failed = (err) => {
+        // Keep the changes pending so that the next save retries them.
+        toPut.forEach(a => dirtyIds.add(a.id));
+        showStorageError(err);
+        resolve(false);
+      };
+      const added = [];
+      const rollbacks = [];
+      let tx;
+      try {
+        tx = db.transaction([ANALYSES_STORE, HISTORY_STORE, HISTORY_STATE_STORE], 'readwrite');
+        const store = tx.objectStore(ANALYSES_STORE);
+        toPut.forEach(a => {
+          if (!storedPositions.has(a.id)) {
+            storedPositions.set(a.id, nextPosition++);
+            added.push(a.id);
+          }
+          store.put({ id: a.id, position: storedPositions.get(a.id), updatedAt: new Date().toISOString(), analysis: a });
+          rollbacks.push(recordHistory(idbHistorySink(tx, a.id), a));
+        });
+        toDelete.forEach(id => {
+          store.delete(id);
+          rollbacks.push(dropHistory(idbHistorySink(tx, id), id));
+        });
+      } catch (e) {
+        added.forEach(id => storedPositions.delete(id));
+        rollbacks.forEach(fn => fn());
+        failed(e);
+        return;
+      }
+      tx.oncomplete = () => {
+        toDelete.forEach(id => storedPositions.delete(id));
+        hideStorageError();
+        updateHistoryButtons();
+        resolve(true);
+      };
+      tx.onabort = () => {
+        added.forEach(id => storedPositions.delete(id));
+        rollbacks.forEach(fn => fn());
+        failed(tx.error);
+      };
+    });
+  }
+
+  // Fallback used when IndexedDB is not available (e.g. some private
+  // browsing modes): keep the historical single localStorage entry.
+  function writeLocalStorage() {
+    analyses.forEach(a => {
+      if (a && a.id && dirtyIds.has(a.id)) recordHistory(memoryHistorySink(a.id), a);
+    });
+    dirtyIds.clear();
+    updateHistoryButtons();
+    try {
+      localStorage.setItem('ebiosAnalyses', JSON.stringify(analyses.concat(unmigratedAnalyses)));
+      hideStorageError();
+      return Promise.resolve(true);
+    } catch (e) {
+      showStorageError(e);
+      return Promise.resolve(false);
+    }
+  }
+
+  // ----- Undo / redo history
+  // Every write records a JSON snapshot of each modified analysis, so
+  // that the history covers edits, deletions and imports alike without
+  // instrumenting individual handlers.  Because writes are debounced,
+  // a burst of keystrokes becomes a single undo step.  Snapshots live in
+  // IndexedDB, which keeps the history when navigating between the
+  // workshop pages.
+  const HISTORY_LIMIT = 50;
+  // Total length of the snapshots kept per analysis.  A large analysis
+  // keeps fewer steps, but always at least one undo.
+  const HISTORY_MAX_CHARS = 16 * 1024 * 1024;
+  // analysisId -> { analysisId, pos, min, max, sizes }: `pos` is the
+  // sequence number of the snapshot matching the current state,
+  // `min`/`max` the range of snapshots kept and `sizes` the length of
+  // each of them by sequence number.
+  const historyStates = new Map();
+  // analysisId -> JSON of the last recorded state
+  const historyBaselines = new Map();
+  // Snapshots kept in memory when IndexedDB is unavailable
+  const memoryHistory = new Map();
+  let historyBusy = false;
+
+  function readHistoryStates() {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(HISTORY_STATE_STORE, 'readonly');
+      const request = tx.objectStore(HISTORY_STATE_STORE).getAll();
+      request.onsuccess = () => {
+        (request.result || []).forEach(state => historyStates.set(state.analysisId, state));
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function resetHistoryBaselines() {
+    historyBaselines.clear();
+    analyses.forEach(a => {
+      if (a && a.id) historyBaselines.set(a.id, JSON.stringify(a));
+    });
+  }
+
+  // Storage back ends for history snapshots, sharing the same interface.
+  function idbHistorySink(tx, analysisId) {
+    const entries = tx.objectStore(HISTORY_STORE);
+    return {
+      put: (seq, snapshot) => entries.put({ analysisId, seq, snapshot }),
+      deleteRange: (from, to) => entries.delete(IDBKeyRange.bound([analysisId, from], [analysisId, to])),
+      putState: (state) => tx.objectStore(HISTORY_STATE_STORE).put(state),
+      deleteState: () => tx.objectStore(HISTORY_STATE_STORE).delete(analysisId)
+    };
+  }
+
+  function memoryHistorySink(analysisId) {
+    if (!memoryHistory.has(analysisId)) memoryHistory.set(analysisId, new Map());
+    const entries = memoryHistory.get(analysisId);
+    return {
+      put: (seq, snapshot) => entries.set(seq, snapshot),
+      deleteRange: (from, to) => {
+        for (let seq = from; seq <= to; seq++) entries.delete(seq);
+      },
+      putState: () => {},
+      deleteState: () => memoryHistory.delete(analysisId)
+    };
+  }
+
+  // Record the current state of an analysis as a new history step when it
+  // differs from the last recorded one.  Returns a function restoring the
+  // in-memory bookkeeping if the surrounding transaction fails.
+  function recordHistory(sink, analysis) {
+    const id = analysis.id;
+    const snapshot = JSON.stringify(analysis);
+    const previous = historyBaselines.get(id);
+    const prevState = historyStates.get(id);
+    const rollback = () => {
+      if (prevState) historyStates.set(id, prevState);
+      else historyStates.delete(id);
+      if (previous === undefined) historyBaselines.delete(id);
+      else historyBaselines.set(id, previous);
+    };
+    if (previous === snapshot) return rollback;
+    const state = Object.assign({ analysisId: id, pos: 0, min: 1, max: 0 }, prevState);
+    const sizes = Object.assign({}, state.sizes);
+    if (state.max === 0 && previous !== undefined) {
+      // No history yet: keep the state preceding this change as the
+      // first step so that it can be restored.
+      sink.put(1, previous);
+      sizes[1] = previous.length;
+      state.pos = 1;
+      state.max = 1;
+    }
+    // A new change after some undos discards the redo branch
+    if (state.max > state.pos) sink.deleteRange(state.pos + 1, state.max);
+    for (let seq = state.pos + 1; seq <= state.max; seq++) delete sizes[seq];
+    state.pos += 1;
+    state.max = state.pos;
+    sink.put(state.pos, snapshot);
+    sizes[state.pos] = snapshot.length;
+    // Drop the oldest steps beyond the step count or the size budget
+    let total = 0;
+    for (let seq = state.min; seq <= state.max; seq++) total += sizes[seq] || 0;
+    let newMin = state.min;
+    while (newMin < state.max - 1 && (state.max - newMin + 1 > HISTORY_LIMIT || total > HISTORY_MAX_CHARS)) {
+      total -= sizes[newMin] || 0;
+      delete sizes[newMin];
+      newMin += 1;
+    }
+    if (newMin > state.min) {
+      sink.deleteRange(state.min, newMin - 1);
+      state.min = newMin;
+    }
+    state.sizes = sizes;
+    sink.putState(state);
+    historyStates.set(id, state);
+    historyBaselines.set(id, snapshot);
+    return rollback;
+  }
+
+  function dropHistory(sink, analysisId) {
+    const state = historyStates.get(analysisId);
+    const baseline = historyBaselines.get(analysisId);
+    if (state) sink.deleteRange(state.min, state.max);
+    sink.deleteState();
+    historyStates.delete(analysisId);
+    historyBaselines.delete(analysisId);
+    return () => {
+      if (state) historyStates.set(analysisId, state);
+      if (baseline !== undefined) historyBaselines.set(analysisId, baseline);
+    };
+  }
+
+  function readHistorySnapshot(analysisId, seq) {
+    if (!db) {
+      const entries = memoryHistory.get(analysisId);
+      return Promise.resolve(entries ? entries.get(seq) : undefined);
+    }
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE).get([analysisId, seq]);
+      request.onsuccess = () => resolve(request.result ? request.result.snapshot : undefined);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  function canUndo() {
+    const analysis = analyses[currentIndex];
+    const state = analysis && historyStates.get(analysis.id);
+    return !!state && state.pos > state.min;
+  }
+
+  function canRedo() {
+    const analysis = analyses[currentIndex];
+    const state = analysis && historyStates.get(analysis.id);
+    return !!state && state.pos < state.max;
+  }
+
+  function undo() {
+    return stepHistory(-1);
+  }
+
+  function redo() {
+    return stepHistory(1);
+  }
+
+  // Move the current analysis one step backwards or forwards in its
+  // history, then refresh every view of the page.
+  async function stepHistory(delta) {
+    const analysis = analyses[currentIndex];
+    if (!analysis || historyBusy) return;
+    historyBusy = true;
+    try {
+      // Record pending edits first so that they can be undone too
+      await flushSave();
+      const state = historyStates.get(analysis.id);
+      if (!state) return;
+      const target = state.pos + delta;
+      if (target < state.min || target > state.max) return;
+      const snapshot = await readHistorySnapshot(analysis.id, target);
+      if (snapshot === undefined) return;
+      const restored = JSON.parse(snapshot);
+      Object.keys(analysis).forEach(key => delete analysis[key]);
+      Object.assign(analysis, restored);
+      // Steps recorded before a schema change are upgraded on the fly
+      migrateAnalysis(analysis);
+      historyStates.set(analysis.id, Object.assign({}, state, { pos: target }));
+      historyBaselines.set(analysis.id, JSON.stringify(analysis));
+      await writeHistoryStep(analysis);
+      renderAnalysisList();
+      selectAnalysis(currentIndex);
+    } catch (e) {
+      console.error('Failed to restore history step.', e);
+    } finally {
+      historyBusy = false;
+      updateHistoryButtons();
+    }
+  }
+
+  // Persist a restored analysis together with its history cursor.
+  function writeHistoryStep(analysis) {
+    if (!db) {
+      markAnalysisDirty(analysis);
+      return flushSave();
+    }
+    return new Promise((resolve) => {
+      const tx = db.transaction([ANALYSES_STORE, HISTORY_STATE_STORE], 'readwrite');
+      tx.objectStore(ANALYSES_STORE).put({ id: analysis.id, position: storedPositions.get(analysis.id), updatedAt: new Date().toISOString(), analysis });
+      tx.objectStore(HISTORY_STATE_STORE).put(historyStates.get(analysis.id));
+      tx.oncomplete = () => resolve(true);
+      tx.onabort = () => {
+        showStorageError(tx.error);
+        resolve(false);
+      };
+    });
+  }
+
+  function updateHistoryButtons() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    if (undoBtn) undoBtn.disabled = !canUndo();
+    if (redoBtn) redoBtn.disabled = !canRedo();
+  }
+
+  function setupHistoryControls() {
+    const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
+    if (undoBtn) undoBtn.addEventListener('click', undo);
+    if (redoBtn) redoBtn.addEventListener('click', redo);
+    // Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) act on the whole analysis,
+    // including while a field has focus, so that the model and the
+    // inputs never diverge.
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = (e.key || '').toLowerCase();
+      if (key === 'z') {
+        e.preventDefault();
+        if (e.shiftKey) redo();
+        else undo();
+      } else if (key === 'y') {
+        e.preventDefault();
+        redo();
+      }
+    });
+    updateHistoryButtons();
+  }
+
+  function isQuotaError(err) {
+    return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED' || err.code === 22);
+  }
+
+  // Display a persistent banner when a write fails.  Silent failures
+  // previously meant users kept editing without their work being saved.
+  function showStorageError(err) {
+    console.error('Failed to save analyses.', err);
+    let banner = document.getElementById('storage-error');
+    if (!banner) {
+      banner = document.createElement('div');
+      banner.id = 'storage-error';
+      banner.className = 'storage-error';
+      const main = document.getElementById('main') || document.body;
+      main.insertBefore(banner, main.firstChild);
+    }
+    banner.textContent = isQuotaError(err)
+      ? 'Espace de stockage du navigateur saturé : les dernières modifications ne sont pas enregistrées. Exportez vos analyses puis supprimez celles dont vous n’avez plus besoin.'
+      : 'Échec de l’enregistrement des analyses : les dernières modifications ne sont pas enregistrées. (' + ((err && (err.message || err.name)) || 'erreur inconnue') + ')';
+  }
+
+  function hideStorageError() {
+    const banner = document.getElementById('storage-error');
+    if (banner) banner.remove();
   }
 
   // Persist the ID of the currently selected analysis in localStorage so
@@ -53,19 +560,2095 @@
     }
   }
 
-  // ----- Utility: generate a simple UID
-  function uid() {
-    return 'id-' + Math.random().toString(36).substring(2, 10) + Date.now().toString(36);
+  // ----- Schema migrations
+  // Each analysis carries a `schemaVersion`.  Analyses written by older
+  // versions of the tool are brought up to date by running, in order,
+  // every migration above their version.  A migration mutates the
+  // analysis in place and returns the list of changes it made, so that
+  // loads and imports can report what was converted.  Migrations only
+  // touch the analysis object they receive: no DOM, no storage.
+  const SCHEMA_VERSION = 8;
+
+  // Collections of analysis.data that renderers expect to be arrays
+  const DATA_COLLECTIONS = ['missions', 'events', 'supportsQualif', 'gap', 'srov', 'ppc', 'strategies', 'so',
+    'actionsGap', 'actionsSupports', 'actionsParties', 'actionsRisques'];
+
+  // Parse a 1‑4 level stored as a number or a string.
+  function toLevel(value, fallback) {
+    const n = parseInt(value, 10);
+    return n >= 1 && n <= 4 ? n : fallback;
+  }
+
+  // Small helpers shared by the migrations.  Each one fixes a single
+  // field of `item` and records the change under `path`.
+  function migrateArrayField(item, key, path, changes) {
+    if (Array.isArray(item[key])) return;
+    item[key] = [];
+    changes.push(`${path}.${key} initialisé`);
+  }
+
+  function migrateStringField(item, key, fallback, path, changes) {
+    if (typeof item[key] === 'string') return;
+    item[key] = fallback;
+    changes.push(`${path}.${key} initialisé`);
+  }
+
+  function migrateLevelField(item, key, path, changes) {
+    const level = toLevel(item[key], 1);
+    if (item[key] === level) return;
+    changes.push(`${path}.${key} : ${JSON.stringify(item[key] === undefined ? null : item[key])} → ${level}`);
+    item[key] = level;
+  }
+
+  const MIGRATIONS = [
+    {
+      version: 1,
+      description: 'Structure des données et identifiants',
+      migrate(analysis) {
+        const changes = [];
+        if (!analysis.data || typeof analysis.data !== 'object' || Array.isArray(analysis.data)) {
+          analysis.data = {};
+          changes.push('data initialisé');
+        }
+        const data = analysis.data;
+        DATA_COLLECTIONS.forEach(key => {
+          if (!Array.isArray(data[key])) {
+            data[key] = [];
+            changes.push(`data.${key} initialisé`);
+            return;
+          }
+          const valid = data[key].filter(item => item && typeof item === 'object');
+          if (valid.length !== data[key].length) {
+            changes.push(`data.${key} : ${data[key].length - valid.length} entrée(s) invalide(s) supprimée(s)`);
+            data[key] = valid;
+          }
+        });
+        migrateStringField(data, 'missionDescription', '', 'data', changes);
+        ['missions', 'events', 'gap', 'srov', 'ppc', 'strategies', 'so'].forEach(key => {
+          data[key].forEach((item, i) => {
+            if (item.id) return;
+            item.id = uid();
+            changes.push(`data.${key}[${i}] : identifiant ajouté`);
+          });
+        });
+        return changes;
+      }
+    },
+    {
+      version: 2,
+      description: 'Biens supports stockés sous forme de texte',
+      migrate(analysis) {
+        const changes = [];
+        analysis.data.missions.forEach((mission, i) => {
+          const path = `data.missions[${i}].supports`;
+          if (typeof mission.supports === 'string') {
+            mission.supports = mission.supports.split(',').map(s => s.trim()).filter(Boolean);
+            changes.push(`${path} : liste séparée par des virgules convertie`);
+          } else if (!Array.isArray(mission.supports)) {
+            mission.supports = [];
+            changes.push(`${path} initialisé`);
+          }
+          mission.supports = mission.supports.filter(s => typeof s === 'string' || (s && typeof s === 'object'));
+          mission.supports = mission.supports.map((s, j) => {
+            if (typeof s === 'string') {
+              changes.push(`${path}[${j}] : « ${s} » converti en objet`);
+              return { id: uid(), name: s, description: '', responsable: '' };
+            }
+            if (!s.id) {
+              s.id = uid();
+              changes.push(`${path}[${j}] : identifiant ajouté`);
+            }
+            return s;
+          });
+        });
+        return changes;
+      }
+    },
+    {
+      version: 3,
+      description: 'Niveaux numériques et champs par défaut',
+      migrate(analysis) {
+        const changes = [];
+        const data = analysis.data;
+        data.events.forEach((ev, i) => {
+          migrateLevelField(ev, 'impact', `data.events[${i}]`, changes);
+        });
+        data.supportsQualif.forEach((support, i) => {
+          migrateArrayField(support, 'vulnerabilities', `data.supportsQualif[${i}]`, changes);
+        });
+        data.srov.forEach((item, i) => {
+          const path = `data.srov[${i}]`;
+          ['motivation', 'ressources', 'priorite'].forEach(key => migrateLevelField(item, key, path, changes));
+          // Couples are kept unless explicitly discarded
+          if (typeof item.retenue !== 'boolean') {
+            const retenue = item.retenue !== 'false';
+            changes.push(`${path}.retenue : ${JSON.stringify(item.retenue === undefined ? null : item.retenue)} → ${retenue}`);
+            item.retenue = retenue;
+          }
+        });
+        data.ppc.forEach((item, i) => {
+          const path = `data.ppc[${i}]`;
+          migrateStringField(item, 'nom', '', path, changes);
+          if (!item.categorie) {
+            item.categorie = 'prestataire';
+            changes.push(`${path}.categorie initialisé`);
+          }
+          migrateArrayField(item, 'supportIds', path, changes);
+          migrateArrayField(item, 'valueIds', path, changes);
+          ['dependance', 'penetration', 'maturite', 'confiance'].forEach(key => migrateLevelField(item, key, path, changes));
+        });
+        data.strategies.forEach((item, i) => {
+          const path = `data.strategies[${i}]`;
+          migrateStringField(item, 'source', '', path, changes);
+          migrateStringField(item, 'objectif', '', path, changes);
+          ['chemins', 'intermediaireIds', 'eventIds'].forEach(key => migrateArrayField(item, key, path, changes));
+        });
+        data.so.forEach((item, i) => {
+          const path = `data.so[${i}]`;
+          migrateStringField(item, 'eventId', '', path, changes);
+          migrateStringField(item, 'path', '', path, changes);
+          ['connaitre', 'rester', 'trouver', 'exploiter', 'risks'].forEach(key => migrateArrayField(item, key, path, changes));
+        });
+        ['actionsGap', 'actionsSupports', 'actionsParties', 'actionsRisques'].forEach(key => {
+          data[key].forEach((row, i) => migrateArrayField(row, 'actions', `data.${key}[${i}]`, changes));
+        });
+        return changes;
+      }
+    },
+    {
+      version: 4,
+      description: 'Anciennes listes (parties prenantes, sources de menace, risques)',
+      migrate(analysis) {
+        const changes = [];
+        const data = analysis.data;
+        // Parties prenantes → cartographie
+        (Array.isArray(data.pp) ? data.pp : []).forEach((item, i) => {
+          if (!item || typeof item !== 'object') return;
+          if (item.id && data.ppc.some(p => p.id === item.id)) return;
+          const cat = (item.categorie || '').toLowerCase();
+          data.ppc.push({
+            id: item.id || uid(),
+            nom: item.nom || '',
+            description: item.description || '',
+            categorie: cat.includes('partenaire') ? 'partenaire' : (cat.includes('bénéf') || cat.includes('benef') ? 'beneficiaire' : 'prestataire'),
+            supportIds: [],
+            valueIds: [],
+            dependance: 1,
+            penetration: 1,
+            maturite: 1,
+            confiance: 1
+          });
+          changes.push(`data.pp[${i}] « ${item.nom || ''} » → data.ppc`);
+        });
+        // Sources de menace → couples SR/OV
+        (Array.isArray(data.ss) ? data.ss : []).forEach((item, i) => {
+          if (!item || typeof item !== 'object') return;
+          const source = (item.source || '').trim();
+          const objectif = (item.objectif || '').trim();
+          if (!source && !objectif) return;
+          const exists = data.srov.some(c => (c.source || '').trim() === source && (c.objectif || '').trim() === objectif);
+          if (exists) return;
+          data.srov.push({ id: item.id || uid(), source, objectif, motivation: 1, ressources: 1, priorite: 1, retenue: true, justification: '' });
+          changes.push(`data.ss[${i}] « ${source} / ${objectif} » → data.srov`);
+        });
+        // Risques → plan de traitement des risques (Atelier 5)
+        (Array.isArray(data.risques) ? data.risques : []).forEach((item, i) => {
+          if (!item || typeof item !== 'object') return;
+          const riskName = (item.titre || '').trim() || `Risque ${i + 1}`;
+          const actions = item.mesures ? [{ name: 'Mesures de traitement', description: item.mesures, responsable: '', start: '', end: '' }] : [];
+          const row = data.actionsRisques.find(r => r.riskName === riskName);
+          if (row) {
+            row.actions = (row.actions || []).concat(actions);
+          } else {
+            data.actionsRisques.push({
+              riskName,
+              manual: true,
+              residualV: toLevel(item.vraisemblance, 1),
+              residualG: toLevel(item.gravite, 1),
+              actions
+            });
+          }
+          changes.push(`data.risques[${i}] « ${riskName} » → data.actionsRisques`);
+        });
+        ['pp', 'ss', 'risques'].forEach(key => {
+          if (!(key in data)) return;
+          delete data[key];
+          changes.push(`data.${key} supprimé`);
+        });
+        // Scénarios opérationnels de la version mono‑page
+        data.so.forEach((item, i) => {
+          if (typeof item.chemin !== 'string') return;
+          if (!item.path) item.path = item.chemin;
+          delete item.chemin;
+          delete item.vraisemblanceGlobale;
+          changes.push(`data.so[${i}].chemin → path`);
+        });
+        return changes;
+      }
+    },
+    {
+      version: 5,
+      description: 'Identifiants des actions',
+      migrate(analysis) {
+        const changes = [];
+        ['actionsGap', 'actionsSupports', 'actionsParties', 'actionsRisques'].forEach(key => {
+          (analysis.data[key] || []).forEach((row, i) => {
+            (Array.isArray(row.actions) ? row.actions : []).forEach((act, j) => {
+              if (!act || typeof act !== 'object' || act.id) return;
+              act.id = uid();
+              changes.push(`data.${key}[${i}].actions[${j}] : identifiant ajouté`);
+            });
+          });
+        });
+        return changes;
+      }
+    },
+    {
+      version: 6,
+      description: 'Liens des exigences GAP',
+      migrate(analysis) {
+        const changes = [];
+        (analysis.data.gap || []).forEach((req, i) => {
+          ['supportIds', 'ppIds', 'riskNames'].forEach(key => migrateArrayField(req, key, `data.gap[${i}]`, changes));
+        });
+        return changes;
+      }
+    },
+    {
+      version: 7,
+      description: 'Registre des biens supports',
+      migrate(analysis) {
+        // Supports used to be copied in each mission, then re-synced by
+        // name into supportsQualif.  They now live once in data.supports
+        // and are referenced by id; supports sharing a name are merged.
+        const changes = [];
+        const data = analysis.data;
+        if (!Array.isArray(data.supports)) data.supports = [];
+        const supports = data.supports.filter(s => s && typeof s === 'object');
+        if (supports.length !== data.supports.length) {
+          changes.push(`data.supports : ${data.supports.length - supports.length} entrée(s) invalide(s) supprimée(s)`);
+          data.supports = supports;
+        }
+        const byName = new Map();
+        const byOldId = new Map();
+        const nameOf = support => (typeof support.name === 'string' ? support.name.trim() : '');
+        data.supports.forEach((s, i) => {
+          migrateArrayField(s, 'vulnerabilities', `data.supports[${i}]`, changes);
+          if (nameOf(s)) byName.set(nameOf(s), s);
+        });
+        const register = (support, path) => {
+          const name = nameOf(support);
+          let entry = name ? byName.get(name) : null;
+          if (entry) {
+            if (!entry.description && support.description) entry.description = support.description;
+            if (!entry.responsable && support.responsable) entry.responsable = support.responsable;
+            changes.push(`${path} : fusionné avec le bien support « ${name} »`);
+          } else {
+            const id = support.id && !data.supports.some(s => s.id === support.id) ? support.id : uid();
+            entry = { id, name, description: support.description || '', responsable: support.responsable || '', vulnerabilities: [] };
+            data.supports.push(entry);
+            if (name) byName.set(name, entry);
+          }
+          if (support.id) byOldId.set(support.id, entry);
+          return entry;
+        };
+        (data.missions || []).forEach((mission, i) => {
+          const path = `data.missions[${i}]`;
+          if (!Array.isArray(mission.supportIds)) mission.supportIds = [];
+          if (!Array.isArray(mission.supports)) return;
+          mission.supports.forEach((support, j) => {
+            if (!support || typeof support !== 'object') return;
+            const entry = register(support, `${path}.supports[${j}]`);
+            if (!mission.supportIds.includes(entry.id)) mission.supportIds.push(entry.id);
+          });
+          delete mission.supports;
+          changes.push(`${path}.supports → supportIds`);
+        });
+        if (data.supportsQualif !== undefined && !Array.isArray(data.supportsQualif)) {
+          changes.push('data.supportsQualif invalide ignoré');
+        } else if (Array.isArray(data.supportsQualif)) {
+          data.supportsQualif.forEach((support, i) => {
+            if (!support || typeof support !== 'object') return;
+            const path = `data.supportsQualif[${i}]`;
+            const entry = (support.refId && byOldId.get(support.refId)) || register(support, path);
+            (Array.isArray(support.vulnerabilities) ? support.vulnerabilities : []).forEach(v => {
+              if (!v || typeof v !== 'object') return;
+              if (v.name && entry.vulnerabilities.some(e => e.name === v.name)) {
+                changes.push(`${path} : vulnérabilité « ${v.name} » en double ignorée`);
+                return;
+              }
+              entry.vulnerabilities.push(v);
+            });
+          });
+          changes.push(`data.supportsQualif → data.supports (${data.supports.length} bien(s) support(s))`);
+        }
+        delete data.supportsQualif;
+        // Links by name become links by id.  Names matching no support
+        // are kept: the integrity panel reports them.
+        const idOf = name => {
+          const entry = typeof name === 'string' ? byName.get(name.trim()) : null;
+          return entry ? entry.id : name;
+        };
+        [['ppc', 'supportIds'], ['gap', 'supportIds']].forEach(([key, field]) => {
+          (data[key] || []).forEach((item, i) => {
+            if (!Array.isArray(item[field])) return;
+            const ids = item[field].map(idOf).filter((id, k, list) => list.indexOf(id) === k);
+            if (sameValue(ids, item[field])) return;
+            item[field] = ids;
+            changes.push(`data.${key}[${i}].${field} : noms remplacés par les identifiants`);
+          });
+        });
+        (data.actionsSupports || []).forEach((row, i) => {
+          if (row.supportId !== undefined && row.supportName === undefined) return;
+          row.supportId = row.supportName ? idOf(row.supportName) : '';
+          delete row.supportName;
+          changes.push(`data.actionsSupports[${i}].supportName → supportId`);
+        });
+        const layout = data.atelier1Layout;
+        if (layout && typeof layout === 'object') {
+          Object.keys(layout).forEach(key => {
+            if (!key.startsWith('support:')) return;
+            const entry = byName.get(key.slice(8));
+            if (!entry) return;
+            layout['support:' + entry.id] = layout[key];
+            delete layout[key];
+          });
+        }
+        return changes;
+      }
+    },
+    {
+      version: 8,
+      description: 'Étapes structurées des scénarios opérationnels',
+      migrate(analysis) {
+        // Steps were bare descriptions typed in a prompt.  They keep no
+        // difficulty, so the likelihood of the risks stays as entered.
+        const changes = [];
+        (analysis.data.so || []).forEach((scenario, i) => {
+          KILL_CHAIN_STAGES.forEach(([key]) => {
+            if (!Array.isArray(scenario[key])) return;
+            let converted = 0;
+            scenario[key] = scenario[key].map(step => {
+              if (step && typeof step === 'object') return step;
+              converted++;
+              return newKillChainStep(String(step));
+            });
+            if (converted > 0) changes.push(`data.so[${i}].${key} : ${converted} étape(s) structurée(s)`);
+          });
+        });
+        return changes;
+      }
+    }
+  ];
+
+  // Bring an analysis up to SCHEMA_VERSION.  Returns
+  // { from, to, newer, steps: [{ version, description, changes }] } where
+  // `steps` only lists the migrations that changed something.  Analyses
+  // written by a newer version of the tool are left untouched.
+  function migrateAnalysis(analysis) {
+    const from = Number.isInteger(analysis.schemaVersion) ? analysis.schemaVersion : 0;
+    const report = { from, to: Math.max(from, SCHEMA_VERSION), newer: from > SCHEMA_VERSION, steps: [] };
+    MIGRATIONS.forEach(m => {
+      if (m.version <= from) return;
+      const changes = m.migrate(analysis);
+      if (changes.length > 0) report.steps.push({ version: m.version, description: m.description, changes });
+    });
+    analysis.schemaVersion = report.to;
+    return report;
+  }
+
+  function migrationChanged(report) {
+    return report.from !== report.to || report.steps.length > 0;
+  }
+
+  // Migrate the analyses just read from storage and flag the converted
+  // ones so that the next write stores them in the current format.
+  // An analysis the migrations cannot convert is set aside so that the
+  // others still load; its stored copy is left as it was.
+  function migrateLoadedAnalyses() {
+    unmigratedAnalyses = [];
+    analyses = analyses.filter(analysis => {
+      const original = db ? null : JSON.stringify(analysis);
+      try {
+        if (migrationChanged(migrateAnalysis(analysis))) markAnalysisDirty(analysis);
+        return true;
+      } catch (e) {
+        console.warn('Failed to migrate a stored analysis:', e);
+        unmigratedAnalyses.push(original ? JSON.parse(original) : analysis);
+        storedPositions.delete(analysis.id);
+        dirtyIds.delete(analysis.id);
+        return false;
+      }
+    });
+  }
+
+  // Lines summarising migration reports, shown after an import.  Only the
+  // first changes of each step are listed to keep the dialog short.
+  function formatMigrationReports(entries) {
+    const lines = [];
+    entries.forEach(({ title, report }) => {
+      if (report.newer) {
+        lines.push(`« ${title || 'Nouvelle analyse'} » : schéma v${report.from} plus récent que cette version (v${SCHEMA_VERSION}), certaines données peuvent être ignorées.`);
+        return;
+      }
+      if (report.steps.length === 0) return;
+      lines.push(`« ${title || 'Nouvelle analyse'} » : schéma v${report.from} → v${report.to}`);
+      report.steps.forEach(step => {
+        lines.push(`  • ${step.description} (${step.changes.length} modification(s))`);
+        step.changes.slice(0, 3).forEach(c => lines.push(`      ${c}`));
+        if (step.changes.length > 3) lines.push('      …');
+      });
+    });
+    return lines;
+  }
+
+  // ----- Import validation
+  // Declarative description of the current analysis format, checked
+  // after migration when importing files.  Listed fields are optional
+  // unless named in `required` but must have the right type when
+  // present; unknown fields are accepted as is.
+  const STRING = { type: 'string' };
+  const BOOLEAN = { type: 'boolean' };
+  const COLOR = { type: 'color' };
+  const LEVEL = { type: 'level' };
+  const STRING_LIST = { type: 'array', items: STRING };
+
+  function enumOf(values) {
+    return { type: 'enum', values };
+  }
+
+  function objectOf(fields, required) {
+    return { type: 'object', fields, required: required || [] };
+  }
+
+  function listOf(fields, required) {
+    return { type: 'array', items: objectOf(fields, required) };
+  }
+
+  // Object used as a dictionary: any key, every value matching `values`
+  function mapOf(values) {
+    return { type: 'map', values };
+  }
+
+  const VULN_LEVELS = ['info', 'faible', 'moderee', 'forte', 'critique'];
+  const GAP_APPLICATIONS = ['', 'Appliqué', 'Partiellement appliqué', 'Non appliqué', 'Non applicable'];
+
+  // Metadata of evidence attachments, the content being stored apart
+  const EVIDENCE = listOf({
+    id: STRING, name: STRING, type: STRING, size: { type: 'integer' },
+    sha256: STRING, date: STRING, uploader: STRING
+  });
+
+  const SCALE = listOf({ label: STRING, description: STRING, color: COLOR });
+
+  const KILL_CHAIN_STEPS = listOf({
+    id: STRING, description: STRING, technique: STRING, ppId: STRING, supportId: STRING,
+    difficulty: LEVEL, mitigations: STRING_LIST
+  });
+
+  const ACTIONS = listOf({ id: STRING, name: STRING, description: STRING, responsable: STRING, start: STRING, end: STRING, evidence: EVIDENCE, mitigationId: STRING });
+
+  const ANALYSIS_SCHEMA = objectOf({
+    id: STRING,
+    title: STRING,
+    schemaVersion: { type: 'integer' },
+    data: objectOf({
+      missionDescription: STRING,
+      atelier1Layout: objectOf({}),
+      scannerMapping: objectOf({}),
+      scales: objectOf({
+        gravite: SCALE, vraisemblance: SCALE, motivation: SCALE, ressources: SCALE, priorite: SCALE,
+        dependance: SCALE, penetration: SCALE, maturite: SCALE, confiance: SCALE, difficulte: SCALE
+      }),
+      // Keys of ACCEPTANCE_LEVELS, by 'v-g' cell
+      acceptance: mapOf(objectOf({ level: enumOf(['acceptable', 'tolerable', 'inacceptable']), color: COLOR }, ['level', 'color'])),
+      likelihoodRule: objectOf({
+        method: enumOf(['max', 'moyenne', 'manuel']),
+        weights: objectOf({ connaitre: { type: 'number' }, rester: { type: 'number' }, trouver: { type: 'number' }, exploiter: { type: 'number' } })
+      }),
+      missions: listOf({
+        id: STRING,
+        denom: STRING,
+        nature: enumOf(['information', 'processus', 'fonction']),
+        description: STRING,
+        responsable: STRING,
+        supportIds: STRING_LIST
+      }),
+      events: listOf({ id: STRING, missionId: STRING, evenement: STRING, impactDescription: STRING, impact: LEVEL }),
+      supports: listOf({
+        id: STRING,
+        name: STRING,
+        description: STRING,
+        responsable: STRING,
+        vulnerabilities: listOf({
+          name: STRING,
+          description: STRING,
+          level: enumOf(VULN_LEVELS),
+          refs: STRING_LIST,
+          cvss: STRING,
+          cvssScore: { type: 'number' },
+          catalogId: STRING,
+          source: STRING,
+          assets: STRING_LIST,
+          closedAt: STRING
+        })
+      }),
+      gap: listOf({
+        id: STRING,
+        domaine: STRING,
+        titre: STRING,
+        description: STRING,
+        application: enumOf(GAP_APPLICATIONS),
+        justification: STRING,
+        referentiel: STRING,
+        referentielVersion: STRING,
+        ref: STRING,
+        supportIds: STRING_LIST,
+        ppIds: STRING_LIST,
+        riskNames: STRING_LIST,
+        evidence: EVIDENCE
+      }),
+      srov: listOf({
+        id: STRING,
+        source: STRING,
+        objectif: STRING,
+        motivation: LEVEL,
+        ressources: LEVEL,
+        priorite: LEVEL,
+        retenue: BOOLEAN,
+        justification: STRING
+      }),
+      ppc: listOf({
+        id: STRING,
+        nom: STRING,
+        categorie: enumOf(['prestataire', 'partenaire', 'beneficiaire']),
+        supportIds: STRING_LIST,
+        valueIds: STRING_LIST,
+        dependance: LEVEL,
+        penetration: LEVEL,
+        maturite: LEVEL,
+        confiance: LEVEL
+      }),
+      strategies: listOf({ id: STRING, source: STRING, objectif: STRING, chemins: STRING_LIST, intermediaireIds: STRING_LIST, eventIds: STRING_LIST }),
+      so: listOf({
+        id: STRING,
+        eventId: STRING,
+        path: STRING,
+        connaitre: KILL_CHAIN_STEPS,
+        rester: KILL_CHAIN_STEPS,
+        trouver: KILL_CHAIN_STEPS,
+        exploiter: KILL_CHAIN_STEPS,
+        diagramLayout: objectOf({}),
+        risks: listOf({ name: STRING, vraisemblance: LEVEL, manualVraisemblance: LEVEL, gravite: LEVEL })
+      }),
+      actionsGap: listOf({ sourceId: STRING, customTitre: STRING, actions: ACTIONS }),
+      actionsSupports: listOf({
+        supportId: STRING,
+        vulnName: STRING,
+        initialLevel: enumOf([''].concat(VULN_LEVELS)),
+        residualLevel: enumOf([''].concat(VULN_LEVELS)),
+        actions: ACTIONS
+      }),
+      actionsParties: listOf({ ppId: STRING, actions: ACTIONS }),
+      actionsRisques: listOf({ riskName: STRING, manual: BOOLEAN, residualV: LEVEL, residualG: LEVEL, actions: ACTIONS })
+    })
+  }, ['data']);
+
+  // Requirement files read by "Importer exigences": English keys are
+  // accepted as aliases of the French ones.  Statuses are free text,
+  // normalised by normalizeGapApplication() on import.
+  const GAP_FILE_SCHEMA = {
+    type: 'array',
+    items: objectOf({
+      domaine: STRING, domain: STRING,
+      titre: STRING, title: STRING,
+      description: STRING, desc: STRING,
+      application: STRING, status: STRING,
+      justification: STRING, justif: STRING
+    })
+  };
+
+  function joinPath(path, key) {
+    return path ? `${path}.${key}` : key;
+  }
+
+  // Check `value` against `schema`, appending one message per offending
+  // path to `errors`.
+  function validateValue(schema, value, path, errors) {
+    const where = path || 'La racine du fichier';
+    switch (schema.type) {
+      case 'string':
+        if (typeof value !== 'string') errors.push(`${where} doit être une chaîne de caractères`);
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') errors.push(`${where} doit valoir true ou false`);
+        break;
+      case 'integer':
+        if (!Number.isInteger(value)) errors.push(`${where} doit être un entier`);
+        break;
+      case 'number':
+        if (typeof value !== 'number' || !isFinite(value)) errors.push(`${where} doit être un nombre`);
+        break;
+      case 'color':
+        if (typeof value !== 'string' || !HEX_COLOR.test(value)) errors.push(`${where} doit être une couleur au format #rrggbb`);
+        break;
+      case 'level':
+        if (!Number.isInteger(value) || value < 1 || value > MAX_SCALE_LEVELS) errors.push(`${where} doit être compris entre 1 et ${MAX_SCALE_LEVELS}`);
+        break;
+      case 'enum':
+        if (!schema.values.includes(value)) {
+          const allowed = schema.values.filter(v => v !== '').map(v => `« ${v} »`).join(', ');
+          errors.push(`${where} doit valoir ${allowed}${schema.values.includes('') ? ' ou être vide' : ''}`);
+        }
+        break;
+      case 'array':
+        if (!Array.isArray(value)) {
+          errors.push(`${where} doit être un tableau`);
+          break;
+        }
+        value.forEach((item, i) => validateValue(schema.items, item, `${path}[${i}]`, errors));
+        break;
+      case 'object':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${where} doit être un objet`);
+          break;
+        }
+        schema.required.forEach(key => {
+          if (value[key] === undefined) errors.push(`${joinPath(path, key)} est obligatoire`);
+        });
+        Object.keys(schema.fields).forEach(key => {
+          if (value[key] !== undefined) validateValue(schema.fields[key], value[key], joinPath(path, key), errors);
+        });
+        break;
+      case 'map':
+        if (!value || typeof value !== 'object' || Array.isArray(value)) {
+          errors.push(`${where} doit être un objet`);
+          break;
+        }
+        Object.keys(value).forEach(key => validateValue(schema.values, value[key], joinPath(path, key), errors));
+        break;
+    }
+    return errors;
+  }
+
+  // Migrate then validate the analyses read from an import file.  Returns
+  // the migration reports and the list of validation errors; paths are
+  // prefixed with the index of the analysis when the file holds an array.
+  function checkImportedAnalyses(imported, isArray) {
+    const errors = [];
+    const reports = [];
+    imported.forEach((analysis, i) => {
+      const prefix = isArray ? `[${i}]` : '';
+      if (!analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+        errors.push(`${prefix || 'La racine du fichier'} doit être un objet`);
+        return;
+      }
+      try {
+        reports.push({ title: analysis.title, report: migrateAnalysis(analysis) });
+      } catch (e) {
+        errors.push(`${prefix || 'Le fichier'} ne peut pas être converti au format actuel (${e.message})`);
+        return;
+      }
+      const count = errors.length;
+      validateValue(ANALYSIS_SCHEMA, analysis, prefix, errors);
+      if (errors.length === count) validateScaleLevels(analysis.data, joinPath(prefix, 'data'), errors);
+    });
+    return { reports, errors };
+  }
+
+  // The schema only bounds levels by MAX_SCALE_LEVELS: each one must also
+  // exist on the scale of its criterion in the analysis itself.
+  function validateScaleLevels(data, path, errors) {
+    SCALE_METRICS.forEach(m => {
+      const max = scaleOf(m.key, data).length;
+      const above = m.values(data).filter(([item, field]) => item[field] > max);
+      if (above.length > 0) errors.push(`${path} : ${above.length} niveau(x) de ${m.label.toLowerCase()} au-delà du dernier niveau de l’échelle (${max})`);
+    });
+  }
+
+  function validateGapFile(json) {
+    const errors = validateValue(GAP_FILE_SCHEMA, json, '', []);
+    if (Array.isArray(json)) {
+      json.forEach((obj, i) => {
+        if (obj && typeof obj === 'object' && !(obj.titre || obj.title)) errors.push(`[${i}].titre est obligatoire`);
+      });
+    }
+    return errors;
+  }
+
+  // Lines listing validation errors, truncated to keep the dialog usable.
+  function formatValidationErrors(errors) {
+    const MAX_ERRORS = 50;
+    const lines = errors.slice(0, MAX_ERRORS);
+    if (errors.length > MAX_ERRORS) lines.push(`… et ${errors.length - MAX_ERRORS} autre(s) erreur(s)`);
+    return lines;
+  }
+
+  // ----- Dialogs
+  // Close functions of the dialogs shown, innermost last: Escape only
+  // dismisses the innermost one, such as a step editor opened from the
+  // attack path editor.
+  const openDialogs = [];
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || openDialogs.length === 0) return;
+    e.preventDefault();
+    openDialogs[openDialogs.length - 1](null);
+  });
+
+  // Modal built on the fly with the look of the import and risk modals,
+  // for long reports and choices between more than two options where
+  // alert()/confirm() fall short.  `body` is an optional element shown
+  // below the report.  Resolves with the value of the chosen button, or
+  // null when the dialog is dismissed.
+  function showDialog({ title, message, lines, body, choices, wide }) {
+    return new Promise(resolve => {
+      const modal = document.createElement('div');
+      modal.className = 'modal dialog-modal';
+      const content = document.createElement('div');
+      content.className = 'modal-content' + (wide ? ' dialog-wide' : '');
+      const heading = document.createElement('h3');
+      heading.textContent = title;
+      content.appendChild(heading);
+      if (message) {
+        const p = document.createElement('p');
+        p.textContent = message;
+        content.appendChild(p);
+      }
+      if (lines && lines.length > 0) {
+        const report = document.createElement('div');
+        report.className = 'dialog-report';
+        lines.forEach(line => {
+          const div = document.createElement('div');
+          div.textContent = line;
+          report.appendChild(div);
+        });
+        content.appendChild(report);
+      }
+      if (body) content.appendChild(body);
+      const buttons = document.createElement('div');
+      buttons.className = 'dialog-buttons';
+      function close(value) {
+        const index = openDialogs.indexOf(close);
+        if (index < 0) return;
+        openDialogs.splice(index, 1);
+        modal.remove();
+        resolve(value);
+      }
+      choices.forEach(choice => {
+        const btn = document.createElement('button');
+        btn.className = choice.primary ? 'add-item-btn' : 'header-btn';
+        btn.textContent = choice.label;
+        if (choice.title) btn.title = choice.title;
+        btn.addEventListener('click', () => close(choice.value));
+        buttons.appendChild(btn);
+      });
+      content.appendChild(buttons);
+      modal.appendChild(content);
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) close(null);
+      });
+      openDialogs.push(close);
+      document.body.appendChild(modal);
+    });
+  }
+
+  // ----- Merge import
+  // Analyses sharing an id are merged entity by entity: items of the
+  // collections below are matched by their key, items present on one
+  // side only are kept, and items that differ become conflicts for the
+  // user to resolve.  Other fields of the analysis are compared as a
+  // whole.  `both` keeps the two versions: a copy of the imported item
+  // under a new id, or for action rows the union of their actions.
+  const MERGE_COLLECTIONS = [
+    { key: 'missions', label: 'Valeur métier', keyOf: m => m.id, name: m => m.denom },
+    { key: 'events', label: 'Évènement redouté', keyOf: e => e.id, name: e => e.evenement },
+    { key: 'supports', label: 'Bien support', keyOf: s => s.id, name: s => s.name, unionOf: 'vulnerabilities' },
+    { key: 'gap', label: 'Exigence', keyOf: r => r.id, name: r => r.titre },
+    { key: 'srov', label: 'Couple SR/OV', keyOf: c => c.id, name: c => `${c.source || ''} / ${c.objectif || ''}` },
+    { key: 'ppc', label: 'Partie prenante', keyOf: p => p.id, name: p => p.nom },
+    { key: 'strategies', label: 'Scénario stratégique', keyOf: s => s.id, name: s => `${s.source || ''} → ${s.objectif || ''}` },
+    { key: 'so', label: 'Scénario opérationnel', keyOf: s => s.id, name: s => s.path },
+    { key: 'actionsGap', label: 'Actions (exigence)', keyOf: r => r.sourceId, name: r => r.customTitre || r.sourceId, unionOf: 'actions' },
+    { key: 'actionsSupports', label: 'Actions (bien support)', keyOf: r => `${r.supportId || ''}|${r.vulnName || ''}`, name: r => [r.supportId, r.vulnName].filter(Boolean).join(' – '), unionOf: 'actions' },
+    { key: 'actionsParties', label: 'Actions (partie prenante)', keyOf: r => r.ppId, name: r => r.ppId, unionOf: 'actions' },
+    { key: 'actionsRisques', label: 'Actions (risque)', keyOf: r => r.riskName, name: r => r.riskName, unionOf: 'actions' }
+  ];
+
+  // Fields never compared: identifiers and bookkeeping
+  const MERGE_IGNORED_FIELDS = ['id', 'schemaVersion'];
+
+  function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  // Field-level differences between two versions of an entity
+  function diffFields(mine, theirs) {
+    const keys = new Set(Object.keys(mine).concat(Object.keys(theirs)));
+    const fields = [];
+    keys.forEach(field => {
+      if (MERGE_IGNORED_FIELDS.includes(field)) return;
+      if (!sameValue(mine[field], theirs[field])) fields.push({ field, mine: mine[field], theirs: theirs[field] });
+    });
+    return fields;
+  }
+
+  // List the conflicts between two versions of the same analysis.  Each
+  // conflict carries a `choice` ('mine' by default) read by
+  // mergeAnalysis().
+  function findMergeConflicts(mine, theirs) {
+    const conflicts = [];
+    const collectionKeys = MERGE_COLLECTIONS.map(c => c.key);
+    // Top-level fields (title…) and data fields outside the collections
+    diffFields(mine, theirs).forEach(diff => {
+      if (diff.field === 'data') return;
+      conflicts.push({ scope: 'analysis', field: diff.field, label: 'Analyse', name: diff.field, fields: [diff], allowBoth: false, choice: 'mine' });
+    });
+    const myData = mine.data || {};
+    const theirData = theirs.data || {};
+    diffFields(myData, theirData).forEach(diff => {
+      if (collectionKeys.includes(diff.field)) return;
+      if (diff.theirs === undefined || diff.mine === undefined) return;
+      conflicts.push({ scope: 'data', field: diff.field, label: 'Données', name: diff.field, fields: [diff], allowBoth: false, choice: 'mine' });
+    });
+    MERGE_COLLECTIONS.forEach(collection => {
+      const myItems = new Map();
+      (myData[collection.key] || []).forEach(item => {
+        const key = collection.keyOf(item);
+        if (key && !myItems.has(key)) myItems.set(key, item);
+      });
+      (theirData[collection.key] || []).forEach(item => {
+        const key = collection.keyOf(item);
+        const myItem = key ? myItems.get(key) : undefined;
+        if (!myItem) return;
+        const fields = diffFields(myItem, item);
+        if (fields.length === 0) return;
+        conflicts.push({
+          scope: 'collection',
+          collection: collection.key,
+          key,
+          label: collection.label,
+          name: collection.name(myItem) || collection.name(item) || '(sans nom)',
+          fields,
+          allowBoth: true,
+          choice: 'mine'
+        });
+      });
+    });
+    return conflicts;
+  }
+
+  // Copy an imported item under new identifiers so that it can live next
+  // to the local version.
+  function cloneWithNewIds(item, collection) {
+    const copy = JSON.parse(JSON.stringify(item));
+    copy.id = uid();
+    (collection.nestedIds || []).forEach(field => {
+      (copy[field] || []).forEach(nested => {
+        if (nested && typeof nested === 'object') nested.id = uid();
+      });
+    });
+    return copy;
+  }
+
+  // Merge `theirs` into `mine` in place according to the choices made on
+  // `conflicts`.  Items only present in the imported analysis are
+  // appended; items only present locally are kept.
+  function mergeAnalysis(mine, theirs, conflicts) {
+    const choiceOf = new Map(conflicts.map(c => [c.scope === 'collection' ? `${c.collection}:${c.key}` : `${c.scope}:${c.field}`, c.choice]));
+    Object.keys(theirs).forEach(field => {
+      if (field === 'data' || MERGE_IGNORED_FIELDS.includes(field)) return;
+      if (mine[field] === undefined || choiceOf.get(`analysis:${field}`) === 'theirs') mine[field] = theirs[field];
+    });
+    if (!mine.data) mine.data = {};
+    const theirData = theirs.data || {};
+    Object.keys(theirData).forEach(field => {
+      if (MERGE_COLLECTIONS.some(c => c.key === field)) return;
+      if (mine.data[field] === undefined || choiceOf.get(`data:${field}`) === 'theirs') mine.data[field] = theirData[field];
+    });
+    MERGE_COLLECTIONS.forEach(collection => {
+      if (!Array.isArray(mine.data[collection.key])) mine.data[collection.key] = [];
+      const items = mine.data[collection.key];
+      (theirData[collection.key] || []).forEach(item => {
+        const key = collection.keyOf(item);
+        const index = key ? items.findIndex(i => collection.keyOf(i) === key) : -1;
+        if (index < 0) {
+          items.push(item);
+          return;
+        }
+        const choice = choiceOf.get(`${collection.key}:${key}`);
+        if (choice === 'theirs') {
+          items[index] = item;
+        } else if (choice === 'both') {
+          if (collection.unionOf) {
+            const field = collection.unionOf;
+            const merged = (items[index][field] || []).slice();
+            (item[field] || []).forEach(entry => {
+              if (merged.some(e => sameValue(e, entry))) return;
+              // Two versions of one action: the imported one gets its own id
+              const clash = entry.id && merged.some(e => e.id === entry.id);
+              merged.push(clash ? Object.assign({}, entry, { id: uid() }) : entry);
+            });
+            items[index][field] = merged;
+          } else {
+            items.splice(index + 1, 0, cloneWithNewIds(item, collection));
+          }
+        }
+      });
+    });
+    return mine;
+  }
+
+  // Short rendering of a field value for the conflict dialog
+  function formatMergeValue(value) {
+    if (value === undefined || value === null || value === '') return '—';
+    let text;
+    if (Array.isArray(value)) {
+      text = value.map(v => (v && typeof v === 'object') ? (v.name || v.nom || v.denom || v.titre || JSON.stringify(v)) : String(v)).join(', ');
+      text = `[${text}]`;
+    } else if (typeof value === 'object') {
+      text = JSON.stringify(value);
+    } else {
+      text = String(value);
+    }
+    return text.length > 120 ? text.slice(0, 117) + '…' : text;
+  }
+
+  // Ask the user to resolve every conflict.  `groups` lists the conflicts
+  // of each imported analysis: [{ title, conflicts }].  Resolves with true
+  // once the choices are stored on the conflicts, false when cancelled.
+  async function resolveMergeConflicts(groups) {
+    const body = document.createElement('div');
+    body.className = 'merge-conflicts';
+    groups.forEach((group, g) => {
+      const heading = document.createElement('h4');
+      heading.textContent = `« ${group.title || 'Nouvelle analyse'} » : ${group.conflicts.length} conflit(s)`;
+      body.appendChild(heading);
+      group.conflicts.forEach((conflict, c) => {
+        const block = document.createElement('div');
+        block.className = 'merge-conflict';
+        const title = document.createElement('div');
+        title.className = 'merge-conflict-title';
+        title.textContent = `${conflict.label} : ${conflict.name}`;
+        block.appendChild(title);
+        const table = document.createElement('table');
+        table.className = 'nested-table';
+        const head = document.createElement('tr');
+        ['Champ', 'Mien', 'Importé'].forEach(text => {
+          const th = document.createElement('th');
+          th.textContent = text;
+          head.appendChild(th);
+        });
+        table.appendChild(head);
+        conflict.fields.forEach(diff => {
+          const tr = document.createElement('tr');
+          [diff.field, formatMergeValue(diff.mine), formatMergeValue(diff.theirs)].forEach(text => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+          });
+          table.appendChild(tr);
+        });
+        block.appendChild(table);
+        const options = document.createElement('div');
+        options.className = 'merge-conflict-options';
+        const choices = [{ value: 'mine', label: 'Garder le mien' }, { value: 'theirs', label: 'Prendre l’importé' }];
+        if (conflict.allowBoth) choices.push({ value: 'both', label: 'Garder les deux' });
+        choices.forEach(choice => {
+          const label = document.createElement('label');
+          const radio = document.createElement('input');
+          radio.type = 'radio';
+          radio.name = `merge-${g}-${c}`;
+          radio.value = choice.value;
+          radio.checked = conflict.choice === choice.value;
+          radio.addEventListener('change', () => {
+            conflict.choice = choice.value;
+          });
+          label.appendChild(radio);
+          label.appendChild(document.createTextNode(' ' + choice.label));
+          options.appendChild(label);
+        });
+        block.appendChild(options);
+        body.appendChild(block);
+      });
+    });
+    const all = groups.reduce((list, group) => list.concat(group.conflicts), []);
+    const result = await showDialog({
+      title: 'Conflits de fusion',
+      message: 'Ces éléments ont été modifiés des deux côtés. Choisissez la version à conserver pour chacun avant l’enregistrement.',
+      body,
+      wide: true,
+      choices: [
+        { value: 'apply', label: 'Fusionner', primary: true },
+        { value: 'mine', label: 'Tout garder (mien)' },
+        { value: 'theirs', label: 'Tout prendre (importé)' },
+        { value: null, label: 'Annuler' }
+      ]
+    });
+    if (!result) return false;
+    if (result !== 'apply') all.forEach(conflict => { conflict.choice = result; });
+    return true;
+  }
+
+  // ----- Referential integrity
+  // Entities point at each other by id (events.missionId, supportIds…)
+  // or by name (so.path holds a strategic path, actions a risk name…).
+  // Every link is described once in INTEGRITY_LINKS; renames, deletions
+  // and the broken references panel all work from that table.
+
+  // Referenced entities: `keys` lists the values that links may hold
+  const INTEGRITY_TARGETS = {
+    mission: { label: 'valeur métier', keys: data => data.missions.map(m => m.id) },
+    support: { label: 'bien support', keys: data => data.supports.map(s => s.id) },
+    vulnerability: {
+      label: 'vulnérabilité',
+      keys: data => data.supports.reduce((keys, s) => keys.concat(s.vulnerabilities.map(v => vulnerabilityKey(s.id, v.name))), [])
+    },
+    event: { label: 'évènement redouté', keys: data => data.events.map(ev => ev.id) },
+    srovSource: { label: 'source de risque', keys: data => data.srov.map(c => (c.source || '').trim()) },
+    srovObjective: { label: 'objectif visé', keys: data => data.srov.map(c => (c.objectif || '').trim()) },
+    stakeholder: { label: 'partie prenante', keys: data => data.ppc.map(p => p.id) },
+    path: { label: 'chemin d’attaque', keys: data => data.strategies.reduce((paths, s) => paths.concat(s.chemins), []) },
+    risk: { label: 'risque', keys: data => data.so.reduce((names, s) => names.concat(s.risks.map(r => r.name)), []) },
+    requirement: { label: 'exigence', keys: data => data.gap.map(r => r.id) }
+  };
+
+  function vulnerabilityKey(supportId, vulnName) {
+    return JSON.stringify([supportId || '', vulnName || '']);
+  }
+
+  // Accessors over a link held in a field, or in each entry of a list
+  function fieldRef(item, field) {
+    return {
+      value: item[field],
+      set: (v) => { item[field] = v; },
+      clear: () => { item[field] = ''; }
+    };
+  }
+
+  function listRefs(item, field) {
+    return item[field].map(value => ({
+      value,
+      set: (v) => {
+        const list = item[field];
+        const i = list.indexOf(value);
+        if (i < 0) return;
+        if (list.includes(v)) list.splice(i, 1);
+        else list[i] = v;
+      },
+      clear: () => {
+        const i = item[field].indexOf(value);
+        if (i >= 0) item[field].splice(i, 1);
+      }
+    }));
+  }
+
+  // Links between entities.  `refs(data)` returns, for every holder, its
+  // accessors plus a `name`.  `onDelete` tells what happens to a holder
+  // whose target is deleted: 'remove' deletes the holder itself, 'clear'
+  // drops the link, 'keep' leaves it dangling (action rows, so that no
+  // action is lost silently).
+  const INTEGRITY_LINKS = [
+    {
+      target: 'mission', holder: 'Évènement redouté', onDelete: 'remove',
+      refs: data => data.events.map(ev => Object.assign(fieldRef(ev, 'missionId'), {
+        name: ev.evenement,
+        remove: () => removeFromList(data.events, ev),
+        removes: { target: 'event', key: ev.id }
+      }))
+    },
+    {
+      target: 'support', holder: 'Valeur métier', onDelete: 'clear',
+      refs: data => data.missions.reduce((refs, m) => refs.concat(listRefs(m, 'supportIds').map(r => Object.assign(r, { name: m.denom }))), [])
+    },
+    {
+      target: 'mission', holder: 'Partie prenante', onDelete: 'clear',
+      refs: data => data.ppc.reduce((refs, p) => refs.concat(listRefs(p, 'valueIds').map(r => Object.assign(r, { name: p.nom }))), [])
+    },
+    {
+      target: 'support', holder: 'Partie prenante', onDelete: 'clear',
+      refs: data => data.ppc.reduce((refs, p) => refs.concat(listRefs(p, 'supportIds').map(r => Object.assign(r, { name: p.nom }))), [])
+    },
+    {
+      target: 'support', holder: 'Actions (bien support)', onDelete: 'keep',
+      refs: data => data.actionsSupports.map(row => Object.assign(fieldRef(row, 'supportId'), { name: supportName(data, row.supportId) }))
+    },
+    {
+      target: 'vulnerability', holder: 'Actions (bien support)', onDelete: 'keep',
+      refs: data => data.actionsSupports.filter(row => row.vulnName).map(row => ({
+        value: vulnerabilityKey(row.supportId, row.vulnName),
+        name: `${supportName(data, row.supportId)} – ${row.vulnName}`,
+        set: (v) => { row.vulnName = JSON.parse(v)[1]; },
+        clear: () => { row.vulnName = ''; }
+      }))
+    },
+    {
+      target: 'event', holder: 'Scénario stratégique', onDelete: 'clear',
+      refs: data => data.strategies.reduce((refs, s) => refs.concat(listRefs(s, 'eventIds').map(r => Object.assign(r, { name: `${s.source} → ${s.objectif}` }))), [])
+    },
+    {
+      target: 'event', holder: 'Scénario opérationnel', onDelete: 'clear',
+      refs: data => data.so.map(s => Object.assign(fieldRef(s, 'eventId'), { name: s.path }))
+    },
+    {
+      target: 'srovSource', holder: 'Scénario stratégique', onDelete: 'clear',
+      refs: data => data.strategies.map(s => Object.assign(fieldRef(s, 'source'), { name: `${s.source} → ${s.objectif}` }))
+    },
+    {
+      target: 'srovObjective', holder: 'Scénario stratégique', onDelete: 'clear',
+      refs: data => data.strategies.map(s => Object.assign(fieldRef(s, 'objectif'), { name: `${s.source} → ${s.objectif}` }))
+    },
+    {
+      target: 'stakeholder', holder: 'Scénario stratégique', onDelete: 'clear',
+      refs: data => data.strategies.reduce((refs, s) => refs.concat(listRefs(s, 'intermediaireIds').map(r => Object.assign(r, { name: `${s.source} → ${s.objectif}` }))), [])
+    },
+    {
+      target: 'stakeholder', holder: 'Actions (partie prenante)', onDelete: 'keep',
+      refs: data => data.actionsParties.map(row => Object.assign(fieldRef(row, 'ppId'), { name: row.ppId }))
+    },
+    {
+      target: 'stakeholder', holder: 'Étape de scénario opérationnel', onDelete: 'clear',
+      refs: data => killChainSteps(data).filter(step => step.ppId).map(step => Object.assign(fieldRef(step, 'ppId'), { name: step.description }))
+    },
+    {
+      target: 'support', holder: 'Étape de scénario opérationnel', onDelete: 'clear',
+      refs: data => killChainSteps(data).filter(step => step.supportId).map(step => Object.assign(fieldRef(step, 'supportId'), { name: step.description }))
+    },
+    {
+      target: 'path', holder: 'Scénario opérationnel', onDelete: 'clear',
+      refs: data => data.so.map(s => Object.assign(fieldRef(s, 'path'), { name: s.path }))
+    },
+    {
+      target: 'risk', holder: 'Actions (risque)', onDelete: 'keep',
+      refs: data => data.actionsRisques.filter(row => !row.manual).map(row => Object.assign(fieldRef(row, 'riskName'), { name: row.riskName }))
+    },
+    {
+      target: 'support', holder: 'Exigence', onDelete: 'clear',
+      refs: data => data.gap.reduce((refs, req) => refs.concat(listRefs(req, 'supportIds').map(r => Object.assign(r, { name: req.titre }))), [])
+    },
+    {
+      target: 'stakeholder', holder: 'Exigence', onDelete: 'clear',
+      refs: data => data.gap.reduce((refs, req) => refs.concat(listRefs(req, 'ppIds').map(r => Object.assign(r, { name: req.titre }))), [])
+    },
+    {
+      target: 'risk', holder: 'Exigence', onDelete: 'clear',
+      refs: data => data.gap.reduce((refs, req) => refs.concat(listRefs(req, 'riskNames').map(r => Object.assign(r, { name: req.titre }))), [])
+    },
+    {
+      target: 'requirement', holder: 'Actions (exigence)', onDelete: 'keep',
+      refs: data => data.actionsGap.filter(row => row.sourceId).map(row => Object.assign(fieldRef(row, 'sourceId'), { name: row.customTitre || row.sourceId }))
+    }
+  ];
+
+  function killChainSteps(data) {
+    return data.so.reduce((steps, s) => steps.concat(...KILL_CHAIN_STAGES.map(([key]) => s[key])), []);
+  }
+
+  // Name of a support of the registry, or the reference itself when it
+  // is broken
+  function supportName(data, id) {
+    const support = (data.supports || []).find(s => s.id === id);
+    return support ? support.name : id;
+  }
+
+  function removeFromList(list, item) {
+    const i = list.indexOf(item);
+    if (i >= 0) list.splice(i, 1);
+  }
+
+  // Holders pointing at `key` of `target`, with the links they use
+  function referencesTo(data, target, key) {
+    const found = [];
+    INTEGRITY_LINKS.forEach(link => {
+      if (link.target !== target) return;
+      link.refs(data).forEach(ref => {
+        if (ref.value === key) found.push({ link, ref });
+      });
+    });
+    return found;
+  }
+
+  // Everything affected by the deletion of `key`, following the holders
+  // removed along with it (a mission takes its events, whose scenarios
+  // then lose their link).
+  function dependantsOf(data, target, key) {
+    const found = referencesTo(data, target, key);
+    found.slice().forEach(({ link, ref }) => {
+      if (link.onDelete === 'remove' && ref.removes) {
+        found.push(...dependantsOf(data, ref.removes.target, ref.removes.key));
+      }
+    });
+    return found;
+  }
+
+  // Ask for confirmation before a deletion, listing the dependants that
+  // would be orphaned.  `targets` lists the [target, key] pairs going
+  // away with the deleted entity.  When confirmed, `remove` deletes the
+  // entity and the dependants are updated.  A name shared by another
+  // entity (two supports called alike) does not orphan anything.  With
+  // `askAlways` false, the user is only asked when something depends on
+  // the entity.
+  function confirmDeletion(data, targets, message, remove, askAlways = true) {
+    const dependants = [];
+    targets.forEach(([target, key]) => {
+      if (!key) return;
+      const shared = INTEGRITY_TARGETS[target].keys(data).filter(k => k === key).length > 1;
+      if (!shared) dependants.push(...dependantsOf(data, target, key));
+    });
+    if (!askAlways && dependants.length === 0) {
+      remove();
+      return true;
+    }
+    let text = message;
+    if (dependants.length > 0) {
+      const outcome = { remove: 'supprimé', clear: 'lien retiré', keep: 'référence orpheline conservée' };
+      const lines = dependants.slice(0, 15).map(({ link, ref }) => `- ${link.holder} « ${ref.name || '—'} » (${outcome[link.onDelete]})`);
+      if (dependants.length > 15) lines.push(`… et ${dependants.length - 15} autre(s)`);
+      text += `\n\nCette suppression affecte ${dependants.length} élément(s) lié(s) :\n` + lines.join('\n');
+    }
+    if (!confirm(text)) return false;
+    remove();
+    dependants.forEach(({ link, ref }) => {
+      if (link.onDelete === 'remove' && ref.remove) ref.remove();
+      else if (link.onDelete === 'clear') ref.clear();
+    });
+    return true;
+  }
+
+  // Point the links at `oldKey` to `newKey` after a rename, unless another
+  // entity still carries the old name.  Returns the number of links moved.
+  function cascadeRename(data, target, oldKey, newKey) {
+    if (!oldKey || !newKey || oldKey === newKey) return 0;
+    if (INTEGRITY_TARGETS[target].keys(data).includes(oldKey)) return 0;
+    const refs = referencesTo(data, target, oldKey);
+    refs.forEach(({ ref }) => ref.set(newKey));
+    return refs.length;
+  }
+
+  // Links whose target no longer exists.  Empty links are not broken.
+  function findBrokenReferences(data) {
+    const broken = [];
+    const keysByTarget = {};
+    INTEGRITY_LINKS.forEach(link => {
+      if (!keysByTarget[link.target]) keysByTarget[link.target] = new Set(INTEGRITY_TARGETS[link.target].keys(data));
+      link.refs(data).forEach(ref => {
+        if (ref.value && !keysByTarget[link.target].has(ref.value)) broken.push({ link, ref });
+      });
+    });
+    return broken;
+  }
+
+  function describeBrokenReference({ link, ref }) {
+    let value = ref.value;
+    if (link.target === 'vulnerability') value = JSON.parse(value).join(' – ');
+    return `${link.holder} « ${ref.name || '—'} » → ${INTEGRITY_TARGETS[link.target].label} introuvable (${value})`;
+  }
+
+  function updateIntegrityButton() {
+    const btn = document.getElementById('integrity-btn');
+    if (!btn) return;
+    const analysis = analyses[currentIndex];
+    const count = analysis ? findBrokenReferences(analysis.data).length : 0;
+    btn.textContent = count > 0 ? `Liens cassés (${count})` : 'Liens';
+    btn.classList.toggle('has-issues', count > 0);
+    btn.disabled = !analysis;
+  }
+
+  // Panel listing the broken references of the current analysis, with
+  // the option to drop those that can be cleared.  Dangling action rows
+  // are only listed: their actions must be reassigned by hand.
+  async function showIntegrityPanel() {
+    const analysis = analyses[currentIndex];
+    if (!analysis) return;
+    const broken = findBrokenReferences(analysis.data);
+    const clearable = broken.filter(b => b.link.onDelete !== 'keep');
+    const choices = [{ value: null, label: 'Fermer' }];
+    if (clearable.length > 0) choices.unshift({ value: 'clear', label: `Retirer les liens cassés (${clearable.length})`, primary: true });
+    const choice = await showDialog({
+      title: 'Liens entre ateliers',
+      message: broken.length > 0
+        ? `${broken.length} référence(s) pointent vers un élément qui n’existe plus :`
+        : 'Aucune référence cassée dans cette analyse.',
+      lines: broken.map(describeBrokenReference),
+      choices
+    });
+    if (choice !== 'clear') return;
+    clearable.forEach(({ ref }) => ref.clear());
+    saveAnalyses();
+    selectAnalysis(currentIndex);
+  }
+
+  // ----- Utility: generate a simple UID
+  function uid() {
+    return 'id-' + Math.random().toString(36).substring(2, 10) + Date.now().toString(36);
+  }
+
+  // Offer `blob` as a download named `filename`.
+  function downloadBlob(blob, filename) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  }
+
+  // ----- Rating scales
+  // The levels of each rated metric are configured per analysis in
+  // `data.scales`: metric -> [{ label, description, color }], level n
+  // being entry n - 1.  Metrics left unconfigured use the EBIOS RM 1–4
+  // scales below.  Maturité and confiance rate the defences of a
+  // stakeholder, so their colours go from red to green.
+  const MAX_SCALE_LEVELS = 10;
+  const SCALE_COLORS = ['#2a9d8f', '#e9c46a', '#f4a261', '#e63946'];
+  const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+  // `levels` are the default [label, description] pairs and `values`
+  // lists the [object, field] pairs rated on the scale.
+  const SCALE_METRICS = [
+    {
+      key: 'gravite', label: 'Gravité',
+      levels: [['', 'Mineure'], ['', 'Significative'], ['', 'Grave'], ['', 'Critique']],
+      values: data => (data.events || []).map(ev => [ev, 'impact'])
+        .concat(operationalRisks(data).map(rk => [rk, 'gravite']), (data.actionsRisques || []).map(row => [row, 'residualG']))
+    },
+    {
+      key: 'vraisemblance', label: 'Vraisemblance',
+      levels: [['', 'Peu vraisemblable'], ['', 'Vraisemblable'], ['', 'Très vraisemblable'], ['', 'Quasi certain']],
+      values: data => operationalRisks(data).map(rk => [rk, 'vraisemblance'])
+        .concat(operationalRisks(data).filter(rk => rk.manualVraisemblance !== undefined).map(rk => [rk, 'manualVraisemblance']))
+        .concat((data.actionsRisques || []).map(row => [row, 'residualV']))
+    },
+    {
+      key: 'motivation', label: 'Motivation',
+      levels: [['Très peu', ''], ['Peu', ''], ['Assez', ''], ['Fortement', '']],
+      values: data => (data.srov || []).map(item => [item, 'motivation'])
+    },
+    {
+      key: 'ressources', label: 'Ressources',
+      levels: [['Limitées', ''], ['Significatives', ''], ['Importantes', ''], ['Illimitées', '']],
+      values: data => (data.srov || []).map(item => [item, 'ressources'])
+    },
+    {
+      key: 'priorite', label: 'Priorité',
+      levels: [['Priorité faible', ''], ['Priorité modérée', ''], ['Priorité élevée', ''], ['Priorité absolue', '']],
+      values: data => (data.srov || []).map(item => [item, 'priorite'])
+    },
+    {
+      key: 'dependance', label: 'Dépendance',
+      levels: [
+        ['', 'Relation non nécessaire aux fonctions stratégiques'],
+        ['', 'Relation utile aux fonctions stratégiques'],
+        ['', 'Relation indispensable mais non exclusive'],
+        ['', 'Relation indispensable et unique (pas de substitution possible)']
+      ],
+      values: data => (data.ppc || []).map(item => [item, 'dependance'])
+    },
+    {
+      key: 'penetration', label: 'Pénétration',
+      levels: [
+        ['', 'Pas d’accès ou accès avec privilèges de type utilisateur à des terminaux utilisateurs'],
+        ['', 'Accès avec privilèges de type administrateur à des terminaux utilisateurs ou accès physique aux sites'],
+        ['', 'Accès avec privilèges de type administrateur à des serveurs « métier »'],
+        ['', 'Accès avec privilèges de type administrateur à des équipements d’infrastructure ou accès physique aux salles serveurs']
+      ],
+      values: data => (data.ppc || []).map(item => [item, 'penetration'])
+    },
+    {
+      key: 'maturite', label: 'Maturité SSI', inverted: true,
+      levels: [
+        ['', 'Des règles d’hygiène sont appliquées ponctuellement et non formalisées'],
+        ['', 'Les règles d’hygiène et la réglementation sont prises en compte, sans politique globale'],
+        ['', 'Une politique globale est appliquée en matière de sécurité numérique'],
+        ['', 'La partie prenante met en œuvre une politique de management du risque']
+      ],
+      values: data => (data.ppc || []).map(item => [item, 'maturite'])
+    },
+    {
+      key: 'confiance', label: 'Confiance', inverted: true,
+      levels: [
+        ['', 'Les intentions de la partie prenante ne peuvent être évaluées'],
+        ['', 'Les intentions de la partie prenante sont considérées comme neutres'],
+        ['', 'Les intentions de la partie prenante sont connues et probablement positives'],
+        ['', 'Les intentions de la partie prenante sont parfaitement connues et compatibles']
+      ],
+      values: data => (data.ppc || []).map(item => [item, 'confiance'])
+    },
+    {
+      key: 'difficulte', label: 'Difficulté', inverted: true,
+      levels: [
+        ['Faible', 'Ressources et savoir-faire à la portée de tout attaquant'],
+        ['Modérée', 'Demande des compétences ou des moyens notables'],
+        ['Élevée', 'Demande des compétences et des moyens importants'],
+        ['Très élevée', 'À la portée d’un attaquant étatique ou disposant de moyens illimités']
+      ],
+      values: data => (data.so || []).reduce((steps, s) => steps.concat(...KILL_CHAIN_STAGES.map(([key]) => s[key] || [])), [])
+        .filter(step => step && step.difficulty).map(step => [step, 'difficulty'])
+    }
+  ];
+
+  function operationalRisks(data) {
+    return (data.so || []).reduce((risks, item) => risks.concat(item.risks || []), []);
+  }
+
+  // `count` colours spread over the green → red gradient of SCALE_COLORS
+  function gradientColors(count, inverted) {
+    const stops = SCALE_COLORS.map(hex => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16)));
+    const colors = [];
+    for (let i = 0; i < count; i++) {
+      const t = count === 1 ? 0 : i / (count - 1) * (stops.length - 1);
+      const k = Math.min(stops.length - 2, Math.floor(t));
+      const f = t - k;
+      colors.push('#' + stops[k].map((c, j) => Math.round(c + (stops[k + 1][j] - c) * f).toString(16).padStart(2, '0')).join(''));
+    }
+    return inverted ? colors.reverse() : colors;
+  }
+
+  function defaultScale(metric) {
+    const def = SCALE_METRICS.find(m => m.key === metric);
+    const colors = gradientColors(def.levels.length, def.inverted);
+    return def.levels.map(([label, description], i) => ({ label, description, color: colors[i] }));
+  }
+
+  // Levels of `metric` for `data`, the current analysis by default.
+  // Colours other than #rrggbb are replaced by those of the gradient.
+  function scaleOf(metric, data) {
+    if (!data) data = (analyses[currentIndex] && analyses[currentIndex].data) || {};
+    const custom = data.scales && data.scales[metric];
+    if (!Array.isArray(custom) || custom.length < 2) return defaultScale(metric);
+    if (custom.every(entry => entry && HEX_COLOR.test(entry.color))) return custom;
+    const colors = gradientColors(custom.length, SCALE_METRICS.find(m => m.key === metric).inverted);
+    return custom.map((entry, i) => Object.assign({}, entry, { color: entry && HEX_COLOR.test(entry.color) ? entry.color : colors[i] }));
+  }
+
+  function scaleColor(metric, level, data) {
+    const entry = scaleOf(metric, data)[parseInt(level, 10) - 1];
+    return entry ? entry.color : 'transparent';
+  }
+
+  // Number of a level followed by its label, if any
+  function scaleLabel(metric, level, data) {
+    const entry = scaleOf(metric, data)[parseInt(level, 10) - 1];
+    return entry && entry.label ? `${level} – ${entry.label}` : String(level);
+  }
+
+  // Replace the options of `select` with the levels of `metric`
+  function fillScaleSelect(select, metric, value) {
+    select.innerHTML = '';
+    scaleOf(metric).forEach((entry, i) => {
+      const opt = document.createElement('option');
+      opt.value = i + 1;
+      opt.textContent = scaleLabel(metric, i + 1);
+      if (entry.description) opt.title = entry.description;
+      if (i + 1 === parseInt(value, 10)) opt.selected = true;
+      select.appendChild(opt);
+    });
+    select.style.backgroundColor = scaleColor(metric, select.value);
+  }
+
+  // Level out of `levels` of a product ranging from 1 to `max`: with 4×4
+  // factors and 4 levels, 1–4 → 1, 5–8 → 2, 9–12 → 3 and 13–16 → 4.
+  function scaleBucket(value, max, levels) {
+    return Math.min(levels, Math.max(1, Math.ceil(value / max * levels)));
+  }
+
+  // Edit the scales of the current analysis.  Shortening a scale lowers
+  // the values above its new top level, after confirmation.
+  async function editScales() {
+    const analysis = analyses[currentIndex];
+    if (!analysis) return;
+    if (!analysis.data) analysis.data = {};
+    const draft = {};
+    SCALE_METRICS.forEach(m => {
+      draft[m.key] = scaleOf(m.key, analysis.data).map(entry => Object.assign({}, entry));
+    });
+    let metric = SCALE_METRICS[0];
+    const body = document.createElement('div');
+    body.className = 'scale-editor';
+    const settings = document.createElement('div');
+    settings.className = 'scale-settings';
+    const metricSelect = document.createElement('select');
+    SCALE_METRICS.forEach(m => {
+      const opt = document.createElement('option');
+      opt.value = m.key;
+      opt.textContent = m.label;
+      metricSelect.appendChild(opt);
+    });
+    settings.appendChild(metricSelect);
+    const countLabel = document.createElement('label');
+    countLabel.textContent = ' Nombre de niveaux ';
+    const countInput = document.createElement('input');
+    countInput.type = 'number';
+    countInput.min = 2;
+    countInput.max = MAX_SCALE_LEVELS;
+    countLabel.appendChild(countInput);
+    settings.appendChild(countLabel);
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'header-btn';
+    resetBtn.textContent = 'Échelle par défaut';
+    settings.appendChild(resetBtn);
+    body.appendChild(settings);
+    const table = document.createElement('table');
+    table.className = 'nested-table';
+    body.appendChild(table);
+
+    function renderLevels() {
+      const levels = draft[metric.key];
+      countInput.value = levels.length;
+      table.innerHTML = '<tr><th>Niveau</th><th>Libellé</th><th>Description</th><th>Couleur</th></tr>';
+      levels.forEach((entry, i) => {
+        const tr = document.createElement('tr');
+        const num = document.createElement('td');
+        num.textContent = i + 1;
+        num.style.backgroundColor = entry.color;
+        tr.appendChild(num);
+        ['label', 'description'].forEach(field => {
+          const td = document.createElement('td');
+          const input = document.createElement('input');
+          input.type = 'text';
+          input.value = entry[field] || '';
+          input.addEventListener('input', () => { entry[field] = input.value; });
+          td.appendChild(input);
+          tr.appendChild(td);
+        });
+        const td = document.createElement('td');
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = entry.color;
+        color.addEventListener('input', () => {
+          entry.color = color.value;
+          num.style.backgroundColor = entry.color;
+        });
+        td.appendChild(color);
+        tr.appendChild(td);
+        table.appendChild(tr);
+      });
+    }
+    metricSelect.addEventListener('change', () => {
+      metric = SCALE_METRICS.find(m => m.key === metricSelect.value);
+      renderLevels();
+    });
+    // Labels are kept when the number of levels changes; colours are
+    // spread again over the gradient.
+    countInput.addEventListener('change', () => {
+      const count = Math.min(MAX_SCALE_LEVELS, Math.max(2, parseInt(countInput.value, 10) || 2));
+      const colors = gradientColors(count, metric.inverted);
+      const levels = draft[metric.key];
+      draft[metric.key] = colors.map((color, i) => ({
+        label: levels[i] ? levels[i].label : '',
+        description: levels[i] ? levels[i].description : '',
+        color
+      }));
+      renderLevels();
+    });
+    resetBtn.addEventListener('click', () => {
+      draft[metric.key] = defaultScale(metric.key);
+      renderLevels();
+    });
+    renderLevels();
+    const ok = await showDialog({
+      title: 'Échelles de cotation',
+      message: 'Niveaux proposés pour chaque critère de l’analyse. Les libellés et descriptions apparaissent dans les listes de choix.',
+      body,
+      wide: true,
+      choices: [
+        { value: true, label: 'Enregistrer', primary: true },
+        { value: null, label: 'Annuler' }
+      ]
+    });
+    if (!ok) return;
+    const lowered = [];
+    SCALE_METRICS.forEach(m => {
+      const max = draft[m.key].length;
+      const above = m.values(analysis.data).filter(([item, field]) => parseInt(item[field], 10) > max);
+      if (above.length > 0) lowered.push({ metric: m, max, above });
+    });
+    const warnings = [];
+    if (lowered.length > 0) {
+      warnings.push('Les valeurs supérieures au dernier niveau seront abaissées :\n' +
+        lowered.map(l => `${l.metric.label} : ${l.above.length} valeur(s) ramenée(s) à ${l.max}`).join('\n'));
+    }
+    // Committee choices are tied to cells of the matrix as it was sized
+    const resized = !!analysis.data.acceptance && ['vraisemblance', 'gravite']
+      .some(key => draft[key].length !== scaleOf(key, analysis.data).length);
+    if (resized) warnings.push('La matrice d’acceptation change de taille : ses cases personnalisées seront réinitialisées sur la grille de référence.');
+    if (warnings.length > 0 && !confirm(warnings.join('\n\n'))) return;
+    lowered.forEach(l => l.above.forEach(([item, field]) => { item[field] = l.max; }));
+    if (resized) delete analysis.data.acceptance;
+    const scales = {};
+    SCALE_METRICS.forEach(m => {
+      if (JSON.stringify(draft[m.key]) !== JSON.stringify(defaultScale(m.key))) scales[m.key] = draft[m.key];
+    });
+    if (Object.keys(scales).length > 0) analysis.data.scales = scales;
+    else delete analysis.data.scales;
+    (analysis.data.so || []).forEach(scenario => applyScenarioLikelihood(analysis.data, scenario));
+    saveAnalyses();
+    selectAnalysis(currentIndex);
+  }
+
+  // ----- Risk acceptance matrix
+  // The risk committee decides, for each vraisemblance × gravité cell,
+  // whether a risk is acceptable, tolerable under watch or unacceptable.
+  // The choice and the colour of each cell are kept in `data.acceptance`
+  // ('v-g' -> { level, color }); cells left unset follow the reference
+  // 4×4 grid, stretched over the configured scales.  Resizing the
+  // vraisemblance or gravité scale resets the cells set.  Risks in
+  // unacceptable cells need treatment.
+  const ACCEPTANCE_LEVELS = [
+    { key: 'acceptable', label: 'Acceptable', color: '#1B8060' },
+    { key: 'tolerable', label: 'Tolérable sous surveillance', color: '#F38E00' },
+    { key: 'inacceptable', label: 'Inacceptable', color: '#F43B3B' }
+  ];
+
+  // Reference grid, by gravité (rows) then vraisemblance
+  const DEFAULT_ACCEPTANCE = [
+    ['acceptable', 'tolerable', 'tolerable', 'inacceptable'],
+    ['acceptable', 'tolerable', 'tolerable', 'inacceptable'],
+    ['acceptable', 'tolerable', 'inacceptable', 'inacceptable'],
+    ['tolerable', 'tolerable', 'inacceptable', 'inacceptable']
+  ];
+
+  function acceptanceLevel(key) {
+    return ACCEPTANCE_LEVELS.find(l => l.key === key) || ACCEPTANCE_LEVELS[0];
+  }
+
+  function defaultAcceptanceCell(v, g, data) {
+    const key = DEFAULT_ACCEPTANCE[scaleBucket(g, scaleOf('gravite', data).length, 4) - 1][scaleBucket(v, scaleOf('vraisemblance', data).length, 4) - 1];
+    return { level: key, color: acceptanceLevel(key).color };
+  }
+
+  // { level, color } of a cell, or null when the levels are not rated
+  function acceptanceCell(v, g, data) {
+    if (!data) data = (analyses[currentIndex] && analyses[currentIndex].data) || {};
+    v = parseInt(v, 10);
+    g = parseInt(g, 10);
+    if (!(v >= 1 && v <= scaleOf('vraisemblance', data).length && g >= 1 && g <= scaleOf('gravite', data).length)) return null;
+    const cell = data.acceptance && data.acceptance[`${v}-${g}`];
+    const valid = cell && ACCEPTANCE_LEVELS.some(l => l.key === cell.level) && HEX_COLOR.test(cell.color);
+    return valid ? cell : defaultAcceptanceCell(v, g, data);
+  }
+
+  function needsTreatment(v, g, data) {
+    const cell = acceptanceCell(v, g, data);
+    return !!cell && cell.level === 'inacceptable';
+  }
+
+  // Show the acceptance of a vraisemblance/gravité pair in `el`
+  function renderAcceptance(el, v, g) {
+    const cell = acceptanceCell(v, g);
+    el.textContent = cell ? acceptanceLevel(cell.level).label : '';
+    el.style.backgroundColor = cell ? cell.color : 'transparent';
+    el.title = cell && cell.level === 'inacceptable' ? 'Risque inacceptable : traitement requis' : '';
+  }
+
+  async function editAcceptanceMatrix() {
+    const analysis = analyses[currentIndex];
+    if (!analysis) return;
+    if (!analysis.data) analysis.data = {};
+    const data = analysis.data;
+    const nV = scaleOf('vraisemblance', data).length;
+    const nG = scaleOf('gravite', data).length;
+    const draft = {};
+    for (let g = 1; g <= nG; g++) {
+      for (let v = 1; v <= nV; v++) draft[`${v}-${g}`] = Object.assign({}, acceptanceCell(v, g, data));
+    }
+    const body = document.createElement('div');
+    const table = document.createElement('table');
+    table.className = 'nested-table acceptance-editor';
+    // Highest gravité on top, as in the matrix
+    for (let g = nG; g >= 1; g--) {
+      const tr = document.createElement('tr');
+      const th = document.createElement('th');
+      th.textContent = scaleLabel('gravite', g, data);
+      tr.appendChild(th);
+      for (let v = 1; v <= nV; v++) {
+        const cell = draft[`${v}-${g}`];
+        const td = document.createElement('td');
+        td.style.backgroundColor = cell.color;
+        const select = document.createElement('select');
+        ACCEPTANCE_LEVELS.forEach(level => {
+          const opt = document.createElement('option');
+          opt.value = level.key;
+          opt.textContent = level.label;
+          select.appendChild(opt);
+        });
+        select.value = cell.level;
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = cell.color;
+        select.addEventListener('change', () => {
+          cell.level = select.value;
+          cell.color = acceptanceLevel(cell.level).color;
+          color.value = cell.color;
+          td.style.backgroundColor = cell.color;
+        });
+        color.addEventListener('input', () => {
+          cell.color = color.value;
+          td.style.backgroundColor = cell.color;
+        });
+        td.appendChild(select);
+        td.appendChild(color);
+        tr.appendChild(td);
+      }
+      table.appendChild(tr);
+    }
+    const foot = document.createElement('tr');
+    foot.appendChild(document.createElement('th'));
+    for (let v = 1; v <= nV; v++) {
+      const th = document.createElement('th');
+      th.textContent = scaleLabel('vraisemblance', v, data);
+      foot.appendChild(th);
+    }
+    table.appendChild(foot);
+    body.appendChild(table);
+    const choice = await showDialog({
+      title: 'Critères d’acceptation des risques',
+      message: 'Niveau d’acceptation et couleur de chaque case (gravité en ligne, vraisemblance en colonne).',
+      body,
+      wide: true,
+      choices: [
+        { value: 'save', label: 'Enregistrer', primary: true },
+        { value: 'reset', label: 'Grille par défaut' },
+        { value: null, label: 'Annuler' }
+      ]
+    });
+    if (!choice) return;
+    if (choice === 'reset') {
+      delete data.acceptance;
+    } else {
+      const cells = {};
+      Object.keys(draft).forEach(key => {
+        const [v, g] = key.split('-').map(Number);
+        if (JSON.stringify(draft[key]) !== JSON.stringify(defaultAcceptanceCell(v, g, data))) cells[key] = draft[key];
+      });
+      if (Object.keys(cells).length > 0) data.acceptance = cells;
+      else delete data.acceptance;
+    }
+    saveAnalyses();
+    selectAnalysis(currentIndex);
+  }
+
+  // ----- Zip archives
+  // Stored (uncompressed) zip writer, enough for office documents and
+  // bundles generated by the tool.  `files` is a list of
+  // { name, data } where data is a string or a Uint8Array.
+  let crcTable = null;
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  function zipArchive(files, type = 'application/zip') {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const header = (size, fields) => {
+      const buf = new Uint8Array(size);
+      const view = new DataView(buf.buffer);
+      fields.forEach(([offset, bytes, value]) => {
+        if (bytes === 2) view.setUint16(offset, value, true);
+        else view.setUint32(offset, value, true);
+      });
+      return buf;
+    };
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    files.forEach(file => {
+      const name = encoder.encode(file.name);
+      const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      const crc = crc32(data);
+      // Version 2.0, UTF-8 names (bit 11), stored
+      const common = [[4, 2, 20], [6, 2, 0x0800], [8, 2, 0], [10, 2, dosTime], [12, 2, dosDate],
+        [14, 4, crc], [18, 4, data.length], [22, 4, data.length], [26, 2, name.length]];
+      const local = header(30, [[0, 4, 0x04034b50]].concat(common));
+      parts.push(local, name, data);
+      central.push(header(46, [[0, 4, 0x02014b50], [4, 2, 20]].concat(
+        common.map(([o, b, v]) => [o + 2, b, v]), [[42, 4, offset]])), name);
+      offset += local.length + name.length + data.length;
+    });
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = header(22, [[0, 4, 0x06054b50], [8, 2, files.length], [10, 2, files.length],
+      [12, 4, centralSize], [16, 4, offset]]);
+    return new Blob(parts.concat(central, [end]), { type });
+  }
+
+  // Read a zip archive into a Map of entry name → bytes.  Deflated
+  // entries are inflated with the browser's DecompressionStream.
+  async function readZipArchive(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    // End of central directory record, searched backwards past the comment
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd < 0) throw new Error('archive zip invalide');
+    const decoder = new TextDecoder();
+    const files = new Map();
+    const count = view.getUint16(eocd + 10, true);
+    let pos = view.getUint32(eocd + 16, true);
+    for (let n = 0; n < count; n++) {
+      if (view.getUint32(pos, true) !== 0x02014b50) throw new Error('archive zip invalide');
+      const method = view.getUint16(pos + 10, true);
+      const size = view.getUint32(pos + 20, true);
+      const nameLength = view.getUint16(pos + 28, true);
+      const localOffset = view.getUint32(pos + 42, true);
+      const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+      pos += 46 + nameLength + view.getUint16(pos + 30, true) + view.getUint16(pos + 32, true);
+      const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(start, start + size);
+      if (method === 0) {
+        files.set(name, data);
+      } else if (method === 8) {
+        const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate-raw'));
+        files.set(name, new Uint8Array(await new Response(stream).arrayBuffer()));
+      } else {
+        throw new Error(`compression ${method} non prise en charge (${name})`);
+      }
+    }
+    return files;
+  }
+
+  // ----- Evidence attachments
+  // Files proving that a requirement or an action is in place.  The
+  // owner (GAP requirement or Atelier 5 action) keeps the metadata in
+  // its `evidence` list, so that undo, merge and JSON export carry it
+  // like any other field; the content lives in the `evidence` object
+  // store, keyed by the same id.  Removing an attachment only drops the
+  // metadata so that undo can bring it back: contents that neither an
+  // analysis nor its undo history refer to any more are purged when an
+  // analysis is deleted.
+  function evidenceTransaction(mode, run) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(EVIDENCE_STORE, mode);
+      const result = run(tx.objectStore(EVIDENCE_STORE));
+      tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function readEvidence(id) {
+    if (!db) return Promise.resolve(undefined);
+    return evidenceTransaction('readonly', store => store.get(id));
+  }
+
+  // Ids of every attachment referenced by an analysis or by one of the
+  // history snapshots that undo may restore
+  async function referencedEvidenceIds() {
+    const ids = new Set();
+    const collect = analysis => {
+      if (analysis && analysis.data) collectEvidence(analysis.data).forEach(({ meta }) => ids.add(meta.id));
+    };
+    analyses.forEach(collect);
+    // One snapshot at a time: the history may hold many large ones
+    await new Promise((resolve, reject) => {
+      const request = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE).openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        try {
+          collect(JSON.parse(cursor.value.snapshot));
+        } catch (e) {
+          reject(e);
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    return ids;
+  }
+
+  async function purgeEvidence() {
+    if (!db) return;
+    const referenced = await referencedEvidenceIds();
+    const keys = await evidenceTransaction('readonly', store => store.getAllKeys());
+    const orphans = (keys || []).filter(id => !referenced.has(id));
+    if (orphans.length > 0) await evidenceTransaction('readwrite', store => orphans.forEach(id => store.delete(id)));
+  }
+
+  // Every attachment of an analysis with a label naming its owner.
+  function collectEvidence(data) {
+    const entries = [];
+    (data.gap || []).forEach(req => {
+      (req.evidence || []).forEach(meta => entries.push({ owner: `Exigence « ${req.titre || req.domaine || 'sans titre'} »`, meta }));
+    });
+    const sources = new Map(collectPlanActions(data).map(act => [act.id, act.source]));
+    ['actionsGap', 'actionsSupports', 'actionsParties', 'actionsRisques'].forEach(key => {
+      (data[key] || []).forEach(row => {
+        (row && Array.isArray(row.actions) ? row.actions : []).forEach(act => {
+          (act.evidence || []).forEach(meta => entries.push({ owner: `Action « ${act.name || 'sans nom'} » (${sources.get(act.id) || ''})`, meta }));
+        });
+      });
+    });
+    return entries;
+  }
+
+  async function sha256Hex(buffer) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function formatFileSize(size) {
+    if (size < 1024) return `${size} o`;
+    if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} Ko`;
+    return `${(size / 1024 / 1024).toFixed(1)} Mo`;
+  }
+
+  // Store `files` and attach them to `owner`.  The uploader name is
+  // asked once per upload and remembered for the next one.
+  async function attachEvidence(owner, files) {
+    if (!db) {
+      alert('Les pièces justificatives nécessitent IndexedDB, indisponible dans ce navigateur.');
+      return false;
+    }
+    let lastUploader = '';
+    try {
+      lastUploader = localStorage.getItem('ebiosEvidenceUploader') || '';
+    } catch (e) { /* ignore */ }
+    const uploader = prompt('Déposé par :', lastUploader);
+    if (uploader === null) return false;
+    try {
+      localStorage.setItem('ebiosEvidenceUploader', uploader.trim());
+    } catch (e) { /* ignore */ }
+    const records = [];
+    for (const file of files) {
+      const content = await readFileAs(file, false);
+      records.push({
+        id: uid(),
+        name: file.name,
+        type: file.type || 'application/octet-stream',
+        size: content.byteLength,
+        sha256: await sha256Hex(content),
+        date: new Date().toISOString(),
+        uploader: uploader.trim(),
+        content
+      });
+    }
+    try {
+      await evidenceTransaction('readwrite', store => records.forEach(record => store.put(record)));
+    } catch (e) {
+      showStorageError(e);
+      return false;
+    }
+    if (!Array.isArray(owner.evidence)) owner.evidence = [];
+    records.forEach(record => owner.evidence.push({
+      id: record.id, name: record.name, type: record.type, size: record.size,
+      sha256: record.sha256, date: record.date, uploader: record.uploader
+    }));
+    saveAnalyses();
+    return true;
+  }
+
+  async function openEvidence(meta) {
+    const record = await readEvidence(meta.id);
+    if (!record) {
+      alert(`Le contenu de « ${meta.name} » n’est pas présent dans ce navigateur (analyse importée sans ses pièces ?).`);
+      return;
+    }
+    downloadBlob(new Blob([record.content], { type: meta.type }), meta.name);
+  }
+
+  // Attachment list of `owner` with download, removal and upload
+  // buttons.  `rerender` refreshes the view holding the cell.
+  function evidenceCell(owner, rerender) {
+    if (!Array.isArray(owner.evidence)) owner.evidence = [];
+    const cell = document.createElement('div');
+    cell.className = 'assoc-cell evidence-cell';
+    owner.evidence.forEach((meta, i) => {
+      const tag = document.createElement('span');
+      tag.className = 'assoc-item evidence-item';
+      const link = document.createElement('a');
+      link.href = '#';
+      link.textContent = meta.name;
+      link.title = [
+        `${formatFileSize(meta.size || 0)}, déposé le ${new Date(meta.date).toLocaleString('fr-FR')}${meta.uploader ? ' par ' + meta.uploader : ''}`,
+        `SHA-256 : ${meta.sha256}`
+      ].join('\n');
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        openEvidence(meta).catch(err => alert('Impossible d’ouvrir le fichier : ' + err.message));
+      });
+      tag.appendChild(link);
+      const rmBtn = document.createElement('button');
+      rmBtn.textContent = '×';
+      rmBtn.title = 'Retirer cette pièce';
+      rmBtn.addEventListener('click', () => {
+        if (!confirm(`Retirer la pièce « ${meta.name} » ?`)) return;
+        owner.evidence.splice(i, 1);
+        saveAnalyses();
+        rerender();
+      });
+      tag.appendChild(rmBtn);
+      cell.appendChild(tag);
+    });
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.style.display = 'none';
+    input.addEventListener('change', () => {
+      const files = Array.from(input.files);
+      input.value = '';
+      if (files.length === 0) return;
+      attachEvidence(owner, files).then(ok => {
+        if (ok) rerender();
+      }).catch(err => {
+        alert('Impossible de joindre le fichier : ' + err.message);
+      });
+    });
+    const addBtn = document.createElement('button');
+    addBtn.className = 'add-assoc-btn';
+    addBtn.textContent = '+ Preuve';
+    addBtn.title = 'Joindre une pièce justificative';
+    addBtn.addEventListener('click', () => input.click());
+    cell.appendChild(input);
+    cell.appendChild(addBtn);
+    return cell;
   }
 
-  // Map a level (1-4) to a background colour used across ateliers.
-  function levelColor(lvl) {
-    switch (parseInt(lvl, 10)) {
-      case 1: return '#2a9d8f';
-      case 2: return '#e9c46a';
-      case 3: return '#f4a261';
-      case 4: return '#e63946';
-      default: return 'transparent';
+  // Zip holding the analysis JSON, every attachment under preuves/ and
+  // an index of the attachments with their hash, for auditors.
+  async function exportEvidencePack() {
+    if (currentIndex < 0) return;
+    const analysis = analyses[currentIndex];
+    await flushSave();
+    const files = [{ name: 'analyse.json', data: JSON.stringify(analysis, null, 2) }];
+    const index = [['Rattachement', 'Fichier', 'Chemin', 'Taille', 'SHA-256', 'Date', 'Déposé par']];
+    const missing = [];
+    for (const { owner, meta } of collectEvidence(analysis.data)) {
+      const record = await readEvidence(meta.id);
+      const path = record ? `preuves/${meta.id}_${meta.name.replace(/[\\/:*?"<>|]/g, '_')}` : '';
+      if (record) files.push({ name: path, data: new Uint8Array(record.content) });
+      else missing.push(`${owner} : ${meta.name}`);
+      index.push([owner, meta.name, path || 'absent', String(meta.size || 0), meta.sha256, meta.date, meta.uploader || '']);
+    }
+    files.push({ name: 'preuves/index.csv', data: '\uFEFF' + index.map(row => row.map(csvCell).join(';')).join('\r\n') + '\r\n' });
+    const safeTitle = (analysis.title || 'analyse').replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    downloadBlob(zipArchive(files), safeTitle + '_preuves.zip');
+    if (missing.length > 0) {
+      await showDialog({
+        title: 'Pièces manquantes',
+        message: `${missing.length} pièce(s) référencée(s) par l’analyse ne sont pas présentes dans ce navigateur et manquent dans l’archive :`,
+        lines: missing,
+        choices: [{ value: null, label: 'Fermer', primary: true }]
+      });
     }
   }
 
@@ -100,6 +2683,9 @@
     // user to pick the analysis again.
     persistCurrentAnalysisId();
     renderAnalysisList();
+    updateHistoryButtons();
+    updateIntegrityButton();
+    gapFilter = { domaine: null, status: null };
     const analysis = analyses[currentIndex];
     if (!analysis) return;
     document.getElementById('analysis-title').value = analysis.title || '';
@@ -109,25 +2695,24 @@
     // Gap analysis (atelier1 second sub‑tab)
     renderGapTable();
     renderSROV();
-    // Render PP list and cartography tables
-    renderPP();
+    // Render cartography tables
     renderPPCarto();
     renderStrategies();
-    renderSS();
     renderSO();
-    renderRisques();
     // Update charts/graph
     updateAtelier1Graph();
     updateGapChart();
     updateAtelier2Chart();
     updateAtelier3Chart();
     updateAtelier4Chart();
-    updateAtelier5Chart();
     // Atelier 5 actions and plan
     renderGapActions();
     renderSupportActions();
     renderPartiesActions();
     renderRisquesActions();
+    renderTraceability();
+    renderResidualMatrix();
+    renderAttackCoverage();
     renderPlanActions();
 
     // Ensure Atelier 3 grid layout matches the active sub‑tab
@@ -142,79 +2727,6 @@
     }
   }
 
-  // ----- Rendering helper for generic items
-  function createInput(labelText, type, value, onInput) {
-    const container = document.createElement('div');
-    const label = document.createElement('label');
-    label.textContent = labelText;
-    const input = type === 'textarea' ? document.createElement('textarea') : document.createElement('input');
-    if (type !== 'textarea') input.type = type;
-    input.value = value || '';
-    input.addEventListener('input', (e) => {
-      onInput(e.target.value);
-    });
-    container.appendChild(label);
-    container.appendChild(input);
-    return container;
-  }
-
-  // Create a select input with a set of options. Options should be an array
-  // of objects: { value: string, label: string }. The selectedValue may be
-  // empty or undefined. onChange is called with the selected value.
-  function createSelect(labelText, options, selectedValue, onChange) {
-    const container = document.createElement('div');
-    const label = document.createElement('label');
-    label.textContent = labelText;
-    const select = document.createElement('select');
-    // If there are no options, add a disabled placeholder
-    if (!options || options.length === 0) {
-      const opt = document.createElement('option');
-      opt.value = '';
-      opt.textContent = '— Aucune —';
-      select.appendChild(opt);
-    } else {
-      options.forEach(opt => {
-        const optionEl = document.createElement('option');
-        optionEl.value = opt.value;
-        optionEl.textContent = opt.label;
-        if (opt.value === selectedValue) optionEl.selected = true;
-        select.appendChild(optionEl);
-      });
-    }
-    select.addEventListener('change', (e) => {
-      onChange(e.target.value);
-    });
-    container.appendChild(label);
-    container.appendChild(select);
-    return container;
-  }
-
-  // Create a multi‑select input using a <select multiple> element. Options
-  // should be an array of { value, label }. selectedValues is an array of
-  // values. onChange receives an array of selected values.
-  function createMultiSelect(labelText, options, selectedValues, onChange) {
-    const container = document.createElement('div');
-    const label = document.createElement('label');
-    label.textContent = labelText;
-    const select = document.createElement('select');
-    select.multiple = true;
-    if (!Array.isArray(selectedValues)) selectedValues = [];
-    options.forEach(opt => {
-      const optionEl = document.createElement('option');
-      optionEl.value = opt.value;
-      optionEl.textContent = opt.label;
-      optionEl.selected = selectedValues.includes(opt.value);
-      select.appendChild(optionEl);
-    });
-    select.addEventListener('change', (e) => {
-      const selected = Array.from(e.target.selectedOptions).map(o => o.value);
-      onChange(selected);
-    });
-    container.appendChild(label);
-    container.appendChild(select);
-    return container;
-  }
-
   // ----- Atelier 1: Mission description
   function renderMissionDescription() {
     const textarea = document.getElementById('mission-description');
@@ -238,28 +2750,8 @@
     if (!analysis.data) analysis.data = {};
     if (!analysis.data.missions) analysis.data.missions = [];
     analysis.data.missions.forEach((mission, idx) => {
-      // Ensure unique id and supports array with objects {name, description, responsable}
-      if (!mission.id) mission.id = uid();
-      // Normalise legacy data formats where supports might be stored as
-      // strings or arrays of strings instead of the expected array of
-      // objects.  This previously failed when mission.supports was already
-      // an array because a guarding condition prevented the conversion.
-      // Remove that guard and handle each case explicitly.
-      if (Array.isArray(mission.supports)) {
-        mission.supports = mission.supports.map(s => {
-          if (typeof s === 'string') {
-            return { name: s, description: '', responsable: '' };
-          }
-          return s;
-        });
-      } else if (typeof mission.supports === 'string' && mission.supports.trim() !== '') {
-        mission.supports = mission.supports
-          .split(',')
-          .map(s => ({ name: s.trim(), description: '', responsable: '' }));
-      } else {
-        mission.supports = [];
-      }
       const tr = document.createElement('tr');
+      tr.dataset.graphKey = 'mission:' + mission.id;
       // Denomination
       let td = document.createElement('td');
       const denomInput = document.createElement('input');
@@ -311,14 +2803,19 @@
       };
       td.appendChild(respInput);
       tr.appendChild(td);
-      // Supports cell
+      // Supports cell: the supports of the registry this value relies on.
+      // Fields edit the shared entry, so every value using it follows.
       td = document.createElement('td');
       const supportsCell = document.createElement('div');
       supportsCell.className = 'supports-cell';
-      mission.supports.forEach((support, sIdx) => {
-        if (!support.id) support.id = uid();
+      if (!Array.isArray(mission.supportIds)) mission.supportIds = [];
+      mission.supportIds.forEach((supportId, sIdx) => {
+        const support = analysis.data.supports.find(s => s.id === supportId);
+        // Broken links are listed by the integrity panel
+        if (!support) return;
         const sItem = document.createElement('div');
         sItem.className = 'support-item';
+        sItem.dataset.graphKey = 'support:' + support.id;
         const nameInput = document.createElement('input');
         nameInput.type = 'text';
         nameInput.placeholder = 'Nom';
@@ -330,6 +2827,8 @@
           renderSupportActions();
           updateAtelier1Graph();
         };
+        // Other values using this support show the new name
+        nameInput.onchange = () => renderMissionsTable();
         const supDescInput = document.createElement('textarea');
         supDescInput.rows = 2;
         supDescInput.placeholder = 'Description';
@@ -349,14 +2848,14 @@
           saveAnalyses();
           renderSupportsQualifTable();
         };
+        supRespInput.onchange = () => renderMissionsTable();
         const rmBtn = document.createElement('button');
         rmBtn.textContent = '×';
-        rmBtn.title = 'Supprimer ce bien support';
+        rmBtn.title = 'Retirer ce bien support de la valeur (il reste dans la qualification des biens supports)';
         rmBtn.addEventListener('click', () => {
-          mission.supports.splice(sIdx, 1);
+          mission.supportIds.splice(sIdx, 1);
           saveAnalyses();
           renderMissionsTable();
-          renderSupportsQualifTable();
           updateAtelier1Graph();
         });
         sItem.appendChild(nameInput);
@@ -369,35 +2868,21 @@
       addSupBtn.className = 'add-support-btn';
       addSupBtn.textContent = '+ Support';
       addSupBtn.addEventListener('click', () => {
-        mission.supports.push({ id: uid(), name: '', description: '', responsable: '' });
+        const support = { id: uid(), name: '', description: '', responsable: '', vulnerabilities: [] };
+        analysis.data.supports.push(support);
+        mission.supportIds.push(support.id);
         saveAnalyses();
         renderMissionsTable();
-        renderSupportsQualifTable();
+        renderSupportActions();
         updateAtelier1Graph();
       });
       supportsCell.appendChild(addSupBtn);
-      // Button to add an existing support from other missions
+      // Button to link a support of the registry
       const addExistingBtn = document.createElement('button');
       addExistingBtn.className = 'add-support-btn';
       addExistingBtn.textContent = '+ Support existant';
       addExistingBtn.addEventListener('click', () => {
-        // Collect all unique supports across missions and vulnerability table
-        const allSupports = [];
-        const addUnique = (s) => {
-          const name = (s.name || '').trim();
-          if (!name) return;
-          if (!allSupports.some(ss => ss.name === name)) {
-            const id = s.id || s.refId;
-            allSupports.push({ id: id, name: name, description: s.description || '', responsable: s.responsable || '' });
-          }
-        };
-        (analysis.data.missions || []).forEach(m2 => {
-          (m2.supports || []).forEach(addUnique);
-        });
-        (analysis.data.supportsQualif || []).forEach(addUnique);
-        // Exclude supports already associated with the current mission
-        const currentNames = mission.supports.map(s => (s.name || '').trim());
-        const available = allSupports.filter(s => !currentNames.includes(s.name));
+        const available = analysis.data.supports.filter(s => (s.name || '').trim() && !mission.supportIds.includes(s.id));
         if (available.length === 0) {
           alert('Aucun bien support existant disponible.');
           return;
@@ -407,13 +2892,9 @@
         if (input === null) return;
         const index = parseInt(input, 10) - 1;
         if (!isNaN(index) && index >= 0 && index < available.length) {
-          // Clone the selected support so edits in this mission do not
-          // modify the original object from another mission.
-          const selected = Object.assign({}, available[index]);
-          mission.supports.push(selected);
+          mission.supportIds.push(available[index].id);
           saveAnalyses();
           renderMissionsTable();
-          renderSupportsQualifTable();
           updateAtelier1Graph();
         }
       });
@@ -426,23 +2907,10 @@
       eventsCell.className = 'events-cell';
       // Gather events tied to this mission
       const events = (analysis.data.events || []).filter(ev => ev.missionId === mission.id);
-      // Helper to colour impact select
-      function colorImpact(selectEl) {
-        const lvl = parseInt(selectEl.value, 10);
-        let color;
-        switch (lvl) {
-          case 1: color = '#2a9d8f'; break;
-          case 2: color = '#e9c46a'; break;
-          case 3: color = '#f4a261'; break;
-          case 4: color = '#e63946'; break;
-          default:
-            color = getComputedStyle(document.documentElement).getPropertyValue('--bg-light').trim() || '#12203a';
-        }
-        selectEl.style.backgroundColor = color;
-      }
       events.forEach((event, eIdx) => {
         const evItem = document.createElement('div');
         evItem.className = 'event-item';
+        evItem.dataset.graphKey = 'event:' + event.id;
         // Event description
         const evDesc = document.createElement('textarea');
         evDesc.rows = 2;
@@ -465,19 +2933,11 @@
         evItem.appendChild(impDesc);
         // Impact level select
         const impSelect = document.createElement('select');
-        [1,2,3,4].forEach(num => {
-          const opt = document.createElement('option');
-          opt.value = num;
-          opt.textContent = num;
-          if (event.impact === num) opt.selected = true;
-          impSelect.appendChild(opt);
-        });
-        // initial colour
-        colorImpact(impSelect);
+        fillScaleSelect(impSelect, 'gravite', event.impact);
         impSelect.onchange = (e) => {
           event.impact = parseInt(e.target.value, 10);
           saveAnalyses();
-          colorImpact(impSelect);
+          impSelect.style.backgroundColor = scaleColor('gravite', event.impact);
           updateAtelier1Graph();
         };
         evItem.appendChild(impSelect);
@@ -487,13 +2947,13 @@
         rmEvBtn.title = 'Supprimer cet évènement';
         rmEvBtn.addEventListener('click', () => {
           // Remove this event from analysis.data.events
-          const idxEv = analysis.data.events.findIndex(ev => ev.id === event.id);
-          if (idxEv >= 0) {
-            analysis.data.events.splice(idxEv, 1);
-            saveAnalyses();
-            renderMissionsTable();
-            updateAtelier1Graph();
-          }
+          const removed = confirmDeletion(analysis.data, [['event', event.id]], 'Supprimer cet évènement ?', () => {
+            removeFromList(analysis.data.events, event);
+          }, false);
+          if (!removed) return;
+          saveAnalyses();
+          renderMissionsTable();
+          updateAtelier1Graph();
         });
         evItem.appendChild(rmEvBtn);
         eventsCell.appendChild(evItem);
@@ -519,12 +2979,12 @@
       delBtn.textContent = '×';
       delBtn.title = 'Supprimer cette valeur';
       delBtn.addEventListener('click', () => {
-        if (!confirm('Supprimer cette mission ?')) return;
-        analysis.data.missions.splice(idx, 1);
-        // Remove associated events when mission deleted
-        if (analysis.data.events) {
-          analysis.data.events = analysis.data.events.filter(ev => ev.missionId !== mission.id);
-        }
+        // Its events are deleted along with it (see INTEGRITY_LINKS); its
+        // supports stay in the registry
+        const removed = confirmDeletion(analysis.data, [['mission', mission.id]], 'Supprimer cette mission ?', () => {
+          analysis.data.missions.splice(idx, 1);
+        });
+        if (!removed) return;
         saveAnalyses();
         renderMissionsTable();
         renderSupportsQualifTable();
@@ -622,52 +3082,10 @@
     tbody.innerHTML = '';
     const analysis = analyses[currentIndex];
     if (!analysis.data) analysis.data = {};
-    if (!Array.isArray(analysis.data.supportsQualif)) analysis.data.supportsQualif = [];
-
-    // Synchronize supports from missions to avoid duplicates when editing
-    const sq = analysis.data.supportsQualif;
-    const validIds = new Set();
-    let changed = false;
-    (analysis.data.missions || []).forEach(m => {
-      (m.supports || []).forEach(s => {
-        if (!s.id) { s.id = uid(); changed = true; }
-        validIds.add(s.id);
-        let entry = sq.find(e => e.refId === s.id);
-        if (entry) {
-          if (entry.name !== (s.name || '') || entry.description !== (s.description || '') || entry.responsable !== (s.responsable || '')) {
-            entry.name = s.name || '';
-            entry.description = s.description || '';
-            entry.responsable = s.responsable || '';
-            changed = true;
-          }
-        } else {
-          sq.push({ refId: s.id, name: s.name || '', description: s.description || '', responsable: s.responsable || '', vulnerabilities: [] });
-          changed = true;
-        }
-      });
-    });
-    // Remove supports that no longer exist in missions
-    for (let i = sq.length - 1; i >= 0; i--) {
-      const entry = sq[i];
-      if (entry.refId && !validIds.has(entry.refId)) {
-        sq.splice(i, 1);
-        changed = true;
-      }
-    }
-    // Deduplicate by name
-    const seenNames = new Set();
-    for (let i = sq.length - 1; i >= 0; i--) {
-      const n = sq[i].name || '';
-      if (seenNames.has(n)) {
-        sq.splice(i, 1);
-        changed = true;
-      } else {
-        seenNames.add(n);
-      }
-    }
-    if (changed) saveAnalyses();
+    if (!Array.isArray(analysis.data.supports)) analysis.data.supports = [];
 
-    analysis.data.supportsQualif.forEach((support, idx) => {
+    analysis.data.supports.forEach((support, idx) => {
+      if (!Array.isArray(support.vulnerabilities)) support.vulnerabilities = [];
       const tr = document.createElement('tr');
       // name
       let td = document.createElement('td');
@@ -678,7 +3096,9 @@
         support.name = e.target.value;
         saveAnalyses();
         renderSupportActions();
+        updateAtelier1Graph();
       };
+      nameInput.onchange = () => renderMissionsTable();
       td.appendChild(nameInput);
       tr.appendChild(td);
       // description
@@ -691,6 +3111,7 @@
         support.description = e.target.value;
         saveAnalyses();
       };
+      descInput.onchange = () => renderMissionsTable();
       td.appendChild(descInput);
       tr.appendChild(td);
       // responsable
@@ -702,13 +3123,13 @@
         support.responsable = e.target.value;
         saveAnalyses();
       };
+      respInput.onchange = () => renderMissionsTable();
       td.appendChild(respInput);
       tr.appendChild(td);
       // vulnerabilities
       td = document.createElement('td');
       const vulnDiv = document.createElement('div');
       vulnDiv.className = 'vuln-cell';
-      if (!Array.isArray(support.vulnerabilities)) support.vulnerabilities = [];
       support.vulnerabilities.forEach((v, vIdx) => {
         const vItem = document.createElement('div');
         vItem.className = 'vuln-item';
@@ -716,11 +3137,21 @@
         vName.type = 'text';
         vName.placeholder = 'Nom';
         vName.value = v.name || '';
+        let committedVuln = v.name;
         vName.oninput = (e) => {
           v.name = e.target.value;
           saveAnalyses();
           renderSupportActions();
         };
+        vName.onchange = () => {
+          const renamed = cascadeRename(analysis.data, 'vulnerability',
+            vulnerabilityKey(support.id, committedVuln), vulnerabilityKey(support.id, v.name));
+          if (renamed > 0) {
+            saveAnalyses();
+            renderSupportActions();
+          }
+          committedVuln = v.name;
+        };
         const vDesc = document.createElement('textarea');
         vDesc.rows = 2;
         vDesc.placeholder = 'Description';
@@ -743,11 +3174,69 @@
           saveAnalyses();
           setVulnLevelColor(vLevel);
         };
+        const vRefs = document.createElement('input');
+        vRefs.type = 'text';
+        vRefs.placeholder = 'CVE-…, CWE-…';
+        vRefs.title = 'Identifiants CVE ou CWE';
+        vRefs.value = (v.refs || []).join(', ');
+        vRefs.onchange = () => {
+          v.refs = parseVulnRefs(vRefs.value);
+          vRefs.value = v.refs.join(', ');
+          saveAnalyses();
+        };
+        const vCvss = document.createElement('input');
+        vCvss.type = 'text';
+        vCvss.placeholder = 'Vecteur CVSS:3.1/… ou CVSS:4.0/…';
+        vCvss.value = v.cvss || '';
+        const vScore = document.createElement('input');
+        vScore.type = 'number';
+        vScore.min = 0;
+        vScore.max = 10;
+        vScore.step = 0.1;
+        vScore.className = 'cvss-score';
+        // Level and score follow the vector when it can be scored here
+        const syncCvss = () => {
+          const parsed = parseCvss(v.cvss || '');
+          vCvss.classList.toggle('cvss-invalid', !!v.cvss && !parsed);
+          vCvss.title = v.cvss && !parsed ? 'Vecteur CVSS invalide' : 'Vecteur CVSS (les métriques de base sont obligatoires)';
+          vScore.readOnly = !!parsed && parsed.version !== '4.0';
+          vScore.title = vScore.readOnly ? 'Score de base calculé à partir du vecteur'
+            : parsed ? 'Score CVSS 4.0 non calculé par l’outil : saisissez le score publié avec le vecteur (NVD, éditeur)'
+              : 'Score de base publié avec le vecteur (NVD, éditeur)';
+          vScore.value = typeof v.cvssScore === 'number' ? v.cvssScore : '';
+          vLevel.value = v.level || 'info';
+          vLevel.disabled = typeof v.cvssScore === 'number';
+          vLevel.title = vLevel.disabled ? 'Niveau déduit du score CVSS' : '';
+          setVulnLevelColor(vLevel);
+        };
+        vCvss.oninput = () => {
+          // A score computed from the previous vector no longer applies
+          if (cvssBaseScore(v.cvss) !== null) delete v.cvssScore;
+          v.cvss = vCvss.value.trim();
+          applyCvss(v);
+          saveAnalyses();
+          syncCvss();
+        };
+        vScore.oninput = () => {
+          const score = parseFloat(vScore.value);
+          if (isFinite(score) && score >= 0 && score <= 10) v.cvssScore = Math.round(score * 10) / 10;
+          else delete v.cvssScore;
+          applyCvss(v);
+          saveAnalyses();
+          vLevel.value = v.level;
+          vLevel.disabled = typeof v.cvssScore === 'number';
+          setVulnLevelColor(vLevel);
+        };
+        vScore.onchange = syncCvss;
+        syncCvss();
         const rmV = document.createElement('button');
         rmV.textContent = '×';
         rmV.title = 'Supprimer cette vulnérabilité';
         rmV.addEventListener('click', () => {
-          support.vulnerabilities.splice(vIdx, 1);
+          const removed = confirmDeletion(analysis.data, [['vulnerability', vulnerabilityKey(support.id, v.name)]], 'Supprimer cette vulnérabilité ?', () => {
+            support.vulnerabilities.splice(vIdx, 1);
+          }, false);
+          if (!removed) return;
           saveAnalyses();
           renderSupportsQualifTable();
           renderSupportActions();
@@ -756,6 +3245,20 @@
         vItem.appendChild(vDesc);
         vItem.appendChild(vLevel);
         vItem.appendChild(rmV);
+        vItem.appendChild(vRefs);
+        vItem.appendChild(vCvss);
+        vItem.appendChild(vScore);
+        if (v.source) {
+          const vSource = document.createElement('span');
+          vSource.className = 'vuln-source';
+          vSource.textContent = v.closedAt
+            ? `${v.source}, clôturée le ${new Date(v.closedAt).toLocaleDateString('fr-FR')}`
+            : v.source;
+          vSource.title = (v.closedAt ? 'Plus signalée par les derniers imports de ce scanner' : 'Importée depuis un rapport de scan')
+            + ((v.assets || []).length > 0 ? ` (${v.assets.join(', ')})` : '');
+          vItem.classList.toggle('vuln-closed', !!v.closedAt);
+          vItem.appendChild(vSource);
+        }
         vulnDiv.appendChild(vItem);
       });
       const addVBtn = document.createElement('button');
@@ -768,6 +3271,11 @@
         renderSupportActions();
       });
       vulnDiv.appendChild(addVBtn);
+      const catalogBtn = document.createElement('button');
+      catalogBtn.className = 'add-support-btn';
+      catalogBtn.textContent = '+ Depuis le catalogue';
+      catalogBtn.addEventListener('click', () => addCatalogVulnerabilities(support));
+      vulnDiv.appendChild(catalogBtn);
       td.appendChild(vulnDiv);
       tr.appendChild(td);
       // actions
@@ -777,11 +3285,15 @@
       delSup.textContent = '×';
       delSup.title = 'Supprimer ce bien support';
       delSup.addEventListener('click', () => {
-        if (!confirm('Supprimer ce bien support ?')) return;
-        analysis.data.supportsQualif.splice(idx, 1);
+        const targets = [['support', support.id]].concat(support.vulnerabilities.map(v => ['vulnerability', vulnerabilityKey(support.id, v.name)]));
+        const removed = confirmDeletion(analysis.data, targets, 'Supprimer ce bien support ?', () => {
+          analysis.data.supports.splice(idx, 1);
+        });
+        if (!removed) return;
         saveAnalyses();
-        renderSupportsQualifTable();
+        renderMissionsTable();
         renderSupportActions();
+        updateAtelier1Graph();
       });
       td.appendChild(delSup);
       tr.appendChild(td);
@@ -790,121 +3302,729 @@
     addDataTableResizers('supports-qualif-table');
   }
 
-  // ----- Atelier 1: Évènements (table rendering)
-  function renderEventsTable() {
-    const tbody = document.getElementById('events-body');
-    if (!tbody) return;
-    tbody.innerHTML = '';
-    const analysis = analyses[currentIndex];
-    if (!analysis.data) analysis.data = {};
-    if (!analysis.data.events) analysis.data.events = [];
-    const missions = analysis.data.missions || [];
-    analysis.data.events.forEach((ev, idx) => {
-      if (!ev.id) ev.id = uid();
-      // ensure impact is numeric 1-4
-      if (!ev.impact || typeof ev.impact !== 'number') {
-        const parsed = parseInt(ev.impact, 10);
-        ev.impact = (parsed >= 1 && parsed <= 4) ? parsed : 1;
+  // ----- Atelier 1: Vulnerability catalogue
+  // Vulnerabilities may carry CVE/CWE identifiers (`refs`), a CVSS
+  // vector (`cvss`) and its base score (`cvssScore`), which sets the
+  // level.  CVSS 3.x base scores are computed from the vector.  CVSS 4.0
+  // scoring is out of scope: it relies on the macrovector lookup tables
+  // of the FIRST calculator, so 4.0 vectors are only validated and their
+  // published score is read from the catalogue or scanner report, or
+  // entered by hand.  The catalogue itself is shared by all analyses and
+  // kept in its own IndexedDB object store; vulnerabilities copied from
+  // it keep the entry id in `catalogId`.
+  const CVSS_BASE_METRICS = {
+    '3': {
+      AV: ['N', 'A', 'L', 'P'], AC: ['L', 'H'], PR: ['N', 'L', 'H'], UI: ['N', 'R'],
+      S: ['U', 'C'], C: ['H', 'L', 'N'], I: ['H', 'L', 'N'], A: ['H', 'L', 'N']
+    },
+    '4': {
+      AV: ['N', 'A', 'L', 'P'], AC: ['L', 'H'], AT: ['N', 'P'], PR: ['N', 'L', 'H'], UI: ['N', 'P', 'A'],
+      VC: ['H', 'L', 'N'], VI: ['H', 'L', 'N'], VA: ['H', 'L', 'N'],
+      SC: ['H', 'L', 'N'], SI: ['H', 'L', 'N'], SA: ['H', 'L', 'N']
+    }
+  };
+
+  const CVSS3_WEIGHTS = {
+    AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+    AC: { L: 0.77, H: 0.44 },
+    UI: { N: 0.85, R: 0.62 },
+    CIA: { H: 0.56, L: 0.22, N: 0 }
+  };
+
+  // { version, metrics } of a CVSS 3.0, 3.1 or 4.0 vector, or null when
+  // the prefix is unknown or a base metric is missing or invalid.
+  // Temporal, threat and environmental metrics are accepted as is.
+  function parseCvss(vector) {
+    const parts = String(vector || '').trim().toUpperCase().split('/');
+    const prefix = /^CVSS:(3\.0|3\.1|4\.0)$/.exec(parts.shift() || '');
+    if (!prefix) return null;
+    const version = prefix[1];
+    const expected = CVSS_BASE_METRICS[version.charAt(0)];
+    const metrics = {};
+    for (const part of parts) {
+      const [key, value] = part.split(':');
+      if (!key || !value || metrics[key] !== undefined) return null;
+      if (expected[key] && !expected[key].includes(value)) return null;
+      metrics[key] = value;
+    }
+    if (Object.keys(expected).some(key => metrics[key] === undefined)) return null;
+    return { version, metrics };
+  }
+
+  // Base score of a CVSS 3.x vector as specified by FIRST, or null
+  function cvssBaseScore(vector) {
+    const parsed = parseCvss(vector);
+    if (!parsed || parsed.version === '4.0') return null;
+    const m = parsed.metrics;
+    // 3.1 rounds on integers to avoid floating point artefacts
+    const roundUp = parsed.version === '3.0'
+      ? value => Math.ceil(value * 10) / 10
+      : value => {
+        const int = Math.round(value * 100000);
+        return int % 10000 === 0 ? int / 100000 : (Math.floor(int / 10000) + 1) / 10;
+      };
+    const changed = m.S === 'C';
+    const pr = { N: 0.85, L: changed ? 0.68 : 0.62, H: changed ? 0.5 : 0.27 }[m.PR];
+    const iss = 1 - (1 - CVSS3_WEIGHTS.CIA[m.C]) * (1 - CVSS3_WEIGHTS.CIA[m.I]) * (1 - CVSS3_WEIGHTS.CIA[m.A]);
+    const impact = changed ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15) : 6.42 * iss;
+    if (impact <= 0) return 0;
+    const exploitability = 8.22 * CVSS3_WEIGHTS.AV[m.AV] * CVSS3_WEIGHTS.AC[m.AC] * pr * CVSS3_WEIGHTS.UI[m.UI];
+    return roundUp(Math.min((changed ? 1.08 : 1) * (impact + exploitability), 10));
+  }
+
+  // Qualitative severity of the CVSS specification on the level scale
+  function cvssLevel(score) {
+    if (score === 0) return 'info';
+    if (score < 4) return 'faible';
+    if (score < 7) return 'moderee';
+    if (score < 9) return 'forte';
+    return 'critique';
+  }
+
+  // Recompute the score of `vuln` from its vector when possible and
+  // derive its level from the score.
+  function applyCvss(vuln) {
+    const computed = cvssBaseScore(vuln.cvss);
+    if (computed !== null) vuln.cvssScore = computed;
+    if (typeof vuln.cvssScore === 'number') vuln.level = cvssLevel(vuln.cvssScore);
+  }
+
+  // CVE and CWE identifiers found in free text, normalised and deduplicated
+  function parseVulnRefs(text) {
+    const refs = [];
+    (String(text || '').match(/\b(CVE-\d{4}-\d{4,}|CWE-\d+)\b/gi) || []).forEach(ref => {
+      ref = ref.toUpperCase().replace(/^CWE-0+(?=\d)/, 'CWE-');
+      if (!refs.includes(ref)) refs.push(ref);
+    });
+    return refs;
+  }
+
+  // Entries of the catalogue: { id, name, description, refs, cvss,
+  // cvssScore, level }, the id being the first reference when any.
+  // They live in the `vulnCatalog` object store, an NVD or CWE extract
+  // easily exceeding the localStorage quota.
+  let vulnCatalog = [];
+
+  function vulnCatalogTransaction(mode, run) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(VULN_CATALOG_STORE, mode);
+      const result = run(tx.objectStore(VULN_CATALOG_STORE));
+      tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  async function loadVulnCatalog() {
+    try {
+      vulnCatalog = db ? (await vulnCatalogTransaction('readonly', store => store.getAll())) || []
+        : JSON.parse(localStorage.getItem('ebiosVulnCatalog') || '[]');
+    } catch (e) {
+      console.warn('Failed to read the vulnerability catalogue:', e);
+      vulnCatalog = [];
+    }
+    // The catalogue of earlier versions moves to the object store
+    const legacy = db && localStorage.getItem('ebiosVulnCatalog');
+    if (!legacy) return;
+    try {
+      const entries = JSON.parse(legacy);
+      const known = new Set(vulnCatalog.map(e => e.id));
+      const missing = Array.isArray(entries) ? entries.filter(e => e && e.id && !known.has(e.id)) : [];
+      if (missing.length > 0) {
+        await saveVulnCatalog(missing);
+        vulnCatalog = vulnCatalog.concat(missing);
       }
-      const tr = document.createElement('tr');
-      // mission select
-      let td = document.createElement('td');
-      const missionSelect = document.createElement('select');
-      missions.forEach((m, i) => {
-        const opt = document.createElement('option');
-        opt.value = m.id;
-        opt.textContent = m.denom || `Valeur ${i + 1}`;
-        if ((ev.missionId || '') === m.id) opt.selected = true;
-        missionSelect.appendChild(opt);
+      localStorage.removeItem('ebiosVulnCatalog');
+    } catch (e) {
+      console.warn('Failed to convert the stored vulnerability catalogue:', e);
+    }
+  }
+
+  // Store the `entries` added or updated, or empty the catalogue when
+  // null.  Without IndexedDB the whole catalogue goes to localStorage.
+  async function saveVulnCatalog(entries) {
+    if (db) {
+      await vulnCatalogTransaction('readwrite', store => {
+        if (entries) entries.forEach(entry => store.put(entry));
+        else store.clear();
       });
-      missionSelect.onchange = (e) => {
-        ev.missionId = e.target.value;
-        saveAnalyses();
-        updateAtelier1Graph();
-      };
-      td.appendChild(missionSelect);
-      tr.appendChild(td);
-      // Event description (textarea for long text)
-      td = document.createElement('td');
-      const evInput = document.createElement('textarea');
-      evInput.rows = 2;
-      evInput.value = ev.evenement || '';
-      evInput.style.width = '100%';
-      evInput.oninput = (e) => {
-        ev.evenement = e.target.value;
-        saveAnalyses();
+    } else {
+      localStorage.setItem('ebiosVulnCatalog', JSON.stringify(vulnCatalog));
+    }
+  }
+
+  function newCatalogEntry(fields) {
+    const refs = parseVulnRefs((fields.refs || []).join(' '));
+    const entry = {
+      id: fields.id || refs[0] || uid(),
+      name: fields.name || refs[0] || fields.id || '',
+      description: fields.description || '',
+      refs,
+      cvss: parseCvss(fields.cvss) ? fields.cvss.trim() : '',
+      level: VULN_LEVELS.includes(fields.level) ? fields.level : 'info'
+    };
+    const score = parseFloat(fields.cvssScore);
+    if (isFinite(score) && score >= 0 && score <= 10) entry.cvssScore = Math.round(score * 10) / 10;
+    applyCvss(entry);
+    return entry;
+  }
+
+  // CVSS metric with the most recent version among the NVD `metrics`
+  // (API 2.0) or `impact` (1.1 feeds) of a CVE.
+  function nvdCvss(metrics) {
+    const list = ['cvssMetricV40', 'cvssMetricV31', 'cvssMetricV30'].reduce((found, key) =>
+      found || (metrics && Array.isArray(metrics[key]) && metrics[key][0] ? metrics[key][0].cvssData : null), null)
+      || (metrics && metrics.baseMetricV3 ? metrics.baseMetricV3.cvssV3 : null);
+    return list ? { cvss: list.vectorString, cvssScore: list.baseScore } : {};
+  }
+
+  // Catalogue entries of a JSON file: an NVD API 2.0 response, an NVD
+  // 1.1 feed or an array of { id, name, description, refs, cvss,
+  // cvssScore, level }.
+  function readVulnCatalogJson(json) {
+    const english = list => {
+      const found = (list || []).find(d => d.lang === 'en') || (list || [])[0];
+      return found ? found.value : '';
+    };
+    if (json && Array.isArray(json.vulnerabilities)) {
+      return json.vulnerabilities.filter(item => item && item.cve).map(({ cve }) => {
+        const cwes = (cve.weaknesses || []).reduce((refs, w) => refs.concat((w.description || []).map(d => d.value)), []);
+        return newCatalogEntry(Object.assign({ id: cve.id, description: english(cve.descriptions), refs: [cve.id].concat(cwes) }, nvdCvss(cve.metrics)));
+      });
+    }
+    if (json && Array.isArray(json.CVE_Items)) {
+      return json.CVE_Items.map(item => {
+        const id = item.cve.CVE_data_meta.ID;
+        const cwes = ((item.cve.problemtype || {}).problemtype_data || []).reduce((refs, p) => refs.concat((p.description || []).map(d => d.value)), []);
+        return newCatalogEntry(Object.assign({ id, description: english((item.cve.description || {}).description_data), refs: [id].concat(cwes) }, nvdCvss(item.impact)));
+      });
+    }
+    if (Array.isArray(json)) {
+      return json.filter(item => item && typeof item === 'object').map(item => newCatalogEntry({
+        id: item.id ? String(item.id) : '',
+        name: item.name || item.nom || '',
+        description: item.description || '',
+        refs: (Array.isArray(item.refs) ? item.refs : [item.refs, item.cve, item.cwe, item.id]).filter(Boolean).map(String),
+        cvss: item.cvss || item.vector || '',
+        cvssScore: item.cvssScore !== undefined ? item.cvssScore : item.score,
+        level: item.level
+      }));
+    }
+    throw new Error('format non reconnu (réponse NVD, flux NVD 1.1 ou tableau de vulnérabilités attendu)');
+  }
+
+  // Catalogue entries of CSV rows, columns being found from the header:
+  // identifier (CVE, CWE or CWE-ID as in the MITRE CWE extracts), name,
+  // description, vector, score and level.
+  function readVulnCatalogCsv(rows) {
+    const header = rows[0].map(h => String(h).trim().toLowerCase());
+    const column = pattern => header.findIndex(h => pattern.test(h));
+    const columns = {
+      id: column(/^(cve|cwe)([ _-]?id)?$|^id(entifiant)?$|^r[ée]f/),
+      name: column(/^(name|nom|titre|title)$/),
+      description: column(/^desc/),
+      cvss: column(/vect|^cvss$/),
+      cvssScore: column(/score/),
+      level: column(/^(niveau|level)$/)
+    };
+    if (columns.id < 0 && columns.name < 0) throw new Error('aucune colonne d’identifiant ou de nom trouvée dans l’en-tête');
+    const cweIds = columns.id >= 0 && /cwe/.test(header[columns.id]);
+    return rows.slice(1).map(row => {
+      const cell = key => (columns[key] >= 0 ? String(row[columns[key]] || '').trim() : '');
+      let id = cell('id');
+      if (cweIds && /^\d+$/.test(id)) id = 'CWE-' + id;
+      return newCatalogEntry({
+        id, name: cell('name'), description: cell('description'), refs: [id],
+        cvss: cell('cvss'), cvssScore: cell('cvssScore').replace(',', '.'), level: cell('level').toLowerCase()
+      });
+    }).filter(entry => entry.name);
+  }
+
+  async function importVulnCatalogFile(file) {
+    const extension = (file.name.split('.').pop() || '').toLowerCase();
+    const text = await readFileAs(file, true);
+    const entries = extension === 'csv'
+      ? readVulnCatalogCsv(parseCsv(text).filter(row => row.some(value => String(value).trim())))
+      : readVulnCatalogJson(JSON.parse(text));
+    if (entries.length === 0) {
+      alert('Le fichier ne contient aucune vulnérabilité.');
+      return;
+    }
+    let added = 0;
+    let updated = 0;
+    entries.forEach(entry => {
+      const index = vulnCatalog.findIndex(e => e.id === entry.id);
+      if (index >= 0) {
+        vulnCatalog[index] = entry;
+        updated += 1;
+      } else {
+        vulnCatalog.push(entry);
+        added += 1;
+      }
+    });
+    try {
+      await saveVulnCatalog(entries);
+    } catch (e) {
+      alert('Le catalogue n’a pas pu être conservé par le navigateur (' + e.message + '). Il reste disponible jusqu’à la fermeture de la page.');
+      return;
+    }
+    alert(`${added} vulnérabilité(s) ajoutée(s) au catalogue, ${updated} mise(s) à jour (${vulnCatalog.length} au total).`);
+  }
+
+  // Copy vulnerabilities chosen in the catalogue to `support`.  Names
+  // identify vulnerabilities within a support, so entries whose name is
+  // already used there are skipped.
+  async function addCatalogVulnerabilities(support) {
+    if (vulnCatalog.length === 0) {
+      alert('Le catalogue est vide : chargez d’abord un fichier JSON ou CSV (extrait NVD, CWE…).');
+      return;
+    }
+    const MAX_SHOWN = 200;
+    const selected = new Set();
+    const body = document.createElement('div');
+    const search = document.createElement('input');
+    search.type = 'search';
+    search.placeholder = 'Rechercher (identifiant, nom, description)';
+    search.style.width = '100%';
+    body.appendChild(search);
+    const list = document.createElement('div');
+    list.className = 'vuln-catalog-list';
+    body.appendChild(list);
+    function renderList() {
+      const terms = search.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+      const matches = vulnCatalog.filter(entry => {
+        const text = [entry.id, entry.name, entry.description].concat(entry.refs).join(' ').toLowerCase();
+        return terms.every(t => text.includes(t));
+      });
+      list.innerHTML = '';
+      matches.slice(0, MAX_SHOWN).forEach(entry => {
+        const label = document.createElement('label');
+        const check = document.createElement('input');
+        check.type = 'checkbox';
+        check.checked = selected.has(entry.id);
+        check.addEventListener('change', () => {
+          if (check.checked) selected.add(entry.id);
+          else selected.delete(entry.id);
+        });
+        label.appendChild(check);
+        const name = document.createElement('strong');
+        name.textContent = ` ${entry.name}`;
+        label.appendChild(name);
+        const details = [entry.refs.filter(r => r !== entry.name).join(', '),
+          typeof entry.cvssScore === 'number' ? `CVSS ${entry.cvssScore}` : '', entry.description].filter(Boolean).join(' – ');
+        if (details) label.appendChild(document.createTextNode(` ${details}`));
+        label.title = entry.description;
+        list.appendChild(label);
+      });
+      if (matches.length > MAX_SHOWN) {
+        const more = document.createElement('p');
+        more.textContent = `${matches.length - MAX_SHOWN} autre(s) résultat(s) : affinez la recherche.`;
+        list.appendChild(more);
+      }
+    }
+    search.addEventListener('input', renderList);
+    renderList();
+    const ok = await showDialog({
+      title: `Vulnérabilités du catalogue pour « ${support.name || 'bien support'} »`,
+      message: `${vulnCatalog.length} vulnérabilité(s) dans le catalogue.`,
+      body,
+      wide: true,
+      choices: [
+        { value: true, label: 'Ajouter', primary: true },
+        { value: null, label: 'Annuler' }
+      ]
+    });
+    if (!ok || selected.size === 0) return;
+    let skipped = 0;
+    vulnCatalog.filter(entry => selected.has(entry.id)).forEach(entry => {
+      if (support.vulnerabilities.some(v => v.name === entry.name)) {
+        skipped += 1;
+        return;
+      }
+      const vuln = { name: entry.name, description: entry.description, level: entry.level, refs: entry.refs.slice(), cvss: entry.cvss, catalogId: entry.id };
+      if (typeof entry.cvssScore === 'number') vuln.cvssScore = entry.cvssScore;
+      support.vulnerabilities.push(vuln);
+    });
+    saveAnalyses();
+    renderSupportsQualifTable();
+    renderSupportActions();
+    if (skipped > 0) alert(`${skipped} vulnérabilité(s) déjà présente(s) sur ce bien support ignorée(s).`);
+  }
+
+  // ----- Atelier 1: Vulnerability scanner import
+  // Findings of Nessus (.nessus), OpenVAS/GVM (XML), Trivy (JSON) and
+  // SARIF reports become vulnerabilities of the supports their host or
+  // asset is mapped to.  The mapping chosen for an asset is kept in
+  // `data.scannerMapping` and proposed again on the next import.
+  // Imported vulnerabilities keep the scanner in `source` and the hosts
+  // or assets that reported them in `assets`.  Once every one of those
+  // assets has been scanned again by the same scanner without reporting
+  // it, a vulnerability is closed (`closedAt`) rather than deleted, so
+  // that the actions and risks referring to it stay valid.  A finding
+  // is { asset, name, description, refs, cvss, cvssScore, level }.
+
+  // Level of a scanner severity word (Critical, High, Medium, Low…)
+  function scannerLevel(severity) {
+    const word = String(severity || '').toLowerCase();
+    if (word === 'critical') return 'critique';
+    if (word === 'high') return 'forte';
+    if (word === 'medium') return 'moderee';
+    if (word === 'low') return 'faible';
+    return 'info';
+  }
+
+  function readNessusReport(doc, assets) {
+    const findings = [];
+    Array.from(doc.getElementsByTagName('ReportHost')).forEach(host => {
+      const tags = {};
+      Array.from(host.getElementsByTagName('tag')).forEach(tag => {
+        tags[tag.getAttribute('name')] = tag.textContent.trim();
+      });
+      const asset = tags['host-fqdn'] || tags['netbios-name'] || host.getAttribute('name');
+      assets.push(asset);
+      Array.from(host.getElementsByTagName('ReportItem')).forEach(item => {
+        const all = tag => Array.from(item.getElementsByTagName(tag)).map(el => el.textContent.trim());
+        const text = tag => all(tag)[0] || '';
+        findings.push({
+          asset,
+          name: item.getAttribute('pluginName') || text('plugin_name'),
+          description: text('synopsis') || text('description'),
+          refs: all('cve').concat(all('xref').map(ref => ref.replace(/^CWE:/i, 'CWE-'))),
+          cvss: text('cvss4_vector') || text('cvss3_vector'),
+          cvssScore: text('cvss4_vector') ? text('cvss4_base_score') : text('cvss3_base_score'),
+          level: VULN_LEVELS[parseInt(item.getAttribute('severity'), 10)] || 'info'
+        });
+      });
+    });
+    return findings;
+  }
+
+  function readOpenvasReport(doc, assets) {
+    const child = (el, tag) => (el ? Array.from(el.children).find(c => c.tagName === tag) : null);
+    const text = el => (el ? el.textContent.trim() : '');
+    // Scanned hosts, listed by the report even without any result
+    Array.from(doc.getElementsByTagName('host')).filter(host => host.parentElement && host.parentElement.tagName === 'report').forEach(host => {
+      const detail = Array.from(host.getElementsByTagName('detail')).find(d => text(child(d, 'name')) === 'hostname');
+      assets.push(text(child(detail, 'value')) || text(child(host, 'ip')));
+    });
+    return Array.from(doc.getElementsByTagName('result')).filter(result => child(result, 'nvt')).map(result => {
+      const host = child(result, 'host');
+      const nvt = child(result, 'nvt');
+      const summary = /(?:^|\|)summary=([^|]*)/.exec(text(child(nvt, 'tags')));
+      const vectors = Array.from(nvt.getElementsByTagName('value')).map(text).filter(parseCvss);
+      const score = text(child(result, 'severity'));
+      return {
+        asset: text(child(host, 'hostname')) || (host && host.firstChild ? String(host.firstChild.nodeValue || '').trim() : ''),
+        name: text(child(nvt, 'name')) || text(child(result, 'name')),
+        description: summary ? summary[1].trim() : text(child(result, 'description')),
+        refs: Array.from(nvt.getElementsByTagName('ref'))
+          .filter(ref => /^(cve|cwe)$/i.test(ref.getAttribute('type') || ''))
+          .map(ref => ref.getAttribute('id')),
+        cvss: vectors[0] || '',
+        cvssScore: vectors[0] ? score : '',
+        level: score !== '' && isFinite(parseFloat(score)) ? cvssLevel(parseFloat(score)) : scannerLevel(text(child(result, 'threat')))
       };
-      td.appendChild(evInput);
-      tr.appendChild(td);
-      // Impact description (textarea)
-      td = document.createElement('td');
-      const impactDescInput = document.createElement('textarea');
-      impactDescInput.rows = 2;
-      impactDescInput.value = ev.impactDescription || '';
-      impactDescInput.style.width = '100%';
-      impactDescInput.oninput = (e) => {
-        ev.impactDescription = e.target.value;
-        saveAnalyses();
+    });
+  }
+
+  function readTrivyReport(json, assets) {
+    const findings = [];
+    (json.Results || []).forEach(result => {
+      assets.push(json.ArtifactName || result.Target);
+      (result.Vulnerabilities || []).forEach(v => {
+        const sources = v.CVSS || {};
+        const metric = [sources.nvd].concat(Object.values(sources)).find(m => m && (m.V40Vector || m.V3Vector)) || {};
+        const pkg = [v.PkgName, v.InstalledVersion].filter(Boolean).join(' ');
+        findings.push({
+          asset: json.ArtifactName || result.Target,
+          name: v.PkgName ? `${v.VulnerabilityID} (${v.PkgName})` : v.VulnerabilityID,
+          description: [v.Title || v.Description, pkg && (v.FixedVersion ? `${pkg}, corrigé en ${v.FixedVersion}` : pkg)].filter(Boolean).join(' – '),
+          refs: [v.VulnerabilityID].concat(v.CweIDs || []),
+          cvss: metric.V40Vector || metric.V3Vector || '',
+          cvssScore: metric.V40Vector ? metric.V40Score : metric.V3Score,
+          level: scannerLevel(v.Severity)
+        });
+      });
+    });
+    return findings;
+  }
+
+  // SARIF results are grouped per run: the asset is the analysed
+  // artifact (`automationDetails.id`) or the tool.  A numeric
+  // `security-severity` of the rule (GitHub convention) takes
+  // precedence over the result level, which defaults to warning.
+  function readSarifReport(json, assets) {
+    const findings = [];
+    json.runs.forEach(run => {
+      const driver = (run.tool && run.tool.driver) || {};
+      const rules = driver.rules || [];
+      const asset = (run.automationDetails && run.automationDetails.id) || driver.name || 'SARIF';
+      assets.push(asset);
+      (run.results || []).forEach(result => {
+        const rule = rules.find(r => r.id === result.ruleId) || rules[result.ruleIndex] || {};
+        const props = rule.properties || {};
+        const score = parseFloat(props['security-severity']);
+        findings.push({
+          asset,
+          name: result.ruleId || rule.id || '',
+          description: (rule.shortDescription && rule.shortDescription.text) || (result.message && result.message.text) || '',
+          refs: [result.ruleId].concat(props.tags || []),
+          cvss: '',
+          cvssScore: '',
+          level: isFinite(score) ? cvssLevel(score)
+            : ({ error: 'forte', warning: 'moderee', note: 'faible' })[result.level || 'warning'] || 'info'
+        });
+      });
+    });
+    return findings;
+  }
+
+  // { source, assets, findings } of a report, the format being
+  // recognised from its content.  `assets` lists every scanned host or
+  // artifact, including those without findings.  Findings are
+  // normalised like catalogue entries.
+  function readScannerReport(text) {
+    text = text.replace(/^\uFEFF/, '').trim();
+    let report = null;
+    const assets = [];
+    if (text.startsWith('<')) {
+      const doc = new DOMParser().parseFromString(text, 'application/xml');
+      if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('XML invalide');
+      if (doc.getElementsByTagName('NessusClientData_v2').length > 0) report = { source: 'Nessus', findings: readNessusReport(doc, assets) };
+      else if (doc.getElementsByTagName('report').length > 0) report = { source: 'OpenVAS', findings: readOpenvasReport(doc, assets) };
+    } else {
+      const json = JSON.parse(text);
+      if (json && Array.isArray(json.runs)) {
+        const driver = json.runs[0] && json.runs[0].tool ? json.runs[0].tool.driver : null;
+        report = { source: (driver && driver.name) || 'SARIF', findings: readSarifReport(json, assets) };
+      } else if (json && Array.isArray(json.Results)) {
+        report = { source: 'Trivy', findings: readTrivyReport(json, assets) };
+      }
+    }
+    if (!report) throw new Error('format de rapport non reconnu (Nessus, OpenVAS, Trivy ou SARIF attendu)');
+    report.findings = report.findings.filter(f => f.asset && f.name).map(f => {
+      const finding = {
+        asset: String(f.asset).trim(),
+        name: String(f.name).trim(),
+        description: f.description || '',
+        refs: parseVulnRefs((f.refs || []).filter(Boolean).join(' ')),
+        cvss: parseCvss(f.cvss) ? f.cvss.trim() : '',
+        level: f.level
       };
-      td.appendChild(impactDescInput);
+      const score = parseFloat(f.cvssScore);
+      if (finding.cvss && isFinite(score) && score >= 0 && score <= 10) finding.cvssScore = Math.round(score * 10) / 10;
+      applyCvss(finding);
+      return finding;
+    });
+    report.assets = Array.from(new Set(assets.concat(report.findings.map(f => f.asset))
+      .map(asset => String(asset || '').trim()).filter(Boolean)));
+    return report;
+  }
+
+  // Ask which support each asset of the report stands for.  Resolves
+  // with { mapping, skipInfo } or null when cancelled; a mapping value
+  // is a support id, '' to ignore the asset or NEW_SUPPORT to create a
+  // support named after it.
+  const NEW_SUPPORT = '+new';
+
+  async function mapScannerAssets(data, source, assets) {
+    const remembered = data.scannerMapping || {};
+    const byName = name => data.supports.find(s => (s.name || '').trim().toLowerCase() === name.toLowerCase());
+    const body = document.createElement('div');
+    const table = document.createElement('table');
+    table.className = 'nested-table';
+    table.innerHTML = '<tr><th>Hôte ou actif</th><th>Constats</th><th>Bien support</th></tr>';
+    const selects = new Map();
+    assets.forEach((count, asset) => {
+      const tr = document.createElement('tr');
+      const name = document.createElement('td');
+      name.textContent = asset;
+      tr.appendChild(name);
+      const total = document.createElement('td');
+      total.textContent = count;
+      tr.appendChild(total);
+      const td = document.createElement('td');
+      const select = document.createElement('select');
+      [['', '— Ignorer —'], [NEW_SUPPORT, '+ Créer ce bien support']]
+        .concat(data.supports.map(s => [s.id, s.name || '(sans nom)']))
+        .forEach(([value, label]) => {
+          const opt = document.createElement('option');
+          opt.value = value;
+          opt.textContent = label;
+          select.appendChild(opt);
+        });
+      // A remembered choice wins over a support of the same name, or of
+      // the same short host name
+      const known = Object.prototype.hasOwnProperty.call(remembered, asset)
+        && (remembered[asset] === '' || data.supports.some(s => s.id === remembered[asset]));
+      const match = byName(asset) || byName(asset.split('.')[0]);
+      select.value = known ? remembered[asset] : (match ? match.id : '');
+      selects.set(asset, select);
+      td.appendChild(select);
       tr.appendChild(td);
-      // Impact select (1-4)
-      td = document.createElement('td');
-      const impactSelect = document.createElement('select');
-      [1,2,3,4].forEach(num => {
-        const opt = document.createElement('option');
-        opt.value = num;
-        opt.textContent = num;
-        if (ev.impact === num) opt.selected = true;
-        impactSelect.appendChild(opt);
-      });
-      // Color code the cell based on impact
-      function updateImpactStyle() {
-        // Determine the background colour based on the selected
-        // impact level.  When the level is outside 1–4, fall back
-        // to the interface's secondary dark colour.  Because CSS
-        // variables are not directly usable in JS, retrieve the
-        // computed value from the document root.
-        const lvl = parseInt(impactSelect.value, 10);
-        let color;
-        switch (lvl) {
-          case 1: color = '#2a9d8f'; break; // vert
-          case 2: color = '#e9c46a'; break; // jaune
-          case 3: color = '#f4a261'; break; // orange
-          case 4: color = '#e63946'; break; // rouge
-          default:
-            // fallback to the theme's light background colour
-            color = getComputedStyle(document.documentElement).getPropertyValue('--bg-light').trim() || '#12203a';
+      table.appendChild(tr);
+    });
+    body.appendChild(table);
+    const skipLabel = document.createElement('label');
+    const skipInfo = document.createElement('input');
+    skipInfo.type = 'checkbox';
+    skipInfo.checked = true;
+    skipLabel.appendChild(skipInfo);
+    skipLabel.appendChild(document.createTextNode(' Ignorer les constats de niveau info'));
+    body.appendChild(skipLabel);
+    const ok = await showDialog({
+      title: `Import ${source} : correspondance des actifs`,
+      message: 'Choisissez le bien support correspondant à chaque hôte ou actif du rapport. Ce choix est conservé pour les imports suivants.',
+      body,
+      wide: true,
+      choices: [
+        { value: true, label: 'Continuer', primary: true },
+        { value: null, label: 'Annuler' }
+      ]
+    });
+    if (!ok) return null;
+    const mapping = {};
+    selects.forEach((select, asset) => { mapping[asset] = select.value; });
+    return { mapping, skipInfo: skipInfo.checked };
+  }
+
+  // Changes per support: vulnerabilities added, updated (or reopened)
+  // and closed, plus `reassigned`, the vulnerabilities whose list of
+  // reporting assets changes.  Findings of several assets or ports with
+  // the same name are merged, keeping the highest level.  Every existing
+  // support mapped to an asset of the report gets a plan, even without
+  // findings, so that a remediated host has its findings closed.
+  function planScannerImport(data, report, mapping, skipInfo) {
+    const groups = new Map();
+    const groupOf = (asset) => {
+      const target = mapping[asset];
+      const key = target === NEW_SUPPORT ? NEW_SUPPORT + asset : target;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          support: target === NEW_SUPPORT ? null : data.supports.find(s => s.id === target),
+          asset,
+          assets: new Set(),
+          findings: new Map()
+        });
+      }
+      const group = groups.get(key);
+      group.assets.add(asset);
+      return group;
+    };
+    report.assets.forEach(asset => {
+      if (mapping[asset] && mapping[asset] !== NEW_SUPPORT) groupOf(asset);
+    });
+    report.findings.forEach(finding => {
+      if (skipInfo && finding.level === 'info') return;
+      if (!mapping[finding.asset]) return;
+      const found = groupOf(finding.asset).findings;
+      const previous = found.get(finding.name);
+      if (!previous) {
+        found.set(finding.name, Object.assign({}, finding, { assets: [finding.asset] }));
+        return;
+      }
+      finding.refs.forEach(ref => { if (!previous.refs.includes(ref)) previous.refs.push(ref); });
+      if (!previous.assets.includes(finding.asset)) previous.assets.push(finding.asset);
+      if (VULN_LEVELS.indexOf(finding.level) > VULN_LEVELS.indexOf(previous.level)) {
+        found.set(finding.name, Object.assign({}, finding, { refs: previous.refs, assets: previous.assets }));
+      }
+    });
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    return Array.from(groups.values()).map(group => {
+      const existing = group.support ? group.support.vulnerabilities : [];
+      const plan = { support: group.support, asset: group.asset, added: [], updated: [], closed: [], reassigned: [], unchanged: 0 };
+      // Assets that reported `vuln` and are not part of this scan
+      const unscanned = vuln => (vuln.assets || []).filter(asset => !group.assets.has(asset));
+      group.findings.forEach(finding => {
+        const vuln = existing.find(v => v.name === finding.name);
+        if (!vuln) {
+          plan.added.push(finding);
+          return;
         }
-        impactSelect.style.backgroundColor = color;
+        if (vuln.closedAt || vuln.source !== report.source || !same(
+          [vuln.description, vuln.level, vuln.refs || [], vuln.cvss || '', vuln.cvssScore],
+          [finding.description, finding.level, finding.refs, finding.cvss, finding.cvssScore])) plan.updated.push({ vuln, finding });
+        else plan.unchanged += 1;
+        const assets = vuln.closedAt || vuln.source !== report.source ? finding.assets
+          : unscanned(vuln).concat(finding.assets.filter(asset => !unscanned(vuln).includes(asset)));
+        if (!same(assets, vuln.assets || [])) plan.reassigned.push({ vuln, assets });
+      });
+      existing.forEach(vuln => {
+        if (vuln.source !== report.source || vuln.closedAt || group.findings.has(vuln.name)) return;
+        if (skipInfo && vuln.level === 'info') return;
+        const assets = unscanned(vuln);
+        if (assets.length === (vuln.assets || []).length) return;
+        if (assets.length === 0) plan.closed.push(vuln);
+        else plan.reassigned.push({ vuln, assets });
+      });
+      return plan;
+    });
+  }
+
+  async function importScannerFile(file) {
+    const report = readScannerReport(await readFileAs(file, true));
+    if (report.assets.length === 0) {
+      alert('Le rapport ne contient aucun hôte ni constat.');
+      return;
+    }
+    const analysis = analyses[currentIndex];
+    const data = analysis.data;
+    if (!Array.isArray(data.supports)) data.supports = [];
+    const assets = new Map(report.assets.map(asset => [asset, 0]));
+    report.findings.forEach(f => assets.set(f.asset, assets.get(f.asset) + 1));
+    const choice = await mapScannerAssets(data, report.source, assets);
+    if (!choice) return;
+    const plans = planScannerImport(data, report, choice.mapping, choice.skipInfo);
+    const lines = [];
+    plans.forEach(plan => {
+      lines.push(`${plan.support ? plan.support.name : plan.asset + ' (nouveau bien support)'} : ${plan.added.length} ajoutée(s), ` +
+        `${plan.updated.length} mise(s) à jour, ${plan.closed.length} clôturée(s), ${plan.unchanged} inchangée(s)`);
+      plan.added.forEach(f => lines.push(`  + ${f.name} (${f.level})`));
+      plan.updated.forEach(({ vuln, finding }) => lines.push(`  ~ ${finding.name} (${vuln.closedAt ? 'rouverte, ' : ''}${vuln.level} → ${finding.level})`));
+      plan.closed.forEach(v => lines.push(`  × ${v.name}`));
+    });
+    if (lines.length === 0) lines.push('Aucun actif associé à un bien support : rien à importer.');
+    const ok = await showDialog({
+      title: `Import ${report.source} : aperçu`,
+      message: `${report.findings.length} constat(s) dans « ${file.name} ».`,
+      lines,
+      wide: true,
+      choices: [
+        { value: true, label: 'Importer', primary: true },
+        { value: null, label: 'Annuler' }
+      ]
+    });
+    if (!ok) return;
+    const now = new Date().toISOString();
+    if (!data.scannerMapping) data.scannerMapping = {};
+    Object.keys(choice.mapping).forEach(asset => {
+      if (choice.mapping[asset] !== NEW_SUPPORT) data.scannerMapping[asset] = choice.mapping[asset];
+    });
+    plans.forEach(plan => {
+      let support = plan.support;
+      if (!support) {
+        support = { id: uid(), name: plan.asset, description: '', responsable: '', vulnerabilities: [] };
+        data.supports.push(support);
+        data.scannerMapping[plan.asset] = support.id;
       }
-      impactSelect.onchange = (e) => {
-        ev.impact = parseInt(e.target.value, 10);
-        saveAnalyses();
-        updateImpactStyle();
-        updateAtelier1Graph();
-      };
-      // initial style
-      updateImpactStyle();
-      td.appendChild(impactSelect);
-      tr.appendChild(td);
-      // Actions: delete event
-      td = document.createElement('td');
-      const delBtn = document.createElement('button');
-      delBtn.className = 'delete-item';
-      delBtn.textContent = '×';
-      delBtn.title = 'Supprimer cet évènement';
-      delBtn.addEventListener('click', () => {
-        if (!confirm('Supprimer cet évènement ?')) return;
-        analysis.data.events.splice(idx, 1);
-        saveAnalyses();
-        renderEventsTable();
-        updateAtelier1Graph();
-      });
-      td.appendChild(delBtn);
-      tr.appendChild(td);
-      tbody.appendChild(tr);
+      plan.added.forEach(finding => {
+        const vuln = { name: finding.name, description: finding.description, level: finding.level, refs: finding.refs, cvss: finding.cvss, source: report.source, assets: finding.assets };
+        if (typeof finding.cvssScore === 'number') vuln.cvssScore = finding.cvssScore;
+        support.vulnerabilities.push(vuln);
+      });
+      plan.updated.forEach(({ vuln, finding }) => {
+        Object.assign(vuln, { description: finding.description, level: finding.level, refs: finding.refs, cvss: finding.cvss, source: report.source });
+        if (typeof finding.cvssScore === 'number') vuln.cvssScore = finding.cvssScore;
+        else delete vuln.cvssScore;
+        delete vuln.closedAt;
+      });
+      plan.reassigned.forEach(({ vuln, assets }) => { vuln.assets = assets; });
+      plan.closed.forEach(vuln => { vuln.closedAt = now; });
     });
+    saveAnalyses();
+    renderSupportsQualifTable();
+    renderSupportActions();
+    renderMissionsTable();
+    updateAtelier1Graph();
   }
 
   // ----- Atelier 1: GAP analysis table rendering
@@ -916,8 +4036,26 @@
     if (!analysis) return;
     if (!analysis.data) analysis.data = {};
     if (!analysis.data.gap) analysis.data.gap = [];
+    // Requirements applied from an older version of a catalogue referential
+    const diffs = referentialDiffs(analysis.data.gap);
+    renderReferentialUpdates(diffs);
+    const changedFields = new Map();
+    const removed = new Set();
+    diffs.forEach(diff => {
+      diff.changed.forEach(c => { if (c.fields.length) changedFields.set(c.req, c.fields); });
+      diff.removed.forEach(req => removed.add(req));
+    });
+    renderGapFilter();
+    // Entities a requirement can be linked to
+    const linkOptions = {
+      supportIds: analysis.data.supports.filter(s => s.name).map(s => ({ value: s.id, label: s.name })),
+      ppIds: analysis.data.ppc.map(p => ({ value: p.id, label: p.nom || 'PP' })),
+      riskNames: Array.from(new Set(analysis.data.so.reduce((names, s) => names.concat((s.risks || []).map(r => r.name)), []).filter(Boolean)))
+        .map(name => ({ value: name, label: name }))
+    };
+    const linkLabels = { supportIds: 'Biens supports', ppIds: 'Parties prenantes', riskNames: 'Risques' };
     analysis.data.gap.forEach((req, idx) => {
-      if (!req.id) req.id = uid();
+      if (!gapRowVisible(req)) return;
       const tr = document.createElement('tr');
       // Domaine
       let td = document.createElement('td');
@@ -940,6 +4078,21 @@
         saveAnalyses();
       };
       td.appendChild(titreInput);
+      if (req.ref) {
+        const referential = REFERENTIALS.find(r => r.id === req.referentiel);
+        const tag = document.createElement('span');
+        tag.className = 'gap-ref';
+        tag.textContent = req.ref;
+        tag.title = `${referential ? referential.name : req.referentiel || 'Référentiel'} (version ${req.referentielVersion || '?'})`;
+        td.appendChild(tag);
+        if (changedFields.has(req) || removed.has(req)) {
+          const diffTag = document.createElement('span');
+          diffTag.className = 'gap-ref gap-ref-diff';
+          diffTag.textContent = removed.has(req) ? 'retirée du catalogue' : 'modifiée dans le catalogue';
+          if (changedFields.has(req)) diffTag.title = changedFields.get(req).map(f => `${f.field} : « ${f.theirs} »`).join('\n');
+          td.appendChild(diffTag);
+        }
+      }
       tr.appendChild(td);
       // Description
       td = document.createElement('td');
@@ -987,6 +4140,57 @@
         saveAnalyses();
       };
       td.appendChild(justInput);
+      td.appendChild(evidenceCell(req, renderGapTable));
+      tr.appendChild(td);
+      // Links to supports, stakeholders and operational risks
+      td = document.createElement('td');
+      Object.keys(linkLabels).forEach(key => {
+        const cell = document.createElement('div');
+        cell.className = 'assoc-cell gap-links';
+        const title = document.createElement('span');
+        title.className = 'gap-links-label';
+        title.textContent = linkLabels[key] + ' :';
+        cell.appendChild(title);
+        req[key].forEach(value => {
+          const opt = linkOptions[key].find(o => o.value === value);
+          const tag = document.createElement('span');
+          tag.className = 'assoc-item';
+          tag.textContent = opt ? opt.label : value;
+          const rmBtn = document.createElement('button');
+          rmBtn.textContent = '×';
+          rmBtn.title = 'Retirer ce lien';
+          rmBtn.addEventListener('click', () => {
+            const pos = req[key].indexOf(value);
+            if (pos >= 0) req[key].splice(pos, 1);
+            saveAnalyses();
+            renderGapTable();
+          });
+          tag.appendChild(rmBtn);
+          cell.appendChild(tag);
+        });
+        const addBtn = document.createElement('button');
+        addBtn.className = 'add-assoc-btn';
+        addBtn.textContent = '+';
+        addBtn.title = 'Lier : ' + linkLabels[key].toLowerCase();
+        addBtn.addEventListener('click', () => {
+          const available = linkOptions[key].filter(opt => !req[key].includes(opt.value));
+          if (available.length === 0) {
+            alert('Aucun élément disponible à lier.');
+            return;
+          }
+          const msg = `Sélectionnez : ${linkLabels[key].toLowerCase()}\n` + available.map((opt, i) => `${i + 1}. ${opt.label}`).join('\n');
+          const choice = prompt(msg);
+          if (choice === null) return;
+          const idxChoice = parseInt(choice, 10) - 1;
+          if (!isNaN(idxChoice) && idxChoice >= 0 && idxChoice < available.length) {
+            req[key].push(available[idxChoice].value);
+            saveAnalyses();
+            renderGapTable();
+          }
+        });
+        cell.appendChild(addBtn);
+        td.appendChild(cell);
+      });
       tr.appendChild(td);
       // Actions: delete requirement
       td = document.createElement('td');
@@ -995,8 +4199,10 @@
       delBtn.textContent = '×';
       delBtn.title = 'Supprimer cette exigence';
       delBtn.addEventListener('click', () => {
-        if (!confirm('Supprimer cette exigence ?')) return;
-        analysis.data.gap.splice(idx, 1);
+        const removed = confirmDeletion(analysis.data, [['requirement', req.id]], 'Supprimer cette exigence ?', () => {
+          analysis.data.gap.splice(idx, 1);
+        });
+        if (!removed) return;
         saveAnalyses();
         renderGapTable();
         updateGapChart();
@@ -1009,6 +4215,31 @@
     addGapTableResizers();
   }
 
+  // Reminder of the filter set from the GAP charts, with a button to
+  // clear it.
+  function renderGapFilter() {
+    const container = document.getElementById('gap-filter');
+    if (!container) return;
+    container.innerHTML = '';
+    const parts = [];
+    if (gapFilter.domaine !== null) parts.push(`domaine « ${gapFilter.domaine || '(sans domaine)'} »`);
+    if (gapFilter.status !== null) parts.push(`application « ${GAP_STATUS_CATEGORIES.find(c => c.key === gapFilter.status).label} »`);
+    container.style.display = parts.length ? '' : 'none';
+    if (!parts.length) return;
+    const text = document.createElement('span');
+    text.textContent = 'Filtre : ' + parts.join(', ');
+    const clear = document.createElement('button');
+    clear.className = 'add-assoc-btn';
+    clear.textContent = 'Afficher tout';
+    clear.addEventListener('click', () => {
+      gapFilter = { domaine: null, status: null };
+      renderGapTable();
+      updateGapChart();
+    });
+    container.appendChild(text);
+    container.appendChild(clear);
+  }
+
   // Add resizer handles to the header of the GAP analysis table.  Users
   // can drag these handles to adjust the width of each column.  This
   // helper mirrors the behaviour of addMissionTableResizers() but
@@ -1192,25 +4423,345 @@
   // Store the scenario currently being edited when the risk modal is opened.
   let riskModalTarget = null;
 
-  // Store the current MITRE ATT&CK library loaded from a CSV.  Each
-  // element has the shape { id: 'Txxxx', title: 'Technique name',
-  // description: '...', mitigations: [{ id, mitigation, description }] }.
+  // ----- MITRE ATT&CK library
+  // ATT&CK matrices imported from the official STIX 2.1 bundles
+  // (Enterprise, ICS, Mobile) live in the `attack` object store, one
+  // record per domain, so that several matrices sit side by side and a
+  // new release of a domain replaces the previous one:
+  // { domain, name, version, modified, importedAt,
+  //   tactics: [{ id, shortname, name }], techniques: [...] }.
+  // `mitreLibrary` flattens the techniques of every matrix for the
+  // pickers.  Each has the shape { id: 'T1566.001', title, description,
+  // domain, tactics: [shortname], platforms, dataSources, parent (id of
+  // the technique of a sub-technique), url,
+  // mitigations: [{ id, mitigation, description }] }.
+  let attackMatrices = [];
   let mitreLibrary = [];
 
-  // On initialization, load any persisted MITRE library from localStorage.
-  (function(){
-    const stored = localStorage.getItem('ebiosMitreLibrary');
-    if (stored) {
-      try {
-        const arr = JSON.parse(stored);
-        if (Array.isArray(arr)) {
-          mitreLibrary = arr;
-        }
-      } catch (e) {
-        console.warn('Failed to parse stored MITRE library:', e);
+  const ATTACK_DOMAINS = {
+    'mitre-attack': ['enterprise-attack', 'ATT&CK Enterprise'],
+    'mitre-mobile-attack': ['mobile-attack', 'ATT&CK Mobile'],
+    'mitre-ics-attack': ['ics-attack', 'ATT&CK ICS']
+  };
+
+  function refreshMitreLibrary() {
+    mitreLibrary = attackMatrices.reduce((list, matrix) =>
+      list.concat(matrix.techniques.map(t => Object.assign({ domain: matrix.domain }, t))), []);
+  }
+
+  function attackTransaction(mode, run) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(ATTACK_STORE, mode);
+      const result = run(tx.objectStore(ATTACK_STORE));
+      tx.oncomplete = () => resolve(result && 'result' in result ? result.result : undefined);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Without IndexedDB the matrices go to localStorage, whose quota may
+  // not hold the Enterprise matrix: the write then throws.
+  async function writeAttackMatrices(matrices, changed, removedDomain) {
+    if (db) {
+      await attackTransaction('readwrite', store => {
+        if (changed) store.put(changed);
+        if (removedDomain) store.delete(removedDomain);
+      });
+    } else {
+      localStorage.setItem('ebiosAttackMatrices', JSON.stringify(matrices));
+    }
+    attackMatrices = matrices.sort((a, b) => a.name.localeCompare(b.name));
+    refreshMitreLibrary();
+  }
+
+  function storeAttackMatrix(matrix) {
+    return writeAttackMatrices(attackMatrices.filter(m => m.domain !== matrix.domain).concat(matrix), matrix, null);
+  }
+
+  function removeAttackMatrix(domain) {
+    return writeAttackMatrices(attackMatrices.filter(m => m.domain !== domain), null, domain);
+  }
+
+  // Techniques parsed from the CSV layout read by parseMitreCsv
+  function csvAttackMatrix(techniques) {
+    return {
+      domain: 'csv', name: 'Bibliothèque CSV', version: '', modified: '', importedAt: new Date().toISOString(), tactics: [],
+      techniques: techniques.map(t => Object.assign({ tactics: [], platforms: [], dataSources: [], parent: '', url: '' }, t))
+    };
+  }
+
+  async function loadAttackMatrices() {
+    try {
+      attackMatrices = db ? (await attackTransaction('readonly', store => store.getAll())) || []
+        : JSON.parse(localStorage.getItem('ebiosAttackMatrices') || '[]');
+    } catch (e) {
+      console.warn('Failed to read the ATT&CK matrices:', e);
+      attackMatrices = [];
+    }
+    refreshMitreLibrary();
+    // The CSV library of earlier versions becomes a matrix of its own
+    const legacy = localStorage.getItem('ebiosMitreLibrary');
+    if (!legacy) return;
+    try {
+      const techniques = JSON.parse(legacy);
+      if (Array.isArray(techniques) && techniques.length > 0 && !attackMatrices.some(m => m.domain === 'csv')) {
+        await storeAttackMatrix(csvAttackMatrix(techniques));
+      }
+      localStorage.removeItem('ebiosMitreLibrary');
+    } catch (e) {
+      console.warn('Failed to convert the stored MITRE library:', e);
+    }
+  }
+
+  function attackReference(obj) {
+    return (obj.external_references || []).find(r => /^mitre-(mobile-|ics-)?attack$/.test(r.source_name) && r.external_id) || null;
+  }
+
+  function attackExternalId(obj) {
+    const ref = attackReference(obj);
+    return ref ? ref.external_id : '';
+  }
+
+  const cleanAttackText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+  // Matrix record read from a STIX 2.1 bundle of the ATT&CK project.
+  // Revoked and deprecated objects are left out.
+  function readAttackBundle(text) {
+    let bundle;
+    try {
+      bundle = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (e) {
+      throw new Error('fichier JSON invalide');
+    }
+    if (!bundle || bundle.type !== 'bundle' || !Array.isArray(bundle.objects)) {
+      throw new Error('bundle STIX 2.1 attendu (objet « bundle » contenant « objects »)');
+    }
+    const live = bundle.objects.filter(o => o && typeof o === 'object' && !o.revoked && !o.x_mitre_deprecated);
+    const byId = new Map(live.map(o => [o.id, o]));
+    const patterns = live.filter(o => o.type === 'attack-pattern' && attackExternalId(o));
+    if (patterns.length === 0) throw new Error('aucune technique ATT&CK dans ce bundle');
+    const chain = ((patterns[0].kill_chain_phases || [])[0] || {}).kill_chain_name || 'mitre-attack';
+    const [domain, defaultName] = ATTACK_DOMAINS[chain] || [chain, chain];
+    const collection = live.find(o => o.type === 'x-mitre-collection');
+    const matrix = live.find(o => o.type === 'x-mitre-matrix');
+    // Tactics in the order of the matrix columns
+    const tacticIds = matrix && Array.isArray(matrix.tactic_refs) ? matrix.tactic_refs
+      : live.filter(o => o.type === 'x-mitre-tactic').map(o => o.id);
+    const tactics = tacticIds.map(id => byId.get(id)).filter(Boolean)
+      .map(o => ({ id: attackExternalId(o), shortname: o.x_mitre_shortname || '', name: o.name || '' }));
+    const mitigationsOf = new Map();
+    const dataSourcesOf = new Map();
+    const parentOf = new Map();
+    const add = (map, key, value) => {
+      if (!map.has(key)) map.set(key, []);
+      if (!map.get(key).includes(value)) map.get(key).push(value);
+    };
+    live.filter(o => o.type === 'relationship').forEach(rel => {
+      const source = byId.get(rel.source_ref);
+      const target = byId.get(rel.target_ref);
+      if (!source || !target) return;
+      if (rel.relationship_type === 'mitigates' && source.type === 'course-of-action' && /^M\d+/.test(attackExternalId(source))) {
+        add(mitigationsOf, target.id, source);
+      } else if (rel.relationship_type === 'detects' && source.type === 'x-mitre-data-component') {
+        const dataSource = byId.get(source.x_mitre_data_source_ref);
+        add(dataSourcesOf, target.id, dataSource ? `${dataSource.name}: ${source.name}` : source.name);
+      } else if (rel.relationship_type === 'subtechnique-of') {
+        parentOf.set(source.id, target);
+      }
+    });
+    const techniques = patterns.map(o => {
+      const id = attackExternalId(o);
+      const parent = parentOf.get(o.id) || (id.includes('.') ? patterns.find(p => attackExternalId(p) === id.split('.')[0]) : null);
+      const ref = attackReference(o);
+      return {
+        id,
+        title: parent ? `${parent.name}: ${o.name}` : o.name || id,
+        description: cleanAttackText(o.description),
+        tactics: (o.kill_chain_phases || []).filter(p => p.kill_chain_name === chain).map(p => p.phase_name),
+        platforms: Array.isArray(o.x_mitre_platforms) ? o.x_mitre_platforms : [],
+        // Bundles older than ATT&CK v10 list the data sources on the technique
+        dataSources: dataSourcesOf.get(o.id) || (Array.isArray(o.x_mitre_data_sources) ? o.x_mitre_data_sources : []),
+        parent: parent ? attackExternalId(parent) : '',
+        url: ref.url || '',
+        mitigations: (mitigationsOf.get(o.id) || []).map(m => ({ id: attackExternalId(m), mitigation: m.name || '', description: cleanAttackText(m.description) }))
+      };
+    }).sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+    return {
+      domain,
+      name: (collection && collection.name) || (matrix && matrix.name) || defaultName,
+      version: (collection && collection.x_mitre_version) || '',
+      modified: ((collection || matrix || {}).modified || '').slice(0, 10),
+      importedAt: new Date().toISOString(),
+      tactics,
+      techniques
+    };
+  }
+
+  function describeAttackMatrix(matrix) {
+    const subs = matrix.techniques.filter(t => t.parent).length;
+    const mitigations = new Set();
+    const dataSources = new Set();
+    matrix.techniques.forEach(t => {
+      t.mitigations.forEach(m => mitigations.add(m.id));
+      t.dataSources.forEach(d => dataSources.add(d.split(':')[0]));
+    });
+    const version = matrix.version ? ` v${matrix.version}` : (matrix.modified ? ` du ${matrix.modified}` : '');
+    return `${matrix.name}${version} : ${matrix.tactics.length} tactique(s), ${matrix.techniques.length - subs} technique(s), ` +
+      `${subs} sous-technique(s), ${mitigations.size} mesure(s), ${dataSources.size} source(s) de données`;
+  }
+
+  async function importAttackFile(file) {
+    const matrix = readAttackBundle(await readFileAs(file, true));
+    const previous = attackMatrices.find(m => m.domain === matrix.domain);
+    if (previous && !confirm(`Remplacer ${previous.name}${previous.version ? ' v' + previous.version : ''} par ${matrix.name}${matrix.version ? ' v' + matrix.version : ''} ?`)) return;
+    try {
+      await storeAttackMatrix(matrix);
+    } catch (e) {
+      throw new Error('enregistrement impossible (' + e.message + ')');
+    }
+    await showDialog({
+      title: 'Import ATT&CK',
+      lines: [describeAttackMatrix(matrix)],
+      choices: [{ value: null, label: 'Fermer', primary: true }]
+    });
+  }
+
+  // Dialog listing the loaded matrices, with import and removal
+  async function manageAttackMatrices() {
+    const body = document.createElement('ul');
+    body.className = 'attack-matrix-list';
+    const renderList = () => {
+      body.innerHTML = '';
+      if (attackMatrices.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = 'Aucune matrice chargée.';
+        body.appendChild(li);
       }
+      attackMatrices.forEach(matrix => {
+        const li = document.createElement('li');
+        li.textContent = describeAttackMatrix(matrix) + ' ';
+        const rm = document.createElement('button');
+        rm.className = 'remove-assoc';
+        rm.textContent = '×';
+        rm.title = 'Retirer cette matrice';
+        rm.addEventListener('click', async () => {
+          if (!confirm(`Retirer ${matrix.name} de la bibliothèque ?`)) return;
+          await removeAttackMatrix(matrix.domain);
+          renderList();
+        });
+        li.appendChild(rm);
+        body.appendChild(li);
+      });
+    };
+    renderList();
+    const choice = await showDialog({
+      title: 'Matrices MITRE ATT&CK',
+      message: 'Importez les bundles STIX 2.1 publiés par MITRE (enterprise-attack.json, ics-attack.json, mobile-attack.json). Chaque domaine remplace sa version précédente.',
+      body,
+      choices: [
+        { value: 'import', label: 'Importer un bundle STIX…', primary: true },
+        { value: null, label: 'Fermer' }
+      ]
+    });
+    if (choice !== 'import') return;
+    const input = document.getElementById('attack-stix-file');
+    if (!input) return;
+    input.value = '';
+    input.click();
+  }
+
+  const ATTACK_ID_PATTERN = /^(T\d{4}(?:\.\d{3})?)\b/;
+
+  // Techniques used by the analysis: risks added from the picker are
+  // named after their technique ("T1566.001 Phishing: …") and kill chain
+  // steps may name one.  Maps each id to { risks, steps, scenarios }.
+  function attackTechniqueUsage(data) {
+    const usage = new Map();
+    const use = (text, kind, scenario) => {
+      const match = ATTACK_ID_PATTERN.exec((text || '').trim().toUpperCase());
+      if (!match) return;
+      if (!usage.has(match[1])) usage.set(match[1], { risks: 0, steps: 0, scenarios: [] });
+      const entry = usage.get(match[1]);
+      entry[kind]++;
+      const label = attackPathTitle(data, scenario);
+      if (!entry.scenarios.includes(label)) entry.scenarios.push(label);
+    };
+    (data.so || []).forEach(s => {
+      (s.risks || []).forEach(r => use(r.name, 'risks', s));
+      KILL_CHAIN_STAGES.forEach(([key]) => (s[key] || []).forEach(step => use(step.technique, 'steps', s)));
+    });
+    return usage;
+  }
+
+  // ATT&CK Navigator layer (format 4.5) of the techniques of `domain`
+  // used by the analysis, scored by their number of uses.  Parents of
+  // the used sub-techniques are listed unscored so that Navigator
+  // unfolds them.
+  function attackNavigatorLayer(title, domain, entries) {
+    const matrix = attackMatrices.find(m => m.domain === domain);
+    const techniques = entries.map(([id, use]) => ({
+      techniqueID: id,
+      score: use.risks + use.steps,
+      comment: `${use.risks} risque(s), ${use.steps} étape(s) – ${use.scenarios.join(' ; ')}`,
+      enabled: true,
+      showSubtechniques: false
+    }));
+    techniques.filter(t => t.techniqueID.includes('.')).forEach(t => {
+      const parentId = t.techniqueID.split('.')[0];
+      const parent = techniques.find(p => p.techniqueID === parentId);
+      if (parent) parent.showSubtechniques = true;
+      else techniques.push({ techniqueID: parentId, enabled: true, showSubtechniques: true });
+    });
+    const maxScore = Math.max(1, ...techniques.map(t => t.score || 0));
+    const versions = { navigator: '4.9.1', layer: '4.5' };
+    if (matrix && matrix.version) versions.attack = matrix.version.split('.')[0];
+    return {
+      name: title,
+      versions,
+      domain,
+      description: `Techniques ATT&CK retenues dans l’analyse EBIOS RM « ${title} » (risques et étapes des scénarios opérationnels).`,
+      sorting: 3,
+      hideDisabled: false,
+      techniques,
+      gradient: { colors: ['#ffe766ff', '#ff6666ff'], minValue: 1, maxValue: maxScore },
+      legendItems: [
+        { label: 'Utilisée une fois', color: '#ffe766' },
+        { label: `Utilisée ${maxScore} fois`, color: '#ff6666' }
+      ],
+      metadata: [
+        { name: 'Analyse', value: title },
+        { name: 'Exportée le', value: new Date().toISOString().slice(0, 10) }
+      ],
+      showTacticRowBackground: false,
+      selectTechniquesAcrossTactics: true,
+      selectSubtechniquesWithParent: false
+    };
+  }
+
+  // One layer per ATT&CK domain, techniques missing from the library
+  // being taken as Enterprise ones
+  function exportNavigatorLayers() {
+    if (currentIndex < 0) return;
+    const analysis = analyses[currentIndex];
+    const usage = attackTechniqueUsage(analysis.data);
+    if (usage.size === 0) {
+      alert('Aucune technique ATT&CK dans cette analyse : nommez les risques ou les étapes des scénarios opérationnels d’après leur technique (T1566…).');
+      return;
     }
-  })();
+    const byDomain = new Map();
+    usage.forEach((use, id) => {
+      const technique = mitreLibrary.find(t => t.id === id && t.domain !== 'csv');
+      const domain = technique ? technique.domain : 'enterprise-attack';
+      if (!byDomain.has(domain)) byDomain.set(domain, []);
+      byDomain.get(domain).push([id, use]);
+    });
+    const title = analysis.title || 'Analyse';
+    const safeTitle = title.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    byDomain.forEach((entries, domain) => {
+      const layer = attackNavigatorLayer(title, domain, entries);
+      const blob = new Blob([JSON.stringify(layer, null, 2)], { type: 'application/json' });
+      downloadBlob(blob, `navigator_${safeTitle}_${domain}.json`);
+    });
+  }
 
   // Parse a MITRE CSV content into the mitreLibrary array.  The CSV is
   // expected to have a header row with at least the columns:
@@ -1383,21 +4934,14 @@
         items.push({ id, label, desc, extra: application });
       });
     } else if (type === 'supports') {
-      const supportsMap = new Map();
-      (analysis.data.missions || []).forEach(mis => {
-        (mis.supports || []).forEach(s => {
-          const name = s.name || s.denom;
-          if (!name) return;
-          if (!supportsMap.has(name)) supportsMap.set(name, { name, desc: s.description || '', resp: s.responsable || '' });
-        });
-      });
-      supportsMap.forEach((obj) => {
-        items.push({ id: obj.name, label: obj.name, desc: obj.desc || '', extra: obj.resp || '' });
+      (analysis.data.supports || []).forEach(s => {
+        if (!s.name) return;
+        items.push({ id: s.id, label: s.name, desc: s.description || '', extra: s.responsable || '' });
       });
     } else if (type === 'vulns') {
-      (analysis.data.supportsQualif || []).forEach(s => {
+      (analysis.data.supports || []).forEach(s => {
         (s.vulnerabilities || []).forEach(v => {
-          const id = `${s.name}||${v.name}`;
+          const id = `${s.id}||${v.name}`;
           items.push({ id, label: v.name || 'Vulnérabilité', desc: v.description || '', extra: s.name || '' });
         });
       });
@@ -1509,9 +5053,9 @@
       renderGapActions();
     } else if (currentImportType === 'supports') {
       if (!Array.isArray(analysis.data.actionsSupports)) analysis.data.actionsSupports = [];
-      importSelections.forEach(name => {
-        if (!analysis.data.actionsSupports.some(row => row.supportName === name)) {
-          analysis.data.actionsSupports.push({ supportName: name, vulnName: '', initialLevel: '', residualLevel: '', actions: [] });
+      importSelections.forEach(supportId => {
+        if (!analysis.data.actionsSupports.some(row => row.supportId === supportId)) {
+          analysis.data.actionsSupports.push({ supportId, vulnName: '', initialLevel: '', residualLevel: '', actions: [] });
         }
       });
       saveAnalyses();
@@ -1520,13 +5064,13 @@
       if (!Array.isArray(analysis.data.actionsSupports)) analysis.data.actionsSupports = [];
       importSelections.forEach(id => {
         const parts = id.split('||');
-        const supportName = parts[0] || '';
+        const supportId = parts[0] || '';
         const vulnName = parts[1] || '';
-        const support = (analysis.data.supportsQualif || []).find(s => s.name === supportName);
+        const support = (analysis.data.supports || []).find(s => s.id === supportId);
         const vuln = support ? (support.vulnerabilities || []).find(v => v.name === vulnName) : null;
         const lvl = vuln ? (vuln.level || '') : '';
-        if (!analysis.data.actionsSupports.some(row => row.supportName === supportName && row.vulnName === vulnName)) {
-          analysis.data.actionsSupports.push({ supportName, vulnName, initialLevel: lvl, residualLevel: lvl, actions: [] });
+        if (!analysis.data.actionsSupports.some(row => row.supportId === supportId && row.vulnName === vulnName)) {
+          analysis.data.actionsSupports.push({ supportId, vulnName, initialLevel: lvl, residualLevel: lvl, actions: [] });
         }
       });
       saveAnalyses();
@@ -1582,42 +5126,185 @@
     });
   }
 
-  // Open the risk modal and display MITRE techniques from the CSV
+  // Picker settings kept from one opening of the risk modal to the next
+  const riskBrowser = { domain: '', platform: '', view: 'list' };
+
+  // Open the risk modal on the MITRE techniques, either as a list or as
+  // the tactic-by-technique matrix of one ATT&CK domain
   function openRiskModal(targetItem) {
     riskModalTarget = targetItem;
     const modal = document.getElementById('risk-modal');
     if (!modal) return;
     const searchInput = document.getElementById('risk-search');
     const tableBody = document.getElementById('risk-table-body');
+    const tableContainer = modal.querySelector('.risk-table-container');
+    const matrixView = document.getElementById('risk-matrix-view');
+    const matrixSelect = document.getElementById('risk-matrix-select');
+    const platformSelect = document.getElementById('risk-platform-filter');
+    const viewBtn = document.getElementById('risk-view-toggle');
     const selectedDiv = document.getElementById('risk-selected');
     const closeBtn = document.getElementById('risk-close-btn');
     const applyBtn = document.getElementById('risk-select-apply');
     let selectedIds = new Set();
+    // Techniques whose sub-techniques are unfolded in the matrix
+    const expanded = new Set();
+    const usage = currentIndex >= 0 ? attackTechniqueUsage(analyses[currentIndex].data) : new Map();
 
-    function renderTable(filter) {
-      const term = (filter || '').toLowerCase();
-      tableBody.innerHTML = '';
-      const filtered = (mitreLibrary || []).filter(obj =>
+    const currentMatrix = () => attackMatrices.find(m => m.domain === riskBrowser.domain) || null;
+
+    // Techniques of the chosen matrix and platform matching the search
+    function visibleTechniques() {
+      const term = searchInput.value.toLowerCase();
+      return (mitreLibrary || []).filter(obj =>
+        (!riskBrowser.domain || obj.domain === riskBrowser.domain) &&
+        (!riskBrowser.platform || (obj.platforms || []).includes(riskBrowser.platform)) &&
         (obj.id + ' ' + obj.title + ' ' + obj.description).toLowerCase().includes(term)
       );
-      filtered.forEach(obj => {
+    }
+
+    function toggleSelected(id) {
+      if (selectedIds.has(id)) {
+        selectedIds.delete(id);
+      } else {
+        selectedIds.add(id);
+      }
+      render();
+      updateSelected();
+    }
+
+    function fillPlatforms() {
+      const platforms = new Set();
+      mitreLibrary.filter(t => !riskBrowser.domain || t.domain === riskBrowser.domain)
+        .forEach(t => (t.platforms || []).forEach(p => platforms.add(p)));
+      if (!platforms.has(riskBrowser.platform)) riskBrowser.platform = '';
+      platformSelect.innerHTML = '';
+      platformSelect.appendChild(new Option('Toutes les plateformes', ''));
+      [...platforms].sort().forEach(p => platformSelect.appendChild(new Option(p, p)));
+      platformSelect.value = riskBrowser.platform;
+      platformSelect.disabled = platforms.size === 0;
+    }
+
+    function fillMatrices() {
+      if (!currentMatrix()) riskBrowser.domain = '';
+      matrixSelect.innerHTML = '';
+      matrixSelect.appendChild(new Option('Toutes les matrices', ''));
+      attackMatrices.forEach(m => matrixSelect.appendChild(new Option(m.name, m.domain)));
+      matrixSelect.value = riskBrowser.domain;
+      fillPlatforms();
+    }
+
+    function render() {
+      const matrixMode = riskBrowser.view === 'matrix';
+      // The matrix shows a single domain: default to the first one
+      // having tactics
+      if (matrixMode && !currentMatrix()) {
+        const first = attackMatrices.find(m => m.tactics.length > 0);
+        if (first) {
+          riskBrowser.domain = first.domain;
+          matrixSelect.value = first.domain;
+          fillPlatforms();
+        }
+      }
+      tableContainer.style.display = matrixMode ? 'none' : '';
+      matrixView.style.display = matrixMode ? '' : 'none';
+      viewBtn.textContent = matrixMode ? 'Vue liste' : 'Vue matrice';
+      if (matrixMode) renderMatrix(); else renderTable();
+    }
+
+    function renderTable() {
+      tableBody.innerHTML = '';
+      visibleTechniques().forEach(obj => {
         const tr = document.createElement('tr');
-        tr.innerHTML = `<td>${obj.id}</td><td>${obj.title}</td><td>${obj.description}</td>`;
+        const use = usage.get(obj.id);
+        tr.innerHTML = `<td>${escapeHtml(obj.id)}</td><td>${escapeHtml(obj.title)}</td><td>${escapeHtml(obj.description)}</td>` +
+          `<td class="risk-uses">${use && use.risks ? use.risks : ''}</td>`;
         if (selectedIds.has(obj.id)) tr.classList.add('selected');
-        tr.addEventListener('click', () => {
-          if (selectedIds.has(obj.id)) {
-            selectedIds.delete(obj.id);
-          } else {
-            selectedIds.add(obj.id);
-          }
-          renderTable(searchInput.value);
-          updateSelected();
-        });
+        tr.addEventListener('click', () => toggleSelected(obj.id));
         tableBody.appendChild(tr);
       });
       addDataTableResizers('risk-table');
     }
 
+    function techniqueCell(technique, matches, subCount) {
+      const cell = document.createElement('div');
+      cell.className = 'attack-technique' + (technique.parent ? ' sub' : '') +
+        (selectedIds.has(technique.id) ? ' selected' : '') + (matches ? '' : ' dimmed');
+      cell.title = technique.id + ' – ' + technique.description.slice(0, 300);
+      const id = document.createElement('span');
+      id.className = 'attack-technique-id';
+      id.textContent = technique.id;
+      const name = document.createElement('span');
+      name.textContent = technique.parent ? technique.title.replace(/^[^:]*:\s*/, '') : technique.title;
+      cell.append(id, name);
+      const use = usage.get(technique.id);
+      if (use && use.risks) {
+        const badge = document.createElement('span');
+        badge.className = 'attack-usage';
+        badge.textContent = use.risks;
+        badge.title = `Déjà utilisée par ${use.risks} risque(s)`;
+        cell.appendChild(badge);
+      }
+      if (subCount) {
+        const fold = document.createElement('button');
+        fold.className = 'attack-subtoggle';
+        fold.textContent = (expanded.has(technique.id) ? '▾ ' : '▸ ') + subCount;
+        fold.title = 'Sous-techniques';
+        fold.addEventListener('click', (e) => {
+          e.stopPropagation();
+          if (expanded.has(technique.id)) expanded.delete(technique.id); else expanded.add(technique.id);
+          render();
+        });
+        cell.appendChild(fold);
+      }
+      cell.addEventListener('click', () => toggleSelected(technique.id));
+      return cell;
+    }
+
+    // One column per tactic, in the order of the matrix.  A technique
+    // only matched through its sub-techniques is dimmed, and searching
+    // unfolds the matching sub-techniques.
+    function renderMatrix() {
+      matrixView.innerHTML = '';
+      const matrix = currentMatrix();
+      if (!matrix || matrix.tactics.length === 0) {
+        const p = document.createElement('p');
+        p.className = 'attack-matrix-empty';
+        p.textContent = attackMatrices.some(m => m.tactics.length > 0)
+          ? 'Cette bibliothèque ne décrit pas de tactiques : choisissez une matrice ATT&CK.'
+          : 'Importez un bundle STIX ATT&CK pour parcourir les techniques par tactique.';
+        matrixView.appendChild(p);
+        return;
+      }
+      const visible = visibleTechniques();
+      const visibleIds = new Set(visible.map(t => t.id));
+      const searching = searchInput.value.trim() !== '';
+      matrix.tactics.forEach(tactic => {
+        const inTactic = matrix.techniques.filter(t => t.tactics.includes(tactic.shortname));
+        const subsOf = id => inTactic.filter(s => s.parent === id && visibleIds.has(s.id));
+        const parents = inTactic.filter(t => !t.parent && (visibleIds.has(t.id) || subsOf(t.id).length > 0));
+        const column = document.createElement('div');
+        column.className = 'attack-tactic';
+        const head = document.createElement('div');
+        head.className = 'attack-tactic-name';
+        head.textContent = tactic.name;
+        head.title = tactic.id;
+        const count = document.createElement('small');
+        count.textContent = `${parents.length} technique(s)`;
+        head.appendChild(count);
+        column.appendChild(head);
+        parents.forEach(t => {
+          const subs = subsOf(t.id);
+          column.appendChild(techniqueCell(t, visibleIds.has(t.id), subs.length));
+          if (subs.length === 0 || !(expanded.has(t.id) || (searching && !visibleIds.has(t.id)))) return;
+          const list = document.createElement('div');
+          list.className = 'attack-subtechniques';
+          subs.forEach(s => list.appendChild(techniqueCell(s, true, 0)));
+          column.appendChild(list);
+        });
+        matrixView.appendChild(column);
+      });
+    }
+
     function updateSelected() {
       selectedDiv.innerHTML = '';
       selectedIds.forEach(id => {
@@ -1631,8 +5318,21 @@
     }
 
     searchInput.value = '';
-    searchInput.oninput = e => {
-      renderTable(e.target.value);
+    searchInput.oninput = () => {
+      render();
+    };
+    matrixSelect.onchange = () => {
+      riskBrowser.domain = matrixSelect.value;
+      fillPlatforms();
+      render();
+    };
+    platformSelect.onchange = () => {
+      riskBrowser.platform = platformSelect.value;
+      render();
+    };
+    viewBtn.onclick = () => {
+      riskBrowser.view = riskBrowser.view === 'matrix' ? 'list' : 'matrix';
+      render();
     };
 
     closeBtn.onclick = () => {
@@ -1649,58 +5349,819 @@
             riskModalTarget.risks.push({ name: name, vraisemblance: 1, gravite: 1 });
           }
         });
+        applyScenarioLikelihood(analyses[currentIndex].data, riskModalTarget);
         saveAnalyses();
         renderSO();
         closeRiskModal();
       };
     }
 
+    // Without any imported matrix, fall back on a mitre_attack.csv
+    // shipped next to the pages
     function ensureMitreLoaded(callback) {
       if (mitreLibrary && mitreLibrary.length > 0) { callback(); return; }
-      try {
-        const stored = localStorage.getItem('ebiosMitreLibrary');
-        if (stored) {
-          const parsed = JSON.parse(stored);
-          if (Array.isArray(parsed) && parsed.length > 0) {
-            mitreLibrary = parsed;
-            callback();
-            return;
-          }
-        }
-      } catch (e) {}
       fetch('mitre_attack.csv').then(res => {
         if (!res.ok) throw new Error('Cannot load MITRE CSV');
         return res.text();
       }).then(text => {
         const parsed = parseMitreCsv(text);
-        if (parsed && parsed.length > 0) {
-          mitreLibrary = parsed;
-          localStorage.setItem('ebiosMitreLibrary', JSON.stringify(mitreLibrary));
-        }
+        if (parsed && parsed.length > 0) return storeAttackMatrix(csvAttackMatrix(parsed));
+      }).catch(e => {
+        console.warn('No MITRE library available:', e);
       }).finally(() => {
         callback();
       });
     }
 
-    ensureMitreLoaded(() => {
-      modal.style.display = 'flex';
-      renderTable(searchInput.value);
-      updateSelected();
+    ensureMitreLoaded(() => {
+      modal.style.display = 'flex';
+      fillMatrices();
+      render();
+      updateSelected();
+    });
+  }
+
+  // Close the risk modal and reset state
+  function closeRiskModal() {
+    const modal = document.getElementById('risk-modal');
+    if (!modal) return;
+    modal.style.display = 'none';
+    // reset target
+    riskModalTarget = null;
+  }
+
+  // ----- Atelier 1: GAP referentials catalogue
+  // Referentials bundled with the tool so that a GAP analysis can be
+  // started offline.  Requirements applied from the catalogue keep
+  // `referentiel` (catalogue id), `referentielVersion` and `ref` (the
+  // code of the requirement in the referential), which lets
+  // renderGapTable() show what changed when the catalogue is updated.
+  // Requirements are [ref, titre, description].
+  const REFERENTIALS = [
+    {
+      id: 'anssi-hygiene',
+      name: 'Guide d’hygiène informatique (ANSSI)',
+      version: '2.0',
+      domains: [
+        { name: 'I. Sensibiliser et former', requirements: [
+          ['1', 'Former les équipes opérationnelles à la sécurité des systèmes d’information'],
+          ['2', 'Sensibiliser les utilisateurs aux bonnes pratiques élémentaires de sécurité informatique'],
+          ['3', 'Maîtriser les risques de l’infogérance']
+        ] },
+        { name: 'II. Connaître le système d’information', requirements: [
+          ['4', 'Identifier les informations et serveurs les plus sensibles et maintenir un schéma du réseau'],
+          ['5', 'Disposer d’un inventaire exhaustif des comptes privilégiés et le maintenir à jour'],
+          ['6', 'Organiser les procédures d’arrivée, de départ et de changement de fonction des utilisateurs'],
+          ['7', 'Autoriser la connexion au réseau de l’entité aux seuls équipements maîtrisés']
+        ] },
+        { name: 'III. Authentifier et contrôler les accès', requirements: [
+          ['8', 'Identifier nommément chaque personne accédant au système et distinguer les rôles utilisateur/administrateur'],
+          ['9', 'Attribuer les bons droits sur les ressources sensibles du système d’information'],
+          ['10', 'Définir et vérifier des règles de choix et de dimensionnement des mots de passe'],
+          ['11', 'Protéger les mots de passe stockés sur les systèmes'],
+          ['12', 'Changer les éléments d’authentification par défaut sur les équipements et services'],
+          ['13', 'Privilégier lorsque c’est possible une authentification forte']
+        ] },
+        { name: 'IV. Sécuriser les postes', requirements: [
+          ['14', 'Mettre en place un niveau de sécurité minimal sur l’ensemble du parc informatique'],
+          ['15', 'Se protéger des menaces relatives à l’utilisation de supports amovibles'],
+          ['16', 'Utiliser un outil de gestion centralisée afin d’homogénéiser les politiques de sécurité'],
+          ['17', 'Activer et configurer le pare-feu local des postes de travail'],
+          ['18', 'Chiffrer les données sensibles transmises par voie Internet']
+        ] },
+        { name: 'V. Sécuriser le réseau', requirements: [
+          ['19', 'Segmenter le réseau et mettre en place un cloisonnement entre ces zones'],
+          ['20', 'S’assurer de la sécurité des réseaux d’accès Wi-Fi et de la séparation des usages'],
+          ['21', 'Utiliser des protocoles réseaux sécurisés dès qu’ils existent'],
+          ['22', 'Mettre en place une passerelle d’accès sécurisé à Internet'],
+          ['23', 'Cloisonner les services visibles depuis Internet du reste du système d’information'],
+          ['24', 'Protéger sa messagerie professionnelle'],
+          ['25', 'Sécuriser les interconnexions réseau dédiées avec les partenaires'],
+          ['26', 'Contrôler et protéger l’accès aux salles serveurs et aux locaux techniques']
+        ] },
+        { name: 'VI. Sécuriser l’administration', requirements: [
+          ['27', 'Interdire l’accès à Internet depuis les postes ou serveurs utilisés pour l’administration du système d’information'],
+          ['28', 'Utiliser un réseau dédié et cloisonné pour l’administration du système d’information'],
+          ['29', 'Limiter au strict besoin opérationnel les droits d’administration sur les postes de travail']
+        ] },
+        { name: 'VII. Gérer le nomadisme', requirements: [
+          ['30', 'Prendre des mesures de sécurisation physique des terminaux nomades'],
+          ['31', 'Chiffrer les données sensibles, en particulier sur le matériel potentiellement perdable'],
+          ['32', 'Sécuriser la connexion réseau des postes utilisés en situation de nomadisme'],
+          ['33', 'Adopter des politiques de sécurité dédiées aux terminaux mobiles']
+        ] },
+        { name: 'VIII. Maintenir le système d’information à jour', requirements: [
+          ['34', 'Définir une politique de mise à jour des composants du système d’information'],
+          ['35', 'Anticiper la fin de la maintenance des logiciels et systèmes et limiter les adhérences logicielles']
+        ] },
+        { name: 'IX. Superviser, auditer, réagir', requirements: [
+          ['36', 'Activer et configurer les journaux des composants les plus importants'],
+          ['37', 'Définir et appliquer une politique de sauvegarde des composants critiques'],
+          ['38', 'Procéder à des contrôles et audits de sécurité réguliers puis appliquer les actions correctives associées'],
+          ['39', 'Désigner un référent en sécurité des systèmes d’information et le faire connaître auprès du personnel'],
+          ['40', 'Définir une procédure de gestion des incidents de sécurité']
+        ] },
+        { name: 'X. Pour aller plus loin', requirements: [
+          ['41', 'Mener une analyse de risques formelle'],
+          ['42', 'Privilégier l’usage de produits et de services qualifiés par l’ANSSI']
+        ] }
+      ]
+    },
+    {
+      id: 'iso27001-2022',
+      name: 'ISO/IEC 27001:2022 – Annexe A',
+      version: '2022',
+      domains: [
+        { name: '5. Mesures organisationnelles', requirements: [
+          ['A.5.1', 'Politiques de sécurité de l’information'],
+          ['A.5.2', 'Fonctions et responsabilités liées à la sécurité de l’information'],
+          ['A.5.3', 'Séparation des tâches'],
+          ['A.5.4', 'Responsabilités de la direction'],
+          ['A.5.5', 'Contacts avec les autorités'],
+          ['A.5.6', 'Contacts avec des groupes d’intérêt spécifiques'],
+          ['A.5.7', 'Renseignements sur les menaces'],
+          ['A.5.8', 'Sécurité de l’information dans la gestion de projet'],
+          ['A.5.9', 'Inventaire des informations et autres actifs associés'],
+          ['A.5.10', 'Utilisation correcte des informations et autres actifs associés'],
+          ['A.5.11', 'Restitution des actifs'],
+          ['A.5.12', 'Classification des informations'],
+          ['A.5.13', 'Marquage des informations'],
+          ['A.5.14', 'Transfert des informations'],
+          ['A.5.15', 'Contrôle d’accès'],
+          ['A.5.16', 'Gestion des identités'],
+          ['A.5.17', 'Informations d’authentification'],
+          ['A.5.18', 'Droits d’accès'],
+          ['A.5.19', 'Sécurité de l’information dans les relations avec les fournisseurs'],
+          ['A.5.20', 'Prise en compte de la sécurité de l’information dans les accords avec les fournisseurs'],
+          ['A.5.21', 'Gestion de la sécurité de l’information dans la chaîne d’approvisionnement TIC'],
+          ['A.5.22', 'Surveillance, revue et gestion des changements des services fournisseurs'],
+          ['A.5.23', 'Sécurité de l’information dans l’utilisation de services en nuage'],
+          ['A.5.24', 'Planification et préparation de la gestion des incidents de sécurité de l’information'],
+          ['A.5.25', 'Appréciation des événements de sécurité de l’information et prise de décision'],
+          ['A.5.26', 'Réponse aux incidents de sécurité de l’information'],
+          ['A.5.27', 'Tirer des enseignements des incidents de sécurité de l’information'],
+          ['A.5.28', 'Collecte des preuves'],
+          ['A.5.29', 'Sécurité de l’information durant une perturbation'],
+          ['A.5.30', 'Préparation des TIC pour la continuité d’activité'],
+          ['A.5.31', 'Exigences légales, statutaires, réglementaires et contractuelles'],
+          ['A.5.32', 'Droits de propriété intellectuelle'],
+          ['A.5.33', 'Protection des enregistrements'],
+          ['A.5.34', 'Protection de la vie privée et des données à caractère personnel'],
+          ['A.5.35', 'Revue indépendante de la sécurité de l’information'],
+          ['A.5.36', 'Conformité aux politiques, règles et normes de sécurité de l’information'],
+          ['A.5.37', 'Procédures d’exploitation documentées']
+        ] },
+        { name: '6. Mesures liées aux personnes', requirements: [
+          ['A.6.1', 'Sélection des candidats'],
+          ['A.6.2', 'Termes et conditions du contrat de travail'],
+          ['A.6.3', 'Sensibilisation, enseignement et formation en sécurité de l’information'],
+          ['A.6.4', 'Processus disciplinaire'],
+          ['A.6.5', 'Responsabilités après la fin ou le changement d’un emploi'],
+          ['A.6.6', 'Engagements de confidentialité ou de non-divulgation'],
+          ['A.6.7', 'Travail à distance'],
+          ['A.6.8', 'Déclaration des événements de sécurité de l’information']
+        ] },
+        { name: '7. Mesures physiques', requirements: [
+          ['A.7.1', 'Périmètres de sécurité physique'],
+          ['A.7.2', 'Entrées physiques'],
+          ['A.7.3', 'Sécurisation des bureaux, des salles et des installations'],
+          ['A.7.4', 'Surveillance de la sécurité physique'],
+          ['A.7.5', 'Protection contre les menaces physiques et environnementales'],
+          ['A.7.6', 'Travail dans les zones sécurisées'],
+          ['A.7.7', 'Bureau propre et écran vide'],
+          ['A.7.8', 'Emplacement et protection du matériel'],
+          ['A.7.9', 'Sécurité des actifs hors des locaux'],
+          ['A.7.10', 'Supports de stockage'],
+          ['A.7.11', 'Services généraux'],
+          ['A.7.12', 'Sécurité du câblage'],
+          ['A.7.13', 'Maintenance du matériel'],
+          ['A.7.14', 'Mise au rebut ou réutilisation sécurisée du matériel']
+        ] },
+        { name: '8. Mesures technologiques', requirements: [
+          ['A.8.1', 'Terminaux des utilisateurs finaux'],
+          ['A.8.2', 'Droits d’accès privilégiés'],
+          ['A.8.3', 'Restriction d’accès aux informations'],
+          ['A.8.4', 'Accès au code source'],
+          ['A.8.5', 'Authentification sécurisée'],
+          ['A.8.6', 'Dimensionnement'],
+          ['A.8.7', 'Protection contre les programmes malveillants'],
+          ['A.8.8', 'Gestion des vulnérabilités techniques'],
+          ['A.8.9', 'Gestion des configurations'],
+          ['A.8.10', 'Suppression des informations'],
+          ['A.8.11', 'Masquage des données'],
+          ['A.8.12', 'Prévention de la fuite de données'],
+          ['A.8.13', 'Sauvegarde des informations'],
+          ['A.8.14', 'Redondance des moyens de traitement de l’information'],
+          ['A.8.15', 'Journalisation'],
+          ['A.8.16', 'Activités de surveillance'],
+          ['A.8.17', 'Synchronisation des horloges'],
+          ['A.8.18', 'Utilisation de programmes utilitaires à privilèges'],
+          ['A.8.19', 'Installation de logiciels sur des systèmes opérationnels'],
+          ['A.8.20', 'Sécurité des réseaux'],
+          ['A.8.21', 'Sécurité des services réseau'],
+          ['A.8.22', 'Cloisonnement des réseaux'],
+          ['A.8.23', 'Filtrage web'],
+          ['A.8.24', 'Utilisation de la cryptographie'],
+          ['A.8.25', 'Cycle de vie de développement sécurisé'],
+          ['A.8.26', 'Exigences de sécurité des applications'],
+          ['A.8.27', 'Principes d’ingénierie et d’architecture des systèmes sécurisés'],
+          ['A.8.28', 'Codage sécurisé'],
+          ['A.8.29', 'Tests de sécurité dans le développement et la recette'],
+          ['A.8.30', 'Développement externalisé'],
+          ['A.8.31', 'Séparation des environnements de développement, de test et de production'],
+          ['A.8.32', 'Gestion des changements'],
+          ['A.8.33', 'Informations de test'],
+          ['A.8.34', 'Protection des systèmes d’information en cours d’audit et de test']
+        ] }
+      ]
+    },
+    {
+      id: 'nis2-art21',
+      name: 'NIS 2 – Article 21 (mesures de gestion des risques)',
+      version: '2022/2555',
+      domains: [
+        { name: 'Article 21, paragraphe 2', requirements: [
+          ['21.2.a', 'Analyse des risques et sécurité des systèmes d’information',
+            'Les politiques relatives à l’analyse des risques et à la sécurité des systèmes d’information.'],
+          ['21.2.b', 'Gestion des incidents', 'La gestion des incidents.'],
+          ['21.2.c', 'Continuité des activités et gestion de crise',
+            'La continuité des activités, par exemple la gestion des sauvegardes et la reprise des activités, et la gestion des crises.'],
+          ['21.2.d', 'Sécurité de la chaîne d’approvisionnement',
+            'La sécurité de la chaîne d’approvisionnement, y compris les aspects liés à la sécurité concernant les relations entre chaque entité et ses fournisseurs ou prestataires de services directs.'],
+          ['21.2.e', 'Sécurité de l’acquisition, du développement et de la maintenance',
+            'La sécurité de l’acquisition, du développement et de la maintenance des réseaux et des systèmes d’information, y compris le traitement et la divulgation des vulnérabilités.'],
+          ['21.2.f', 'Évaluation de l’efficacité des mesures',
+            'Des politiques et des procédures pour évaluer l’efficacité des mesures de gestion des risques en matière de cybersécurité.'],
+          ['21.2.g', 'Cyberhygiène et formation',
+            'Les pratiques de base en matière de cyberhygiène et la formation à la cybersécurité.'],
+          ['21.2.h', 'Cryptographie et chiffrement',
+            'Des politiques et des procédures relatives à l’utilisation de la cryptographie et, le cas échéant, du chiffrement.'],
+          ['21.2.i', 'Ressources humaines, contrôle d’accès et gestion des actifs',
+            'La sécurité des ressources humaines, des politiques de contrôle d’accès et la gestion des actifs.'],
+          ['21.2.j', 'Authentification multifacteur et communications sécurisées',
+            'L’utilisation de solutions d’authentification à plusieurs facteurs ou d’authentification continue, de communications vocales, vidéo et textuelles sécurisées et de systèmes sécurisés de communication d’urgence au sein de l’entité, selon les besoins.']
+        ] }
+      ]
+    }
+  ];
+
+  // Flat list of the requirements of a catalogue referential
+  function referentialRequirements(referential) {
+    return referential.domains.reduce((list, domain) => list.concat(domain.requirements.map(([ref, titre, description]) => ({
+      ref, domaine: domain.name, titre, description: description || ''
+    }))), []);
+  }
+
+  // Differences between the requirements applied from an older version
+  // of a referential and the catalogue.  Empty when every applied
+  // requirement already carries the catalogue version.
+  function diffReferential(gap, referential) {
+    const applied = gap.filter(req => req.referentiel === referential.id);
+    const diff = { referential, changed: [], added: [], removed: [] };
+    if (!applied.some(req => req.referentielVersion !== referential.version)) return diff;
+    const entries = referentialRequirements(referential);
+    entries.forEach(entry => {
+      const req = applied.find(r => r.ref === entry.ref);
+      if (!req) {
+        diff.added.push(entry);
+        return;
+      }
+      const fields = ['domaine', 'titre', 'description'].filter(field => (req[field] || '') !== entry[field])
+        .map(field => ({ field, mine: req[field] || '', theirs: entry[field] }));
+      if (fields.length > 0 || req.referentielVersion !== referential.version) diff.changed.push({ req, entry, fields });
+    });
+    applied.forEach(req => {
+      if (!entries.some(entry => entry.ref === req.ref)) diff.removed.push(req);
+    });
+    return diff;
+  }
+
+  function referentialDiffs(gap) {
+    return REFERENTIALS.map(referential => diffReferential(gap, referential))
+      .filter(diff => diff.changed.length + diff.added.length + diff.removed.length > 0);
+  }
+
+  function newReferentialRequirement(referential, entry) {
+    return {
+      id: uid(),
+      domaine: entry.domaine,
+      titre: entry.titre,
+      description: entry.description,
+      application: '',
+      justification: '',
+      referentiel: referential.id,
+      referentielVersion: referential.version,
+      ref: entry.ref,
+      supportIds: [],
+      ppIds: [],
+      riskNames: []
+    };
+  }
+
+  // Add the requirements of a catalogue referential to the GAP table.
+  // Requirements already applied are left as they are.
+  async function applyReferential() {
+    const analysis = analyses[currentIndex];
+    if (!analysis) return;
+    if (!analysis.data) analysis.data = {};
+    if (!analysis.data.gap) analysis.data.gap = [];
+    const gap = analysis.data.gap;
+    const id = await showDialog({
+      title: 'Appliquer un référentiel',
+      message: 'Les exigences du référentiel choisi sont ajoutées à la GAP analysis. Celles déjà présentes ne sont pas modifiées.',
+      lines: REFERENTIALS.map(r => {
+        const applied = gap.filter(req => req.referentiel === r.id).length;
+        return `${r.name} (version ${r.version}) : ${referentialRequirements(r).length} exigence(s)` +
+          (applied ? `, ${applied} déjà présente(s)` : '');
+      }),
+      choices: REFERENTIALS.map(r => ({ value: r.id, label: r.name })).concat([{ value: null, label: 'Annuler' }])
+    });
+    if (!id) return;
+    const referential = REFERENTIALS.find(r => r.id === id);
+    let added = 0;
+    referentialRequirements(referential).forEach(entry => {
+      if (gap.some(req => req.referentiel === referential.id && req.ref === entry.ref)) return;
+      gap.push(newReferentialRequirement(referential, entry));
+      added += 1;
+    });
+    saveAnalyses();
+    renderGapTable();
+    updateGapChart();
+    alert(`${added} exigence(s) ajoutée(s) depuis « ${referential.name} ».`);
+  }
+
+  // Bring the requirements applied from an older version of a
+  // referential up to the catalogue: texts are replaced, new
+  // requirements added and withdrawn ones deleted after confirmation.
+  // Application status and justification are kept.
+  async function updateReferential(diff) {
+    const analysis = analyses[currentIndex];
+    const { referential } = diff;
+    const lines = [];
+    diff.changed.forEach(({ req, fields }) => {
+      fields.forEach(f => lines.push(`${req.ref} ${f.field} : « ${f.mine} » → « ${f.theirs} »`));
+    });
+    diff.added.forEach(entry => lines.push(`+ ${entry.ref} ${entry.titre}`));
+    diff.removed.forEach(req => lines.push(`− ${req.ref} ${req.titre}`));
+    const ok = await showDialog({
+      title: `Mettre à jour « ${referential.name} »`,
+      message: `Différences entre les exigences de l’analyse et la version ${referential.version} du catalogue :`,
+      lines,
+      wide: true,
+      choices: [
+        { value: true, label: 'Mettre à jour', primary: true },
+        { value: null, label: 'Annuler' }
+      ]
+    });
+    if (!ok) return;
+    const gap = analysis.data.gap;
+    diff.changed.forEach(({ req, entry }) => {
+      req.domaine = entry.domaine;
+      req.titre = entry.titre;
+      req.description = entry.description;
+      req.referentielVersion = referential.version;
+    });
+    diff.added.forEach(entry => gap.push(newReferentialRequirement(referential, entry)));
+    if (diff.removed.length > 0) {
+      confirmDeletion(analysis.data, diff.removed.map(req => ['requirement', req.id]),
+        `Supprimer les ${diff.removed.length} exigence(s) retirée(s) du référentiel ?`,
+        () => diff.removed.forEach(req => removeFromList(gap, req)));
+    }
+    saveAnalyses();
+    renderGapTable();
+    updateGapChart();
+  }
+
+  // Banner above the GAP table listing the referentials whose catalogue
+  // version differs from the one applied to the analysis.
+  function renderReferentialUpdates(diffs) {
+    const container = document.getElementById('gap-referential-updates');
+    if (!container) return;
+    container.innerHTML = '';
+    container.style.display = diffs.length ? '' : 'none';
+    diffs.forEach(diff => {
+      const line = document.createElement('div');
+      line.className = 'gap-referential-update';
+      const text = document.createElement('span');
+      text.textContent = `${diff.referential.name} : nouvelle version ${diff.referential.version} du catalogue – ` +
+        `${diff.changed.filter(c => c.fields.length).length} exigence(s) modifiée(s), ${diff.added.length} ajoutée(s), ${diff.removed.length} retirée(s).`;
+      const btn = document.createElement('button');
+      btn.className = 'add-assoc-btn';
+      btn.textContent = 'Voir et mettre à jour';
+      btn.addEventListener('click', () => updateReferential(diff));
+      line.appendChild(text);
+      line.appendChild(btn);
+      container.appendChild(line);
+    });
+  }
+
+  // ----- Atelier 1: GAP requirement import
+  // Requirements come as a JSON array (the format of the tool) or as a
+  // spreadsheet (CSV, XLSX) whose columns are mapped to GAP fields in a
+  // wizard.  A requirement already present with the same domain and
+  // title is updated instead of being added twice.
+  const GAP_FIELDS = [
+    { key: 'domaine', label: 'Domaine', aliases: ['domaine', 'domain', 'categorie', 'theme', 'chapitre', 'section'] },
+    { key: 'titre', label: 'Titre', aliases: ['titre', 'title', 'intitule', 'exigence', 'mesure', 'controle', 'control', 'requirement'] },
+    { key: 'description', label: 'Description', aliases: ['description', 'desc', 'detail', 'objectif'] },
+    { key: 'application', label: 'Application', aliases: ['application', 'statut', 'status', 'etat', 'conformite'] },
+    { key: 'justification', label: 'Justification', aliases: ['justification', 'justif', 'commentaire', 'comment', 'remarque'] }
+  ];
+
+  // Lower case, without accents and with single spaces, for comparisons
+  function foldText(value) {
+    return String(value == null ? '' : value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Map the status wordings found in referentials to the four
+  // `application` options of the GAP table.  Returns '' for an empty
+  // value and null for a wording that is not recognised.
+  function normalizeGapApplication(value) {
+    const text = foldText(value);
+    if (!text) return '';
+    if (/^(n\/a|na|non applicable|not applicable|sans objet|exclu)/.test(text)) return 'Non applicable';
+    if (/partiel|partial|en cours|in progress/.test(text)) return 'Partiellement appliqué';
+    if (/^(non|no|not|aucun|a faire|todo|ko|false|0$)/.test(text)) return 'Non appliqué';
+    if (/^(applique|oui|yes|implemented|conforme|compliant|fait|done|ok|true|1$)/.test(text)) return 'Appliqué';
+    return null;
+  }
+
+  // Rows of a CSV file as arrays of strings.  The delimiter (; , or tab)
+  // is the most frequent one on the first line.
+  function parseCsv(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [';', ',', '\t'].reduce((best, d) =>
+      firstLine.split(d).length > firstLine.split(best).length ? d : best, ';');
+    const rows = [];
+    let row = [];
+    let cur = '';
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+      const c = text[i];
+      if (inQuotes) {
+        if (c === '"' && text[i + 1] === '"') { cur += '"'; i++; }
+        else if (c === '"') inQuotes = false;
+        else cur += c;
+        continue;
+      }
+      if (c === '"') {
+        inQuotes = true;
+      } else if (c === delimiter) {
+        row.push(cur);
+        cur = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && text[i + 1] === '\n') i++;
+        row.push(cur);
+        rows.push(row);
+        row = [];
+        cur = '';
+      } else {
+        cur += c;
+      }
+    }
+    if (cur || row.length) {
+      row.push(cur);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // Rows of the first sheet of an XLSX workbook as arrays of strings
+  async function parseXlsx(buffer) {
+    const files = await readZipArchive(buffer);
+    const decoder = new TextDecoder();
+    const xml = name => (files.has(name) ? new DOMParser().parseFromString(decoder.decode(files.get(name)), 'application/xml') : null);
+    const byTag = (node, tag) => Array.from(node.getElementsByTagNameNS('*', tag));
+    const workbook = xml('xl/workbook.xml');
+    if (!workbook) throw new Error('classeur XLSX invalide');
+    // First sheet, resolved through the workbook relationships
+    let target = 'worksheets/sheet1.xml';
+    const sheet = byTag(workbook, 'sheet')[0];
+    const relId = sheet && (sheet.getAttribute('r:id') ||
+      sheet.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id'));
+    const rels = xml('xl/_rels/workbook.xml.rels');
+    const rel = rels && byTag(rels, 'Relationship').find(r => r.getAttribute('Id') === relId);
+    if (rel) target = rel.getAttribute('Target');
+    const doc = xml(target.startsWith('/') ? target.slice(1) : 'xl/' + target);
+    if (!doc) throw new Error('feuille de calcul introuvable');
+    const runs = node => byTag(node, 't').filter(t => t.parentNode.localName !== 'rPh').map(t => t.textContent).join('');
+    const sharedDoc = xml('xl/sharedStrings.xml');
+    const shared = sharedDoc ? byTag(sharedDoc, 'si').map(runs) : [];
+    return byTag(doc, 'row').map(row => {
+      const values = [];
+      byTag(row, 'c').forEach(cell => {
+        const ref = /^([A-Z]+)/.exec(cell.getAttribute('r') || '');
+        const col = ref ? ref[1].split('').reduce((n, ch) => n * 26 + ch.charCodeAt(0) - 64, 0) - 1 : values.length;
+        const v = byTag(cell, 'v')[0];
+        const type = cell.getAttribute('t');
+        if (type === 's') values[col] = shared[parseInt(v && v.textContent, 10)] || '';
+        else if (type === 'inlineStr') values[col] = runs(cell);
+        else values[col] = v ? v.textContent : '';
+      });
+      return Array.from(values, value => value || '');
+    });
+  }
+
+  // Column index of each GAP field guessed from the header names
+  function guessGapColumns(header) {
+    const folded = header.map(foldText);
+    const mapping = {};
+    GAP_FIELDS.forEach(field => {
+      let index = folded.findIndex(h => field.aliases.includes(h));
+      if (index < 0) index = folded.findIndex(h => field.aliases.some(alias => h.startsWith(alias)));
+      mapping[field.key] = index;
+    });
+    return mapping;
+  }
+
+  // Wizard mapping spreadsheet columns to GAP fields.  Resolves to the
+  // list of requirements read from the rows, or null when cancelled.
+  async function mapGapColumns(rows, fileName) {
+    let headerRow = 0;
+    let mapping = guessGapColumns(rows[0]);
+    const body = document.createElement('div');
+    const settings = document.createElement('div');
+    settings.className = 'gap-mapping';
+    const headerLabel = document.createElement('label');
+    headerLabel.textContent = 'Ligne d’en-tête ';
+    const headerInput = document.createElement('input');
+    headerInput.type = 'number';
+    headerInput.min = 1;
+    headerInput.max = Math.min(rows.length, 20);
+    headerInput.value = 1;
+    headerLabel.appendChild(headerInput);
+    settings.appendChild(headerLabel);
+    const selects = {};
+    GAP_FIELDS.forEach(field => {
+      const label = document.createElement('label');
+      label.textContent = field.label + ' ';
+      const select = document.createElement('select');
+      select.addEventListener('change', () => {
+        mapping[field.key] = parseInt(select.value, 10);
+        renderPreview();
+      });
+      selects[field.key] = select;
+      label.appendChild(select);
+      settings.appendChild(label);
+    });
+    body.appendChild(settings);
+    const summary = document.createElement('p');
+    body.appendChild(summary);
+    const preview = document.createElement('table');
+    preview.className = 'nested-table gap-mapping-preview';
+    body.appendChild(preview);
+
+    const dataRows = () => rows.slice(headerRow + 1);
+    const readRow = row => {
+      const req = {};
+      GAP_FIELDS.forEach(field => {
+        const index = mapping[field.key];
+        req[field.key] = index >= 0 ? String(row[index] || '').trim() : '';
+      });
+      return req;
+    };
+    function renderOptions() {
+      const header = rows[headerRow];
+      const columns = Math.max(...rows.map(row => row.length));
+      GAP_FIELDS.forEach(field => {
+        const select = selects[field.key];
+        select.innerHTML = '';
+        const none = document.createElement('option');
+        none.value = -1;
+        none.textContent = '— Ignorer —';
+        select.appendChild(none);
+        for (let i = 0; i < columns; i++) {
+          const opt = document.createElement('option');
+          opt.value = i;
+          opt.textContent = (header[i] || '').trim() || `Colonne ${i + 1}`;
+          select.appendChild(opt);
+        }
+        select.value = mapping[field.key];
+      });
+    }
+    function renderPreview() {
+      preview.innerHTML = '';
+      const head = document.createElement('tr');
+      GAP_FIELDS.forEach(field => {
+        const th = document.createElement('th');
+        th.textContent = field.label;
+        head.appendChild(th);
+      });
+      preview.appendChild(head);
+      dataRows().slice(0, 5).forEach(row => {
+        const req = readRow(row);
+        const tr = document.createElement('tr');
+        GAP_FIELDS.forEach(field => {
+          const td = document.createElement('td');
+          let value = req[field.key];
+          if (field.key === 'application' && value) {
+            const status = normalizeGapApplication(value);
+            value = status === null ? `${value} (non reconnu)` : status;
+          }
+          td.textContent = value;
+          tr.appendChild(td);
+        });
+        preview.appendChild(tr);
+      });
+      summary.textContent = `${fileName} : ${dataRows().length} ligne(s) de données, aperçu des 5 premières après correspondance.`;
+    }
+    headerInput.addEventListener('change', () => {
+      const value = parseInt(headerInput.value, 10) - 1;
+      if (isNaN(value) || value < 0 || value >= rows.length) return;
+      headerRow = value;
+      mapping = guessGapColumns(rows[headerRow]);
+      renderOptions();
+      renderPreview();
+    });
+    renderOptions();
+    renderPreview();
+
+    for (;;) {
+      const result = await showDialog({
+        title: 'Importer des exigences',
+        message: 'Associez les colonnes du fichier aux champs de la GAP analysis.',
+        body,
+        wide: true,
+        choices: [
+          { value: 'import', label: 'Importer', primary: true },
+          { value: null, label: 'Annuler' }
+        ]
+      });
+      if (!result) return null;
+      if (mapping.titre >= 0 || mapping.description >= 0) return dataRows().map(readRow);
+      alert('Associez au moins la colonne du titre ou de la description.');
+    }
+  }
+
+  // Add the requirements to the GAP table, updating those with the same
+  // domain and title.  Imported empty cells never erase existing values.
+  function importGapRequirements(analysis, requirements) {
+    const gap = analysis.data.gap;
+    const keyOf = req => `${foldText(req.domaine)}|${foldText(req.titre || req.description)}`;
+    const existing = new Map(gap.map(req => [keyOf(req), req]));
+    const result = { added: 0, updated: 0, skipped: 0, unknownStatuses: new Set() };
+    requirements.forEach(item => {
+      if (!item.titre && !item.description) {
+        result.skipped += 1;
+        return;
+      }
+      const values = Object.assign({}, item);
+      const status = normalizeGapApplication(item.application);
+      if (status === null) result.unknownStatuses.add(item.application);
+      values.application = status || '';
+      const key = keyOf(values);
+      const req = existing.get(key);
+      if (req) {
+        GAP_FIELDS.forEach(field => {
+          if (values[field.key]) req[field.key] = values[field.key];
+        });
+        result.updated += 1;
+      } else {
+        const created = { id: uid(), supportIds: [], ppIds: [], riskNames: [] };
+        GAP_FIELDS.forEach(field => { created[field.key] = values[field.key] || ''; });
+        gap.push(created);
+        existing.set(key, created);
+        result.added += 1;
+      }
+    });
+    return result;
+  }
+
+  // Requirements of a JSON requirement file, English keys accepted
+  function readGapJson(json) {
+    return json.map(obj => ({
+      domaine: obj.domaine || obj.domain || '',
+      titre: obj.titre || obj.title || '',
+      description: obj.description || obj.desc || '',
+      application: obj.application || obj.status || '',
+      justification: obj.justification || obj.justif || ''
+    }));
+  }
+
+  function readFileAs(file, asText) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      if (asText) reader.readAsText(file);
+      else reader.readAsArrayBuffer(file);
+    });
+  }
+
+  async function importGapFile(file) {
+    const extension = (file.name.split('.').pop() || '').toLowerCase();
+    let requirements;
+    if (extension === 'csv' || extension === 'xlsx') {
+      const rows = (extension === 'csv' ? parseCsv(await readFileAs(file, true)) : await parseXlsx(await readFileAs(file, false)))
+        .filter(row => row.some(value => String(value).trim()));
+      if (rows.length < 2) {
+        alert('Le fichier ne contient aucune ligne d’exigence.');
+        return;
+      }
+      requirements = await mapGapColumns(rows, file.name);
+      if (!requirements) return;
+    } else {
+      const json = JSON.parse(await readFileAs(file, true));
+      const errors = validateGapFile(json);
+      if (errors.length > 0) {
+        await showDialog({
+          title: 'Import des exigences impossible',
+          message: `Le fichier doit contenir un tableau d'exigences (${errors.length} erreur(s)) :`,
+          lines: formatValidationErrors(errors),
+          choices: [{ value: null, label: 'Fermer', primary: true }]
+        });
+        return;
+      }
+      requirements = readGapJson(json);
+    }
+    const analysis = analyses[currentIndex];
+    if (!analysis.data) analysis.data = {};
+    if (!analysis.data.gap) analysis.data.gap = [];
+    const result = importGapRequirements(analysis, requirements);
+    saveAnalyses();
+    renderGapTable();
+    updateGapChart();
+    const lines = [`${result.added} exigence(s) ajoutée(s), ${result.updated} mise(s) à jour.`];
+    if (result.skipped > 0) lines.push(`${result.skipped} ligne(s) sans titre ni description ignorée(s).`);
+    if (result.unknownStatuses.size > 0) {
+      lines.push(`Statuts non reconnus, laissés vides : ${Array.from(result.unknownStatuses).map(s => `« ${s} »`).join(', ')}`);
+    }
+    await showDialog({ title: 'Import des exigences', lines, choices: [{ value: null, label: 'Fermer', primary: true }] });
+  }
+
+  // ----- GAP analysis: compliance chart drawing
+  // Each requirement scores according to its application status; "Non
+  // applicable" and unassessed requirements are left out of the scores.
+  const GAP_STATUS_CATEGORIES = [
+    { key: 'applique', label: 'Appliqué', color: '#2a9d8f', score: 1 },
+    { key: 'partiel', label: 'Partiellement appliqué', color: '#e9c46a', score: 0.5 },
+    { key: 'non', label: 'Non appliqué', color: '#e63946', score: 0 },
+    { key: 'nonApp', label: 'Non applicable', color: '#9aa0a6', score: null }
+  ];
+
+  // Filter of the GAP table, set by clicking the charts
+  let gapFilter = { domaine: null, status: null };
+
+  function gapStatusKey(application) {
+    const val = (application || '').toLowerCase().trim();
+    if (val === 'appliqué' || val === 'applique') return 'applique';
+    if (val === 'partiellement appliqué' || val === 'partiellement applique') return 'partiel';
+    if (val === 'non appliqué' || val === 'non applique') return 'non';
+    if (val === 'non applicable') return 'nonApp';
+    return '';
+  }
+
+  // Weighted compliance score (0–1) of a list of requirements, null when
+  // none of them is scored.
+  function gapScore(requirements) {
+    let total = 0;
+    let counted = 0;
+    requirements.forEach(req => {
+      const category = GAP_STATUS_CATEGORIES.find(c => c.key === gapStatusKey(req.application));
+      if (!category || category.score === null) return;
+      total += category.score;
+      counted += 1;
     });
+    return { score: counted ? total / counted : null, counted, total: requirements.length };
   }
 
-  // Close the risk modal and reset state
-  function closeRiskModal() {
-    const modal = document.getElementById('risk-modal');
-    if (!modal) return;
-    modal.style.display = 'none';
-    // reset target
-    riskModalTarget = null;
+  // Scores grouped by requirement domain, in order of appearance
+  function gapDomainScores(gap) {
+    const domains = new Map();
+    gap.forEach(req => {
+      const domaine = (req.domaine || '').trim();
+      if (!domains.has(domaine)) domains.set(domaine, []);
+      domains.get(domaine).push(req);
+    });
+    return Array.from(domains, ([domaine, requirements]) => Object.assign({ domaine }, gapScore(requirements)));
   }
 
-  // ----- GAP analysis: compliance chart drawing
-  function updateGapChart() {
-    const container = document.getElementById('gap-overview-chart');
+  function gapRowVisible(req) {
+    if (gapFilter.domaine !== null && (req.domaine || '').trim() !== gapFilter.domaine) return false;
+    if (gapFilter.status !== null && gapStatusKey(req.application) !== gapFilter.status) return false;
+    return true;
+  }
+
+  // Clicking the active filter again clears it
+  function toggleGapFilter(key, value) {
+    gapFilter[key] = gapFilter[key] === value ? null : value;
+    renderGapTable();
+    updateGapChart();
+  }
+
+  function formatScore(score) {
+    return score === null ? '—' : Math.round(score * 100) + ' %';
+  }
+
+  // `container` defaults to the chart of the GAP sub-tab; the report
+  // passes its own element.
+  function updateGapChart(container = document.getElementById('gap-overview-chart')) {
     if (!container) return;
     const analysis = analyses[currentIndex];
     // Clear existing content
@@ -1717,11 +6178,8 @@
       nonApp: 0
     };
     gap.forEach(req => {
-      const val = (req.application || '').toLowerCase().trim();
-      if (val === 'appliqué' || val === 'applique') counts.applique += 1;
-      else if (val === 'partiellement appliqué' || val === 'partiellement applique') counts.partiel += 1;
-      else if (val === 'non appliqué' || val === 'non applique') counts.non += 1;
-      else if (val === 'non applicable' || val === 'non applicable') counts.nonApp += 1;
+      const key = gapStatusKey(req.application);
+      if (key) counts[key] += 1;
     });
     const total = counts.applique + counts.partiel + counts.non + counts.nonApp;
     if (total === 0) {
@@ -1732,22 +6190,18 @@
       container.appendChild(msg);
       return;
     }
-    // Define categories with colours
-    const categories = [
-      { key:'applique', label:'Appliqué', color:'#2a9d8f' },
-      { key:'partiel', label:'Partiellement appliqué', color:'#e9c46a' },
-      { key:'non', label:'Non appliqué', color:'#e63946' },
-      { key:'nonApp', label:'Non applicable', color:'#9aa0a6' }
-    ];
+    const categories = GAP_STATUS_CATEGORIES;
     // Build gradient stops for the conic gradient
     let offset = 0;
     const stops = [];
+    const ranges = [];
     categories.forEach(cat => {
       const value = counts[cat.key];
       const angle = (value / total) * 360;
       const start = offset;
       const end = offset + angle;
       stops.push(`${cat.color} ${start}deg ${end}deg`);
+      ranges.push({ key: cat.key, start, end });
       offset = end;
     });
     const gradientStr = stops.join(', ');
@@ -1783,6 +6237,17 @@
     inner.style.borderRadius = '50%';
     inner.style.backgroundColor = 'var(--bg-panel)';
     donut.appendChild(inner);
+    // Filter the table on the status of the clicked slice.  The conic
+    // gradient starts at the top and turns clockwise.
+    donut.addEventListener('click', (e) => {
+      if (e.target !== donut) return;
+      const box = donut.getBoundingClientRect();
+      const dx = e.clientX - box.left - box.width / 2;
+      const dy = e.clientY - box.top - box.height / 2;
+      const angle = (Math.atan2(dx, -dy) * 180 / Math.PI + 360) % 360;
+      const range = ranges.find(r => angle >= r.start && angle < r.end);
+      if (range) toggleGapFilter('status', range.key);
+    });
     container.appendChild(donut);
     // Build legend
     const legend = document.createElement('div');
@@ -1791,7 +6256,7 @@
       const value = counts[cat.key];
       const perc = Math.round((value / total) * 100);
       const item = document.createElement('div');
-      item.className = 'legend-item';
+      item.className = 'legend-item' + (gapFilter.status === cat.key ? ' active' : '');
       const colorBox = document.createElement('div');
       colorBox.className = 'legend-color';
       colorBox.style.backgroundColor = cat.color;
@@ -1799,311 +6264,389 @@
       label.textContent = `${cat.label}: ${value} (${perc}%)`;
       item.appendChild(colorBox);
       item.appendChild(label);
+      item.addEventListener('click', () => toggleGapFilter('status', cat.key));
       legend.appendChild(item);
     });
     container.appendChild(legend);
+    // Score per domain as horizontal bars
+    const domains = document.createElement('div');
+    domains.className = 'gap-domains';
+    const heading = document.createElement('div');
+    heading.className = 'gap-domains-title';
+    heading.textContent = `Score de conformité : ${formatScore(gapScore(gap).score)}`;
+    domains.appendChild(heading);
+    gapDomainScores(gap).forEach(d => {
+      const row = document.createElement('div');
+      row.className = 'gap-domain' + (gapFilter.domaine === d.domaine ? ' active' : '');
+      row.title = `${d.counted} exigence(s) notée(s) sur ${d.total}`;
+      const label = document.createElement('span');
+      label.className = 'gap-domain-label';
+      label.textContent = d.domaine || '(sans domaine)';
+      const track = document.createElement('div');
+      track.className = 'gap-domain-track';
+      const fill = document.createElement('div');
+      fill.className = 'gap-domain-fill';
+      fill.style.width = Math.round((d.score || 0) * 100) + '%';
+      fill.style.backgroundColor = d.score === null ? '#9aa0a6' : d.score >= 0.75 ? '#2a9d8f' : d.score >= 0.5 ? '#e9c46a' : '#e63946';
+      track.appendChild(fill);
+      const value = document.createElement('span');
+      value.className = 'gap-domain-value';
+      value.textContent = formatScore(d.score);
+      row.appendChild(label);
+      row.appendChild(track);
+      row.appendChild(value);
+      row.addEventListener('click', () => toggleGapFilter('domaine', d.domaine));
+      domains.appendChild(row);
+    });
+    container.appendChild(domains);
   }
 
-  // ----- Atelier 1: Graph generation.  A custom SVG graph replaces
-  // the previous ECharts-based implementation, so no chart instance
-  // is required here.
-  let atelier1Chart = null; // unused placeholder, preserved for backward compatibility
-  function updateAtelier1Graph() {
-    // Custom SVG-based network rendering without external libraries
-    const container = document.getElementById('atelier1-graph');
-    if (!container) return;
-    const analysis = analyses[currentIndex];
-    if (!analysis || !analysis.data) return;
-    const missions = analysis.data.missions || [];
-    const events = analysis.data.events || [];
-    // Determine maximum impact per mission
+  // ----- Atelier 1: Dependency graph
+  // Interactive SVG graph of the business values (missions), their
+  // supports and feared events, and the stakeholders tied to them
+  // through ppc.supportIds / ppc.valueIds.  Nodes are laid out in
+  // columns (events, values, supports, stakeholders) ordered to limit
+  // crossings; nodes dragged by hand keep their position in
+  // data.atelier1Layout (node key → { x, y }).  The wheel zooms, dragging
+  // the background pans, hovering a node highlights its neighbours and
+  // clicking it jumps to the matching table row.
+  const GRAPH_COLUMN_WIDTH = 260;
+  const GRAPH_ROW_HEIGHT = 48;
+  const GRAPH_LABEL_LENGTH = 28;
+  // Zoom and pan of the on-page graph, kept across re-renders:
+  // { analysisId, k, x, y }
+  let atelier1View = null;
+
+  function graphImpactColor(level, data) {
+    const entry = scaleOf('gravite', data)[level - 1];
+    return entry ? entry.color : '#3c85cc';
+  }
+
+  // Nodes and edges of the graph.  Node keys are `<kind>:<id>`.
+  function atelier1GraphModel(data) {
+    const nodes = new Map();
+    const edges = [];
+    const addEdge = (from, to) => {
+      if (nodes.has(from) && nodes.has(to) && !edges.some(e => e.from === from && e.to === to)) edges.push({ from, to });
+    };
     const impactByMission = new Map();
-    events.forEach(ev => {
-      const mid = ev.missionId;
-      const imp = parseInt(ev.impact, 10) || 0;
-      if (!impactByMission.has(mid) || imp > impactByMission.get(mid)) {
-        impactByMission.set(mid, imp);
-      }
+    (data.events || []).forEach(ev => {
+      const impact = parseInt(ev.impact, 10) || 0;
+      if (impact > (impactByMission.get(ev.missionId) || 0)) impactByMission.set(ev.missionId, impact);
     });
-    // Compute support statistics: degree and maximum impact across linked missions
-    const supportStats = new Map(); // name -> { degree, maxImpact }
-    missions.forEach(m => {
-      const mImp = impactByMission.get(m.id) || 0;
-      (m.supports || []).forEach(s => {
-        const name = (s.name || '').trim();
-        if (!name) return;
-        if (!supportStats.has(name)) supportStats.set(name, { degree: 0, maxImpact: 0 });
-        const stat = supportStats.get(name);
+    (data.missions || []).forEach(m => {
+      const impact = impactByMission.get(m.id) || 0;
+      nodes.set('mission:' + m.id, {
+        kind: 'mission', label: m.denom || 'Valeur', color: graphImpactColor(impact, data),
+        tooltip: `${m.denom || 'Valeur'}\nImpact : ${impact || '0'}${m.description ? '\n' + m.description : ''}`
+      });
+    });
+    (data.events || []).forEach(ev => {
+      if (!nodes.has('mission:' + ev.missionId)) return;
+      nodes.set('event:' + ev.id, {
+        kind: 'event', label: ev.evenement || 'Évènement', color: graphImpactColor(parseInt(ev.impact, 10), data),
+        tooltip: `${ev.evenement || 'Évènement redouté'}\nImpact : ${ev.impact || '0'}${ev.impactDescription ? '\n' + ev.impactDescription : ''}`
+      });
+      addEdge('event:' + ev.id, 'mission:' + ev.missionId);
+    });
+    const supportStats = new Map();
+    (data.missions || []).forEach(m => {
+      (m.supportIds || []).forEach(id => {
+        const stat = supportStats.get(id) || { degree: 0, maxImpact: 0 };
         stat.degree += 1;
-        if (mImp > stat.maxImpact) stat.maxImpact = mImp;
-        supportStats.set(name, stat);
+        stat.maxImpact = Math.max(stat.maxImpact, impactByMission.get(m.id) || 0);
+        supportStats.set(id, stat);
+      });
+    });
+    (data.supports || []).forEach(support => {
+      const stat = supportStats.get(support.id);
+      const name = (support.name || '').trim();
+      if (!stat || !name) return;
+      nodes.set('support:' + support.id, {
+        kind: 'support', label: name, color: graphImpactColor(stat.maxImpact, data), size: Math.min(20, 9 + stat.degree * 2),
+        tooltip: `${name}\nLiens : ${stat.degree}\nImpact max supporté : ${stat.maxImpact || '0'}`
       });
     });
-    // Build mission nodes array
-    const missionNodes = [];
-    missions.forEach(m => {
-      const imp = impactByMission.get(m.id) || 0;
-      missionNodes.push({ id: m.id, name: m.denom || 'Valeur', desc: m.description || '', impact: imp });
+    (data.missions || []).forEach(m => {
+      (m.supportIds || []).forEach(id => addEdge('mission:' + m.id, 'support:' + id));
     });
-    // Build support nodes array
-    const supportNodes = [];
-    supportStats.forEach((stat, name) => {
-      supportNodes.push({ id: name, name: name, degree: stat.degree, maxImpact: stat.maxImpact });
+    (data.ppc || []).forEach(p => {
+      const supportIds = (p.supportIds || []).filter(id => nodes.has('support:' + id));
+      const valueIds = (p.valueIds || []).filter(id => nodes.has('mission:' + id));
+      if (supportIds.length === 0 && valueIds.length === 0) return;
+      nodes.set('pp:' + p.id, {
+        kind: 'stakeholder', label: p.nom || 'Partie prenante', color: '#9aa0a6',
+        tooltip: `${p.nom || 'Partie prenante'}${p.categorie ? '\n' + p.categorie : ''}`
+      });
+      supportIds.forEach(id => addEdge('support:' + id, 'pp:' + p.id));
+      valueIds.forEach(id => addEdge('mission:' + id, 'pp:' + p.id));
+    });
+    return { nodes, edges };
+  }
+
+  // Default positions: one column per kind, each column ordered by the
+  // mean rank of its neighbours in the columns already placed.
+  function atelier1DefaultLayout(model) {
+    const positions = new Map();
+    const rank = new Map();
+    const neighbours = (key) => model.edges.reduce((list, e) => {
+      if (e.from === key) list.push(e.to);
+      if (e.to === key) list.push(e.from);
+      return list;
+    }, []);
+    const place = (kind, column) => {
+      const keys = Array.from(model.nodes.keys()).filter(key => model.nodes.get(key).kind === kind);
+      const weight = (key) => {
+        const ranks = neighbours(key).filter(n => rank.has(n)).map(n => rank.get(n));
+        return ranks.length ? ranks.reduce((a, b) => a + b, 0) / ranks.length : Infinity;
+      };
+      const order = kind === 'mission' ? keys : keys.map((key, i) => ({ key, w: weight(key), i }))
+        .sort((a, b) => (a.w - b.w) || (a.i - b.i)).map(e => e.key);
+      order.forEach((key, i) => {
+        const offset = i - (order.length - 1) / 2;
+        rank.set(key, offset);
+        positions.set(key, { x: column * GRAPH_COLUMN_WIDTH, y: offset * GRAPH_ROW_HEIGHT });
+      });
+    };
+    place('mission', 1);
+    place('event', 0);
+    place('support', 2);
+    place('stakeholder', 3);
+    return positions;
+  }
+
+  // Zoom and pan showing every node inside a width × height viewport.
+  function fitGraphView(positions, width, height) {
+    const points = Array.from(positions.values());
+    if (points.length === 0) return { k: 1, x: width / 2, y: height / 2 };
+    const margin = 60;
+    const minX = Math.min(...points.map(p => p.x)) - margin;
+    const maxX = Math.max(...points.map(p => p.x)) + margin;
+    const minY = Math.min(...points.map(p => p.y)) - margin;
+    const maxY = Math.max(...points.map(p => p.y)) + margin;
+    const k = Math.min(1.5, width / (maxX - minX), height / (maxY - minY));
+    return { k, x: (width - (maxX - minX) * k) / 2 - minX * k, y: (height - (maxY - minY) * k) / 2 - minY * k };
+  }
+
+  function graphNodeShape(svgNS, node) {
+    let shape;
+    const size = node.size || 12;
+    if (node.kind === 'support') {
+      shape = document.createElementNS(svgNS, 'circle');
+      shape.setAttribute('r', size);
+    } else {
+      shape = document.createElementNS(svgNS, 'polygon');
+      const points = {
+        mission: [[-size, -size], [-size, size], [size, 0]],
+        event: [[0, -size], [size, 0], [0, size], [-size, 0]],
+        stakeholder: [[-size, -size], [size, -size], [size, size], [-size, size]],
+        source: [[-size, 0], [-size / 2, -size], [size / 2, -size], [size, 0], [size / 2, size], [-size / 2, size]]
+      }[node.kind];
+      shape.setAttribute('points', points.map(p => p.join(',')).join(' '));
+    }
+    shape.setAttribute('fill', node.color);
+    return shape;
+  }
+
+  function updateAtelier1Graph(container = document.getElementById('atelier1-graph')) {
+    if (!container) return;
+    const analysis = analyses[currentIndex];
+    if (!analysis || !analysis.data) return;
+    // The report draws the graph in a detached container: no interaction
+    const interactive = container === document.getElementById('atelier1-graph');
+    const model = atelier1GraphModel(analysis.data);
+    const layout = analysis.data.atelier1Layout || {};
+    const positions = atelier1DefaultLayout(model);
+    positions.forEach((pos, key) => {
+      const saved = layout[key];
+      if (saved && Number.isFinite(saved.x) && Number.isFinite(saved.y)) positions.set(key, { x: saved.x, y: saved.y });
     });
-    // Clear previous content
     container.innerHTML = '';
-    // Determine container dimensions
     const width = container.clientWidth || container.offsetWidth || 600;
     const height = container.clientHeight || container.offsetHeight || 600;
-    // Create SVG
     const svgNS = 'http://www.w3.org/2000/svg';
     const svg = document.createElementNS(svgNS, 'svg');
     svg.setAttribute('width', width);
     svg.setAttribute('height', height);
+    svg.setAttribute('class', 'dependency-graph');
     svg.style.display = 'block';
-    // Helper functions
-    function impactColor(lvl) {
-      return {1: '#2a9d8f', 2: '#e9c46a', 3: '#f4a261', 4: '#e63946'}[lvl] || '#3c85cc';
-    }
-    function triangleSize(lvl) {
-      return {1: 10, 2: 14, 3: 18, 4: 22}[lvl] || 10;
-    }
-    function circleRadius(deg) {
-      return Math.min(32, 10 + deg * 6);
-    }
-    // Compute positions: missions on left, supports on right
-    const mCount = missionNodes.length;
-    const sCount = supportNodes.length;
-    const mSpacing = mCount > 0 ? height / (mCount + 1) : 0;
-    const sSpacing = sCount > 0 ? height / (sCount + 1) : 0;
-    const mX = Math.max(80, width * 0.2);
-    const sX = Math.min(width - 80, width * 0.8);
-    const missionPos = new Map();
-    missionNodes.forEach((node, idx) => {
-      const y = (idx + 1) * mSpacing;
-      missionPos.set(node.id, { x: mX, y, node });
-    });
-    const supportPos = new Map();
-    supportNodes.forEach((node, idx) => {
-      const y = (idx + 1) * sSpacing;
-      supportPos.set(node.id, { x: sX, y, node });
-    });
-    // Draw lines for each link
-    missions.forEach(m => {
-      (m.supports || []).forEach(s => {
-        const name = (s.name || '').trim();
-        if (!name) return;
-        const mP = missionPos.get(m.id);
-        const sP = supportPos.get(name);
-        if (!mP || !sP) return;
-        const line = document.createElementNS(svgNS, 'line');
-        line.setAttribute('x1', mP.x + triangleSize(mP.node.impact));
-        line.setAttribute('y1', mP.y);
-        line.setAttribute('x2', sP.x - circleRadius(sP.node.degree));
-        line.setAttribute('y2', sP.y);
-        line.setAttribute('stroke', '#888');
-        line.setAttribute('stroke-width', '1');
-        svg.appendChild(line);
-      });
-    });
-    // Draw mission nodes
-    missionPos.forEach(({ x, y, node }) => {
-      const size = triangleSize(node.impact);
-      const color = impactColor(node.impact);
-      const points = [
-        `${x - size},${y - size}`,
-        `${x - size},${y + size}`,
-        `${x},${y}`
-      ].join(' ');
-      const poly = document.createElementNS(svgNS, 'polygon');
-      poly.setAttribute('points', points);
-      poly.setAttribute('fill', color);
-      // Tooltip
-      const title = document.createElementNS(svgNS, 'title');
-      title.textContent = `${node.name}\nImpact: ${node.impact || '0'}${node.desc ? '\n' + node.desc : ''}`;
-      poly.appendChild(title);
-      svg.appendChild(poly);
-      // Label left of triangle
-      const text = document.createElementNS(svgNS, 'text');
-      text.setAttribute('x', x - size - 4);
-      text.setAttribute('y', y);
-      text.setAttribute('text-anchor', 'end');
-      text.setAttribute('alignment-baseline', 'middle');
-      text.setAttribute('fill', 'var(--text-primary)');
-      text.setAttribute('font-size', '10');
-      text.textContent = node.name;
-      svg.appendChild(text);
-    });
-    // Draw support nodes
-    supportPos.forEach(({ x, y, node }) => {
-      const r = circleRadius(node.degree);
-      const color = impactColor(node.maxImpact);
-      const circle = document.createElementNS(svgNS, 'circle');
-      circle.setAttribute('cx', x);
-      circle.setAttribute('cy', y);
-      circle.setAttribute('r', r);
-      circle.setAttribute('fill', color || '#9aa0a6');
+    const viewport = document.createElementNS(svgNS, 'g');
+    svg.appendChild(viewport);
+    let view = interactive && atelier1View && atelier1View.analysisId === analysis.id ? atelier1View : null;
+    if (!view) view = Object.assign({ analysisId: analysis.id }, fitGraphView(positions, width, height));
+    if (interactive) atelier1View = view;
+    const applyView = () => viewport.setAttribute('transform', `translate(${view.x},${view.y}) scale(${view.k})`);
+    applyView();
+    // Edges first so that nodes are drawn over them
+    const edgeEls = model.edges.map(edge => {
+      const line = document.createElementNS(svgNS, 'line');
+      line.setAttribute('class', 'graph-edge');
+      viewport.appendChild(line);
+      return { edge, line };
+    });
+    const placeEdges = () => edgeEls.forEach(({ edge, line }) => {
+      const from = positions.get(edge.from);
+      const to = positions.get(edge.to);
+      line.setAttribute('x1', from.x);
+      line.setAttribute('y1', from.y);
+      line.setAttribute('x2', to.x);
+      line.setAttribute('y2', to.y);
+    });
+    placeEdges();
+    const nodeEls = new Map();
+    model.nodes.forEach((node, key) => {
+      const g = document.createElementNS(svgNS, 'g');
+      g.setAttribute('class', 'graph-node graph-' + node.kind);
+      const pos = positions.get(key);
+      g.setAttribute('transform', `translate(${pos.x},${pos.y})`);
+      g.appendChild(graphNodeShape(svgNS, node));
       const title = document.createElementNS(svgNS, 'title');
-      title.textContent = `${node.name}\nLiens: ${node.degree}\nMax impact supporté: ${node.maxImpact || '0'}`;
-      circle.appendChild(title);
-      svg.appendChild(circle);
-      // Label right of circle
+      title.textContent = node.tooltip;
+      g.appendChild(title);
       const text = document.createElementNS(svgNS, 'text');
-      text.setAttribute('x', x + r + 4);
-      text.setAttribute('y', y);
-      text.setAttribute('text-anchor', 'start');
-      text.setAttribute('alignment-baseline', 'middle');
+      text.setAttribute('y', (node.size || 12) + 12);
+      text.setAttribute('text-anchor', 'middle');
       text.setAttribute('fill', 'var(--text-primary)');
       text.setAttribute('font-size', '10');
-      text.textContent = node.name;
-      svg.appendChild(text);
+      text.textContent = node.label.length > GRAPH_LABEL_LENGTH ? node.label.slice(0, GRAPH_LABEL_LENGTH - 1) + '…' : node.label;
+      g.appendChild(text);
+      viewport.appendChild(g);
+      nodeEls.set(key, g);
     });
     container.appendChild(svg);
-  }
+    if (!interactive) return;
 
-  // ----- Atelier 1: Missions
-  function renderMissions() {
-    const listEl = document.getElementById('missions-list');
-    listEl.innerHTML = '';
-    const analysis = analyses[currentIndex];
-    if (!analysis.data) analysis.data = {};
-    if (!analysis.data.missions) analysis.data.missions = [];
-    analysis.data.missions.forEach((item, idx) => {
-      // Ensure each mission has a unique id
-      if (!item.id) item.id = uid();
-      // Normalise supports: convert string to array if needed
-      if (!Array.isArray(item.supports)) {
-        if (typeof item.supports === 'string' && item.supports.trim() !== '') {
-          item.supports = item.supports.split(',').map(s => s.trim()).filter(Boolean);
-        } else {
-          item.supports = [];
-        }
-      }
-      const el = document.createElement('div');
-      el.className = 'item';
-      // Delete button
-      const delBtn = document.createElement('button');
-      delBtn.className = 'delete-item';
-      delBtn.innerHTML = '×';
-      delBtn.title = 'Supprimer cette mission';
-      delBtn.addEventListener('click', () => {
-        if (!confirm('Supprimer cette mission ?')) return;
-        analysis.data.missions.splice(idx, 1);
-        saveAnalyses();
-        renderMissions();
-        updateAtelier1Chart();
-      });
-      el.appendChild(delBtn);
-      // Fields
-      el.appendChild(createInput('Dénomination', 'text', item.denom, (v) => {
-        item.denom = v;
-        saveAnalyses();
-      }));
-      el.appendChild(createInput('Nature', 'text', item.nature, (v) => {
-        item.nature = v;
-        saveAnalyses();
-      }));
-      el.appendChild(createInput('Description', 'textarea', item.description, (v) => {
-        item.description = v;
-        saveAnalyses();
-      }));
-      el.appendChild(createInput('Responsable', 'text', item.responsable, (v) => {
-        item.responsable = v;
-        saveAnalyses();
-      }));
-      // Supports list
-      const supportsContainer = document.createElement('div');
-      const supportsLabel = document.createElement('label');
-      supportsLabel.textContent = 'Biens supports';
-      supportsContainer.appendChild(supportsLabel);
-      const supportsList = document.createElement('div');
-      supportsList.className = 'supports-list';
-      item.supports.forEach((support, sIdx) => {
-        const sItem = document.createElement('div');
-        sItem.className = 'supports-item';
-        const input = document.createElement('input');
-        input.type = 'text';
-        input.value = support;
-        input.addEventListener('input', (e) => {
-          item.supports[sIdx] = e.target.value;
-          saveAnalyses();
-        });
-        const rmBtn = document.createElement('button');
-        rmBtn.innerHTML = '×';
-        rmBtn.title = 'Supprimer ce bien support';
-        rmBtn.addEventListener('click', () => {
-          item.supports.splice(sIdx, 1);
-          saveAnalyses();
-          renderMissions();
+    // Hover: highlight the node, its edges and its neighbours
+    nodeEls.forEach((g, key) => {
+      g.addEventListener('mouseenter', () => {
+        svg.classList.add('graph-hover');
+        g.classList.add('graph-active');
+        edgeEls.forEach(({ edge, line }) => {
+          if (edge.from !== key && edge.to !== key) return;
+          line.classList.add('graph-active');
+          nodeEls.get(edge.from === key ? edge.to : edge.from).classList.add('graph-active');
         });
-        sItem.appendChild(input);
-        sItem.appendChild(rmBtn);
-        supportsList.appendChild(sItem);
-      });
-      supportsContainer.appendChild(supportsList);
-      const addSupportBtn = document.createElement('button');
-      addSupportBtn.className = 'add-support-btn';
-      addSupportBtn.textContent = '+ Bien support';
-      addSupportBtn.addEventListener('click', () => {
-        item.supports.push('');
-        saveAnalyses();
-        renderMissions();
       });
-      supportsContainer.appendChild(addSupportBtn);
-      el.appendChild(supportsContainer);
-      listEl.appendChild(el);
+      g.addEventListener('mouseleave', () => {
+        svg.classList.remove('graph-hover');
+        svg.querySelectorAll('.graph-active').forEach(el => el.classList.remove('graph-active'));
+      });
+    });
+    // Pointer coordinates relative to the svg element
+    const pointer = (e) => {
+      const rect = svg.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+    // Dragging a node moves it, dragging the background pans; a node
+    // released without moving was clicked.
+    let drag = null;
+    svg.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      const nodeEl = e.target.closest('.graph-node');
+      const key = nodeEl ? Array.from(nodeEls.keys()).find(k => nodeEls.get(k) === nodeEl) : null;
+      const p = pointer(e);
+      drag = { key, start: p, origin: key ? Object.assign({}, positions.get(key)) : { x: view.x, y: view.y }, moved: false };
+      if (svg.setPointerCapture) svg.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    });
+    svg.addEventListener('pointermove', (e) => {
+      if (!drag) return;
+      const p = pointer(e);
+      const dx = p.x - drag.start.x;
+      const dy = p.y - drag.start.y;
+      if (!drag.moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+      drag.moved = true;
+      if (drag.key) {
+        const pos = { x: drag.origin.x + dx / view.k, y: drag.origin.y + dy / view.k };
+        positions.set(drag.key, pos);
+        nodeEls.get(drag.key).setAttribute('transform', `translate(${pos.x},${pos.y})`);
+        placeEdges();
+      } else {
+        view.x = drag.origin.x + dx;
+        view.y = drag.origin.y + dy;
+        applyView();
+      }
+    });
+    svg.addEventListener('pointerup', () => {
+      if (!drag) return;
+      const { key, moved } = drag;
+      drag = null;
+      if (!key) return;
+      if (!moved) {
+        focusGraphNode(key);
+        return;
+      }
+      // Positions of nodes removed since are dropped on the way
+      const saved = {};
+      Object.keys(layout).forEach(k => {
+        if (model.nodes.has(k)) saved[k] = layout[k];
+      });
+      const pos = positions.get(key);
+      saved[key] = { x: Math.round(pos.x), y: Math.round(pos.y) };
+      analysis.data.atelier1Layout = saved;
+      saveAnalyses();
+    });
+    const zoom = (factor, at) => {
+      const k = Math.min(4, Math.max(0.2, view.k * factor));
+      view.x = at.x - (at.x - view.x) * (k / view.k);
+      view.y = at.y - (at.y - view.y) * (k / view.k);
+      view.k = k;
+      applyView();
+    };
+    svg.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      zoom(e.deltaY < 0 ? 1.15 : 1 / 1.15, pointer(e));
     });
-  }
 
-  function renderEvents() {
-    const listEl = document.getElementById('er-list');
-    listEl.innerHTML = '';
-    const analysis = analyses[currentIndex];
-    if (!analysis.data) analysis.data = {};
-    if (!analysis.data.events) analysis.data.events = [];
-    analysis.data.events.forEach((item, idx) => {
-      // Ensure each event has a unique id
-      if (!item.id) item.id = uid();
-      const el = document.createElement('div');
-      el.className = 'item';
-      const delBtn = document.createElement('button');
-      delBtn.className = 'delete-item';
-      delBtn.innerHTML = '×';
-      delBtn.title = 'Supprimer cet évènement';
-      delBtn.addEventListener('click', () => {
-        if (!confirm('Supprimer cet évènement ?')) return;
-        analysis.data.events.splice(idx, 1);
-        saveAnalyses();
-        renderEvents();
-        updateAtelier1Chart();
-      });
-      el.appendChild(delBtn);
-      // Mission selector
-      const missionOptions = (analysis.data.missions || []).map((m, i) => ({ value: m.id, label: m.denom || `Mission ${i + 1}` }));
-      el.appendChild(createSelect('Mission', missionOptions, item.missionId || '', (v) => {
-        item.missionId = v;
-        saveAnalyses();
-      }));
-      // Fields
-      el.appendChild(createInput('Référence', 'text', item.ref, (v) => {
-        item.ref = v;
-        saveAnalyses();
-      }));
-      el.appendChild(createInput('Évènement redouté', 'textarea', item.evenement, (v) => {
-        item.evenement = v;
-        saveAnalyses();
-      }));
-      el.appendChild(createInput('Impact', 'text', item.impact, (v) => {
-        item.impact = v;
-        saveAnalyses();
-      }));
-      el.appendChild(createInput('Gravité', 'text', item.gravite, (v) => {
-        item.gravite = v;
-        saveAnalyses();
-        updateAtelier1Chart();
-      }));
-      listEl.appendChild(el);
+    const controls = document.createElement('div');
+    controls.className = 'graph-controls';
+    const legend = document.createElement('span');
+    legend.className = 'graph-legend';
+    legend.textContent = '◆ Évènement redouté  ▶ Valeur métier  ● Bien support  ■ Partie prenante';
+    controls.appendChild(legend);
+    const button = (label, title, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = 'add-assoc-btn';
+      btn.textContent = label;
+      btn.title = title;
+      btn.addEventListener('click', onClick);
+      controls.appendChild(btn);
+    };
+    button('+', 'Zoom avant', () => zoom(1.25, { x: width / 2, y: height / 2 }));
+    button('−', 'Zoom arrière', () => zoom(1 / 1.25, { x: width / 2, y: height / 2 }));
+    button('Ajuster', 'Afficher tout le graphe', () => {
+      Object.assign(view, fitGraphView(positions, width, height));
+      applyView();
     });
+    button('Réorganiser', 'Oublier les positions déplacées à la main', () => {
+      if (!analysis.data.atelier1Layout || !confirm('Revenir à la disposition automatique du graphe ?')) return;
+      delete analysis.data.atelier1Layout;
+      atelier1View = null;
+      saveAnalyses();
+      updateAtelier1Graph();
+    });
+    container.appendChild(controls);
+  }
+
+  // Bring the table row matching a graph node into view and focus its
+  // first field.  Stakeholders are edited in Atelier 3: the key is
+  // passed in the URL fragment and picked up once that page has loaded.
+  function focusGraphNode(key) {
+    const target = Array.from(document.querySelectorAll('[data-graph-key]')).find(el => el.dataset.graphKey === key);
+    if (!target) {
+      if (key.startsWith('pp:') && !document.getElementById('ppc-body')) {
+        persistCurrentAnalysisId();
+        flushSave().then(() => {
+          window.location.href = 'atelier3.html#focus=' + encodeURIComponent(key);
+        });
+      }
+      return;
+    }
+    if (target.scrollIntoView) target.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    const field = target.querySelector('input, textarea, select');
+    if (field) field.focus({ preventScroll: true });
+    target.classList.add('graph-focus');
+    setTimeout(() => target.classList.remove('graph-focus'), 1500);
   }
 
   // ----- Atelier 2: SROV
@@ -2116,40 +6659,26 @@
     const analysis = analyses[currentIndex];
     if (!analysis.data) analysis.data = {};
     if (!analysis.data.srov) analysis.data.srov = [];
-    const levelColor = (lvl) => {
-      switch (parseInt(lvl, 10)) {
-        case 1: return '#2a9d8f'; // green
-        case 2: return '#e9c46a'; // yellow
-        case 3: return '#f4a261'; // orange
-        case 4: return '#e63946'; // red
-        default: return '#9aa0a6';
-      }
-    };
-    const pertinenceBucket = (p) => {
-      if (p >= 13) return 4;
-      if (p >= 9) return 3;
-      if (p >= 5) return 2;
-      return 1;
-    };
+    // Pertinence is rated on the motivation scale
+    const pertinenceBucket = (p) => scaleBucket(p, scaleOf('motivation').length * scaleOf('ressources').length, scaleOf('motivation').length);
     analysis.data.srov.forEach((item, idx) => {
-      if (!item.id) item.id = uid();
-      // Ensure numeric fields exist and default to 1
-      item.motivation = parseInt(item.motivation, 10) || 1;
-      item.ressources = parseInt(item.ressources, 10) || 1;
-      item.priorite = parseInt(item.priorite, 10) || 1;
-      // Default retenue to true unless explicitly false
-      if (typeof item.retenue !== 'boolean') item.retenue = true;
       const tr = document.createElement('tr');
       // Source
       let td = document.createElement('td');
       const srcInput = document.createElement('input');
       srcInput.type = 'text';
       srcInput.value = item.source || '';
+      let committedSource = (item.source || '').trim();
       srcInput.oninput = (e) => {
         item.source = e.target.value;
         saveAnalyses();
         updateAtelier2Chart();
       };
+      // Strategic scenarios refer to sources and objectives by name
+      srcInput.onchange = () => {
+        if (cascadeRename(analysis.data, 'srovSource', committedSource, item.source.trim()) > 0) saveAnalyses();
+        committedSource = item.source.trim();
+      };
       td.appendChild(srcInput);
       tr.appendChild(td);
       // Objectif
@@ -2157,46 +6686,26 @@
       const objInput = document.createElement('input');
       objInput.type = 'text';
       objInput.value = item.objectif || '';
+      let committedObjective = (item.objectif || '').trim();
       objInput.oninput = (e) => {
         item.objectif = e.target.value;
         saveAnalyses();
         updateAtelier2Chart();
       };
+      objInput.onchange = () => {
+        if (cascadeRename(analysis.data, 'srovObjective', committedObjective, item.objectif.trim()) > 0) saveAnalyses();
+        committedObjective = item.objectif.trim();
+      };
       td.appendChild(objInput);
       tr.appendChild(td);
       // Motivation
       td = document.createElement('td');
       const motSelect = document.createElement('select');
-      [1, 2, 3, 4].forEach(val => {
-        const opt = document.createElement('option');
-        opt.value = val;
-        // Shorter labels for motivation to avoid truncation.  The number
-        // conveys the level and the descriptor gives a quick sense of
-        // intensity.
-        let label;
-        switch (val) {
-          case 4:
-            label = '4 – Fortement';
-            break;
-          case 3:
-            label = '3 – Assez';
-            break;
-          case 2:
-            label = '2 – Peu';
-            break;
-          default:
-            label = '1 – Très peu';
-        }
-        opt.textContent = label;
-        if (val === item.motivation) opt.selected = true;
-        motSelect.appendChild(opt);
-      });
-      // Apply initial colour
-      motSelect.style.backgroundColor = levelColor(item.motivation);
+      fillScaleSelect(motSelect, 'motivation', item.motivation);
       motSelect.onchange = (e) => {
         item.motivation = parseInt(e.target.value, 10);
         // Update colour and pertinence cell
-        e.target.style.backgroundColor = levelColor(item.motivation);
+        e.target.style.backgroundColor = scaleColor('motivation', item.motivation);
         // Update pertinence cell below
         updatePertinenceCell(tr, item);
         saveAnalyses();
@@ -2207,33 +6716,10 @@
       // Ressources
       td = document.createElement('td');
       const resSelect = document.createElement('select');
-      [1, 2, 3, 4].forEach(val => {
-        const opt = document.createElement('option');
-        opt.value = val;
-        // Shorter labels so the select fits within the table without truncation.
-        // Each level indicates the available resources from limited to unlimited.
-        let label;
-        switch (val) {
-          case 4:
-            label = '4 – Illimitées';
-            break;
-          case 3:
-            label = '3 – Importantes';
-            break;
-          case 2:
-            label = '2 – Significatives';
-            break;
-          default:
-            label = '1 – Limitées';
-        }
-        opt.textContent = label;
-        if (val === item.ressources) opt.selected = true;
-        resSelect.appendChild(opt);
-      });
-      resSelect.style.backgroundColor = levelColor(item.ressources);
+      fillScaleSelect(resSelect, 'ressources', item.ressources);
       resSelect.onchange = (e) => {
         item.ressources = parseInt(e.target.value, 10);
-        e.target.style.backgroundColor = levelColor(item.ressources);
+        e.target.style.backgroundColor = scaleColor('ressources', item.ressources);
         updatePertinenceCell(tr, item);
         saveAnalyses();
         updateAtelier2Chart();
@@ -2247,44 +6733,20 @@
         const p = (item.motivation || 1) * (item.ressources || 1);
         const bucket = pertinenceBucket(p);
         td.textContent = `${p} (niv ${bucket})`;
-        td.style.backgroundColor = levelColor(bucket);
+        td.style.backgroundColor = scaleColor('motivation', bucket);
       };
       setPertinence();
       // store helper to update later
       td.dataset.update = setPertinence;
       tr.appendChild(td);
-      // Priorité (1 à 4) : utilise des libellés explicites pour que
-      // l’utilisateur comprenne l’échelle.  Le niveau 1 est une
-      // priorité faible et le niveau 4 correspond à une priorité
-      // absolue.  Les couleurs suivent la fonction levelColor().
+      // Priorité : les libellés de l’échelle indiquent à l’utilisateur
+      // ce que recouvre chaque niveau.
       td = document.createElement('td');
       const priSelect = document.createElement('select');
-      [1, 2, 3, 4].forEach(val => {
-        const opt = document.createElement('option');
-        opt.value = val;
-        let label;
-        switch (val) {
-          case 4:
-            label = '4 – Priorité absolue';
-            break;
-          case 3:
-            label = '3 – Priorité élevée';
-            break;
-          case 2:
-            label = '2 – Priorité modérée';
-            break;
-          default:
-            label = '1 – Priorité faible';
-        }
-        opt.textContent = label;
-        if (val === item.priorite) opt.selected = true;
-        priSelect.appendChild(opt);
-      });
-      // Colour by priority
-      priSelect.style.backgroundColor = levelColor(item.priorite);
+      fillScaleSelect(priSelect, 'priorite', item.priorite);
       priSelect.onchange = (e) => {
         item.priorite = parseInt(e.target.value, 10);
-        e.target.style.backgroundColor = levelColor(item.priorite);
+        e.target.style.backgroundColor = scaleColor('priorite', item.priorite);
         saveAnalyses();
         updateAtelier2Chart();
       };
@@ -2321,8 +6783,11 @@
       delBtn.textContent = '×';
       delBtn.title = 'Supprimer ce couple';
       delBtn.addEventListener('click', () => {
-        if (!confirm('Supprimer ce couple ?')) return;
-        analysis.data.srov.splice(idx, 1);
+        const targets = [['srovSource', (item.source || '').trim()], ['srovObjective', (item.objectif || '').trim()]];
+        const removed = confirmDeletion(analysis.data, targets, 'Supprimer ce couple ?', () => {
+          analysis.data.srov.splice(idx, 1);
+        });
+        if (!removed) return;
         saveAnalyses();
         renderSROV();
         updateAtelier2Chart();
@@ -2340,60 +6805,10 @@
       const p = (entry.motivation || 1) * (entry.ressources || 1);
       const bucket = pertinenceBucket(p);
       pCell.textContent = `${p} (niv ${bucket})`;
-      pCell.style.backgroundColor = levelColor(bucket);
+      pCell.style.backgroundColor = scaleColor('motivation', bucket);
     }
   }
 
-  // ----- Atelier 3: Parties prenantes
-  function renderPP() {
-    const listEl = document.getElementById('pp-list');
-    if (!listEl) return;
-    listEl.innerHTML = '';
-    const analysis = analyses[currentIndex];
-    if (!analysis.data) analysis.data = {};
-    if (!analysis.data.pp) analysis.data.pp = [];
-    analysis.data.pp.forEach((item, idx) => {
-      if (!item.id) item.id = uid();
-      const el = document.createElement('div');
-      el.className = 'item';
-      const delBtn = document.createElement('button');
-      delBtn.className = 'delete-item';
-      delBtn.innerHTML = '×';
-      delBtn.title = 'Supprimer cette partie prenante';
-      delBtn.addEventListener('click', () => {
-        if (!confirm('Supprimer cette partie prenante ?')) return;
-        analysis.data.pp.splice(idx, 1);
-        saveAnalyses();
-        renderPP();
-        updateAtelier3Chart();
-      });
-      el.appendChild(delBtn);
-      el.appendChild(createInput('Catégorie', 'text', item.categorie, (v) => {
-        item.categorie = v;
-        saveAnalyses();
-      }));
-      el.appendChild(createInput('Nom', 'text', item.nom, (v) => {
-        item.nom = v;
-        saveAnalyses();
-      }));
-      el.appendChild(createInput('Description', 'textarea', item.description, (v) => {
-        item.description = v;
-        saveAnalyses();
-      }));
-      el.appendChild(createInput('Niveau SSI (0-10)', 'number', item.niveauSSI, (v) => {
-        item.niveauSSI = parseFloat(v) || 0;
-        saveAnalyses();
-        updateAtelier3Chart();
-      }));
-      el.appendChild(createInput('Indice de menace (0-10)', 'number', item.indiceMenace, (v) => {
-        item.indiceMenace = parseFloat(v) || 0;
-        saveAnalyses();
-        updateAtelier3Chart();
-      }));
-      listEl.appendChild(el);
-    });
-  }
-
   // ----- Atelier 3: Cartographie des parties prenantes
   function renderPPCarto() {
     const tbody = document.getElementById('ppc-body');
@@ -2407,52 +6822,21 @@
     // Helper to build options for supports and values
     const supportOptions = [];
     const missionOptions = [];
-    // Collect supports across all missions
+    // Supports of the registry
+    (analysis.data.supports || []).forEach(support => {
+      if (support.name) supportOptions.push({ value: support.id, label: support.name });
+    });
     (analysis.data.missions || []).forEach(mission => {
-      (mission.supports || []).forEach(support => {
-        const name = support.name || '';
-        if (name && !supportOptions.some(o => o.value === name)) {
-          supportOptions.push({ value: name, label: name });
-        }
-      });
       // Mission options for value selection
       const mName = mission.denom || '';
       if (mName && !missionOptions.some(o => o.value === mission.id)) {
         missionOptions.push({ value: mission.id, label: mName });
       }
     });
-    // Colour helpers
-    const levelColor = (lvl) => {
-      switch (parseInt(lvl, 10)) {
-        case 1: return '#2a9d8f'; // green
-        case 2: return '#e9c46a'; // yellow
-        case 3: return '#f4a261'; // orange
-        case 4: return '#e63946'; // red
-        default: return '#9aa0a6';
-      }
-    };
-    // For SSI metrics (maturité, confiance) we invert colours: 1=red -> 4=green
-    const ssiColor = (lvl) => {
-      switch (parseInt(lvl, 10)) {
-        case 1: return '#e63946'; // red
-        case 2: return '#f4a261'; // orange
-        case 3: return '#e9c46a'; // yellow
-        case 4: return '#2a9d8f'; // green
-        default: return '#9aa0a6';
-      }
-    };
     // Generate table rows
     ppc.forEach((item, idx) => {
-      if (!item.id) item.id = uid();
-      item.nom = item.nom || '';
-      item.categorie = item.categorie || 'prestataire';
-      if (!Array.isArray(item.supportIds)) item.supportIds = [];
-      if (!Array.isArray(item.valueIds)) item.valueIds = [];
-      item.dependance = parseInt(item.dependance, 10) || 1;
-      item.penetration = parseInt(item.penetration, 10) || 1;
-      item.maturite = parseInt(item.maturite, 10) || 1;
-      item.confiance = parseInt(item.confiance, 10) || 1;
       const tr = document.createElement('tr');
+      tr.dataset.graphKey = 'pp:' + item.id;
       // Nom
       let td = document.createElement('td');
       const nomInput = document.createElement('input');
@@ -2582,17 +6966,10 @@
       // Dépendance
       td = document.createElement('td');
       const depSelect = document.createElement('select');
-      [1, 2, 3, 4].forEach(val => {
-        const o = document.createElement('option');
-        o.value = val;
-        o.textContent = `${val}`;
-        if (val === item.dependance) o.selected = true;
-        depSelect.appendChild(o);
-      });
-      depSelect.style.backgroundColor = levelColor(item.dependance);
+      fillScaleSelect(depSelect, 'dependance', item.dependance);
       depSelect.onchange = (e) => {
         item.dependance = parseInt(e.target.value, 10);
-        e.target.style.backgroundColor = levelColor(item.dependance);
+        e.target.style.backgroundColor = scaleColor('dependance', item.dependance);
         // update exposition and indice
         updateDerivedCells(tr, item);
         saveAnalyses();
@@ -2603,17 +6980,10 @@
       // Pénétration
       td = document.createElement('td');
       const penSelect = document.createElement('select');
-      [1, 2, 3, 4].forEach(val => {
-        const o = document.createElement('option');
-        o.value = val;
-        o.textContent = `${val}`;
-        if (val === item.penetration) o.selected = true;
-        penSelect.appendChild(o);
-      });
-      penSelect.style.backgroundColor = levelColor(item.penetration);
+      fillScaleSelect(penSelect, 'penetration', item.penetration);
       penSelect.onchange = (e) => {
         item.penetration = parseInt(e.target.value, 10);
-        e.target.style.backgroundColor = levelColor(item.penetration);
+        e.target.style.backgroundColor = scaleColor('penetration', item.penetration);
         updateDerivedCells(tr, item);
         saveAnalyses();
         updateAtelier3Chart();
@@ -2623,17 +6993,10 @@
       // Maturité SSI
       td = document.createElement('td');
       const matSelect = document.createElement('select');
-      [1, 2, 3, 4].forEach(val => {
-        const o = document.createElement('option');
-        o.value = val;
-        o.textContent = `${val}`;
-        if (val === item.maturite) o.selected = true;
-        matSelect.appendChild(o);
-      });
-      matSelect.style.backgroundColor = ssiColor(item.maturite);
+      fillScaleSelect(matSelect, 'maturite', item.maturite);
       matSelect.onchange = (e) => {
         item.maturite = parseInt(e.target.value, 10);
-        e.target.style.backgroundColor = ssiColor(item.maturite);
+        e.target.style.backgroundColor = scaleColor('maturite', item.maturite);
         updateDerivedCells(tr, item);
         saveAnalyses();
         updateAtelier3Chart();
@@ -2643,17 +7006,10 @@
       // Confiance
       td = document.createElement('td');
       const confSelect = document.createElement('select');
-      [1, 2, 3, 4].forEach(val => {
-        const o = document.createElement('option');
-        o.value = val;
-        o.textContent = `${val}`;
-        if (val === item.confiance) o.selected = true;
-        confSelect.appendChild(o);
-      });
-      confSelect.style.backgroundColor = ssiColor(item.confiance);
+      fillScaleSelect(confSelect, 'confiance', item.confiance);
       confSelect.onchange = (e) => {
         item.confiance = parseInt(e.target.value, 10);
-        e.target.style.backgroundColor = ssiColor(item.confiance);
+        e.target.style.backgroundColor = scaleColor('confiance', item.confiance);
         updateDerivedCells(tr, item);
         saveAnalyses();
         updateAtelier3Chart();
@@ -2679,8 +7035,10 @@
       delBtn.textContent = '×';
       delBtn.title = 'Supprimer cette partie prenante';
       delBtn.addEventListener('click', () => {
-        if (!confirm('Supprimer cette partie prenante ?')) return;
-        ppc.splice(idx, 1);
+        const removed = confirmDeletion(analysis.data, [['stakeholder', item.id]], 'Supprimer cette partie prenante ?', () => {
+          ppc.splice(idx, 1);
+        });
+        if (!removed) return;
         saveAnalyses();
         renderPPCarto();
         updateAtelier3Chart();
@@ -2724,6 +7082,8 @@
       };
     }
     // Helper to update exposition, niveau SSI and indice cells
+    // Exposure and SSI level are rated on the dépendance and maturité
+    // scales, the threat index on the dépendance scale.
     function updateDerivedCells(row, entry) {
       const expo = (entry.dependance || 1) * (entry.penetration || 1);
       const niveau = (entry.maturite || 1) * (entry.confiance || 1);
@@ -2733,32 +7093,23 @@
       const indiceCell = row.querySelector('.indice-cell');
       if (expoCell) {
         expoCell.textContent = `${expo}`;
-        const bucket = pertinenceBucketForExpo(expo);
-        expoCell.style.backgroundColor = levelColor(bucket);
+        const levels = scaleOf('dependance').length;
+        const bucket = scaleBucket(expo, levels * scaleOf('penetration').length, levels);
+        expoCell.style.backgroundColor = scaleColor('dependance', bucket);
       }
       if (niveauCell) {
         niveauCell.textContent = `${niveau}`;
-        const bucket = pertinenceBucketForExpo(niveau);
-        niveauCell.style.backgroundColor = ssiColor(bucket);
+        const levels = scaleOf('maturite').length;
+        const bucket = scaleBucket(niveau, levels * scaleOf('confiance').length, levels);
+        niveauCell.style.backgroundColor = scaleColor('maturite', bucket);
       }
       if (indiceCell) {
         indiceCell.textContent = indice.toFixed(2);
-        // Colour based on indice: low values green, high values red
-        let indLvl;
-        if (indice >= 4) indLvl = 4;
-        else if (indice >= 3) indLvl = 3;
-        else if (indice >= 2) indLvl = 2;
-        else indLvl = 1;
-        indiceCell.style.backgroundColor = levelColor(indLvl);
+        // Colour based on indice: an index of n reaches level n
+        const indLvl = Math.min(scaleOf('dependance').length, Math.max(1, Math.floor(indice)));
+        indiceCell.style.backgroundColor = scaleColor('dependance', indLvl);
       }
     }
-    // Map exposition values to a bucket 1–4 similar to pertinence
-    function pertinenceBucketForExpo(p) {
-      if (p >= 13) return 4;
-      if (p >= 9) return 3;
-      if (p >= 5) return 2;
-      return 1;
-    }
   }
 
   // ----- Atelier 3: Scénarios stratégiques (strategic scenarios)
@@ -2789,24 +7140,7 @@
     const eventOptions = (analysis.data.events || []).map(ev => {
       return { value: ev.id, label: ev.evenement || ev.ref || 'Évènement' };
     });
-    // Helper to map impact level to color (1:green, 2:yellow, 3:orange, 4:red)
-    const levelColor = (lvl) => {
-      switch (parseInt(lvl, 10)) {
-        case 1: return '#2a9d8f';
-        case 2: return '#e9c46a';
-        case 3: return '#f4a261';
-        case 4: return '#e63946';
-        default: return '#9aa0a6';
-      }
-    };
     strategies.forEach((item, idx) => {
-      if (!item.id) item.id = uid();
-      // Ensure properties exist
-      item.source = item.source || '';
-      item.objectif = item.objectif || '';
-      if (!Array.isArray(item.chemins)) item.chemins = [];
-      if (!Array.isArray(item.intermediaireIds)) item.intermediaireIds = [];
-      if (!Array.isArray(item.eventIds)) item.eventIds = [];
       const tr = document.createElement('tr');
       // Source select
       let td = document.createElement('td');
@@ -2863,8 +7197,10 @@
         rmBtn.textContent = '×';
         rmBtn.title = 'Supprimer ce chemin';
         rmBtn.addEventListener('click', () => {
-          const pos = item.chemins.indexOf(p);
-          if (pos >= 0) item.chemins.splice(pos, 1);
+          const removed = confirmDeletion(analysis.data, [['path', p]], 'Supprimer ce chemin ?', () => {
+            removeFromList(item.chemins, p);
+          }, false);
+          if (!removed) return;
           saveAnalyses();
           renderStrategies();
         });
@@ -2982,8 +7318,8 @@
         if (imp > maxImpact) maxImpact = imp;
       });
       if (maxImpact > 0) {
-        td.textContent = `${maxImpact}`;
-        td.style.backgroundColor = levelColor(maxImpact);
+        td.textContent = scaleLabel('gravite', maxImpact);
+        td.style.backgroundColor = scaleColor('gravite', maxImpact);
       } else {
         td.textContent = '';
         td.style.backgroundColor = 'transparent';
@@ -2996,8 +7332,10 @@
       delBtn.textContent = '×';
       delBtn.title = 'Supprimer ce scénario';
       delBtn.addEventListener('click', () => {
-        if (!confirm('Supprimer ce scénario ?')) return;
-        strategies.splice(idx, 1);
+        const removed = confirmDeletion(analysis.data, item.chemins.map(p => ['path', p]), 'Supprimer ce scénario ?', () => {
+          strategies.splice(idx, 1);
+        });
+        if (!removed) return;
         saveAnalyses();
         renderStrategies();
       });
@@ -3114,59 +7452,649 @@
     });
   }
 
-  // ----- Atelier 3: Sources de menace
-  function renderSS() {
-    const listEl = document.getElementById('ss-list');
-    if (!listEl) return;
-    listEl.innerHTML = '';
+  // ----- Atelier 4: Kill chain steps
+  // Each phase of an operational scenario lists structured steps:
+  // { id, description, technique (ATT&CK id), ppId or supportId (the
+  // stakeholder or support the attacker goes through), difficulty (on
+  // the 'difficulte' scale, unset when not rated), mitigations }.
+  const KILL_CHAIN_STAGES = [
+    ['connaitre', 'Connaître'],
+    ['rester', 'Rester'],
+    ['trouver', 'Trouver'],
+    ['exploiter', 'Exploiter']
+  ];
+
+  // How the likelihood of a scenario follows from its rated steps
+  const LIKELIHOOD_METHODS = [
+    { key: 'max', label: 'Étape la plus difficile' },
+    { key: 'moyenne', label: 'Moyenne des difficultés pondérée par phase' },
+    { key: 'manuel', label: 'Saisie manuelle pour chaque risque' }
+  ];
+
+  function newKillChainStep(description) {
+    return { id: uid(), description: description || '', technique: '', ppId: '', supportId: '', mitigations: [] };
+  }
+
+  function likelihoodRule(data) {
+    const rule = data.likelihoodRule || {};
+    const weights = {};
+    KILL_CHAIN_STAGES.forEach(([key]) => {
+      const w = Number(rule.weights && rule.weights[key]);
+      weights[key] = w >= 0 ? w : 1;
+    });
+    return { method: LIKELIHOOD_METHODS.some(m => m.key === rule.method) ? rule.method : 'max', weights };
+  }
+
+  // Difficulty of the scenario according to the rule, or null when the
+  // rule is manual or no step is rated
+  function scenarioDifficulty(data, scenario) {
+    const rule = likelihoodRule(data);
+    if (rule.method === 'manuel') return null;
+    const max = scaleOf('difficulte', data).length;
+    let hardest = 0;
+    let sum = 0;
+    let weight = 0;
+    KILL_CHAIN_STAGES.forEach(([key]) => {
+      (scenario[key] || []).forEach(step => {
+        const d = Math.min(parseInt(step.difficulty, 10) || 0, max);
+        if (!d) return;
+        hardest = Math.max(hardest, d);
+        sum += d * rule.weights[key];
+        weight += rule.weights[key];
+      });
+    });
+    if (!hardest) return null;
+    if (rule.method === 'moyenne') return weight > 0 ? Math.max(1, Math.round(sum / weight)) : null;
+    return hardest;
+  }
+
+  // The harder the attack, the less likely: difficulty level d out of
+  // nD maps to vraisemblance nV + 1 - d on scales of the same size.
+  function scenarioLikelihood(data, scenario) {
+    const difficulty = scenarioDifficulty(data, scenario);
+    if (!difficulty) return null;
+    const nV = scaleOf('vraisemblance', data).length;
+    return nV + 1 - scaleBucket(difficulty, scaleOf('difficulte', data).length, nV);
+  }
+
+  // Copy the derived likelihood onto the risks of the scenario.  The
+  // level entered by hand is kept in `manualVraisemblance` and comes back
+  // once the likelihood is no longer derived.  Returns the derived level,
+  // or null when the risks keep their own levels.
+  function applyScenarioLikelihood(data, scenario) {
+    const level = scenarioLikelihood(data, scenario);
+    (scenario.risks || []).forEach(rk => {
+      if (level) {
+        if (rk.manualVraisemblance === undefined) rk.manualVraisemblance = rk.vraisemblance;
+        rk.vraisemblance = level;
+      } else if (rk.manualVraisemblance !== undefined) {
+        rk.vraisemblance = rk.manualVraisemblance;
+        delete rk.manualVraisemblance;
+      }
+    });
+    return level;
+  }
+
+  function likelihoodRuleLabel(data) {
+    const method = likelihoodRule(data).method;
+    return LIKELIHOOD_METHODS.find(m => m.key === method).label.toLowerCase();
+  }
+
+  function killChainStepLabel(data, step) {
+    const parts = [step.description || '—'];
+    if (step.technique) parts.push(`[${step.technique}]`);
+    const via = step.ppId ? ((data.ppc.find(p => p.id === step.ppId) || {}).nom || step.ppId)
+      : (step.supportId ? supportName(data, step.supportId) : '');
+    if (via) parts.push(`via ${via}`);
+    if (step.difficulty) parts.push(`difficulté ${scaleLabel('difficulte', step.difficulty, data)}`);
+    return parts.join(' ');
+  }
+
+  // Dialog editing `step` of `stage`.  With `chooseStage` the phase can
+  // be changed too, and with `removable` the step can be deleted.
+  // Resolves to { stage } once saved, { removed: true } when deleted, or
+  // false when cancelled.
+  async function editKillChainStep(data, stage, step, { chooseStage, removable } = {}) {
+    const body = document.createElement('div');
+    body.className = 'kill-chain-step-form';
+    const field = (label, input) => {
+      const lab = document.createElement('label');
+      lab.textContent = label;
+      lab.appendChild(input);
+      body.appendChild(lab);
+      return input;
+    };
+    let stageSelect = null;
+    if (chooseStage) {
+      stageSelect = field('Phase', document.createElement('select'));
+      KILL_CHAIN_STAGES.forEach(([key, label]) => {
+        const o = document.createElement('option');
+        o.value = key;
+        o.textContent = label;
+        stageSelect.appendChild(o);
+      });
+      stageSelect.value = stage || KILL_CHAIN_STAGES[0][0];
+    }
+    const description = field('Description', document.createElement('textarea'));
+    description.rows = 3;
+    description.value = step.description || '';
+    const technique = field('Technique MITRE ATT&CK', document.createElement('input'));
+    technique.placeholder = 'T1566';
+    technique.value = step.technique || '';
+    if (mitreLibrary.length > 0) {
+      const list = document.createElement('datalist');
+      list.id = 'kill-chain-techniques';
+      mitreLibrary.forEach(t => {
+        const o = document.createElement('option');
+        o.value = t.id;
+        o.textContent = t.title;
+        list.appendChild(o);
+      });
+      body.appendChild(list);
+      technique.setAttribute('list', list.id);
+    }
+    const via = field('Via (partie prenante ou bien support)', document.createElement('select'));
+    [['', '—']]
+      .concat(data.ppc.map(p => ['pp:' + p.id, 'Partie prenante : ' + (p.nom || p.id)]))
+      .concat(data.supports.map(s => ['support:' + s.id, 'Bien support : ' + (s.name || s.id)]))
+      .forEach(([value, label]) => {
+        const o = document.createElement('option');
+        o.value = value;
+        o.textContent = label;
+        via.appendChild(o);
+      });
+    via.value = step.ppId ? 'pp:' + step.ppId : (step.supportId ? 'support:' + step.supportId : '');
+    const difficulty = field('Difficulté', document.createElement('select'));
+    fillScaleSelect(difficulty, 'difficulte', step.difficulty);
+    const unrated = document.createElement('option');
+    unrated.value = '';
+    unrated.textContent = 'Non évaluée';
+    difficulty.insertBefore(unrated, difficulty.firstChild);
+    if (!step.difficulty) {
+      difficulty.value = '';
+      difficulty.style.backgroundColor = '';
+    }
+    difficulty.addEventListener('change', () => {
+      difficulty.style.backgroundColor = difficulty.value ? scaleColor('difficulte', difficulty.value, data) : '';
+    });
+    const mitigations = field('Mesures applicables (une par ligne)', document.createElement('textarea'));
+    mitigations.rows = 4;
+    mitigations.value = (step.mitigations || []).join('\n');
+    const fromAttack = document.createElement('button');
+    fromAttack.type = 'button';
+    fromAttack.className = 'header-btn';
+    fromAttack.textContent = 'Reprendre les mesures ATT&CK de la technique';
+    fromAttack.addEventListener('click', () => {
+      const tech = mitreLibrary.find(t => t.id === technique.value.trim());
+      if (!tech || !Array.isArray(tech.mitigations) || tech.mitigations.length === 0) {
+        alert('Aucune mesure connue pour cette technique dans la bibliothèque MITRE chargée.');
+        return;
+      }
+      const lines = mitigations.value.split('\n').map(l => l.trim()).filter(Boolean);
+      tech.mitigations.forEach(m => {
+        const line = `${m.id} ${m.mitigation || ''}`.trim();
+        if (!lines.includes(line)) lines.push(line);
+      });
+      mitigations.value = lines.join('\n');
+    });
+    body.appendChild(fromAttack);
+    const stageLabel = (KILL_CHAIN_STAGES.find(([key]) => key === stage) || [stage, stage])[1];
+    const choices = [
+      { value: 'save', label: 'Enregistrer', primary: true },
+      { value: null, label: 'Annuler' }
+    ];
+    if (removable) choices.splice(1, 0, { value: 'remove', label: 'Supprimer l’étape' });
+    const choice = await showDialog({
+      title: stage ? `Étape « ${stageLabel} »` : 'Nouvelle étape',
+      body,
+      choices
+    });
+    if (!choice) return false;
+    if (choice === 'remove') {
+      if (!confirm('Retirer cette étape ?')) return false;
+      return { removed: true };
+    }
+    step.description = description.value.trim();
+    step.technique = technique.value.trim().toUpperCase();
+    step.ppId = via.value.startsWith('pp:') ? via.value.slice(3) : '';
+    step.supportId = via.value.startsWith('support:') ? via.value.slice(8) : '';
+    if (difficulty.value) step.difficulty = parseInt(difficulty.value, 10);
+    else delete step.difficulty;
+    step.mitigations = mitigations.value.split('\n').map(l => l.trim()).filter(Boolean);
+    return { stage: stageSelect ? stageSelect.value : stage };
+  }
+
+  async function editLikelihoodRule() {
+    const analysis = analyses[currentIndex];
+    if (!analysis) return;
+    if (!analysis.data) analysis.data = {};
+    const data = analysis.data;
+    const rule = likelihoodRule(data);
+    const body = document.createElement('div');
+    body.className = 'kill-chain-step-form';
+    const methodLabel = document.createElement('label');
+    methodLabel.textContent = 'Règle';
+    const method = document.createElement('select');
+    LIKELIHOOD_METHODS.forEach(m => {
+      const o = document.createElement('option');
+      o.value = m.key;
+      o.textContent = m.label;
+      method.appendChild(o);
+    });
+    method.value = rule.method;
+    methodLabel.appendChild(method);
+    body.appendChild(methodLabel);
+    const weights = {};
+    const weightBox = document.createElement('div');
+    weightBox.className = 'likelihood-weights';
+    KILL_CHAIN_STAGES.forEach(([key, label]) => {
+      const lab = document.createElement('label');
+      lab.textContent = `Poids « ${label} »`;
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.step = '0.5';
+      input.value = rule.weights[key];
+      lab.appendChild(input);
+      weightBox.appendChild(lab);
+      weights[key] = input;
+    });
+    body.appendChild(weightBox);
+    const toggleWeights = () => { weightBox.style.display = method.value === 'moyenne' ? '' : 'none'; };
+    method.addEventListener('change', toggleWeights);
+    toggleWeights();
+    const ok = await showDialog({
+      title: 'Règle de vraisemblance',
+      message: 'La vraisemblance des risques d’un scénario opérationnel est déduite de la difficulté de ses étapes : plus l’attaque est difficile, moins elle est vraisemblable. Les scénarios sans étape évaluée gardent la saisie manuelle.',
+      body,
+      choices: [
+        { value: true, label: 'Enregistrer', primary: true },
+        { value: null, label: 'Annuler' }
+      ]
+    });
+    if (!ok) return;
+    const saved = { method: method.value, weights: {} };
+    KILL_CHAIN_STAGES.forEach(([key]) => {
+      const w = parseFloat(weights[key].value);
+      saved.weights[key] = w >= 0 ? w : 1;
+    });
+    data.likelihoodRule = saved;
+    (data.so || []).forEach(scenario => applyScenarioLikelihood(data, scenario));
+    saveAnalyses();
+    selectAnalysis(currentIndex);
+  }
+
+  // ----- Atelier 4: Attack path diagram
+  // Diagram of an operational scenario built from its kill chain: the
+  // risk source, the stakeholders and supports its steps go through (in
+  // phase order), then the feared event.  Each edge carries the steps
+  // reaching its end node; steps going through no node ride on the next
+  // edge.  As the diagram is rebuilt from the `so` entry, editing a step
+  // on it edits the scenario.  Dragged nodes keep their position in
+  // scenario.diagramLayout (node key → { x, y }).
+  const PATH_COLUMN_WIDTH = 240;
+  const PATH_STEP_LINE = 13;
+
+  function attackPathModel(data, scenario) {
+    const nodes = new Map();
+    const edges = [];
+    const sources = Array.from(new Set(data.strategies
+      .filter(st => scenario.path && st.chemins.includes(scenario.path))
+      .map(st => st.source).filter(Boolean)));
+    nodes.set('source', {
+      kind: 'source', label: sources.join(', ') || 'Source de risque', color: '#8e44ad',
+      tooltip: `Source de risque : ${sources.join(', ') || 'aucune stratégie ne suit ce chemin'}${scenario.path ? '\nChemin : ' + scenario.path : ''}`
+    });
+    let current = 'source';
+    let pending = [];
+    const link = (to) => {
+      let edge = edges.find(e => e.from === current && e.to === to);
+      if (!edge) {
+        edge = { from: current, to, steps: [] };
+        edges.push(edge);
+      }
+      edge.steps.push(...pending);
+      pending = [];
+      current = to;
+    };
+    KILL_CHAIN_STAGES.forEach(([stage, stageLabel]) => {
+      (scenario[stage] || []).forEach(step => {
+        pending.push({ stage, step });
+        let key = null;
+        if (step.ppId) {
+          key = 'pp:' + step.ppId;
+          const pp = data.ppc.find(p => p.id === step.ppId);
+          if (!nodes.has(key)) nodes.set(key, { kind: 'stakeholder', label: pp ? pp.nom || 'Partie prenante' : step.ppId, color: '#9aa0a6', tooltip: `Partie prenante : ${pp ? pp.nom : step.ppId}` });
+        } else if (step.supportId) {
+          key = 'support:' + step.supportId;
+          if (!nodes.has(key)) nodes.set(key, { kind: 'support', label: supportName(data, step.supportId), color: '#3c85cc', tooltip: `Bien support : ${supportName(data, step.supportId)}` });
+        }
+        if (!key) return;
+        if (key !== current) {
+          link(key);
+        } else if (edges.length > 0) {
+          // Another step on the node just reached
+          edges[edges.length - 1].steps.push(...pending);
+          pending = [];
+        }
+      });
+    });
+    const event = data.events.find(ev => ev.id === scenario.eventId);
+    const impact = event ? parseInt(event.impact, 10) || 0 : 0;
+    nodes.set('event', {
+      kind: 'event', label: event ? event.evenement || 'Évènement redouté' : 'Évènement redouté non choisi', color: graphImpactColor(impact, data),
+      tooltip: event ? `${event.evenement || 'Évènement redouté'}\nImpact : ${impact}` : 'Choisir l’évènement redouté dans le tableau'
+    });
+    link('event');
+    return { nodes, edges };
+  }
+
+  // Left-to-right positions in the order of the attack, overridden by
+  // the positions saved for the scenario
+  function attackPathLayout(model, scenario) {
+    const positions = new Map();
+    const layout = scenario.diagramLayout || {};
+    Array.from(model.nodes.keys()).forEach((key, i) => {
+      const saved = layout[key];
+      positions.set(key, saved && Number.isFinite(saved.x) && Number.isFinite(saved.y)
+        ? { x: saved.x, y: saved.y }
+        : { x: i * PATH_COLUMN_WIDTH, y: i % 2 === 0 ? 0 : 60 });
+    });
+    return positions;
+  }
+
+  // Draw the diagram into `parent` (an svg or a group).  Edges bend when
+  // an edge runs the other way.  Returns the node and step elements and
+  // a function moving the edges after the positions changed.
+  function drawAttackPath(parent, model, positions, textColor, data) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const edgeEls = model.edges.map(edge => {
+      const path = document.createElementNS(svgNS, 'path');
+      path.setAttribute('class', 'path-edge');
+      path.setAttribute('fill', 'none');
+      path.setAttribute('stroke', '#888');
+      path.setAttribute('stroke-width', '1.5');
+      path.setAttribute('marker-end', 'url(#attack-path-arrow)');
+      parent.appendChild(path);
+      const labels = edge.steps.map(({ stage, step }) => {
+        const text = document.createElementNS(svgNS, 'text');
+        text.setAttribute('class', 'path-step');
+        text.setAttribute('text-anchor', 'middle');
+        text.setAttribute('font-size', '10');
+        text.setAttribute('fill', step.difficulty ? scaleColor('difficulte', step.difficulty, data) : textColor);
+        const stageLabel = KILL_CHAIN_STAGES.find(([key]) => key === stage)[1];
+        const what = step.technique ? `${step.technique} ${step.description}` : step.description;
+        text.textContent = `${stageLabel} : ${what.length > GRAPH_LABEL_LENGTH ? what.slice(0, GRAPH_LABEL_LENGTH - 1) + '…' : what || '—'}`;
+        const title = document.createElementNS(svgNS, 'title');
+        title.textContent = killChainStepLabel(data, step);
+        text.appendChild(title);
+        parent.appendChild(text);
+        return { text, stage, step };
+      });
+      return { edge, path, labels };
+    });
+    const placeEdges = () => edgeEls.forEach(({ edge, path, labels }) => {
+      const from = positions.get(edge.from);
+      const to = positions.get(edge.to);
+      const back = model.edges.some(e => e.from === edge.to && e.to === edge.from);
+      const dx = to.x - from.x;
+      const dy = to.y - from.y;
+      const length = Math.hypot(dx, dy) || 1;
+      const bend = back ? 40 : 0;
+      const cx = (from.x + to.x) / 2 - dy / length * bend;
+      const cy = (from.y + to.y) / 2 + dx / length * bend;
+      // Stop the arrow at the border of the end node
+      const ex = to.x - (to.x - cx) / (Math.hypot(to.x - cx, to.y - cy) || 1) * 16;
+      const ey = to.y - (to.y - cy) / (Math.hypot(to.x - cx, to.y - cy) || 1) * 16;
+      path.setAttribute('d', `M${from.x},${from.y} Q${cx},${cy} ${ex},${ey}`);
+      const mx = (from.x + 2 * cx + to.x) / 4;
+      const my = (from.y + 2 * cy + to.y) / 4;
+      labels.forEach(({ text }, i) => {
+        text.setAttribute('x', mx);
+        text.setAttribute('y', my - 6 - (labels.length - 1 - i) * PATH_STEP_LINE);
+      });
+    });
+    placeEdges();
+    const nodeEls = new Map();
+    model.nodes.forEach((node, key) => {
+      const g = document.createElementNS(svgNS, 'g');
+      g.setAttribute('class', 'graph-node graph-' + node.kind);
+      const pos = positions.get(key);
+      g.setAttribute('transform', `translate(${pos.x},${pos.y})`);
+      g.appendChild(graphNodeShape(svgNS, node));
+      const title = document.createElementNS(svgNS, 'title');
+      title.textContent = node.tooltip;
+      g.appendChild(title);
+      const text = document.createElementNS(svgNS, 'text');
+      text.setAttribute('y', (node.size || 12) + 14);
+      text.setAttribute('text-anchor', 'middle');
+      text.setAttribute('fill', textColor);
+      text.setAttribute('font-size', '11');
+      text.textContent = node.label.length > GRAPH_LABEL_LENGTH ? node.label.slice(0, GRAPH_LABEL_LENGTH - 1) + '…' : node.label;
+      g.appendChild(text);
+      parent.appendChild(g);
+      nodeEls.set(key, g);
+    });
+    return { nodeEls, edgeEls, placeEdges };
+  }
+
+  function attackPathArrow(svg) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const defs = document.createElementNS(svgNS, 'defs');
+    const marker = document.createElementNS(svgNS, 'marker');
+    marker.setAttribute('id', 'attack-path-arrow');
+    marker.setAttribute('viewBox', '0 0 10 10');
+    marker.setAttribute('refX', '10');
+    marker.setAttribute('refY', '5');
+    marker.setAttribute('markerWidth', '7');
+    marker.setAttribute('markerHeight', '7');
+    marker.setAttribute('orient', 'auto');
+    const tip = document.createElementNS(svgNS, 'path');
+    tip.setAttribute('d', 'M0,0 L10,5 L0,10 z');
+    tip.setAttribute('fill', '#888');
+    marker.appendChild(tip);
+    defs.appendChild(marker);
+    svg.appendChild(defs);
+  }
+
+  // Standalone SVG of the scenario, dark text on white, for the SVG
+  // export and the report
+  function attackPathSvg(data, scenario) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const model = attackPathModel(data, scenario);
+    const positions = attackPathLayout(model, scenario);
+    const svg = document.createElementNS(svgNS, 'svg');
+    attackPathArrow(svg);
+    const background = document.createElementNS(svgNS, 'rect');
+    background.setAttribute('fill', '#ffffff');
+    svg.appendChild(background);
+    drawAttackPath(svg, model, positions, '#222222', data);
+    const points = Array.from(positions.values());
+    const stepLines = Math.max(1, ...model.edges.map(e => e.steps.length));
+    const minX = Math.min(...points.map(p => p.x)) - 130;
+    const maxX = Math.max(...points.map(p => p.x)) + 130;
+    const minY = Math.min(...points.map(p => p.y)) - 60 - stepLines * PATH_STEP_LINE;
+    const maxY = Math.max(...points.map(p => p.y)) + 70;
+    [['x', minX], ['y', minY], ['width', maxX - minX], ['height', maxY - minY]].forEach(([attr, value]) => background.setAttribute(attr, value));
+    svg.setAttribute('viewBox', `${minX} ${minY} ${maxX - minX} ${maxY - minY}`);
+    svg.setAttribute('width', maxX - minX);
+    svg.setAttribute('height', maxY - minY);
+    svg.setAttribute('font-family', 'sans-serif');
+    return svg;
+  }
+
+  function attackPathTitle(data, scenario) {
+    const event = data.events.find(ev => ev.id === scenario.eventId);
+    return [event ? event.evenement : '', scenario.path].filter(Boolean).join(' – ') || 'Scénario opérationnel';
+  }
+
+  function exportAttackPathSvg(data, scenario) {
+    const markup = new XMLSerializer().serializeToString(attackPathSvg(data, scenario));
+    const name = attackPathTitle(data, scenario).replace(/[^\wÀ-ſ-]+/g, '_').slice(0, 60);
+    downloadBlob(new Blob([markup], { type: 'image/svg+xml' }), `chemin_attaque_${name}.svg`);
+  }
+
+  // Diagram editor of `scenario`.  Clicking a step edits it, clicking a
+  // stakeholder or a support adds a step going through it.
+  async function openAttackPathEditor(scenario) {
     const analysis = analyses[currentIndex];
-    if (!analysis.data) analysis.data = {};
-    if (!analysis.data.ss) analysis.data.ss = [];
-    analysis.data.ss.forEach((item, idx) => {
-      if (!item.id) item.id = uid();
-      const el = document.createElement('div');
-      el.className = 'item';
-      const delBtn = document.createElement('button');
-      delBtn.className = 'delete-item';
-      delBtn.innerHTML = '×';
-      delBtn.title = 'Supprimer cette source de menace';
-      delBtn.addEventListener('click', () => {
-        if (!confirm('Supprimer cette source de menace ?')) return;
-        analysis.data.ss.splice(idx, 1);
-        saveAnalyses();
-        renderSS();
-        updateAtelier3Chart();
-      });
-      el.appendChild(delBtn);
-      el.appendChild(createInput('Source de menace', 'text', item.source, (v) => {
-        item.source = v;
-        saveAnalyses();
-      }));
-      el.appendChild(createInput('Objectif visé', 'text', item.objectif, (v) => {
-        item.objectif = v;
-        saveAnalyses();
-      }));
-      el.appendChild(createInput('Vraisemblance', 'text', item.vraisemblance, (v) => {
-        item.vraisemblance = v;
-        saveAnalyses();
+    if (!analysis || !analysis.data) return;
+    const data = analysis.data;
+    const body = document.createElement('div');
+    const container = document.createElement('div');
+    container.className = 'attack-path-editor';
+    body.appendChild(container);
+    const toolbar = document.createElement('div');
+    toolbar.className = 'subtab-controls';
+    body.appendChild(toolbar);
+    let view = null;
+    let positions = null;
+
+    const changed = () => {
+      applyScenarioLikelihood(data, scenario);
+      saveAnalyses();
+      renderSO();
+      render();
+    };
+    const editStep = async (stage, step, isNew) => {
+      const result = await editKillChainStep(data, stage, step, { chooseStage: true, removable: !isNew });
+      if (!result) return;
+      // A step keeps its place in the kill chain unless it changes phase
+      const listed = !!stage && scenario[stage].includes(step);
+      if (listed && (result.removed || result.stage !== stage)) removeFromList(scenario[stage], step);
+      if (!result.removed && (!listed || result.stage !== stage)) scenario[result.stage].push(step);
+      changed();
+    };
+
+    function render() {
+      const svgNS = 'http://www.w3.org/2000/svg';
+      const model = attackPathModel(data, scenario);
+      positions = attackPathLayout(model, scenario);
+      container.innerHTML = '';
+      const width = container.clientWidth || 800;
+      const height = container.clientHeight || 420;
+      const svg = document.createElementNS(svgNS, 'svg');
+      svg.setAttribute('width', width);
+      svg.setAttribute('height', height);
+      svg.setAttribute('class', 'dependency-graph');
+      svg.style.display = 'block';
+      attackPathArrow(svg);
+      const viewport = document.createElementNS(svgNS, 'g');
+      svg.appendChild(viewport);
+      if (!view) view = fitGraphView(positions, width, height);
+      const applyView = () => viewport.setAttribute('transform', `translate(${view.x},${view.y}) scale(${view.k})`);
+      applyView();
+      const { nodeEls, edgeEls, placeEdges } = drawAttackPath(viewport, model, positions, 'var(--text-primary)', data);
+      container.appendChild(svg);
+      edgeEls.forEach(({ labels }) => labels.forEach(({ text, stage, step }) => {
+        text.addEventListener('click', () => editStep(stage, step, false));
       }));
-      el.appendChild(createInput('Gravité', 'text', item.gravite, (v) => {
-        item.gravite = v;
+      const pointer = (e) => {
+        const rect = svg.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+      };
+      let drag = null;
+      svg.addEventListener('pointerdown', (e) => {
+        if (e.button !== 0 || e.target.closest('.path-step')) return;
+        const nodeEl = e.target.closest('.graph-node');
+        const key = nodeEl ? Array.from(nodeEls.keys()).find(k => nodeEls.get(k) === nodeEl) : null;
+        drag = { key, start: pointer(e), origin: key ? Object.assign({}, positions.get(key)) : { x: view.x, y: view.y }, moved: false };
+        if (svg.setPointerCapture) svg.setPointerCapture(e.pointerId);
+        e.preventDefault();
+      });
+      svg.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const p = pointer(e);
+        const dx = p.x - drag.start.x;
+        const dy = p.y - drag.start.y;
+        if (!drag.moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+        drag.moved = true;
+        if (drag.key) {
+          const pos = { x: drag.origin.x + dx / view.k, y: drag.origin.y + dy / view.k };
+          positions.set(drag.key, pos);
+          nodeEls.get(drag.key).setAttribute('transform', `translate(${pos.x},${pos.y})`);
+          placeEdges();
+        } else {
+          view.x = drag.origin.x + dx;
+          view.y = drag.origin.y + dy;
+          applyView();
+        }
+      });
+      svg.addEventListener('pointerup', () => {
+        if (!drag) return;
+        const { key, moved } = drag;
+        drag = null;
+        if (!key) return;
+        if (!moved) {
+          if (key.startsWith('pp:') || key.startsWith('support:')) {
+            const step = newKillChainStep();
+            if (key.startsWith('pp:')) step.ppId = key.slice(3);
+            else step.supportId = key.slice(8);
+            editStep(null, step, true);
+          }
+          return;
+        }
+        const saved = {};
+        Object.keys(scenario.diagramLayout || {}).forEach(k => {
+          if (model.nodes.has(k)) saved[k] = scenario.diagramLayout[k];
+        });
+        const pos = positions.get(key);
+        saved[key] = { x: Math.round(pos.x), y: Math.round(pos.y) };
+        scenario.diagramLayout = saved;
         saveAnalyses();
-        updateAtelier3Chart();
-      }));
-      listEl.appendChild(el);
+      });
+      svg.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        const at = pointer(e);
+        const k = Math.min(4, Math.max(0.2, view.k * (e.deltaY < 0 ? 1.15 : 1 / 1.15)));
+        view.x = at.x - (at.x - view.x) * (k / view.k);
+        view.y = at.y - (at.y - view.y) * (k / view.k);
+        view.k = k;
+        applyView();
+      });
+    }
+
+    const button = (label, title, onClick) => {
+      const btn = document.createElement('button');
+      btn.className = 'add-item-btn';
+      btn.textContent = label;
+      btn.title = title;
+      btn.addEventListener('click', onClick);
+      toolbar.appendChild(btn);
+    };
+    button('+ Étape', 'Ajouter une étape au scénario', () => editStep(null, newKillChainStep(), true));
+    button('Ajuster', 'Afficher tout le diagramme', () => {
+      view = null;
+      render();
+    });
+    button('Réorganiser', 'Oublier les positions déplacées à la main', () => {
+      if (!scenario.diagramLayout || !confirm('Revenir à la disposition automatique du diagramme ?')) return;
+      delete scenario.diagramLayout;
+      view = null;
+      saveAnalyses();
+      render();
+    });
+    button('Exporter SVG', 'Télécharger le diagramme au format SVG', () => exportAttackPathSvg(data, scenario));
+    const legend = document.createElement('span');
+    legend.className = 'graph-legend';
+    legend.textContent = '⬢ Source de risque  ■ Partie prenante  ● Bien support  ◆ Évènement redouté';
+    toolbar.appendChild(legend);
+    const closed = showDialog({
+      title: 'Chemin d’attaque – ' + attackPathTitle(data, scenario),
+      message: 'Cliquer sur une étape pour la modifier, sur une partie prenante ou un bien support pour ajouter une étape qui le traverse. Les nœuds se déplacent à la souris.',
+      body,
+      wide: true,
+      choices: [{ value: null, label: 'Fermer', primary: true }]
     });
+    // The dialog is in the page now: the diagram can take its size
+    render();
+    await closed;
   }
 
   // ----- Atelier 4: Scénarios opérationnels
   function renderSO() {
-    // This function renders the operational scenarios table if it exists;
-    // otherwise it falls back to the previous simple list used in the
-    // single‑page version.  The operational scenarios are stored in
-    // analysis.data.so.
+    // Render the operational scenarios table stored in analysis.data.so.
     const opsBody = document.getElementById('ops-body');
-    const listEl = document.getElementById('so-list');
     const analysis = analyses[currentIndex];
     if (!analysis.data) analysis.data = {};
     if (!Array.isArray(analysis.data.so)) analysis.data.so = [];
@@ -3186,26 +8114,7 @@
         }
       });
       const pathOptions = Array.from(pathSet).map(p => ({ value: p, label: p }));
-      // Helper to colour levels
-      const levelColor = (lvl) => {
-        switch (parseInt(lvl, 10)) {
-          case 1: return '#2a9d8f';
-          case 2: return '#e9c46a';
-          case 3: return '#f4a261';
-          case 4: return '#e63946';
-          default: return 'transparent';
-        }
-      };
       analysis.data.so.forEach((item, idx) => {
-        // Ensure structure
-        if (!item.id) item.id = uid();
-        if (!item.eventId) item.eventId = '';
-        if (!item.path) item.path = '';
-        if (!Array.isArray(item.connaitre)) item.connaitre = [];
-        if (!Array.isArray(item.rester)) item.rester = [];
-        if (!Array.isArray(item.trouver)) item.trouver = [];
-        if (!Array.isArray(item.exploiter)) item.exploiter = [];
-        if (!Array.isArray(item.risks)) item.risks = [];
         const tr = document.createElement('tr');
         // Event select
         let td = document.createElement('td');
@@ -3248,7 +8157,9 @@
         };
         td.appendChild(pathSelect);
         tr.appendChild(td);
-        // Risks cell (each risk with its own levels)
+        // Risks cell (each risk with its own levels).  The vraisemblance
+        // is read-only when derived from the steps.
+        const derivedV = scenarioLikelihood(analysis.data, item);
         td = document.createElement('td');
         const riskCell = document.createElement('div');
         riskCell.className = 'assoc-cell';
@@ -3264,18 +8175,22 @@
           vLabel.textContent = 'V:';
           vLabel.title = 'Vraisemblance';
           tag.appendChild(vLabel);
+          const flagTreatment = () => {
+            const flagged = needsTreatment(derivedV || rk.vraisemblance, rk.gravite);
+            tag.classList.toggle('needs-treatment', flagged);
+            tag.title = flagged ? 'Risque inacceptable : traitement requis' : '';
+          };
+          flagTreatment();
           const vSel = document.createElement('select');
-          [1,2,3,4].forEach(v => {
-            const o = document.createElement('option');
-            o.value = v;
-            o.textContent = `${v}`;
-            if (v === rk.vraisemblance) o.selected = true;
-            vSel.appendChild(o);
-          });
-          vSel.style.backgroundColor = levelColor(rk.vraisemblance);
+          fillScaleSelect(vSel, 'vraisemblance', derivedV || rk.vraisemblance);
+          if (derivedV) {
+            vSel.disabled = true;
+            vSel.title = `Déduite de la difficulté des étapes (${likelihoodRuleLabel(analysis.data)})`;
+          }
           vSel.onchange = e => {
             rk.vraisemblance = parseInt(e.target.value,10);
-            e.target.style.backgroundColor = levelColor(rk.vraisemblance);
+            e.target.style.backgroundColor = scaleColor('vraisemblance', rk.vraisemblance);
+            flagTreatment();
             saveAnalyses();
             updateAtelier4Chart();
           };
@@ -3285,18 +8200,13 @@
           gLabel.title = 'Gravité';
           tag.appendChild(gLabel);
           const gSel = document.createElement('select');
-          [1,2,3,4].forEach(v => {
-            const o = document.createElement('option');
-            o.value = v;
-            o.textContent = `${v}`;
-            if (v === rk.gravite) o.selected = true;
-            gSel.appendChild(o);
-          });
-          gSel.style.backgroundColor = levelColor(rk.gravite);
+          fillScaleSelect(gSel, 'gravite', rk.gravite);
           gSel.onchange = e => {
             rk.gravite = parseInt(e.target.value,10);
-            e.target.style.backgroundColor = levelColor(rk.gravite);
+            e.target.style.backgroundColor = scaleColor('gravite', rk.gravite);
+            flagTreatment();
             saveAnalyses();
+            updateAtelier4Chart();
           };
           tag.appendChild(gSel);
           const rm = document.createElement('button');
@@ -3304,8 +8214,10 @@
           rm.textContent = '×';
           rm.title = 'Retirer ce risque';
           rm.addEventListener('click', () => {
-            if (!confirm('Retirer ce risque ?')) return;
-            item.risks.splice(rIdx, 1);
+            const removed = confirmDeletion(analysis.data, [['risk', rk.name]], 'Retirer ce risque ?', () => {
+              item.risks.splice(rIdx, 1);
+            });
+            if (!removed) return;
             saveAnalyses();
             renderSO();
           });
@@ -3328,11 +8240,21 @@
           const cell = document.createElement('td');
           const wrapper = document.createElement('div');
           wrapper.className = 'assoc-cell';
-          // remove existing
           (item[stageKey] || []).forEach((step, sIdx) => {
             const tag = document.createElement('span');
-            tag.className = 'assoc-item';
-            tag.textContent = step;
+            tag.className = 'assoc-item kill-chain-step';
+            if (step.difficulty) tag.style.borderLeft = `4px solid ${scaleColor('difficulte', step.difficulty)}`;
+            const label = document.createElement('span');
+            label.className = 'step-label';
+            label.textContent = killChainStepLabel(analysis.data, step);
+            label.title = (step.mitigations || []).length > 0 ? 'Mesures : ' + step.mitigations.join(', ') : 'Modifier cette étape';
+            label.addEventListener('click', async () => {
+              if (!(await editKillChainStep(analysis.data, stageKey, step))) return;
+              applyScenarioLikelihood(analysis.data, item);
+              saveAnalyses();
+              renderSO();
+            });
+            tag.appendChild(label);
             const rmBtn = document.createElement('button');
             rmBtn.className = 'remove-assoc';
             rmBtn.textContent = '×';
@@ -3340,6 +8262,7 @@
             rmBtn.addEventListener('click', () => {
               if (!confirm('Retirer cette étape ?')) return;
               item[stageKey].splice(sIdx, 1);
+              applyScenarioLikelihood(analysis.data, item);
               saveAnalyses();
               renderSO();
             });
@@ -3349,13 +8272,13 @@
           const addBtn = document.createElement('button');
           addBtn.className = 'add-assoc-btn';
           addBtn.textContent = '+ Ajouter';
-          addBtn.addEventListener('click', () => {
-            const val = prompt('Décrire une étape pour « ' + stageKey + ' » :');
-            if (val) {
-              item[stageKey].push(val);
-              saveAnalyses();
-              renderSO();
-            }
+          addBtn.addEventListener('click', async () => {
+            const step = newKillChainStep();
+            if (!(await editKillChainStep(analysis.data, stageKey, step))) return;
+            item[stageKey].push(step);
+            applyScenarioLikelihood(analysis.data, item);
+            saveAnalyses();
+            renderSO();
           });
           wrapper.appendChild(addBtn);
           cell.appendChild(wrapper);
@@ -3369,15 +8292,23 @@
         tr.appendChild(renderStageCell('trouver'));
         // Exploiter
         tr.appendChild(renderStageCell('exploiter'));
-        // Actions: delete
+        // Actions: attack path diagram, delete
         td = document.createElement('td');
+        const diagramBtn = document.createElement('button');
+        diagramBtn.className = 'add-assoc-btn';
+        diagramBtn.textContent = 'Diagramme';
+        diagramBtn.title = 'Éditer le chemin d’attaque sous forme de diagramme';
+        diagramBtn.addEventListener('click', () => openAttackPathEditor(item));
+        td.appendChild(diagramBtn);
         const delBtn = document.createElement('button');
         delBtn.className = 'delete-item';
         delBtn.textContent = '×';
         delBtn.title = 'Supprimer ce scénario';
         delBtn.addEventListener('click', () => {
-          if (!confirm('Supprimer ce scénario ?')) return;
-          analysis.data.so.splice(idx, 1);
+          const removed = confirmDeletion(analysis.data, item.risks.map(rk => ['risk', rk.name]), 'Supprimer ce scénario ?', () => {
+            analysis.data.so.splice(idx, 1);
+          });
+          if (!removed) return;
           saveAnalyses();
           renderSO();
           updateAtelier4Chart();
@@ -3409,122 +8340,9 @@
       }
       // Update chart after render
       updateAtelier4Chart();
-      return;
-    }
-    // Fallback: simple list for old single‑page layout
-    if (listEl) {
-      listEl.innerHTML = '';
-      analysis.data.so.forEach((item, idx) => {
-        if (!item.id) item.id = uid();
-        const el = document.createElement('div');
-        el.className = 'item';
-        const delBtn = document.createElement('button');
-        delBtn.className = 'delete-item';
-        delBtn.innerHTML = '×';
-        delBtn.title = 'Supprimer ce scénario';
-        delBtn.addEventListener('click', () => {
-          if (!confirm('Supprimer ce scénario ?')) return;
-          analysis.data.so.splice(idx, 1);
-          saveAnalyses();
-          renderSO();
-          updateAtelier4Chart();
-        });
-        el.appendChild(delBtn);
-        el.appendChild(createInput('Chemin d’attaque', 'text', item.chemin, (v) => {
-          item.chemin = v;
-          saveAnalyses();
-        }));
-        el.appendChild(createInput('Vraisemblance globale', 'text', item.vraisemblanceGlobale, (v) => {
-          item.vraisemblanceGlobale = v;
-          saveAnalyses();
-          updateAtelier4Chart();
-        }));
-        listEl.appendChild(el);
-      });
     }
   }
 
-  // ----- Atelier 5: Risques
-  function renderRisques() {
-    const listEl = document.getElementById('risques-list');
-    listEl.innerHTML = '';
-    const analysis = analyses[currentIndex];
-    if (!analysis.data) analysis.data = {};
-    if (!analysis.data.risques) analysis.data.risques = [];
-    analysis.data.risques.forEach((item, idx) => {
-      // Ensure risk has unique id and proper arrays
-      if (!item.id) item.id = uid();
-      if (!Array.isArray(item.sourceIds)) item.sourceIds = [];
-      const el = document.createElement('div');
-      el.className = 'item';
-      const delBtn = document.createElement('button');
-      delBtn.className = 'delete-item';
-      delBtn.innerHTML = '×';
-      delBtn.title = 'Supprimer ce risque';
-      delBtn.addEventListener('click', () => {
-        if (!confirm('Supprimer ce risque ?')) return;
-        analysis.data.risques.splice(idx, 1);
-        saveAnalyses();
-        renderRisques();
-        updateAtelier5Chart();
-      });
-      el.appendChild(delBtn);
-      // Select mission
-      const missionOptions = (analysis.data.missions || []).map((m, i) => ({ value: m.id, label: m.denom || `Mission ${i + 1}` }));
-      el.appendChild(createSelect('Mission', missionOptions, item.missionId || '', (v) => {
-        item.missionId = v;
-        saveAnalyses();
-      }));
-      // Select événement
-      const eventOptions = (analysis.data.events || []).map((ev, i) => ({ value: ev.id, label: ev.ref || ev.evenement || `ER ${i + 1}` }));
-      el.appendChild(createSelect('Évènement', eventOptions, item.eventId || '', (v) => {
-        item.eventId = v;
-        saveAnalyses();
-      }));
-      // Select scénario opérationnel
-      const scenarioOptions = (analysis.data.so || []).map((so, i) => ({ value: so.id, label: so.chemin || `Scénario ${i + 1}` }));
-      el.appendChild(createSelect('Scénario', scenarioOptions, item.scenarioId || '', (v) => {
-        item.scenarioId = v;
-        saveAnalyses();
-      }));
-      // Select sources de risque (multi)
-      const sourceOptions = (analysis.data.srov || []).map((srov, i) => ({ value: srov.id, label: srov.source || `Source ${i + 1}` }));
-      el.appendChild(createMultiSelect('Sources', sourceOptions, item.sourceIds || [], (vals) => {
-        item.sourceIds = vals;
-        saveAnalyses();
-      }));
-      // Fields for titre, description, indice, vraisemblance, gravite, mesures
-      el.appendChild(createInput('Titre du risque', 'text', item.titre, (v) => {
-        item.titre = v;
-        saveAnalyses();
-      }));
-      el.appendChild(createInput('Description', 'textarea', item.description, (v) => {
-        item.description = v;
-        saveAnalyses();
-      }));
-      el.appendChild(createInput('Indice', 'text', item.indice, (v) => {
-        item.indice = v;
-        saveAnalyses();
-        updateAtelier5Chart();
-      }));
-      el.appendChild(createInput('Vraisemblance', 'text', item.vraisemblance, (v) => {
-        item.vraisemblance = v;
-        saveAnalyses();
-        updateAtelier5Chart();
-      }));
-      el.appendChild(createInput('Gravité', 'text', item.gravite, (v) => {
-        item.gravite = v;
-        saveAnalyses();
-        updateAtelier5Chart();
-      }));
-      el.appendChild(createInput('Mesures de traitement', 'textarea', item.mesures, (v) => {
-        item.mesures = v;
-        saveAnalyses();
-      }));
-      listEl.appendChild(el);
-    });
-  }
-
   // ----- Atelier 5: Actions et conformité
   // Render actions for GAP requirements (non appliquées ou partiellement appliquées)
   function renderGapActions() {
@@ -3559,7 +8377,7 @@
       const actTable = document.createElement('table');
       actTable.className = 'nested-table';
       const headerRow = document.createElement('tr');
-      headerRow.innerHTML = '<th>Nom</th><th>Description</th><th>Responsable</th><th>Début</th><th>Fin</th><th></th>';
+      headerRow.innerHTML = '<th>Nom</th><th>Description</th><th>Responsable</th><th>Début</th><th>Fin</th><th>Preuves</th><th></th>';
       actTable.appendChild(headerRow);
       entry.actions.forEach((act, aIdx) => {
         const ar = document.createElement('tr');
@@ -3617,6 +8435,9 @@
         tdA.appendChild(inpEnd);
         ar.appendChild(tdA);
         tdA = document.createElement('td');
+        tdA.appendChild(evidenceCell(act, renderGapActions));
+        ar.appendChild(tdA);
+        tdA = document.createElement('td');
         const delBtn = document.createElement('button');
         delBtn.className = 'delete-action';
         delBtn.textContent = '×';
@@ -3633,12 +8454,12 @@
       });
       const addRow = document.createElement('tr');
       const addTd = document.createElement('td');
-      addTd.colSpan = 6;
+      addTd.colSpan = 7;
       const addBtn = document.createElement('button');
       addBtn.className = 'add-assoc-btn';
       addBtn.textContent = '+ Action';
       addBtn.addEventListener('click', () => {
-        entry.actions.push({ name:'', description:'', responsable:'', start:'', end:'' });
+        entry.actions.push({ id: uid(), name:'', description:'', responsable:'', start:'', end:'' });
         saveAnalyses();
         renderGapActions();
         renderPlanActions();
@@ -3667,7 +8488,7 @@
         if (input === null) return;
         const index = parseInt(input,10) - 1;
         if (!isNaN(index) && index >=0 && index < available.length) {
-          entry.actions.push(Object.assign({}, available[index]));
+          entry.actions.push(Object.assign({}, available[index], { id: uid(), evidence: (available[index].evidence || []).slice() }));
           saveAnalyses();
           renderGapActions();
           renderPlanActions();
@@ -3705,23 +8526,14 @@
     const analysis = analyses[currentIndex];
     if (!analysis || !analysis.data) return;
     if (!Array.isArray(analysis.data.actionsSupports)) analysis.data.actionsSupports = [];
-    const supportsSet = new Set();
-    (analysis.data.missions || []).forEach(mis => {
-      (mis.supports || []).forEach(s => {
-        if (s && (s.name || s.denom)) supportsSet.add(s.name || s.denom);
-      });
-    });
-    (analysis.data.supportsQualif || []).forEach(s => {
-      if (s && s.name) supportsSet.add(s.name);
-    });
-    const supportOptions = Array.from(supportsSet);
+    const supportOptions = (analysis.data.supports || []).filter(s => s.name);
     analysis.data.actionsSupports.forEach((row, rowIndex) => {
       const tr = document.createElement('tr');
       // Vulnerability select
       let tdV = document.createElement('td');
       const selV = document.createElement('select');
       selV.className = 'form-select';
-      const supportObj = (analysis.data.supportsQualif || []).find(s => s.name === row.supportName);
+      const supportObj = (analysis.data.supports || []).find(s => s.id === row.supportId);
       const vulnOpts = supportObj ? (supportObj.vulnerabilities || []) : [];
       if (row.vulnName && !row.initialLevel) {
         const vObj = vulnOpts.find(v => v.name === row.vulnName);
@@ -3746,9 +8558,9 @@
       const tdSupport = document.createElement('td');
       const sel = document.createElement('select');
       sel.className = 'form-select';
-      sel.innerHTML = '<option value="">--Sélectionner--</option>' + supportOptions.map(opt => `<option value="${opt}" ${row.supportName===opt?'selected':''}>${opt}</option>`).join('');
+      sel.innerHTML = '<option value="">--Sélectionner--</option>' + supportOptions.map(opt => `<option value="${escapeHtml(opt.id)}" ${row.supportId===opt.id?'selected':''}>${escapeHtml(opt.name)}</option>`).join('');
       sel.addEventListener('change', (e) => {
-        row.supportName = e.target.value;
+        row.supportId = e.target.value;
         // reset vuln if support changed
         row.vulnName = '';
         row.initialLevel = '';
@@ -3799,7 +8611,7 @@
       const actTable = document.createElement('table');
       actTable.className = 'nested-table';
       const headerRow = document.createElement('tr');
-      headerRow.innerHTML = '<th>Nom</th><th>Description</th><th>Responsable</th><th>Début</th><th>Fin</th><th></th>';
+      headerRow.innerHTML = '<th>Nom</th><th>Description</th><th>Responsable</th><th>Début</th><th>Fin</th><th>Preuves</th><th></th>';
       actTable.appendChild(headerRow);
       row.actions.forEach((act, aIdx) => {
         const ar = document.createElement('tr');
@@ -3860,6 +8672,9 @@
         });
         tdA.appendChild(inpEnd);
         ar.appendChild(tdA);
+        tdA = document.createElement('td');
+        tdA.appendChild(evidenceCell(act, renderSupportActions));
+        ar.appendChild(tdA);
         // Delete
         tdA = document.createElement('td');
         const delBtn = document.createElement('button');
@@ -3879,12 +8694,12 @@
       // Add new or existing action
       const addRow = document.createElement('tr');
       const addTd = document.createElement('td');
-      addTd.colSpan = 6;
+      addTd.colSpan = 7;
       const addBtnA = document.createElement('button');
       addBtnA.className = 'add-assoc-btn';
       addBtnA.textContent = '+ Action';
       addBtnA.addEventListener('click', () => {
-        row.actions.push({ name:'', description:'', responsable:'', start:'', end:'' });
+        row.actions.push({ id: uid(), name:'', description:'', responsable:'', start:'', end:'' });
         saveAnalyses();
         renderSupportActions();
         renderPlanActions();
@@ -3913,7 +8728,7 @@
         if (input === null) return;
         const index = parseInt(input,10) - 1;
         if (!isNaN(index) && index >=0 && index < available.length) {
-          row.actions.push(Object.assign({}, available[index]));
+          row.actions.push(Object.assign({}, available[index], { id: uid(), evidence: (available[index].evidence || []).slice() }));
           saveAnalyses();
           renderSupportActions();
           renderPlanActions();
@@ -3977,7 +8792,7 @@
       const actTable = document.createElement('table');
       actTable.className = 'nested-table';
       const headerRow = document.createElement('tr');
-      headerRow.innerHTML = '<th>Nom</th><th>Description</th><th>Responsable</th><th>Début</th><th>Fin</th><th></th>';
+      headerRow.innerHTML = '<th>Nom</th><th>Description</th><th>Responsable</th><th>Début</th><th>Fin</th><th>Preuves</th><th></th>';
       actTable.appendChild(headerRow);
       row.actions.forEach((act, aIdx) => {
         const ar = document.createElement('tr');
@@ -4039,6 +8854,9 @@
         });
         tdA.appendChild(inpEnd);
         ar.appendChild(tdA);
+        tdA = document.createElement('td');
+        tdA.appendChild(evidenceCell(act, renderPartiesActions));
+        ar.appendChild(tdA);
         // Delete button
         tdA = document.createElement('td');
         const delBtn = document.createElement('button');
@@ -4058,12 +8876,12 @@
       // Row to add new or existing action
       const addRow = document.createElement('tr');
       const addTd = document.createElement('td');
-      addTd.colSpan = 6;
+      addTd.colSpan = 7;
       const addBtnA = document.createElement('button');
       addBtnA.className = 'add-assoc-btn';
       addBtnA.textContent = '+ Action';
       addBtnA.addEventListener('click', () => {
-        row.actions.push({ name:'', description:'', responsable:'', start:'', end:'' });
+        row.actions.push({ id: uid(), name:'', description:'', responsable:'', start:'', end:'' });
         saveAnalyses();
         renderPartiesActions();
         renderPlanActions();
@@ -4092,7 +8910,7 @@
         if (input === null) return;
         const index = parseInt(input,10) - 1;
         if (!isNaN(index) && index >=0 && index < available.length) {
-          row.actions.push(Object.assign({}, available[index]));
+          row.actions.push(Object.assign({}, available[index], { id: uid(), evidence: (available[index].evidence || []).slice() }));
           saveAnalyses();
           renderPartiesActions();
           renderPlanActions();
@@ -4158,30 +8976,31 @@
       } else {
         tdName.textContent = row.riskName;
       }
+      if (needsTreatment(risk.vraisemblance, risk.gravite)) {
+        const flag = document.createElement('span');
+        flag.className = 'treatment-flag';
+        flag.textContent = 'À traiter';
+        flag.title = 'Niveau initial inacceptable';
+        tdName.appendChild(flag);
+      }
       tr.appendChild(tdName);
       const tdVr = document.createElement('td');
       tdVr.textContent = risk.vraisemblance;
-      tdVr.style.backgroundColor = levelColor(risk.vraisemblance);
+      tdVr.style.backgroundColor = scaleColor('vraisemblance', risk.vraisemblance);
       tr.appendChild(tdVr);
       const tdGr = document.createElement('td');
       tdGr.textContent = risk.gravite;
-      tdGr.style.backgroundColor = levelColor(risk.gravite);
+      tdGr.style.backgroundColor = scaleColor('gravite', risk.gravite);
       tr.appendChild(tdGr);
       // Residual vraisemblance select
       const tdResVr = document.createElement('td');
       const selVr = document.createElement('select');
       selVr.className = 'form-select';
-      for (let i = 1; i <= 4; i++) {
-        const opt = document.createElement('option');
-        opt.value = i;
-        opt.textContent = i;
-        if (row.residualV == i) opt.selected = true;
-        selVr.appendChild(opt);
-      }
-      selVr.style.backgroundColor = levelColor(row.residualV || selVr.value);
+      fillScaleSelect(selVr, 'vraisemblance', row.residualV);
       selVr.addEventListener('change', (e) => {
         row.residualV = parseInt(e.target.value, 10);
-        e.target.style.backgroundColor = levelColor(row.residualV);
+        e.target.style.backgroundColor = scaleColor('vraisemblance', row.residualV);
+        renderAcceptance(accLabel, row.residualV, row.residualG);
         saveAnalyses();
       });
       tdResVr.appendChild(selVr);
@@ -4190,21 +9009,22 @@
       const tdResGr = document.createElement('td');
       const selGr = document.createElement('select');
       selGr.className = 'form-select';
-      for (let i = 1; i <= 4; i++) {
-        const opt = document.createElement('option');
-        opt.value = i;
-        opt.textContent = i;
-        if (row.residualG == i) opt.selected = true;
-        selGr.appendChild(opt);
-      }
-      selGr.style.backgroundColor = levelColor(row.residualG || selGr.value);
+      fillScaleSelect(selGr, 'gravite', row.residualG);
       selGr.addEventListener('change', (e) => {
         row.residualG = parseInt(e.target.value, 10);
-        e.target.style.backgroundColor = levelColor(row.residualG);
+        e.target.style.backgroundColor = scaleColor('gravite', row.residualG);
+        renderAcceptance(accLabel, row.residualV, row.residualG);
         saveAnalyses();
       });
       tdResGr.appendChild(selGr);
       tr.appendChild(tdResGr);
+      // Acceptance of the residual levels
+      const tdAcc = document.createElement('td');
+      const accLabel = document.createElement('span');
+      accLabel.className = 'acceptance-label';
+      renderAcceptance(accLabel, row.residualV, row.residualG);
+      tdAcc.appendChild(accLabel);
+      tr.appendChild(tdAcc);
       // Actions cell: nested table for actions associated with this risk
       const tdActions = document.createElement('td');
       tdActions.className = 'assoc-cell';
@@ -4212,7 +9032,7 @@
       const actTable = document.createElement('table');
       actTable.className = 'nested-table';
       const headerRow = document.createElement('tr');
-      headerRow.innerHTML = '<th>Nom</th><th>Description</th><th>Responsable</th><th>Début</th><th>Fin</th><th></th>';
+      headerRow.innerHTML = '<th>Nom</th><th>Description</th><th>Responsable</th><th>Début</th><th>Fin</th><th>Preuves</th><th></th>';
       actTable.appendChild(headerRow);
       row.actions.forEach((act, aIdx) => {
         const ar = document.createElement('tr');
@@ -4225,6 +9045,13 @@
           renderPlanActions();
         });
         tdA.appendChild(inpName);
+        if (act.mitigationId) {
+          const ref = document.createElement('span');
+          ref.className = 'mitigation-ref';
+          ref.textContent = act.mitigationId;
+          ref.title = 'Mesure MITRE ATT&CK';
+          tdA.appendChild(ref);
+        }
         ar.appendChild(tdA);
         // Description
         tdA = document.createElement('td');
@@ -4273,6 +9100,9 @@
         });
         tdA.appendChild(inpEnd);
         ar.appendChild(tdA);
+        tdA = document.createElement('td');
+        tdA.appendChild(evidenceCell(act, renderRisquesActions));
+        ar.appendChild(tdA);
         // Delete button
         tdA = document.createElement('td');
         const delBtn = document.createElement('button');
@@ -4284,6 +9114,7 @@
           saveAnalyses();
           renderRisquesActions();
           renderPlanActions();
+          renderAttackCoverage();
         });
         tdA.appendChild(delBtn);
         ar.appendChild(tdA);
@@ -4292,12 +9123,12 @@
       // Row to add new or existing action
       const addRow = document.createElement('tr');
       const addTd = document.createElement('td');
-      addTd.colSpan = 6;
+      addTd.colSpan = 7;
       const addBtnA = document.createElement('button');
       addBtnA.className = 'add-assoc-btn';
       addBtnA.textContent = '+ Action';
       addBtnA.addEventListener('click', () => {
-        row.actions.push({ name:'', description:'', responsable:'', start:'', end:'' });
+        row.actions.push({ id: uid(), name:'', description:'', responsable:'', start:'', end:'' });
         saveAnalyses();
         renderRisquesActions();
         renderPlanActions();
@@ -4326,13 +9157,24 @@
         if (input === null) return;
         const index = parseInt(input,10) - 1;
         if (!isNaN(index) && index >=0 && index < available.length) {
-          row.actions.push(Object.assign({}, available[index]));
+          row.actions.push(Object.assign({}, available[index], { id: uid(), evidence: (available[index].evidence || []).slice() }));
           saveAnalyses();
           renderRisquesActions();
           renderPlanActions();
         }
       });
       addTd.appendChild(addExisting);
+      const technique = riskTechnique(row.riskName);
+      const mitigations = technique ? techniqueMitigations(technique) : [];
+      if (mitigations.length > 0) {
+        const pending = mitigations.filter(m => !row.actions.some(a => a.mitigationId === m.id)).length;
+        const suggestBtn = document.createElement('button');
+        suggestBtn.className = 'add-assoc-btn';
+        suggestBtn.textContent = `+ Mesures ATT&CK (${pending})`;
+        suggestBtn.title = `Mesures de la bibliothèque MITRE pour ${technique.id}`;
+        suggestBtn.addEventListener('click', () => suggestMitigations(analysis.data, row, technique));
+        addTd.appendChild(suggestBtn);
+      }
       addRow.appendChild(addTd);
       actTable.appendChild(addRow);
       tdActions.appendChild(actTable);
@@ -4348,6 +9190,7 @@
         saveAnalyses();
         renderRisquesActions();
         renderPlanActions();
+        renderAttackCoverage();
       });
       tdDel.appendChild(delRow);
       tr.appendChild(tdDel);
@@ -4356,6 +9199,127 @@
     addDataTableResizers('risques-actions-table');
   }
 
+  // Requirements not fully applied that weigh on each risk of Atelier 4:
+  // linked to the risk itself, or to a stakeholder or support involved
+  // in one of its operational scenarios (stakeholders of the strategic
+  // scenarios sharing its path, supports of the targeted business value
+  // and of those stakeholders).
+  function traceRequirementsToRisks(data) {
+    const open = data.gap.filter(req => ['partiel', 'non', ''].includes(gapStatusKey(req.application)));
+    const risks = new Map();
+    data.so.forEach(scenario => {
+      (scenario.risks || []).forEach(r => {
+        if (!r.name) return;
+        if (!risks.has(r.name)) risks.set(r.name, { name: r.name, vraisemblance: 1, gravite: 1, scenarios: [] });
+        const risk = risks.get(r.name);
+        risk.vraisemblance = Math.max(risk.vraisemblance, r.vraisemblance || 1);
+        risk.gravite = Math.max(risk.gravite, r.gravite || 1);
+        risk.scenarios.push(scenario);
+      });
+    });
+    return Array.from(risks.values()).map(risk => {
+      const row = data.actionsRisques.find(r => r.riskName === risk.name);
+      const residual = row ? { vraisemblance: row.residualV || risk.vraisemblance, gravite: row.residualG || risk.gravite } : risk;
+      const stakeholders = new Set();
+      const supports = new Set();
+      risk.scenarios.forEach(scenario => {
+        data.strategies.filter(s => scenario.path && s.chemins.includes(scenario.path))
+          .forEach(s => s.intermediaireIds.forEach(id => stakeholders.add(id)));
+        const event = data.events.find(ev => ev.id === scenario.eventId);
+        const mission = event && data.missions.find(m => m.id === event.missionId);
+        if (mission) mission.supportIds.forEach(id => supports.add(id));
+      });
+      data.ppc.filter(p => stakeholders.has(p.id)).forEach(p => p.supportIds.forEach(id => supports.add(id)));
+      const requirements = [];
+      open.forEach(req => {
+        const via = [];
+        if (req.riskNames.includes(risk.name)) via.push('lien direct');
+        req.ppIds.filter(id => stakeholders.has(id)).forEach(id => {
+          const pp = data.ppc.find(p => p.id === id);
+          via.push(`partie prenante « ${pp ? pp.nom : id} »`);
+        });
+        req.supportIds.filter(id => supports.has(id)).forEach(id => via.push(`bien support « ${supportName(data, id)} »`));
+        if (via.length > 0) requirements.push({ req, via });
+      });
+      return { name: risk.name, residual, requirements };
+    }).sort((a, b) => b.residual.vraisemblance * b.residual.gravite - a.residual.vraisemblance * a.residual.gravite);
+  }
+
+  // Initial and residual position of each Atelier 5 risk, restricted to
+  // the operational scenarios matching `filter.scenario` (scenario id)
+  // and `filter.source` (risk source of the strategies whose paths they
+  // follow), and to the risks with an action owned by `filter.owner`.
+  function residualRiskMoves(data, filter = {}) {
+    const scenarioSources = scenario => data.strategies
+      .filter(st => scenario.path && st.chemins.includes(scenario.path))
+      .map(st => st.source);
+    const initial = new Map();
+    data.so.forEach(scenario => {
+      if (filter.scenario && scenario.id !== filter.scenario) return;
+      if (filter.source && !scenarioSources(scenario).includes(filter.source)) return;
+      (scenario.risks || []).forEach(r => {
+        if (!r.name) return;
+        const cur = initial.get(r.name) || { v: 1, g: 1 };
+        initial.set(r.name, { v: Math.max(cur.v, r.vraisemblance || 1), g: Math.max(cur.g, r.gravite || 1) });
+      });
+    });
+    const moves = [];
+    data.actionsRisques.forEach(row => {
+      if (!row.riskName) return;
+      let start = initial.get(row.riskName);
+      if (!start) {
+        // Risks typed by hand belong to no scenario
+        if (!row.manual || filter.scenario || filter.source) return;
+        start = { v: row.residualV || 1, g: row.residualG || 1 };
+      }
+      if (filter.owner && !(row.actions || []).some(act => (act.responsable || '').trim() === filter.owner)) return;
+      moves.push({
+        name: row.riskName,
+        initial: start,
+        residual: { v: row.residualV || start.v, g: row.residualG || start.g }
+      });
+    });
+    return moves;
+  }
+
+  // Atelier 5 traceability view: for each risk and its residual level,
+  // the requirements left open that contribute to it.
+  function renderTraceability() {
+    const body = document.getElementById('traceability-body');
+    if (!body) return;
+    body.innerHTML = '';
+    const analysis = analyses[currentIndex];
+    if (!analysis || !analysis.data) return;
+    traceRequirementsToRisks(analysis.data).forEach(risk => {
+      const tr = document.createElement('tr');
+      const tdName = document.createElement('td');
+      tdName.textContent = risk.name;
+      tr.appendChild(tdName);
+      [['vraisemblance', risk.residual.vraisemblance], ['gravite', risk.residual.gravite]].forEach(([metric, level]) => {
+        const td = document.createElement('td');
+        td.textContent = level;
+        td.style.backgroundColor = scaleColor(metric, level);
+        tr.appendChild(td);
+      });
+      const tdReqs = document.createElement('td');
+      if (risk.requirements.length === 0) {
+        tdReqs.textContent = '—';
+      } else {
+        const list = document.createElement('ul');
+        list.className = 'trace-list';
+        risk.requirements.forEach(({ req, via }) => {
+          const li = document.createElement('li');
+          const status = req.application || 'Non évaluée';
+          li.textContent = `${req.ref ? req.ref + ' ' : ''}${req.titre || req.description || 'Exigence'} (${status}) – via ${via.join(', ')}`;
+          list.appendChild(li);
+        });
+        tdReqs.appendChild(list);
+      }
+      tr.appendChild(tdReqs);
+      body.appendChild(tr);
+    });
+  }
+
   // Aggregate all actions and render plan table + gantt chart
   function renderPlanActions() {
     const body = document.getElementById('plan-actions-body');
@@ -4364,13 +9328,33 @@
     body.innerHTML = '';
     const analysis = analyses[currentIndex];
     if (!analysis || !analysis.data) return;
+    const actions = collectPlanActions(analysis.data);
+    // Render table rows
+    actions.forEach(act => {
+      const tr = document.createElement('tr');
+      ['name','source','description','responsable','start','end'].forEach(key => {
+        const td = document.createElement('td');
+        td.textContent = act[key] || '';
+        tr.appendChild(td);
+      });
+      body.appendChild(tr);
+    });
+    addDataTableResizers('plan-actions-table');
+    // Draw gantt chart
+    drawGanttChart(canvas, actions);
+  }
+
+  // Flatten the actions of the four Atelier 5 tables into one list, each
+  // action labelled with the item it treats.
+  function collectPlanActions(data) {
     const actions = [];
     // Gap actions
-    (analysis.data.actionsGap || []).forEach(entry => {
-      const source = (analysis.data.gap || []).find(req => req.id === entry.sourceId);
+    (data.actionsGap || []).forEach(entry => {
+      const source = (data.gap || []).find(req => req.id === entry.sourceId);
       const sourceName = source ? (source.titre || source.domaine || 'Exigence') : 'Exigence';
       (entry.actions || []).forEach(act => {
         actions.push({
+          id: act.id || '',
           name: act.name,
           source: 'GAP: ' + sourceName,
           description: act.description || '',
@@ -4381,11 +9365,12 @@
       });
     });
     // Support actions
-    (analysis.data.actionsSupports || []).forEach(row => {
-      const sup = row.supportName || 'Support';
+    (data.actionsSupports || []).forEach(row => {
+      const sup = (row.supportId && supportName(data, row.supportId)) || 'Support';
       const vul = row.vulnName ? ` - ${row.vulnName}` : '';
       (row.actions || []).forEach(act => {
         actions.push({
+          id: act.id || '',
           name: act.name,
           source: 'Support: ' + sup + vul,
           description: act.description || '',
@@ -4396,11 +9381,12 @@
       });
     });
     // Party actions
-    (analysis.data.actionsParties || []).forEach(row => {
-      const pp = (analysis.data.ppc || []).find(p => p.id === row.ppId);
+    (data.actionsParties || []).forEach(row => {
+      const pp = (data.ppc || []).find(p => p.id === row.ppId);
       const srcName = pp ? (pp.nom || pp.name || 'Partie') : 'Partie';
       (row.actions || []).forEach(act => {
         actions.push({
+          id: act.id || '',
           name: act.name,
           source: 'Partie: ' + srcName,
           description: act.description || '',
@@ -4411,10 +9397,11 @@
       });
     });
     // Risk actions
-    (analysis.data.actionsRisques || []).forEach(row => {
+    (data.actionsRisques || []).forEach(row => {
       const srcName = row.riskName;
       (row.actions || []).forEach(act => {
         actions.push({
+          id: act.id || '',
           name: act.name,
           source: 'Risque: ' + srcName,
           description: act.description || '',
@@ -4424,19 +9411,7 @@
         });
       });
     });
-    // Render table rows
-    actions.forEach(act => {
-      const tr = document.createElement('tr');
-      ['name','source','description','responsable','start','end'].forEach(key => {
-        const td = document.createElement('td');
-        td.textContent = act[key] || '';
-        tr.appendChild(td);
-      });
-      body.appendChild(tr);
-    });
-    addDataTableResizers('plan-actions-table');
-    // Draw gantt chart
-    drawGanttChart(canvas, actions);
+    return actions;
   }
 
   // Draw a simple Gantt chart on a canvas from a list of actions with start/end dates
@@ -4494,155 +9469,473 @@
     }
   }
 
-  // ----- Chart drawing functions (simple bar and radar charts)
-  function clearCanvas(canvas) {
-    const ctx = canvas.getContext('2d');
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+  // ----- Atelier 5: ATT&CK mitigations
+  // Risks created from the MITRE picker are named after their technique:
+  // its mitigations are proposed as treatment actions, which keep the
+  // mitigation id in `mitigationId`.
+
+  // Technique of the MITRE library a risk is named after, preferring the
+  // matrix that knows mitigations for it
+  function riskTechnique(name) {
+    const match = ATTACK_ID_PATTERN.exec((name || '').trim().toUpperCase());
+    if (!match) return null;
+    const found = mitreLibrary.filter(t => t.id === match[1]);
+    return found.find(t => techniqueMitigations(t).length > 0) || found[0] || null;
+  }
+
+  // Sub-techniques without mitigations of their own take their parent's
+  function techniqueMitigations(technique) {
+    if ((technique.mitigations || []).length > 0) return technique.mitigations;
+    const parent = technique.parent && mitreLibrary.find(t => t.id === technique.parent && t.domain === technique.domain);
+    return parent ? parent.mitigations || [] : [];
+  }
+
+  // First action of the risk treatment carrying `mitigationId`, with its row
+  function mitigationActionOf(data, mitigationId) {
+    for (const row of data.actionsRisques) {
+      const act = (row.actions || []).find(a => a.mitigationId === mitigationId);
+      if (act) return { act, row };
+    }
+    return null;
+  }
+
+  // Dialog proposing the mitigations of `technique` that no action of
+  // `row` carries yet.  A mitigation already planned for another risk is
+  // copied from that action, like "+ Action existante" does.
+  async function suggestMitigations(data, row, technique) {
+    const candidates = techniqueMitigations(technique).filter(m => !row.actions.some(a => a.mitigationId === m.id));
+    if (candidates.length === 0) {
+      alert('Chaque mesure ATT&CK de cette technique a déjà une action pour ce risque.');
+      return;
+    }
+    const body = document.createElement('div');
+    body.className = 'vuln-catalog-list';
+    const checks = candidates.map(m => {
+      const label = document.createElement('label');
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.checked = true;
+      label.appendChild(check);
+      const name = document.createElement('strong');
+      name.textContent = ` ${m.id} ${m.mitigation}`;
+      label.appendChild(name);
+      const planned = mitigationActionOf(data, m.id);
+      const details = [planned ? `déjà prévue pour « ${planned.row.riskName} »` : '', m.description].filter(Boolean).join(' – ');
+      if (details) label.appendChild(document.createTextNode(` ${details}`));
+      body.appendChild(label);
+      return check;
+    });
+    const choice = await showDialog({
+      title: `Mesures ATT&CK – ${technique.id} ${technique.title}`,
+      message: 'Les mesures cochées deviennent des actions de traitement de ce risque.',
+      body,
+      wide: true,
+      choices: [
+        { value: 'add', label: 'Créer les actions', primary: true },
+        { value: null, label: 'Annuler' }
+      ]
+    });
+    if (choice !== 'add') return;
+    const chosen = candidates.filter((m, i) => checks[i].checked);
+    if (chosen.length === 0) return;
+    chosen.forEach(m => {
+      const planned = mitigationActionOf(data, m.id);
+      row.actions.push(planned
+        ? Object.assign({}, planned.act, { id: uid(), evidence: (planned.act.evidence || []).slice() })
+        : { id: uid(), name: `${m.id} ${m.mitigation}`, description: m.description || '', responsable: '', start: '', end: '', mitigationId: m.id });
+    });
+    saveAnalyses();
+    renderRisquesActions();
+    renderPlanActions();
+    renderAttackCoverage();
+  }
+
+  // Techniques of the risks of Atelier 4 with the actions carrying one
+  // of their mitigations, those without any first
+  function attackCoverage(data) {
+    const techniques = new Map();
+    data.so.forEach(scenario => (scenario.risks || []).forEach(r => {
+      const match = ATTACK_ID_PATTERN.exec((r.name || '').trim().toUpperCase());
+      if (!match) return;
+      if (!techniques.has(match[1])) {
+        const technique = riskTechnique(r.name);
+        techniques.set(match[1], {
+          id: match[1],
+          title: technique ? technique.title : '',
+          known: !!technique,
+          mitigations: technique ? techniqueMitigations(technique) : [],
+          risks: []
+        });
+      }
+      const entry = techniques.get(match[1]);
+      if (!entry.risks.includes(r.name)) entry.risks.push(r.name);
+    }));
+    return Array.from(techniques.values()).map(entry => {
+      const ids = new Set(entry.mitigations.map(m => m.id));
+      const actions = [];
+      data.actionsRisques.forEach(row => (row.actions || []).forEach(act => {
+        if (act.mitigationId && ids.has(act.mitigationId)) actions.push({ act, row });
+      }));
+      return Object.assign(entry, { actions });
+    }).sort((a, b) => (a.actions.length > 0) - (b.actions.length > 0) || a.id.localeCompare(b.id, undefined, { numeric: true }));
+  }
+
+  function renderAttackCoverage() {
+    const body = document.getElementById('attack-coverage-body');
+    const summary = document.getElementById('attack-coverage-summary');
+    if (!body || !summary) return;
+    body.innerHTML = '';
+    const analysis = analyses[currentIndex];
+    if (!analysis || !analysis.data) return;
+    const coverage = attackCoverage(analysis.data);
+    const uncovered = coverage.filter(entry => entry.actions.length === 0).length;
+    summary.textContent = coverage.length === 0
+      ? 'Aucun risque de l’atelier 4 n’est issu d’une technique ATT&CK.'
+      : `${uncovered} technique(s) sur ${coverage.length} sans action de mitigation.`;
+    coverage.forEach(entry => {
+      const tr = document.createElement('tr');
+      if (entry.actions.length === 0) tr.className = 'coverage-missing';
+      const cells = [
+        `${entry.id}${entry.title ? ' ' + entry.title : ''}`,
+        entry.risks.join('\n'),
+        entry.known ? entry.mitigations.map(m => `${m.id} ${m.mitigation}`).join('\n') || 'Aucune mesure connue' : 'Absente de la bibliothèque',
+        entry.actions.map(({ act, row }) => `${act.name || act.mitigationId} (${row.riskName})`).join('\n') || '—'
+      ];
+      cells.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        td.style.whiteSpace = 'pre-line';
+        tr.appendChild(td);
+      });
+      const tdStatus = document.createElement('td');
+      tdStatus.textContent = entry.actions.length > 0 ? 'Couverte' : 'Non couverte';
+      tr.appendChild(tdStatus);
+      body.appendChild(tr);
+    });
+  }
+
+  // ----- Atelier 5: Residual risk matrix
+  let residualFilter = { scenario: '', source: '', owner: '' };
+
+  function renderResidualMatrix() {
+    const container = document.getElementById('residual-matrix-filter');
+    const canvas = document.getElementById('residual-matrix');
+    const legend = document.getElementById('residual-matrix-legend');
+    if (!container || !canvas || !legend) return;
+    const analysis = analyses[currentIndex];
+    if (!analysis || !analysis.data) return;
+    const data = analysis.data;
+    const eventLabel = id => (data.events.find(ev => ev.id === id) || {}).evenement || 'ER';
+    const owners = new Set();
+    data.actionsRisques.forEach(row => (row.actions || []).forEach(act => {
+      if ((act.responsable || '').trim()) owners.add(act.responsable.trim());
+    }));
+    const filters = [
+      ['scenario', 'Scénario', data.so.map((so, idx) => ({ value: so.id, label: `${idx + 1}. ${eventLabel(so.eventId)}${so.path ? ' – ' + so.path : ''}` }))],
+      ['source', 'Source de risque', Array.from(new Set(data.strategies.map(st => st.source).filter(Boolean))).map(src => ({ value: src, label: src }))],
+      ['owner', 'Responsable', Array.from(owners).sort().map(owner => ({ value: owner, label: owner }))]
+    ];
+    container.innerHTML = '';
+    filters.forEach(([key, label, options]) => {
+      // Forget a filter whose value disappeared from the analysis
+      if (!options.some(opt => opt.value === residualFilter[key])) residualFilter[key] = '';
+      const lab = document.createElement('label');
+      lab.textContent = label + ' ';
+      const select = document.createElement('select');
+      select.dataset.filter = key;
+      [{ value: '', label: 'Tous' }].concat(options).forEach(opt => {
+        const o = document.createElement('option');
+        o.value = opt.value;
+        o.textContent = opt.label;
+        select.appendChild(o);
+      });
+      select.value = residualFilter[key];
+      select.addEventListener('change', () => {
+        residualFilter[key] = select.value;
+        renderResidualMatrix();
+      });
+      lab.appendChild(select);
+      container.appendChild(lab);
+    });
+    const moves = residualRiskMoves(data, residualFilter);
+    drawResidualMatrix(canvas, moves);
+    legend.innerHTML = '';
+    if (moves.length === 0) {
+      const li = document.createElement('li');
+      li.textContent = 'Aucun risque ne correspond aux filtres.';
+      legend.appendChild(li);
+    }
+    moves.forEach(move => {
+      const li = document.createElement('li');
+      const cell = acceptanceCell(move.residual.v, move.residual.g);
+      li.textContent = `${move.name} : V${move.initial.v}/G${move.initial.g} → V${move.residual.v}/G${move.residual.g}` +
+        (cell ? ` (${acceptanceLevel(cell.level).label})` : '');
+      legend.appendChild(li);
+    });
+  }
+
+  // ----- Action plan exports
+  // The consolidated plan can be exported for the project office (CSV,
+  // XLSX) and for calendars (iCalendar).  Every export carries the
+  // action ids, so that importing a newer export updates the entries
+  // created by a previous one instead of duplicating them.
+  const PLAN_EXPORT_COLUMNS = [
+    { key: 'id', label: 'Identifiant' },
+    { key: 'name', label: 'Action' },
+    { key: 'source', label: 'Traite' },
+    { key: 'description', label: 'Description' },
+    { key: 'responsable', label: 'Responsable' },
+    { key: 'start', label: 'Début', date: true },
+    { key: 'end', label: 'Fin', date: true }
+  ];
+
+  function planExportName(analysis, extension) {
+    const safeTitle = (analysis.title || 'analyse').replace(/[^a-z0-9]/gi, '_').toLowerCase();
+    return `${safeTitle}_plan_actions.${extension}`;
+  }
+
+  // Dates entered through <input type="date"> (YYYY-MM-DD), or null
+  function parsePlanDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    return isNaN(date.getTime()) ? null : date;
   }
 
-  function drawBarChart(canvas, labels, data, colors) {
-    const ctx = canvas.getContext('2d');
-    clearCanvas(canvas);
-    if (!labels || labels.length === 0) return;
-    const width = canvas.width;
-    const height = canvas.height;
-    const margin = 40;
-    const barAreaWidth = width - margin * 2;
-    const barWidth = barAreaWidth / labels.length;
-    const maxVal = Math.max(...data, 1);
-    // Draw axes
-    ctx.strokeStyle = 'rgba(200,200,200,0.5)';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.moveTo(margin, margin);
-    ctx.lineTo(margin, height - margin);
-    ctx.lineTo(width - margin, height - margin);
-    ctx.stroke();
-    ctx.font = '12px sans-serif';
-    ctx.fillStyle = 'var(--text-secondary)';
-    // Draw bars
-    data.forEach((value, i) => {
-      const barHeight = (value / maxVal) * (height - margin * 2);
-      const x = margin + i * barWidth + barWidth * 0.2;
-      const y = height - margin - barHeight;
-      const w = barWidth * 0.6;
-      const color = colors && colors[i] ? colors[i] : 'rgba(77,163,255,0.8)';
-      ctx.fillStyle = color;
-      ctx.fillRect(x, y, w, barHeight);
-      // Value label
-      ctx.fillStyle = 'var(--text-primary)';
-      ctx.textAlign = 'center';
-      ctx.fillText(value, x + w / 2, y - 4);
-      // Category label
-      ctx.fillStyle = 'var(--text-secondary)';
-      ctx.save();
-      ctx.translate(x + w / 2, height - margin + 14);
-      ctx.rotate(-Math.PI / 4);
-      ctx.fillText(labels[i], 0, 0);
-      ctx.restore();
+  // One CSV cell.  Text starting like a formula gets a leading
+  // apostrophe so that spreadsheets show it instead of evaluating it.
+  function csvCell(value) {
+    let text = String(value == null ? '' : value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = "'" + text;
+    return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Semicolon-separated with a BOM, as expected by Excel in French locales
+  function planActionsCsv(actions) {
+    const lines = [PLAN_EXPORT_COLUMNS.map(c => csvCell(c.label)).join(';')];
+    actions.forEach(act => lines.push(PLAN_EXPORT_COLUMNS.map(c => csvCell(act[c.key])).join(';')));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  function xmlEscape(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+  }
+
+  // Minimal single-sheet workbook: a bold header row, inline strings and
+  // dates stored as serial numbers with a date format.
+  function planActionsXlsx(actions) {
+    const column = i => String.fromCharCode(65 + i);
+    const excelDate = date => (date.getTime() - Date.UTC(1899, 11, 30)) / 86400000;
+    const rows = [];
+    rows.push(`<row r="1">${PLAN_EXPORT_COLUMNS.map((c, i) =>
+      `<c r="${column(i)}1" t="inlineStr" s="1"><is><t>${xmlEscape(c.label)}</t></is></c>`).join('')}</row>`);
+    actions.forEach((act, index) => {
+      const r = index + 2;
+      const cells = PLAN_EXPORT_COLUMNS.map((c, i) => {
+        const ref = `${column(i)}${r}`;
+        const date = c.date ? parsePlanDate(act[c.key]) : null;
+        if (date) return `<c r="${ref}" s="2"><v>${excelDate(date)}</v></c>`;
+        return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(act[c.key])}</t></is></c>`;
+      });
+      rows.push(`<row r="${r}">${cells.join('')}</row>`);
     });
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const ns = 'http://schemas.openxmlformats.org';
+    return zipArchive([
+      { name: '[Content_Types].xml', data: xml +
+        `<Types xmlns="${ns}/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>' },
+      { name: '_rels/.rels', data: xml +
+        `<Relationships xmlns="${ns}/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>' },
+      { name: 'xl/workbook.xml', data: xml +
+        `<workbook xmlns="${ns}/spreadsheetml/2006/main" xmlns:r="${ns}/officeDocument/2006/relationships">` +
+        '<sheets><sheet name="Plan d\'actions" sheetId="1" r:id="rId1"/></sheets></workbook>' },
+      { name: 'xl/_rels/workbook.xml.rels', data: xml +
+        `<Relationships xmlns="${ns}/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${ns}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="${ns}/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+        '</Relationships>' },
+      { name: 'xl/styles.xml', data: xml +
+        `<styleSheet xmlns="${ns}/spreadsheetml/2006/main">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+        '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+        '</styleSheet>' },
+      { name: 'xl/worksheets/sheet1.xml', data: xml +
+        `<worksheet xmlns="${ns}/spreadsheetml/2006/main"><sheetData>${rows.join('')}</sheetData></worksheet>` }
+    ], 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
   }
 
-  function drawRadarChart(canvas, labels, dataset) {
-    const ctx = canvas.getContext('2d');
-    clearCanvas(canvas);
-    if (!labels || labels.length === 0) return;
-    const width = canvas.width;
-    const height = canvas.height;
-    const centerX = width / 2;
-    const centerY = height / 2;
-    const margin = 40;
-    const radius = Math.min(width, height) / 2 - margin;
-    const n = labels.length;
-    // Draw concentric circles and axes
-    ctx.strokeStyle = 'rgba(200,200,200,0.2)';
-    ctx.lineWidth = 1;
-    const steps = 5;
-    for (let s = 1; s <= steps; s++) {
-      const r = (s / steps) * radius;
-      ctx.beginPath();
-      for (let i = 0; i < n; i++) {
-        const angle = -Math.PI / 2 + (2 * Math.PI * i) / n;
-        const x = centerX + r * Math.cos(angle);
-        const y = centerY + r * Math.sin(angle);
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
+  // Text values of iCalendar properties (RFC 5545 §3.3.11)
+  function icsText(value) {
+    return String(value == null ? '' : value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Fold content lines longer than 75 octets (RFC 5545 §3.1)
+  function icsFold(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const ch of line) {
+      const bytes = encoder.encode(ch).length;
+      if (size + bytes > (parts.length ? 74 : 75)) {
+        parts.push(current);
+        current = '';
+        size = 0;
       }
-      ctx.closePath();
-      ctx.stroke();
+      current += ch;
+      size += bytes;
     }
-    // Draw axes lines and labels
-    labels.forEach((label, i) => {
-      const angle = -Math.PI / 2 + (2 * Math.PI * i) / n;
-      const x = centerX + radius * Math.cos(angle);
-      const y = centerY + radius * Math.sin(angle);
-      ctx.strokeStyle = 'rgba(200,200,200,0.3)';
-      ctx.beginPath();
-      ctx.moveTo(centerX, centerY);
-      ctx.lineTo(x, y);
-      ctx.stroke();
-      // Label at end
-      ctx.fillStyle = 'var(--text-secondary)';
-      ctx.font = '12px sans-serif';
-      const offsetX = 10 * Math.cos(angle);
-      const offsetY = 10 * Math.sin(angle);
-      ctx.textAlign = angle > Math.PI / 2 || angle < -Math.PI / 2 ? 'right' : 'left';
-      ctx.fillText(label, x + offsetX, y + offsetY);
-    });
-    // Draw dataset polygon
-    if (dataset && dataset.data && dataset.data.length === n) {
-      const values = dataset.data;
-      const color = dataset.color || 'rgba(77,163,255,0.5)';
-      // Determine max for scaling (assuming data in 0-10)
-      const maxVal = Math.max(...values, 1);
-      ctx.beginPath();
-      values.forEach((val, i) => {
-        const r = (val / maxVal) * radius;
-        const angle = -Math.PI / 2 + (2 * Math.PI * i) / n;
-        const x = centerX + r * Math.cos(angle);
-        const y = centerY + r * Math.sin(angle);
-        if (i === 0) ctx.moveTo(x, y);
-        else ctx.lineTo(x, y);
-      });
-      ctx.closePath();
-      // Fill polygon
-      ctx.fillStyle = color;
-      ctx.fill();
-      // Outline
-      ctx.strokeStyle = 'rgba(77,163,255,0.8)';
-      ctx.lineWidth = 2;
-      ctx.stroke();
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+
+  // One all-day event per dated action.  The UID derives from the action
+  // id so calendars update the event on re-import.
+  function planActionsIcs(analysis, actions) {
+    const icsDate = date => date.toISOString().slice(0, 10).replace(/-/g, '');
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//EBIOS Risk Manager//Plan d\'actions//FR',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      'X-WR-CALNAME:' + icsText(`Plan d'actions – ${analysis.title || 'Analyse'}`)
+    ];
+    let count = 0;
+    actions.forEach(act => {
+      const start = parsePlanDate(act.start) || parsePlanDate(act.end);
+      if (!start || !act.id) return;
+      let end = parsePlanDate(act.end) || start;
+      if (end < start) end = start;
+      // DTEND is exclusive for all-day events
+      end = new Date(end.getTime() + 86400000);
+      const description = [
+        act.source,
+        act.responsable ? 'Responsable : ' + act.responsable : '',
+        act.description
+      ].filter(Boolean).join('\n');
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${act.id}@ebios-rm`,
+        'DTSTAMP:' + stamp,
+        'DTSTART;VALUE=DATE:' + icsDate(start),
+        'DTEND;VALUE=DATE:' + icsDate(end),
+        'SUMMARY:' + icsText(act.name || 'Action'),
+        'DESCRIPTION:' + icsText(description),
+        'END:VEVENT'
+      );
+      count += 1;
+    });
+    lines.push('END:VCALENDAR');
+    return { text: lines.map(icsFold).join('\r\n') + '\r\n', count };
+  }
+
+  function exportPlanActions(format) {
+    const analysis = analyses[currentIndex];
+    if (!analysis || !analysis.data) return;
+    const actions = collectPlanActions(analysis.data);
+    if (actions.length === 0) {
+      alert('Le plan d’actions est vide.');
+      return;
+    }
+    if (format === 'csv') {
+      downloadBlob(new Blob([planActionsCsv(actions)], { type: 'text/csv;charset=utf-8' }), planExportName(analysis, 'csv'));
+    } else if (format === 'xlsx') {
+      downloadBlob(planActionsXlsx(actions), planExportName(analysis, 'xlsx'));
+    } else if (format === 'ics') {
+      const ics = planActionsIcs(analysis, actions);
+      if (ics.count === 0) {
+        alert('Aucune action datée à exporter.');
+        return;
+      }
+      downloadBlob(new Blob([ics.text], { type: 'text/calendar;charset=utf-8' }), planExportName(analysis, 'ics'));
+      if (ics.count < actions.length) {
+        alert(`${actions.length - ics.count} action(s) sans date n’ont pas été exportées dans le calendrier.`);
+      }
     }
   }
 
-  function drawRiskMatrix(canvas, risks) {
+  // ----- Chart drawing functions
+  function clearCanvas(canvas) {
     const ctx = canvas.getContext('2d');
-    const width = canvas.width;
-    const height = canvas.height;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+  }
+
+  // Fill `canvas` with the acceptance grid of the current analysis and
+  // return its geometry, shared by the Atelier 4 and Atelier 5 matrices.
+  function drawMatrixGrid(canvas) {
+    const ctx = canvas.getContext('2d');
+    const nV = scaleOf('vraisemblance').length;
+    const nG = scaleOf('gravite').length;
     // Fill dark background
     const bg = getComputedStyle(document.documentElement).getPropertyValue('--bg-panel') || '#0c1524';
     ctx.fillStyle = bg;
-    ctx.fillRect(0, 0, width, height);
-    const cellW = width / 4;
-    const cellH = height / 4;
-    const colors = [
-      ['#1B8060', '#F38E00', '#F38E00', '#F43B3B'],
-      ['#1B8060', '#F38E00', '#F38E00', '#F43B3B'],
-      ['#1B8060', '#F38E00', '#F43B3B', '#F43B3B'],
-      ['#F38E00', '#F38E00', '#F43B3B', '#F43B3B']
-    ];
-    // Draw grid
-    for (let g = 1; g <= 4; g++) {
-      for (let v = 1; v <= 4; v++) {
-        const row = 4 - g;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    const cellW = canvas.width / nV;
+    const cellH = canvas.height / nG;
+    for (let g = 1; g <= nG; g++) {
+      for (let v = 1; v <= nV; v++) {
         const x = (v - 1) * cellW;
-        const y = row * cellH;
-        ctx.fillStyle = colors[g - 1][v - 1];
+        const y = (nG - g) * cellH;
+        ctx.fillStyle = acceptanceCell(v, g).color;
         ctx.fillRect(x, y, cellW, cellH);
         ctx.strokeStyle = 'white';
         ctx.strokeRect(x, y, cellW, cellH);
       }
     }
+    return { ctx, nV, nG, cellW, cellH };
+  }
+
+  function drawMatrixAxes(canvas, { ctx, nV, nG, cellW, cellH }) {
+    const width = canvas.width;
+    const height = canvas.height;
+    ctx.fillStyle = 'white';
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (let v = 1; v <= nV; v++) {
+      const x = (v - 0.5) * cellW;
+      ctx.fillText(String(v), x, height - 8);
+    }
+    ctx.textAlign = 'left';
+    for (let g = 1; g <= nG; g++) {
+      const y = (nG - g + 0.5) * cellH;
+      ctx.fillText(String(g), 4, y);
+    }
+    ctx.save();
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText('Gravité', -height / 2, 12);
+    ctx.restore();
+    ctx.fillText('Vraisemblance', width / 2, height - 20);
+  }
+
+  function drawRiskMatrix(canvas, risks) {
+    const grid = drawMatrixGrid(canvas);
+    const { ctx, nV, nG, cellW, cellH } = grid;
     // Group risks by cell
     const cellMap = {};
     risks.forEach(r => {
@@ -4659,44 +9952,96 @@
     ctx.textBaseline = 'middle';
     Object.entries(cellMap).forEach(([key, names]) => {
       const [v, g] = key.split('-').map(Number);
-      const row = 4 - g;
+      if (v > nV || g > nG) return;
+      const row = nG - g;
       const x = (v - 1) * cellW + cellW / 2;
       const y = row * cellH + cellH / 2;
       ctx.fillText(names.join(', '), x, y);
     });
-    // Axis labels
-    ctx.fillStyle = 'white';
-    ctx.textAlign = 'center';
-    for (let v = 1; v <= 4; v++) {
-      const x = (v - 0.5) * cellW;
-      ctx.fillText(String(v), x, height - 8);
-    }
-    ctx.textAlign = 'left';
-    for (let g = 1; g <= 4; g++) {
-      const y = (4 - g + 0.5) * cellH;
-      ctx.fillText(String(g), 4, y);
-    }
-    ctx.save();
-    ctx.rotate(-Math.PI / 2);
-    ctx.fillText('Gravité', -height / 2, 12);
-    ctx.restore();
-    ctx.fillText('Vraisemblance', width / 2, height - 20);
+    drawMatrixAxes(canvas, grid);
   }
 
-  // ----- Chart updates per atelier
-  function updateAtelier1Chart() {
-    // The bar chart for Atelier 1 has been replaced by a network graph.
-    updateAtelier1Graph();
+  // Before/after matrix: each risk is numbered, drawn as a hollow marker
+  // at its initial position and a filled one at its residual position,
+  // with an arrow between the two when the treatment moves it.
+  function drawResidualMatrix(canvas, moves) {
+    const grid = drawMatrixGrid(canvas);
+    const { ctx, nV, nG, cellW, cellH } = grid;
+    const radius = 9;
+    // Spread the markers sharing a cell over a small grid inside it
+    const slots = {};
+    const place = (pos, key) => {
+      const cell = `${pos.v}-${pos.g}`;
+      if (!slots[cell]) slots[cell] = [];
+      slots[cell].push(key);
+    };
+    const inside = pos => pos.v >= 1 && pos.v <= nV && pos.g >= 1 && pos.g <= nG;
+    moves.forEach((move, idx) => {
+      if (inside(move.initial)) place(move.initial, 'i' + idx);
+      if (inside(move.residual)) place(move.residual, 'r' + idx);
+    });
+    const point = (pos, key) => {
+      const cell = slots[`${pos.v}-${pos.g}`];
+      const slot = cell.indexOf(key);
+      const cols = Math.ceil(Math.sqrt(cell.length));
+      const rows = Math.ceil(cell.length / cols);
+      return {
+        x: (pos.v - 1) * cellW + ((slot % cols) + 0.5) * cellW / cols,
+        y: (nG - pos.g) * cellH + (Math.floor(slot / cols) + 0.5) * cellH / rows
+      };
+    };
+    ctx.lineWidth = 2;
+    moves.forEach((move, idx) => {
+      if (!inside(move.initial) || !inside(move.residual)) return;
+      if (move.initial.v === move.residual.v && move.initial.g === move.residual.g) return;
+      const from = point(move.initial, 'i' + idx);
+      const to = point(move.residual, 'r' + idx);
+      const angle = Math.atan2(to.y - from.y, to.x - from.x);
+      const endX = to.x - Math.cos(angle) * radius;
+      const endY = to.y - Math.sin(angle) * radius;
+      ctx.strokeStyle = 'white';
+      ctx.fillStyle = 'white';
+      ctx.beginPath();
+      ctx.moveTo(from.x + Math.cos(angle) * radius, from.y + Math.sin(angle) * radius);
+      ctx.lineTo(endX, endY);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(endX, endY);
+      ctx.lineTo(endX - 8 * Math.cos(angle - Math.PI / 7), endY - 8 * Math.sin(angle - Math.PI / 7));
+      ctx.lineTo(endX - 8 * Math.cos(angle + Math.PI / 7), endY - 8 * Math.sin(angle + Math.PI / 7));
+      ctx.closePath();
+      ctx.fill();
+    });
+    ctx.font = 'bold 11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    moves.forEach((move, idx) => {
+      [['i', move.initial], ['r', move.residual]].forEach(([kind, pos]) => {
+        if (!inside(pos)) return;
+        const { x, y } = point(pos, kind + idx);
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.strokeStyle = 'white';
+        ctx.stroke();
+        if (kind === 'r') {
+          ctx.fillStyle = 'white';
+          ctx.fill();
+        }
+        ctx.fillStyle = kind === 'r' ? '#0c1524' : 'white';
+        ctx.fillText(String(idx + 1), x, y);
+      });
+    });
+    drawMatrixAxes(canvas, grid);
   }
 
-  function updateAtelier2Chart() {
+  // ----- Chart updates per atelier
+  function updateAtelier2Chart(canvas = document.getElementById('atelier2-chart')) {
     // Draw a custom network diagram representing all SROV couples.  Each
     // source appears on the left, each objective on the right, and edges
     // are coloured according to the pertinence (motivation × ressources).
     const analysis = analyses[currentIndex];
     if (!analysis || !analysis.data) return;
     const srov = analysis.data.srov || [];
-    const canvas = document.getElementById('atelier2-chart');
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
     const w = canvas.width;
@@ -4745,22 +10090,9 @@
         objMaxPriority[oName] = prio;
       }
     });
-    // Helper functions for colours and buckets
-    const levelColor = (lvl) => {
-      switch (parseInt(lvl, 10)) {
-        case 1: return '#2a9d8f';
-        case 2: return '#e9c46a';
-        case 3: return '#f4a261';
-        case 4: return '#e63946';
-        default: return '#9aa0a6';
-      }
-    };
-    const pertinenceBucket = (p) => {
-      if (p >= 13) return 4;
-      if (p >= 9) return 3;
-      if (p >= 5) return 2;
-      return 1;
-    };
+    // Pertinence is rated on the motivation scale, as in renderSROV()
+    const motivationLevels = scaleOf('motivation').length;
+    const pertinenceBucket = (p) => scaleBucket(p, motivationLevels * scaleOf('ressources').length, motivationLevels);
     // Draw edges
     srov.forEach(item => {
       const sName = (item.source || '').trim() || 'Source';
@@ -4772,7 +10104,7 @@
       const r = parseInt(item.ressources, 10) || 1;
       const p = m * r;
       const bucket = pertinenceBucket(p);
-      const color = levelColor(bucket);
+      const color = scaleColor('motivation', bucket);
       const retenue = (typeof item.retenue === 'boolean') ? item.retenue : true;
       // Start and end positions (shortened to avoid overlapping node shapes)
       const rectWidth = 180;
@@ -4844,7 +10176,7 @@
     objOrder.forEach((oName) => {
       const pos = positions['obj:' + oName];
       const prio = objMaxPriority[oName] || 1;
-      const borderColor = levelColor(prio);
+      const borderColor = scaleColor('priorite', prio);
       // Diamond dimensions
       const hHalf = 30;
       const wHalf = 50;
@@ -4870,13 +10202,10 @@
   } 
 
   // Draw radar cartography for Atelier 3 using SVG
-  function renderCartoRadar(ppc) {
-    const svg = document.getElementById('atelier3-radar');
-    const tip = document.getElementById('atelier3-radar-tooltip');
-    if (!svg || !tip) return;
-    const pointsLayer = svg.querySelector('#radar-points');
-    if (pointsLayer) pointsLayer.innerHTML = '';
-
+  // Position of each stakeholder on the threat radar (960×760 viewBox):
+  // angle from its category, distance from its threat index, size from
+  // its exposure and colour from its reliability.
+  function stakeholderRadarPoints(ppc) {
     const center = { x: 480, y: 360 };
     const maxR = 260;
 
@@ -4929,8 +10258,8 @@
       return {
         label: item.nom || 'PP',
         zone: item.categorie || 'prestataire',
-        exposition: (expo * 10) / 16,
-        fiabilite: (niveau * 10) / 16,
+        exposition: (expo * 10) / (scaleOf('dependance').length * scaleOf('penetration').length),
+        fiabilite: (niveau * 10) / (scaleOf('maturite').length * scaleOf('confiance').length),
         distance: indice
       };
     });
@@ -4940,43 +10269,55 @@
       return acc;
     }, {});
 
+    const points = [];
     Object.entries(byZone).forEach(([zone, items]) => {
       items.forEach((d, i) => {
-        const a = angleForZone(zone, i, items.length);
-        const r = rForDistance(d.distance);
-        const p = posFromPolar(r, a);
-        const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-        g.setAttribute('class', 'radar-point');
+        const p = posFromPolar(rForDistance(d.distance), angleForZone(zone, i, items.length));
+        points.push(Object.assign({ x: p.x, y: p.y, size: sizeForExposition(d.exposition), color: colorForFiabilite(d.fiabilite) }, d));
+      });
+    });
+    return points;
+  }
+
+  function renderCartoRadar(ppc) {
+    const svg = document.getElementById('atelier3-radar');
+    const tip = document.getElementById('atelier3-radar-tooltip');
+    if (!svg || !tip) return;
+    const pointsLayer = svg.querySelector('#radar-points');
+    if (pointsLayer) pointsLayer.innerHTML = '';
 
-        const c = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        c.setAttribute('cx', p.x);
-        c.setAttribute('cy', p.y);
-        c.setAttribute('r', sizeForExposition(d.exposition));
-        c.setAttribute('fill', colorForFiabilite(d.fiabilite));
-        c.setAttribute('opacity', '0.95');
-        c.setAttribute('stroke', '#0b1220');
-        c.setAttribute('stroke-opacity', '0.1');
-        c.setAttribute('filter', 'url(#softShadow)');
+    stakeholderRadarPoints(ppc).forEach(d => {
+      const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+      g.setAttribute('class', 'radar-point');
 
-        const t = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        t.setAttribute('x', p.x + 10);
-        t.setAttribute('y', p.y - 8);
-        t.setAttribute('class', 'radar-label radar-small');
-        t.textContent = d.label;
+      const c = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+      c.setAttribute('cx', d.x);
+      c.setAttribute('cy', d.y);
+      c.setAttribute('r', d.size);
+      c.setAttribute('fill', d.color);
+      c.setAttribute('opacity', '0.95');
+      c.setAttribute('stroke', '#0b1220');
+      c.setAttribute('stroke-opacity', '0.1');
+      c.setAttribute('filter', 'url(#softShadow)');
 
-        g.appendChild(c);
-        g.appendChild(t);
-        pointsLayer.appendChild(g);
+      const t = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+      t.setAttribute('x', d.x + 10);
+      t.setAttribute('y', d.y - 8);
+      t.setAttribute('class', 'radar-label radar-small');
+      t.textContent = d.label;
 
-        g.addEventListener('mousemove', (evt) => {
-          const box = svg.getBoundingClientRect();
-          tip.style.left = (evt.clientX - box.left + 12) + 'px';
-          tip.style.top = (evt.clientY - box.top - 12) + 'px';
-          tip.style.opacity = 1;
-          tip.textContent = `${d.label} — zone: ${d.zone} | exposition: ${d.exposition.toFixed(1)} | fiabilite: ${d.fiabilite.toFixed(1)}`;
-        });
-        g.addEventListener('mouseleave', () => { tip.style.opacity = 0; });
-      });
+      g.appendChild(c);
+      g.appendChild(t);
+      pointsLayer.appendChild(g);
+
+      g.addEventListener('mousemove', (evt) => {
+        const box = svg.getBoundingClientRect();
+        tip.style.left = (evt.clientX - box.left + 12) + 'px';
+        tip.style.top = (evt.clientY - box.top - 12) + 'px';
+        tip.style.opacity = 1;
+        tip.textContent = `${d.label} — zone: ${d.zone} | exposition: ${d.exposition.toFixed(1)} | fiabilite: ${d.fiabilite.toFixed(1)}`;
+      });
+      g.addEventListener('mouseleave', () => { tip.style.opacity = 0; });
     });
   }
 
@@ -4993,28 +10334,8 @@
       renderCartoRadar(ppc);
     } else {
       if (radarWrap) radarWrap.style.display = 'none';
-      if (canvas) canvas.style.display = 'block';
-      const ppList = analysis.data.pp || [];
-      let sumSSI = 0;
-      let sumMenace = 0;
-      let count = 0;
-      ppList.forEach(item => {
-        if (typeof item.niveauSSI === 'number') {
-          sumSSI += item.niveauSSI;
-          count++;
-        }
-        if (typeof item.indiceMenace === 'number') {
-          sumMenace += item.indiceMenace;
-        }
-      });
-      const avgSSI = count ? sumSSI / count : 0;
-      const avgMenace = count ? sumMenace / count : 0;
-      if (count > 0 && canvas) {
-        drawRadarChart(canvas, ['Niveau SSI', 'Indice de menace'], {
-          data: [avgSSI, avgMenace],
-          color: 'rgba(77,163,255,0.4)'
-        });
-      } else if (canvas) {
+      if (canvas) {
+        canvas.style.display = 'block';
         clearCanvas(canvas);
       }
     }
@@ -5034,19 +10355,232 @@
     }
   }
 
-  function updateAtelier5Chart() {
+  // ----- Report generation
+  // Builds a standalone HTML document covering the five ateliers of the
+  // current analysis and opens it in a new window, from which the
+  // browser prints it to PDF.  Charts reuse the on-screen renderers:
+  // SVG and HTML charts are drawn into detached elements, canvases are
+  // embedded as images.
+  const REPORT_STYLES = `
+    :root { --text-primary: #1a2433; --text-secondary: #4a5a70; --bg-panel: #ffffff; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    body { font-family: 'Segoe UI', Arial, sans-serif; color: #1a2433; margin: 2cm; font-size: 11pt; }
+    h1 { font-size: 24pt; margin-bottom: 0.2em; }
+    h2 { font-size: 16pt; border-bottom: 2px solid #4da3ff; padding-bottom: 4px; }
+    h3 { font-size: 12pt; margin-top: 1.4em; }
+    .cover { text-align: center; padding-top: 25vh; }
+    .cover .date { color: #4a5a70; }
+    .toc a { color: inherit; text-decoration: none; }
+    .atelier { page-break-before: always; break-before: page; }
+    table { width: 100%; border-collapse: collapse; margin: 0.6em 0; font-size: 9pt; }
+    th, td { border: 1px solid #c5cedb; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #e8eef7; }
+    tr { page-break-inside: avoid; break-inside: avoid; }
+    .level { display: inline-block; min-width: 1.6em; text-align: center; border-radius: 3px; color: #fff; font-weight: bold; }
+    .empty { color: #4a5a70; font-style: italic; }
+    .description { white-space: pre-wrap; }
+    figure { margin: 1em 0; text-align: center; page-break-inside: avoid; break-inside: avoid; }
+    figure img, figure svg { max-width: 100%; height: auto; }
+    figure.dark { background: #0c1524; padding: 8px; border-radius: 4px; }
+    .gap-chart { display: flex; align-items: center; justify-content: center; gap: 2em; }
+    .donut-chart { position: relative; border-radius: 50%; }
+    .legend { display: flex; flex-direction: column; gap: 4px; text-align: left; }
+    .legend-item { display: flex; align-items: center; gap: 6px; }
+    .legend-color { width: 12px; height: 12px; border-radius: 2px; }
+    .gap-domains { min-width: 320px; display: flex; flex-direction: column; gap: 4px; text-align: left; font-size: 9pt; }
+    .gap-domains-title { font-weight: bold; }
+    .gap-domain { display: flex; align-items: center; gap: 6px; }
+    .gap-domain-label { flex: 0 0 45%; }
+    .gap-domain-track { flex: 1; height: 8px; background: #e8eef7; border-radius: 4px; overflow: hidden; }
+    .gap-domain-fill { height: 100%; }
+    .gap-domain-value { flex: 0 0 3em; text-align: right; }
+    .report-print { position: fixed; top: 1em; right: 1em; padding: 6px 12px; }
+    @media print {
+      body { margin: 0; }
+      .report-print { display: none; }
+    }
+  `;
+
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Cells are plain values, escaped here, or `{ html }` for markup
+  // built by the caller.
+  function reportTable(headers, rows) {
+    if (!rows.length) return '<p class="empty">Aucun élément.</p>';
+    const cell = value => (value && value.html !== undefined ? value.html : escapeHtml(value));
+    return '<table><thead><tr>' + headers.map(h => `<th>${escapeHtml(h)}</th>`).join('') + '</tr></thead><tbody>' +
+      rows.map(row => '<tr>' + row.map(value => `<td>${cell(value)}</td>`).join('') + '</tr>').join('') +
+      '</tbody></table>';
+  }
+
+  function reportLevel(metric, level) {
+    const lvl = parseInt(level, 10);
+    if (!lvl) return '';
+    return { html: `<span class="level" style="background:${escapeHtml(scaleColor(metric, lvl))}">${escapeHtml(scaleLabel(metric, lvl))}</span>` };
+  }
+
+  function reportAcceptance(v, g, data) {
+    const cell = acceptanceCell(v, g, data);
+    if (!cell) return '';
+    return { html: `<span class="level" style="background:${escapeHtml(cell.color)}">${escapeHtml(acceptanceLevel(cell.level).label)}</span>` };
+  }
+
+  // Draw on a detached canvas and embed the result as an image.
+  function reportCanvas(width, height, draw, dark) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    draw(canvas);
+    return `<figure${dark ? ' class="dark"' : ''}><img src="${escapeHtml(canvas.toDataURL('image/png'))}" alt=""></figure>`;
+  }
+
+  // Static version of the Atelier 3 threat radar: rings for the threat
+  // index and one point per stakeholder.
+  function reportRadar(ppc) {
+    const rings = [1, 2, 3, 4, 5].map(i => `<circle cx="480" cy="360" r="${i * 52}" fill="none" stroke="#c5cedb"/>`).join('');
+    const zones = [
+      { label: 'Bénéficiaires', angle: 270 },
+      { label: 'Partenaires', angle: 30 },
+      { label: 'Prestataires', angle: 150 }
+    ].map(z => {
+      const rad = (z.angle - 90) * Math.PI / 180;
+      return `<text x="${480 + 300 * Math.cos(rad)}" y="${360 + 300 * Math.sin(rad)}" text-anchor="middle" font-size="16" font-weight="bold" fill="#4a5a70">${z.label}</text>`;
+    }).join('');
+    const points = stakeholderRadarPoints(ppc).map(p =>
+      `<circle cx="${p.x}" cy="${p.y}" r="${p.size}" fill="${escapeHtml(p.color)}"/>` +
+      `<text x="${p.x + 10}" y="${p.y - 8}" font-size="13" fill="#1a2433">${escapeHtml(p.label)}</text>`
+    ).join('');
+    return `<figure><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 960 720" width="720">${rings}${zones}${points}</svg></figure>`;
+  }
+
+  function buildReport(analysis) {
+    const data = analysis.data;
+    const missionName = id => (data.missions.find(m => m.id === id) || {}).denom || '';
+    const eventName = id => (data.events.find(ev => ev.id === id) || {}).evenement || '';
+    const ppName = id => (data.ppc.find(p => p.id === id) || {}).nom || '';
+    const pertinence = item => {
+      const p = (parseInt(item.motivation, 10) || 1) * (parseInt(item.ressources, 10) || 1);
+      const levels = scaleOf('motivation', data).length;
+      return scaleBucket(p, levels * scaleOf('ressources', data).length, levels);
+    };
+    const risks = data.so.reduce((list, scenario) => list.concat(scenario.risks || []), []);
+    const sections = [];
+    const section = (id, title, html) => sections.push({ id, title, html });
+
+    // Atelier 1
+    const graph = document.createElement('div');
+    graph.style.width = '900px';
+    graph.style.height = '600px';
+    updateAtelier1Graph(graph);
+    const svg = graph.querySelector('svg');
+    if (svg) svg.setAttribute('viewBox', `0 0 ${svg.getAttribute('width')} ${svg.getAttribute('height')}`);
+    const gapChart = document.createElement('div');
+    gapChart.className = 'gap-chart';
+    updateGapChart(gapChart);
+    section('atelier1', 'Atelier 1 – Mission et valeurs',
+      '<h3>Description de la mission du système</h3>' +
+      (data.missionDescription ? `<p class="description">${escapeHtml(data.missionDescription)}</p>` : '<p class="empty">Non renseignée.</p>') +
+      '<h3>Valeurs métier et biens supports</h3>' +
+      reportTable(['Valeur métier', 'Nature', 'Description', 'Responsable', 'Biens supports'],
+        data.missions.map(m => [m.denom, m.nature, m.description, m.responsable, m.supportIds.map(id => supportName(data, id)).filter(Boolean).join(', ')])) +
+      (svg ? `<figure>${graph.innerHTML}</figure>` : '') +
+      '<h3>Évènements redoutés</h3>' +
+      reportTable(['Valeur métier', 'Évènement redouté', 'Impacts', 'Gravité'],
+        data.events.map(ev => [missionName(ev.missionId), ev.evenement, ev.impactDescription, reportLevel('gravite', ev.impact)])) +
+      '<h3>Vulnérabilité des biens supports</h3>' +
+      reportTable(['Bien support', 'Vulnérabilité', 'Description', 'Références', 'CVSS', 'Niveau'],
+        data.supports.reduce((rows, s) => rows.concat((s.vulnerabilities || []).map(v =>
+          [s.name, v.name, v.description, (v.refs || []).join(', '), typeof v.cvssScore === 'number' ? String(v.cvssScore) : '', v.level])), [])) +
+      '<h3>GAP Analysis</h3>' +
+      `<figure>${gapChart.outerHTML}</figure>` +
+      reportTable(['Domaine', 'Exigence', 'Application', 'Justification'],
+        data.gap.map(req => [req.domaine, req.titre, req.application, req.justification])));
+
+    // Atelier 2
+    section('atelier2', 'Atelier 2 – Sources et objectifs',
+      reportTable(['Source de risque', 'Objectif visé', 'Motivation', 'Ressources', 'Pertinence', 'Priorité', 'Retenu', 'Justification'],
+        data.srov.map(c => [c.source, c.objectif, reportLevel('motivation', c.motivation), reportLevel('ressources', c.ressources), reportLevel('motivation', pertinence(c)), reportLevel('priorite', c.priorite), c.retenue ? 'Oui' : 'Non', c.justification])) +
+      (data.srov.length ? reportCanvas(900, 500, canvas => updateAtelier2Chart(canvas), true) : ''));
+
+    // Atelier 3
+    section('atelier3', 'Atelier 3 – Parties prenantes',
+      '<h3>Cartographie des parties prenantes</h3>' +
+      reportTable(['Partie prenante', 'Catégorie', 'Dépendance', 'Pénétration', 'Maturité', 'Confiance', 'Exposition', 'Fiabilité'],
+        data.ppc.map(p => [p.nom, p.categorie, reportLevel('dependance', p.dependance), reportLevel('penetration', p.penetration), reportLevel('maturite', p.maturite), reportLevel('confiance', p.confiance),
+          (parseInt(p.dependance, 10) || 1) * (parseInt(p.penetration, 10) || 1), (parseInt(p.maturite, 10) || 1) * (parseInt(p.confiance, 10) || 1)])) +
+      (data.ppc.length ? reportRadar(data.ppc) : '') +
+      '<h3>Scénarios stratégiques</h3>' +
+      reportTable(['Source de risque', 'Objectif visé', 'Chemins d’attaque', 'Parties prenantes', 'Évènements redoutés'],
+        data.strategies.map(s => [s.source, s.objectif, s.chemins.join(', '), s.intermediaireIds.map(ppName).join(', '), s.eventIds.map(eventName).join(', ')])));
+
+    // Atelier 4
+    section('atelier4', 'Atelier 4 – Scénarios opérationnels',
+      reportTable(['Évènement redouté', 'Chemin d’attaque', 'Connaître', 'Rester', 'Trouver', 'Exploiter', 'Risques'],
+        data.so.map(s => [eventName(s.eventId), s.path, ...KILL_CHAIN_STAGES.map(([key]) => s[key].map(step => killChainStepLabel(data, step)).join(' ; ')),
+          (s.risks || []).map(r => `${r.name} (V${r.vraisemblance}, G${r.gravite})` + (needsTreatment(r.vraisemblance, r.gravite, data) ? ' – à traiter' : '')).join(', ')])) +
+      (data.so.some(s => KILL_CHAIN_STAGES.some(([key]) => s[key].length > 0)) ? '<h3>Chemins d’attaque</h3>' +
+        data.so.filter(s => KILL_CHAIN_STAGES.some(([key]) => s[key].length > 0)).map(s =>
+          `<figure>${new XMLSerializer().serializeToString(attackPathSvg(data, s))}<figcaption>${escapeHtml(attackPathTitle(data, s))}</figcaption></figure>`).join('') : '') +
+      '<h3>Matrice des risques</h3>' +
+      reportCanvas(600, 600, canvas => drawRiskMatrix(canvas, risks)) +
+      '<p>' + ACCEPTANCE_LEVELS.map(l => `<span class="level" style="background:${escapeHtml(l.color)}">${escapeHtml(l.label)}</span>`).join(' ') + '</p>');
+
+    // Atelier 5
+    const actions = collectPlanActions(data);
+    const initial = new Map();
+    risks.forEach(r => {
+      const cur = initial.get(r.name) || { vraisemblance: 1, gravite: 1 };
+      initial.set(r.name, {
+        vraisemblance: Math.max(cur.vraisemblance, r.vraisemblance || 1),
+        gravite: Math.max(cur.gravite, r.gravite || 1)
+      });
+    });
+    section('atelier5', 'Atelier 5 – Plan d’actions et conformité',
+      '<h3>Plan d’actions</h3>' +
+      reportTable(['Action', 'Traite', 'Description', 'Responsable', 'Début', 'Fin'],
+        actions.map(act => [act.name, act.source, act.description, act.responsable, act.start, act.end])) +
+      (actions.some(act => act.start && act.end) ? reportCanvas(900, 300, canvas => drawGanttChart(canvas, actions), true) : '') +
+      '<h3>Risques résiduels</h3>' +
+      reportTable(['Risque', 'Vraisemblance initiale', 'Gravité initiale', 'Acceptation initiale', 'Vraisemblance résiduelle', 'Gravité résiduelle', 'Acceptation résiduelle'],
+        data.actionsRisques.map(row => {
+          const risk = initial.get(row.riskName) || {};
+          return [row.riskName, reportLevel('vraisemblance', risk.vraisemblance), reportLevel('gravite', risk.gravite), reportAcceptance(risk.vraisemblance, risk.gravite, data),
+            reportLevel('vraisemblance', row.residualV), reportLevel('gravite', row.residualG), reportAcceptance(row.residualV, row.residualG, data)];
+        })) +
+      (data.actionsRisques.length ? '<h3>Matrice avant / après traitement</h3>' +
+        reportCanvas(600, 600, canvas => drawResidualMatrix(canvas, residualRiskMoves(data))) +
+        '<ol>' + residualRiskMoves(data).map(move => `<li>${escapeHtml(move.name)}</li>`).join('') + '</ol>' : ''));
+
+    const title = analysis.title || 'Analyse EBIOS RM';
+    const date = new Date().toLocaleDateString('fr-FR');
+    return '<!DOCTYPE html><html lang="fr"><head><meta charset="UTF-8">' +
+      `<title>${escapeHtml(title)} – Rapport EBIOS RM</title><style>${REPORT_STYLES}</style></head><body>` +
+      '<button class="report-print" onclick="window.print()">Imprimer / PDF</button>' +
+      `<div class="cover"><h1>${escapeHtml(title)}</h1><p>Rapport d’analyse EBIOS Risk Manager</p><p class="date">${date}</p></div>` +
+      '<nav class="toc"><h2>Sommaire</h2><ol>' +
+      sections.map(s => `<li><a href="#${s.id}">${escapeHtml(s.title)}</a></li>`).join('') +
+      '</ol></nav>' +
+      sections.map(s => `<section class="atelier" id="${escapeHtml(s.id)}"><h2>${escapeHtml(s.title)}</h2>${s.html}</section>`).join('') +
+      '</body></html>';
+  }
+
+  function openReport() {
     const analysis = analyses[currentIndex];
     if (!analysis || !analysis.data) return;
-    const risques = analysis.data.risques || [];
-    const counts = {};
-    risques.forEach(item => {
-      const key = (item.gravite || '').trim() || 'Non précisé';
-      counts[key] = (counts[key] || 0) + 1;
-    });
-    const labels = Object.keys(counts);
-    const data = labels.map(l => counts[l]);
-    const canvas = document.getElementById('atelier5-chart');
-    drawBarChart(canvas, labels, data);
+    const win = window.open('', '_blank');
+    if (!win) {
+      alert('Impossible d’ouvrir le rapport : autorisez les fenêtres pop-up pour cette page.');
+      return;
+    }
+    win.document.open();
+    win.document.write(buildReport(analysis));
+    win.document.close();
   }
 
   // ----- Event handlers for adding items
@@ -5057,7 +10591,7 @@
         const analysis = analyses[currentIndex];
         if (!analysis.data) analysis.data = {};
         if (!analysis.data.missions) analysis.data.missions = [];
-        analysis.data.missions.push({ id: uid(), denom:'', nature:'information', description:'', responsable:'', supports: [] });
+        analysis.data.missions.push({ id: uid(), denom:'', nature:'information', description:'', responsable:'', supportIds: [] });
         saveAnalyses();
         renderMissionsTable();
         renderSupportsQualifTable();
@@ -5069,18 +10603,51 @@
       addSupportQualifBtn.addEventListener('click', () => {
         const analysis = analyses[currentIndex];
         if (!analysis.data) analysis.data = {};
-        if (!Array.isArray(analysis.data.supportsQualif)) analysis.data.supportsQualif = [];
-        analysis.data.supportsQualif.push({ name:'', description:'', responsable:'', vulnerabilities: [] });
+        if (!Array.isArray(analysis.data.supports)) analysis.data.supports = [];
+        analysis.data.supports.push({ id: uid(), name:'', description:'', responsable:'', vulnerabilities: [] });
         saveAnalyses();
         renderSupportsQualifTable();
         renderSupportActions();
       });
     }
-    const refreshSupportsQualifBtn = document.getElementById('refresh-supports-qualif-btn');
-    if (refreshSupportsQualifBtn) {
-      refreshSupportsQualifBtn.addEventListener('click', () => {
-        renderSupportsQualifTable();
-        renderSupportActions();
+    const loadVulnCatalogBtn = document.getElementById('load-vuln-catalog-btn');
+    const vulnCatalogInput = document.getElementById('vuln-catalog-file');
+    if (loadVulnCatalogBtn && vulnCatalogInput) {
+      loadVulnCatalogBtn.addEventListener('click', () => {
+        vulnCatalogInput.value = '';
+        vulnCatalogInput.click();
+      });
+      vulnCatalogInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        importVulnCatalogFile(file).catch(err => {
+          alert('Erreur lors de la lecture du catalogue : ' + err.message);
+        });
+      });
+    }
+    const importScanBtn = document.getElementById('import-scan-btn');
+    const scanFileInput = document.getElementById('scan-import-file');
+    if (importScanBtn && scanFileInput) {
+      importScanBtn.addEventListener('click', () => {
+        scanFileInput.value = '';
+        scanFileInput.click();
+      });
+      scanFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        importScannerFile(file).catch(err => {
+          alert('Erreur lors de la lecture du rapport : ' + err.message);
+        });
+      });
+    }
+    const clearVulnCatalogBtn = document.getElementById('clear-vuln-catalog-btn');
+    if (clearVulnCatalogBtn) {
+      clearVulnCatalogBtn.addEventListener('click', () => {
+        if (!confirm(`Vider le catalogue (${vulnCatalog.length} vulnérabilité(s)) ? Les vulnérabilités déjà ajoutées aux biens supports sont conservées.`)) return;
+        vulnCatalog = [];
+        saveVulnCatalog(null).catch(err => {
+          console.warn('Failed to empty the vulnerability catalogue:', err);
+        });
       });
     }
     // GAP analysis: add new requirement
@@ -5090,7 +10657,7 @@
         const analysis = analyses[currentIndex];
         if (!analysis.data) analysis.data = {};
         if (!analysis.data.gap) analysis.data.gap = [];
-        analysis.data.gap.push({ id: uid(), domaine:'', titre:'', description:'', application:'Appliqué', justification:'' });
+        analysis.data.gap.push({ id: uid(), domaine:'', titre:'', description:'', application:'Appliqué', justification:'', supportIds: [], ppIds: [], riskNames: [] });
         saveAnalyses();
         renderGapTable();
         updateGapChart();
@@ -5098,6 +10665,8 @@
     }
     // GAP analysis: import requirements from JSON file
     const importGapBtn = document.getElementById('import-gap-btn');
+    const applyReferentialBtn = document.getElementById('apply-referential-btn');
+    if (applyReferentialBtn) applyReferentialBtn.addEventListener('click', applyReferential);
     const gapFileInput = document.getElementById('gap-import-file');
     if (importGapBtn && gapFileInput) {
       importGapBtn.addEventListener('click', () => {
@@ -5107,36 +10676,9 @@
       gapFileInput.addEventListener('change', (e) => {
         const file = e.target.files[0];
         if (!file) return;
-        const reader = new FileReader();
-        reader.onload = function(evt) {
-          try {
-            const json = JSON.parse(evt.target.result);
-            if (!Array.isArray(json)) {
-              alert('Le fichier doit contenir un tableau d\'exigences.');
-              return;
-            }
-            const analysis = analyses[currentIndex];
-            if (!analysis.data) analysis.data = {};
-            if (!analysis.data.gap) analysis.data.gap = [];
-            json.forEach(obj => {
-              const req = {
-                id: uid(),
-                domaine: obj.domaine || obj.domain || '',
-                titre: obj.titre || obj.title || '',
-                description: obj.description || obj.desc || '',
-                application: obj.application || obj.status || '',
-                justification: obj.justification || obj.justif || ''
-              };
-              analysis.data.gap.push(req);
-            });
-            saveAnalyses();
-            renderGapTable();
-            updateGapChart();
-          } catch (err) {
-            alert('Erreur lors de la lecture du fichier : ' + err.message);
-          }
-        };
-        reader.readAsText(file);
+        importGapFile(file).catch(err => {
+          alert('Erreur lors de la lecture du fichier : ' + err.message);
+        });
       });
     }
     const addSrovBtn = document.getElementById('add-srov-btn');
@@ -5178,7 +10720,7 @@
         const analysis = analyses[currentIndex];
         if (!analysis.data) analysis.data = {};
         if (!Array.isArray(analysis.data.actionsSupports)) analysis.data.actionsSupports = [];
-        analysis.data.actionsSupports.push({ supportName: '', vulnName: '', initialLevel: '', residualLevel: '', actions: [] });
+        analysis.data.actionsSupports.push({ supportId: '', vulnName: '', initialLevel: '', residualLevel: '', actions: [] });
         saveAnalyses();
         renderSupportActions();
       });
@@ -5207,66 +10749,6 @@
         openImportModal('risques');
       });
     }
-    const addPPBtn = document.getElementById('add-pp-btn');
-    if (addPPBtn) {
-      addPPBtn.addEventListener('click', () => {
-        const analysis = analyses[currentIndex];
-        if (!analysis.data) analysis.data = {};
-        if (!analysis.data.pp) analysis.data.pp = [];
-        analysis.data.pp.push({ id: uid(), categorie:'', nom:'', description:'', niveauSSI:0, indiceMenace:0 });
-        saveAnalyses();
-        renderPP();
-      });
-    }
-    const addSSBtn = document.getElementById('add-ss-btn');
-    if (addSSBtn) {
-      addSSBtn.addEventListener('click', () => {
-        const analysis = analyses[currentIndex];
-        if (!analysis.data) analysis.data = {};
-        if (!analysis.data.ss) analysis.data.ss = [];
-        analysis.data.ss.push({ id: uid(), source:'', objectif:'', vraisemblance:'', gravite:'' });
-        saveAnalyses();
-        renderSS();
-      });
-    }
-    const addSOBtn = document.getElementById('add-so-btn');
-    if (addSOBtn) {
-      addSOBtn.addEventListener('click', () => {
-        const analysis = analyses[currentIndex];
-        if (!analysis.data) analysis.data = {};
-        if (!analysis.data.so) analysis.data.so = [];
-        analysis.data.so.push({ id: uid(), chemin:'', vraisemblanceGlobale:'' });
-        saveAnalyses();
-        renderSO();
-      });
-    }
-    const addRisqueBtn = document.getElementById('add-risque-btn');
-    if (addRisqueBtn) {
-      addRisqueBtn.addEventListener('click', () => {
-        const analysis = analyses[currentIndex];
-        if (!analysis.data) analysis.data = {};
-        if (!analysis.data.risques) analysis.data.risques = [];
-        const defaultMission = (analysis.data.missions && analysis.data.missions[0]) ? analysis.data.missions[0].id : '';
-        const defaultEvent = (analysis.data.events && analysis.data.events[0]) ? analysis.data.events[0].id : '';
-        const defaultScenario = (analysis.data.so && analysis.data.so[0]) ? analysis.data.so[0].id : '';
-        analysis.data.risques.push({
-          id: uid(),
-          titre:'',
-          description:'',
-          missionId: defaultMission,
-          eventId: defaultEvent,
-          scenarioId: defaultScenario,
-          sourceIds: [],
-          indice:'',
-          vraisemblance:'',
-          gravite:'',
-          mesures:''
-        });
-        saveAnalyses();
-        renderRisques();
-      });
-    }
-
     // Cartographie: add new stakeholder row
     const addPPCBtn = document.getElementById('add-ppc-btn');
     if (addPPCBtn) {
@@ -5324,7 +10806,19 @@
     tabs.forEach(btn => {
       // Anchors navigate to other pages; store current analysis before leaving
       if (btn.tagName && btn.tagName.toLowerCase() === 'a' && btn.hasAttribute('href')) {
-        btn.addEventListener('click', persistCurrentAnalysisId);
+        btn.addEventListener('click', (e) => {
+          persistCurrentAnalysisId();
+          const saved = flushSave().catch(err => console.error('Failed to save before leaving the page.', err));
+          // Opening the page in a new tab or window leaves this one in
+          // place: the browser handles the click as usual.
+          if (e.button !== 0 || e.ctrlKey || e.metaKey || e.shiftKey || e.altKey) return;
+          // Writes are asynchronous: wait for pending changes to reach
+          // the database before leaving the page.
+          e.preventDefault();
+          saved.finally(() => {
+            window.location.href = btn.href;
+          });
+        });
         return;
       }
       btn.addEventListener('click', () => {
@@ -5422,6 +10916,49 @@
     });
   }
 
+  // Add imported analyses according to the mode chosen by the user:
+  // 'merge' merges the analyses sharing an id and appends the others,
+  // 'copy' appends them under new ids and 'replace' discards every
+  // existing analysis first.  Returns the index of the last one added,
+  // or -1 when the user cancels the conflict resolution.
+  async function applyImportedAnalyses(imported, mode) {
+    // Analyses of the file sharing an id are kept apart rather than
+    // merged into one another
+    const seen = new Set();
+    imported.forEach(analysis => {
+      if (analysis.id && seen.has(analysis.id)) analysis.id = uid();
+      seen.add(analysis.id);
+    });
+    const merges = new Map();
+    if (mode === 'merge') {
+      imported.forEach(analysis => {
+        const mine = analysis.id ? analyses.find(a => a.id === analysis.id) : null;
+        if (mine) merges.set(analysis, { title: mine.title, conflicts: findMergeConflicts(mine, analysis) });
+      });
+      const conflicting = Array.from(merges.values()).filter(group => group.conflicts.length > 0);
+      if (conflicting.length > 0 && !(await resolveMergeConflicts(conflicting))) return -1;
+    }
+    if (mode === 'replace') analyses = [];
+    let lastIndex = -1;
+    imported.forEach(analysis => {
+      if (mode === 'copy') {
+        analysis.id = uid();
+        analysis.title = `${analysis.title || 'Nouvelle analyse'} (copie)`;
+      }
+      const existing = mode === 'merge' && analysis.id ? analyses.findIndex(a => a.id === analysis.id) : -1;
+      if (existing >= 0) {
+        mergeAnalysis(analyses[existing], analysis, merges.get(analysis).conflicts);
+        lastIndex = existing;
+      } else {
+        analyses.push(analysis);
+        lastIndex = analyses.length - 1;
+      }
+    });
+    ensureAnalysisIds();
+    imported.forEach(markAnalysisDirty);
+    return lastIndex;
+  }
+
   function setupAnalysisControls() {
     document.getElementById('analysis-title').addEventListener('input', (e) => {
       if (currentIndex < 0) return;
@@ -5433,20 +10970,21 @@
       const newAnalysis = {
         id: uid(),
         title: 'Nouvelle analyse',
+        schemaVersion: SCHEMA_VERSION,
         data: {
+          missionDescription: '',
           missions: [],
           events: [],
-          supportsQualif: [],
+          // Atelier 1: registre des biens supports, référencés par id
+          supports: [],
           // GAP analysis requirements (domaine, titre, description, application, justification)
           gap: [],
           // Atelier 2 couples source/objectif
           srov: [],
-          // Atelier 3: scénarios (ancienne liste) et cartographie (ppc)
-          pp: [],
+          // Atelier 3: cartographie des parties prenantes
           ppc: [],
-          ss: [],
+          // Atelier 4: scénarios opérationnels
           so: [],
-          risques: [],
           // Actions & conformité (Atelier 5)
           actionsGap: [],
           actionsSupports: [],
@@ -5467,6 +11005,7 @@
       if (!confirm('Supprimer cette analyse ?')) return;
       analyses.splice(currentIndex, 1);
       saveAnalyses();
+      flushSave().then(purgeEvidence).catch(e => console.warn('Failed to purge the evidence store:', e));
       currentIndex = analyses.length > 0 ? 0 : -1;
       renderAnalysisList();
       if (currentIndex >= 0) selectAnalysis(currentIndex);
@@ -5491,29 +11030,57 @@
         // When switching to the plan tab, refresh the plan view and gantt chart
         if (target === 'plan') {
           renderPlanActions();
+        } else if (target === 'trace') {
+          renderTraceability();
+        } else if (target === 'matrice') {
+          renderResidualMatrix();
+        } else if (target === 'couverture') {
+          renderAttackCoverage();
         }
       });
     });
+    const integrityBtn = document.getElementById('integrity-btn');
+    if (integrityBtn) integrityBtn.addEventListener('click', showIntegrityPanel);
+    const scalesBtn = document.getElementById('scales-btn');
+    if (scalesBtn) scalesBtn.addEventListener('click', editScales);
+    document.querySelectorAll('.acceptance-btn').forEach(btn => btn.addEventListener('click', editAcceptanceMatrix));
+    document.querySelectorAll('.attack-matrices-btn').forEach(btn => btn.addEventListener('click', manageAttackMatrices));
+    const attackInput = document.getElementById('attack-stix-file');
+    if (attackInput) {
+      attackInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        importAttackFile(file).then(() => {
+          // Show the new techniques if the picker is open
+          const modal = document.getElementById('risk-modal');
+          if (modal && modal.style.display !== 'none' && riskModalTarget) openRiskModal(riskModalTarget);
+        }).catch(err => {
+          alert('Erreur lors de l’import ATT&CK : ' + err.message);
+        });
+      });
+    }
+    const likelihoodBtn = document.getElementById('likelihood-rule-btn');
+    if (likelihoodBtn) likelihoodBtn.addEventListener('click', editLikelihoodRule);
+    const navigatorBtn = document.getElementById('navigator-export-btn');
+    if (navigatorBtn) navigatorBtn.addEventListener('click', exportNavigatorLayers);
+    const reportBtn = document.getElementById('report-btn');
+    if (reportBtn) reportBtn.addEventListener('click', openReport);
+    [['export-plan-csv', 'csv'], ['export-plan-xlsx', 'xlsx'], ['export-plan-ics', 'ics']].forEach(([id, format]) => {
+      const btn = document.getElementById(id);
+      if (btn) btn.addEventListener('click', () => exportPlanActions(format));
+    });
     document.getElementById('export-btn').addEventListener('click', () => {
       if (currentIndex < 0) return;
       const analysis = analyses[currentIndex];
       const blob = new Blob([JSON.stringify(analysis, null, 2)], { type: 'application/json' });
-      const a = document.createElement('a');
-      a.href = URL.createObjectURL(blob);
       const safeTitle = (analysis.title || 'analyse').replace(/[^a-z0-9]/gi, '_').toLowerCase();
-      a.download = safeTitle + '.json';
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
+      downloadBlob(blob, safeTitle + '.json');
     });
+    const exportZipBtn = document.getElementById('export-zip-btn');
+    if (exportZipBtn) exportZipBtn.addEventListener('click', exportEvidencePack);
     document.getElementById('export-all-btn').addEventListener('click', () => {
       const blob = new Blob([JSON.stringify(analyses, null, 2)], { type: 'application/json' });
-      const a = document.createElement('a');
-      a.href = URL.createObjectURL(blob);
-      a.download = 'analyses_ebios.json';
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
+      downloadBlob(blob, 'analyses_ebios.json');
     });
     document.getElementById('import-btn').addEventListener('click', () => {
       document.getElementById('import-file').click();
@@ -5522,20 +11089,57 @@
       const file = e.target.files[0];
       if (!file) return;
       const reader = new FileReader();
-      reader.onload = function(ev) {
+      reader.onload = async function(ev) {
+        let json;
         try {
-          const json = JSON.parse(ev.target.result);
-          if (Array.isArray(json)) {
-            analyses = json;
-          } else if (typeof json === 'object') {
-            analyses.push(json);
-          }
-          saveAnalyses();
-          currentIndex = analyses.length - 1;
-          renderAnalysisList();
-          selectAnalysis(currentIndex);
+          json = JSON.parse(ev.target.result);
         } catch (err) {
           alert('Fichier JSON invalide');
+          return;
+        }
+        const imported = Array.isArray(json) ? json : [json];
+        const { reports, errors } = checkImportedAnalyses(imported, Array.isArray(json));
+        if (errors.length > 0) {
+          await showDialog({
+            title: 'Import impossible',
+            message: `Le fichier ne respecte pas le format attendu (${errors.length} erreur(s)) :`,
+            lines: formatValidationErrors(errors),
+            choices: [{ value: null, label: 'Fermer', primary: true }]
+          });
+          return;
+        }
+        if (imported.length === 0) {
+          alert('Le fichier ne contient aucune analyse.');
+          return;
+        }
+        const conversions = formatMigrationReports(reports);
+        // Without existing analyses no dialog lists the conversions: they
+        // are reported once the import is stored
+        const reportConversions = analyses.length === 0 && conversions.length > 0;
+        let mode = 'merge';
+        if (analyses.length > 0) {
+          mode = await showDialog({
+            title: 'Importer des analyses',
+            message: `Le fichier contient ${imported.length} analyse(s). Comment les intégrer aux ${analyses.length} analyse(s) existante(s) ?`,
+            lines: conversions.length > 0 ? ['Conversions appliquées :'].concat(conversions) : [],
+            choices: [
+              { value: 'merge', label: 'Fusionner', primary: true, title: 'Ajouter les analyses du fichier ; celles déjà présentes (même identifiant) sont fusionnées élément par élément' },
+              { value: 'copy', label: 'Importer comme copie', title: 'Ajouter les analyses du fichier sous de nouveaux identifiants, sans modifier les analyses existantes' },
+              { value: 'replace', label: 'Tout remplacer', title: 'Supprimer toutes les analyses existantes et les remplacer par celles du fichier' },
+              { value: null, label: 'Annuler' }
+            ]
+          });
+          if (!mode) return;
+        }
+        const index = await applyImportedAnalyses(imported, mode);
+        if (index < 0) return;
+        currentIndex = index;
+        saveAnalyses();
+        if (mode === 'replace') flushSave().then(purgeEvidence).catch(e => console.warn('Failed to purge the evidence store:', e));
+        renderAnalysisList();
+        selectAnalysis(currentIndex);
+        if (reportConversions && await flushSave()) {
+          alert('Import terminé. Conversions appliquées :\n\n' + conversions.join('\n'));
         }
       };
       reader.readAsText(file);
@@ -5545,8 +11149,13 @@
   }
 
   // ----- Initialize
-  function init() {
-    loadAnalyses();
+  async function init() {
+    await loadAnalyses();
+    await loadVulnCatalog();
+    await loadAttackMatrices();
+    if (unmigratedAnalyses.length > 0) {
+      alert(`${unmigratedAnalyses.length} analyse(s) enregistrée(s) n’ont pas pu être converties au format actuel et ne sont pas affichées. Elles restent conservées telles quelles par le navigateur.`);
+    }
     // Attempt to restore the previously selected analysis.  The ID of
     // the last selected analysis is persisted in localStorage under
     // `ebiosCurrentAnalysisId`.  If it exists and matches one of
@@ -5565,22 +11174,39 @@
     setupAnalysisControls();
     setupNavigation();
     setupSidebarToggle();
+    setupHistoryControls();
     setupAddButtons();
     setupColumnToggles();
       setupActionImport();
     // Ensure the current analysis ID is saved even if the user reloads or
     // closes the page without navigating through the provided links.
-    window.addEventListener('beforeunload', persistCurrentAnalysisId);
+    window.addEventListener('beforeunload', () => {
+      persistCurrentAnalysisId();
+      flushSave();
+    });
+    // Hidden pages may be discarded without a beforeunload event
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') flushSave();
+    });
     // Select the previously selected analysis or the first one by default
     if (analyses.length > 0) {
       currentIndex = savedIndex >= 0 ? savedIndex : 0;
       selectAnalysis(currentIndex);
+      // Row requested from the Atelier 1 graph of another page
+      if (window.location.hash.startsWith('#focus=')) focusGraphNode(decodeURIComponent(window.location.hash.slice(7)));
     }
   }
 
+  function start() {
+    init().catch(e => {
+      console.error('Failed to initialise the page:', e);
+      alert('Erreur lors du chargement de la page : ' + e.message);
+    });
+  }
+
   if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', start);
   } else {
-    init();
+    start();
   }
 })();